@@ -0,0 +1,430 @@
+// server/aggregate.js
+// ============================================================
+// Order aggregation engine — one pass, pluggable dimensions
+// Every number the dashboard shows (routes, rebuild worker,
+// streaming trend fetch, reconciliation) comes out of here, so
+// the same orders always produce the same figures. Orders are
+// fed one at a time or a page at a time; only running totals
+// are kept, never the orders themselves.
+// ============================================================
+
+const TZ = 'America/Los_Angeles';
+
+function round2(n) { return Math.round(n * 100) / 100; }
+
+// ── Tenders (payment methods) ─────────────────────────────────
+// Same buckets as the Flowhub End of Day report's drawer columns
+const TENDER_TYPES = ['cash', 'debit', 'aeropay', 'credit', 'gift_card', 'loyalty', 'other'];
+function emptyTenders() { const t = {}; TENDER_TYPES.forEach(k => { t[k] = { amount: 0, count: 0 }; }); return t; }
+function normalizeTender(raw) {
+  const s = String(raw || '').toLowerCase();
+  if (s.includes('aero')) return 'aeropay';
+  if (s.includes('gift')) return 'gift_card';
+  if (s.includes('loyal') || s.includes('point')) return 'loyalty';
+  if (s.includes('debit') || s.includes('cashless') || s.includes('atm')) return 'debit';
+  if (s.includes('credit')) return 'credit';
+  if (s.includes('cash')) return 'cash';
+  return 'other';
+}
+// Adds one order's payments to a tenders map. Split payments count once per
+// tender used; when the order carries no per-payment amount, the order's net
+// sales are attributed to its single payment type.
+function addOrderTenders(tenders, order, orderNet) {
+  const list = order.payments || order.paymentDetails || order.tenders;
+  if (Array.isArray(list) && list.length) {
+    const seen = {};
+    list.forEach(p => {
+      const k = normalizeTender(p.paymentType || p.type || p.method || p.name);
+      const amt = Number(p.amount ?? p.total ?? p.amountPaid) || 0;
+      tenders[k].amount += list.length === 1 && !amt ? orderNet : amt;
+      if (!seen[k]) { seen[k] = true; tenders[k].count++; }
+    });
+    return;
+  }
+  const k = normalizeTender(order.paymentType || order.paymentMethod);
+  tenders[k].amount += orderNet; tenders[k].count++;
+}
+function roundTenders(t) { const out = {}; Object.keys(t).forEach(k => { out[k] = { amount: round2(t[k].amount), count: t[k].count }; }); return out; }
+
+// ── Tax, fees, cannabis vs non-cannabis ───────────────────────
+// Mirrors the EOD report: TOTAL REVENUE = cannabis + non-cannabis revenue
+// + fees (ex-tax), TOTAL SALES (here: total_collected) = revenue + tax.
+const NON_CANNABIS_CATEGORIES = ['accessor', 'apparel', 'merch', 'gear', 'paraphernalia', 'batter', 'lighter', 'glass', 'non-cannabis', 'non cannabis'];
+function isCannabisItem(item) {
+  if (typeof item.isCannabis === 'boolean') return item.isCannabis;
+  const c = String(item.category || item.type || '').toLowerCase();
+  return !NON_CANNABIS_CATEGORIES.some(k => c.includes(k));
+}
+function sumAmounts(v) { return Array.isArray(v) ? v.reduce((s, t) => s + (Number(t.amount ?? t.total ?? t.value) || 0), 0) : (Number(v) || 0); }
+function itemTax(item) { return item.taxes ? sumAmounts(item.taxes) : (Number(item.totalTaxes ?? item.tax ?? item.taxAmount) || 0); }
+function emptyFinancials() { return { total_tax: 0, cannabis_tax: 0, non_cannabis_tax: 0, total_fees: 0, cannabis_revenue: 0, non_cannabis_revenue: 0 }; }
+// Adds one prepared (non-voided) order. sign = -1 takes a return recorded
+// with positive line amounts back out.
+function addOrderFinancials(f, p, sign = 1) {
+  let itemTaxTotal = 0, cRev = 0, nRev = 0, cTax = 0, nTax = 0;
+  for (const l of p.lines) {
+    const ln = sign * l.net, tx = sign * itemTax(l.item); itemTaxTotal += tx;
+    if (isCannabisItem(l.item)) { cRev += ln; cTax += tx; } else { nRev += ln; nTax += tx; }
+  }
+  // Order-level tax only (no per-item breakdown): split by revenue share
+  const order = p.order;
+  if (!itemTaxTotal) {
+    const ot = sign * (order.taxes ? sumAmounts(order.taxes) : (Number(order.totalTaxes ?? order.tax) || 0));
+    const rv = cRev + nRev;
+    cTax = rv > 0 ? ot * cRev / rv : ot; nTax = ot - cTax;
+  }
+  f.cannabis_revenue += cRev; f.non_cannabis_revenue += nRev;
+  f.cannabis_tax += cTax; f.non_cannabis_tax += nTax; f.total_tax += cTax + nTax;
+  f.total_fees += sign * (order.fees ? sumAmounts(order.fees) : (Number(order.totalFees ?? order.fee) || 0));
+}
+function roundFinancials(f, netSales) {
+  const out = {}; Object.keys(f).forEach(k => { out[k] = round2(f[k]); });
+  out.total_revenue = round2(netSales + f.total_fees);
+  out.total_collected = round2(netSales + f.total_fees + f.total_tax);
+  return out;
+}
+
+// ── Sales, returns, voids ─────────────────────────────────────
+// One transaction definition for every aggregator: a transaction is a
+// completed sale. Voided orders and returns never count as transactions;
+// they are reported as their own metrics, and returns plus partial refunds
+// on sales come off net sales (net_sales is after refunds,
+// net_sales_before_refunds is not).
+function isVoidedOrder(o) { return o.voided === true || String(o.orderStatus || '').toLowerCase() === 'voided'; }
+function isReturnOrder(o) {
+  const t = String(o.orderType || o.type || '').toLowerCase(), st = String(o.orderStatus || '').toLowerCase();
+  return o.isReturn === true || /return|refund/.test(t) || st === 'returned' || st === 'refunded';
+}
+function lineGross(item) { return Number(item.totalPrice) || (Number(item.unitPrice || 0) * (item.quantity || 1)); }
+function lineNet(item) { return lineGross(item) - (Number(item.totalDiscounts) || 0); }
+
+// ── Prepared order ────────────────────────────────────────────
+// Everything the dimensions need from one order, worked out once:
+//   kind   — 'sale' | 'return' | 'void'
+//   net    — line net as recorded (voided lines skipped; a voided order's
+//            own lines are kept so the void has an amount)
+//   refund — whole order for a return, any partial refund on a sale
+//   sign   — -1 when a return was recorded with positive amounts, so line
+//            math can subtract it; 1 otherwise
+//   lines  — non-voided items with qty / gross / net / category
+function prepareOrder(o) {
+  const voided = isVoidedOrder(o), lines = [];
+  let net = 0, gross = 0, items = 0;
+  for (const item of (o.itemsInCart || [])) {
+    const n = lineNet(item);
+    if (item.voided === true) { if (voided) net += n; continue; }
+    const qty = item.quantity || 1, g = lineGross(item);
+    net += n; gross += g; items += qty;
+    lines.push({ item, qty, gross: g, net: n, category: item.category || item.type || 'Other' });
+  }
+  let kind = 'sale', refund = 0, sign = 1;
+  if (voided) kind = 'void';
+  else if (isReturnOrder(o) || net < 0) { kind = 'return'; refund = Math.abs(net); sign = net > 0 ? -1 : 1; }
+  else refund = Math.abs(o.refunds ? sumAmounts(o.refunds) : (Number(o.totalRefunded ?? o.refundAmount) || 0));
+  return { order: o, kind, net, refund, sign, gross, items, lines, budtender: o.budtender || 'Unknown' };
+}
+// → { kind, net, refund, sign } (see prepareOrder)
+function classifyOrder(o) { const p = prepareOrder(o); return { kind: p.kind, net: p.net, refund: p.refund, sign: p.sign }; }
+
+function emptyAdjustments() { return { voids: { count: 0, amount: 0 }, returns: { count: 0, amount: 0 }, refunds: { count: 0, amount: 0 } }; }
+// refunds = return orders + sales carrying a partial refund
+function addOrderAdjustments(adj, c) {
+  if (c.kind === 'void') { adj.voids.count++; adj.voids.amount += Math.abs(c.net); return; }
+  if (c.kind === 'return') { adj.returns.count++; adj.returns.amount += c.refund; }
+  if (c.refund) { adj.refunds.count++; adj.refunds.amount += c.refund; }
+}
+function roundAdjustments(adj) { const out = {}; ['voids', 'returns', 'refunds'].forEach(k => { out[k] = { count: adj[k].count, amount: round2(adj[k].amount) }; }); return out; }
+
+// ── Local date / weekday / hour ───────────────────────────────
+// In a store's own timezone (stores.js); Pacific — the company's
+// calendar — when none is given.
+function orderTimestamp(o) { return o.createdAt || o.completedOn || ''; }
+function localDateOf(o, tz = TZ) { return new Date(orderTimestamp(o)).toLocaleDateString('en-CA', { timeZone: tz }); }
+const DOW = { Sunday: 0, Monday: 1, Tuesday: 2, Wednesday: 3, Thursday: 4, Friday: 5, Saturday: 6 };
+const clockFmts = {};
+// → { dow, hour, minute }
+function localClock(ts, tz = TZ) {
+  const fmt = clockFmts[tz] || (clockFmts[tz] = new Intl.DateTimeFormat('en-US', { timeZone: tz, weekday: 'long', hour: 'numeric', minute: 'numeric', hour12: false }));
+  const parts = fmt.formatToParts(new Date(ts));
+  const weekday = parts.find(p => p.type === 'weekday')?.value || '';
+  let hour = parseInt(parts.find(p => p.type === 'hour')?.value || '0');
+  if (hour === 24) hour = 0; // some ICU versions use 24 for midnight
+  return { dow: DOW[weekday] ?? 0, hour, minute: parseInt(parts.find(p => p.type === 'minute')?.value || '0') };
+}
+function localDowHour(ts, tz = TZ) { const { dow, hour } = localClock(ts, tz); return { dow, hour }; }
+
+// ══════════════════════════════════════════════════════════════
+// DIMENSIONS — each is { init(opts), add(state, p, opts), result(state, opts) }
+// p is a prepared order. Register new ones with registerDimension().
+// ══════════════════════════════════════════════════════════════
+const DIMENSIONS = {};
+function registerDimension(name, dim) {
+  if (!dim || typeof dim.init !== 'function' || typeof dim.add !== 'function' || typeof dim.result !== 'function') {
+    throw new Error(`Dimension ${name} needs init / add / result`);
+  }
+  DIMENSIONS[name] = dim;
+}
+
+// ── kpis: headline numbers, tenders, tax / fees, adjustments ──
+registerDimension('kpis', {
+  init: () => ({ net: 0, gross: 0, items: 0, txns: 0, ctypes: { rec: 0, med: 0 }, tenders: emptyTenders(), fin: emptyFinancials(), adj: emptyAdjustments() }),
+  add(s, p) {
+    addOrderAdjustments(s.adj, p);
+    if (p.kind === 'void') return;
+    if (p.kind === 'return') { addOrderFinancials(s.fin, p, p.sign); return; }
+    s.txns++;
+    if (String(p.order.customerType || '').toLowerCase().includes('med')) s.ctypes.med++; else s.ctypes.rec++;
+    s.net += p.net; s.gross += p.gross; s.items += p.items;
+    addOrderTenders(s.tenders, p.order, p.net);
+    addOrderFinancials(s.fin, p);
+  },
+  result(s) {
+    const net = s.net - s.adj.refunds.amount;
+    return {
+      transaction_count: s.txns, net_sales: round2(net), net_sales_before_refunds: round2(s.net), gross_sales: round2(s.gross),
+      avg_basket: round2(s.txns > 0 ? s.net / s.txns : 0), total_items: s.items,
+      customer_types: s.ctypes, tenders: roundTenders(s.tenders), ...roundAdjustments(s.adj), ...roundFinancials(s.fin, net),
+    };
+  },
+});
+
+// ── categories: returns come back out of their lines' categories ──
+registerDimension('categories', {
+  init: () => ({}),
+  add(m, p) {
+    if (p.kind === 'void') return;
+    for (const l of p.lines) {
+      if (!m[l.category]) m[l.category] = { name: l.category, net_sales: 0, units: 0, transactions: 0 };
+      const c = m[l.category];
+      if (p.kind === 'return') { c.net_sales -= Math.abs(l.net); c.units -= Math.abs(l.qty); }
+      else { c.net_sales += l.net; c.units += l.qty; c.transactions++; }
+    }
+  },
+  result: m => Object.values(m).sort((a, b) => b.net_sales - a.net_sales).map(c => ({ ...c, net_sales: round2(c.net_sales) })),
+});
+
+// ── brands: each brand's sales, its categories and discount spend ──
+// Returns come back out like categories, so a category's brand rows add
+// up to the category. discounts are what sales lines gave away;
+// transactions counts orders, not lines.
+const brandOf = item => String(item.brand || '').trim() || 'Unbranded';
+const brandRow = name => ({ name, net_sales: 0, units: 0, discounts: 0 });
+registerDimension('brands', {
+  init: () => ({}),
+  add(m, p) {
+    if (p.kind === 'void') return;
+    const seen = new Set();
+    for (const l of p.lines) {
+      const name = brandOf(l.item);
+      if (!m[name]) m[name] = { ...brandRow(name), transactions: 0, categories: {} };
+      const b = m[name], c = b.categories[l.category] || (b.categories[l.category] = brandRow(l.category));
+      for (const r of [b, c]) {
+        if (p.kind === 'return') { r.net_sales -= Math.abs(l.net); r.units -= Math.abs(l.qty); }
+        else { r.net_sales += l.net; r.units += l.qty; r.discounts += l.gross - l.net; }
+      }
+      if (p.kind === 'sale' && !seen.has(name)) { seen.add(name); b.transactions++; }
+    }
+  },
+  result: m => Object.values(m).map(b => ({
+    ...b, net_sales: round2(b.net_sales), discounts: round2(b.discounts),
+    categories: Object.values(b.categories).sort((x, y) => y.net_sales - x.net_sales).map(c => ({ ...c, net_sales: round2(c.net_sales), discounts: round2(c.discounts) })),
+  })).sort((a, b) => b.net_sales - a.net_sales),
+});
+
+// ── budtender_brands: { budtender: top brands by net } ────────
+// Sales only, opts.brandLimit per budtender (5)
+registerDimension('budtender_brands', {
+  init: () => ({}),
+  add(m, p) {
+    if (p.kind !== 'sale') return;
+    const bt = m[p.budtender] || (m[p.budtender] = {});
+    for (const l of p.lines) {
+      const name = brandOf(l.item), b = bt[name] || (bt[name] = { name, net_sales: 0, units: 0 });
+      b.net_sales += l.net; b.units += l.qty;
+    }
+  },
+  result(m, opts) {
+    const out = {};
+    for (const name of Object.keys(m)) {
+      out[name] = Object.values(m[name]).sort((a, b) => b.net_sales - a.net_sales).slice(0, opts.brandLimit || 5)
+        .map(b => ({ ...b, net_sales: round2(b.net_sales) }));
+    }
+    return out;
+  },
+});
+
+// ── budtenders: refunds come off, avg basket stays on sales ───
+registerDimension('budtenders', {
+  init: () => ({}),
+  add(m, p) {
+    if (!m[p.budtender]) m[p.budtender] = { name: p.budtender, transactions: 0, net_sales: 0, items: 0, ...emptyAdjustments() };
+    const b = m[p.budtender];
+    addOrderAdjustments(b, p);
+    if (p.kind !== 'sale') return;
+    b.transactions++; b.net_sales += p.net; b.items += p.items;
+  },
+  result: m => Object.values(m).map(b => {
+    const before = b.net_sales;
+    return { ...b, ...roundAdjustments(b), net_sales: round2(before - b.refunds.amount), net_sales_before_refunds: round2(before), avg_basket: round2(b.transactions ? before / b.transactions : 0) };
+  }).sort((a, b) => b.net_sales - a.net_sales),
+});
+
+// ── hourly: grid[dow][hour] = { transactions, net_sales } ─────
+// Sales count as traffic; refunds come off the hour they were given back in
+registerDimension('hourly', {
+  init: () => { const g = {}; for (let d = 0; d < 7; d++) { g[d] = {}; for (let h = 0; h < 24; h++) g[d][h] = { transactions: 0, net_sales: 0 }; } return g; },
+  add(g, p, opts) {
+    if (p.kind === 'void') return;
+    const ts = orderTimestamp(p.order);
+    if (!ts) return;
+    const { dow, hour } = localDowHour(ts, opts.tz), cell = g[dow][hour];
+    if (p.kind === 'sale') { cell.transactions++; cell.net_sales += p.net - p.refund; }
+    else cell.net_sales -= p.refund;
+  },
+  result: g => { for (const d in g) for (const h in g[d]) g[d][h].net_sales = round2(g[d][h].net_sales); return g; },
+});
+
+// ── daily_hours: { 'YYYY-MM-DD': [24 × net_sales] } by local date ──
+// Same money as hourly, kept per day (the forecast's intraday curves)
+registerDimension('daily_hours', {
+  init: () => ({}),
+  add(m, p, opts) {
+    if (p.kind === 'void') return;
+    const ts = orderTimestamp(p.order);
+    if (!ts) return;
+    const d = localDateOf(p.order, opts.tz), { hour } = localDowHour(ts, opts.tz);
+    if (!m[d]) m[d] = new Array(24).fill(0);
+    m[d][hour] += p.kind === 'sale' ? p.net - p.refund : -p.refund;
+  },
+  result: m => { for (const d in m) m[d] = m[d].map(round2); return m; },
+});
+
+// ── products: top sellers by net (sales only), opts.productLimit ──
+registerDimension('products', {
+  init: () => ({}),
+  add(m, p) {
+    if (p.kind !== 'sale') return;
+    for (const l of p.lines) {
+      const i = l.item, name = i.productName || i.title1 || 'Unknown', brand = i.brand || '', k = `${name}__${brand}`;
+      if (!m[k]) m[k] = { name, brand, category: l.category, units_sold: 0, net_sales: 0, priceSum: 0, priceCount: 0 };
+      m[k].units_sold += l.qty; m[k].net_sales += l.net;
+      if (i.unitPrice) { m[k].priceSum += Number(i.unitPrice); m[k].priceCount++; }
+    }
+  },
+  result: (m, opts) => Object.values(m)
+    .map(({ priceSum, priceCount, ...p }) => ({ ...p, net_sales: round2(p.net_sales), avg_price: priceCount ? round2(priceSum / priceCount) : 0 }))
+    .sort((a, b) => b.net_sales - a.net_sales).slice(0, opts.productLimit || 15),
+});
+
+// ══════════════════════════════════════════════════════════════
+// AGGREGATOR
+// ══════════════════════════════════════════════════════════════
+// The store/week summary every route and cache entry uses
+const SUMMARY_DIMENSIONS = ['kpis', 'categories', 'budtenders'];
+// Weeks — the week cache and the trend built from it — carry brand rows too
+const WEEK_DIMENSIONS = [...SUMMARY_DIMENSIONS, 'brands'];
+
+// dimensions: names from DIMENSIONS. opts: { productLimit, tz } — tz is
+// the store's timezone for the hourly and daily_hours dimensions
+function createAggregator(dimensions = SUMMARY_DIMENSIONS, opts = {}) {
+  const active = dimensions.map(name => {
+    const dim = DIMENSIONS[name];
+    if (!dim) throw new Error(`Unknown dimension: ${name}`);
+    return { name, dim, state: dim.init(opts) };
+  });
+  let count = 0;
+  const agg = {
+    addPrepared(p) { count++; for (const a of active) a.dim.add(a.state, p, opts); },
+    add(order) { agg.addPrepared(prepareOrder(order)); },
+    addPage(orders) { for (const o of (orders || [])) agg.add(o); },
+    get count() { return count; },
+    result() { const out = {}; for (const a of active) out[a.name] = a.dim.result(a.state, opts); return out; },
+  };
+  return agg;
+}
+
+// One aggregator per local { start, end } date range (weeks, days…) —
+// dates in opts.tz, Pacific by default; an order goes to the first
+// range containing its date, or nowhere.
+function createRangeAggregator(ranges, dimensions = SUMMARY_DIMENSIONS, opts = {}) {
+  const buckets = ranges.map(range => ({ range, agg: createAggregator(dimensions, opts) }));
+  const ra = {
+    addPrepared(p) {
+      const d = localDateOf(p.order, opts.tz), b = buckets.find(x => d >= x.range.start && d <= x.range.end);
+      if (!b) return false;
+      b.agg.addPrepared(p);
+      return true;
+    },
+    add(order) { return ra.addPrepared(prepareOrder(order)); },
+    addPage(orders) { for (const o of (orders || [])) ra.add(o); },
+    results() { return buckets.map(b => ({ range: b.range, result: b.agg.result() })); },
+  };
+  return ra;
+}
+
+// kpis + categories + budtenders (+ brands, for a week) → the flat summary object
+function toSummary(r) { return { ...r.kpis, categories: r.categories, budtenders: r.budtenders, ...(r.brands && { brands: r.brands }) }; }
+
+// Headline numbers only: the summary without its category, budtender and brand rows
+function slimSummary(s) {
+  if (!s) return s;
+  const { categories, budtenders, brands, ...rest } = s;
+  return rest;
+}
+
+// The summary without its brand rows, for payloads that never show them
+function withoutBrands(s) {
+  if (!s) return s;
+  const { brands, ...rest } = s;
+  return rest;
+}
+
+// ── Merging finished summaries ────────────────────────────────
+// Weeks → months / quarters without going back to the orders. Every count
+// and amount is additive (nested objects too; category, budtender and
+// brand rows merge by name); averages are worked out again from the merged totals.
+function addNumbers(a, b) {
+  for (const k of Object.keys(b)) {
+    const v = b[k];
+    if (typeof v === 'number') a[k] = (a[k] || 0) + v;
+    else if (Array.isArray(v)) {
+      const rows = a[k] || (a[k] = []);
+      v.forEach(row => { let t = rows.find(r => r.name === row.name); if (!t) rows.push(t = { name: row.name }); addNumbers(t, row); });
+    } else if (v && typeof v === 'object') addNumbers(a[k] || (a[k] = {}), v);
+  }
+  return a;
+}
+function roundNumbers(o) {
+  for (const k of Object.keys(o)) {
+    if (typeof o[k] === 'number') o[k] = round2(o[k]);
+    else if (o[k] && typeof o[k] === 'object') roundNumbers(o[k]);
+  }
+  return o;
+}
+function mergeSummaries(list) {
+  const parts = (list || []).filter(Boolean);
+  if (!parts.length) return null;
+  const out = roundNumbers(parts.reduce((a, s) => addNumbers(a, s), {}));
+  out.avg_basket = round2(out.transaction_count ? out.net_sales_before_refunds / out.transaction_count : 0);
+  if (out.categories) out.categories.sort((a, b) => b.net_sales - a.net_sales);
+  if (out.brands) {
+    out.brands.forEach(b => b.categories.sort((x, y) => y.net_sales - x.net_sales));
+    out.brands.sort((a, b) => b.net_sales - a.net_sales);
+  }
+  if (out.budtenders) {
+    out.budtenders.forEach(b => { b.avg_basket = round2(b.transactions ? b.net_sales_before_refunds / b.transactions : 0); });
+    out.budtenders.sort((a, b) => b.net_sales - a.net_sales);
+  }
+  return out;
+}
+
+function aggregateOrders(orders, dimensions = SUMMARY_DIMENSIONS, opts = {}) {
+  const agg = createAggregator(dimensions, opts);
+  agg.addPage(orders);
+  return agg.result();
+}
+
+module.exports = {
+  createAggregator, createRangeAggregator, aggregateOrders, toSummary, slimSummary, withoutBrands, mergeSummaries, registerDimension, prepareOrder, classifyOrder,
+  lineNet, localDateOf, localDowHour, localClock, round2, SUMMARY_DIMENSIONS, WEEK_DIMENSIONS, DIMENSIONS, TENDER_TYPES,
+};
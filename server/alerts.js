@@ -0,0 +1,239 @@
+// server/alerts.js
+// ============================================================
+// Anomaly alerts — stores running well outside their normal band
+// Run by the rebuild worker after each full rebuild, against what it
+// has just cached plus one read of today's orders per store:
+//   sales_drop (intraday)  today so far vs the same weekday by this hour
+//                          (the forecast's 12-week intraday curves)
+//   zero_hours             finished hours today, inside opening hours, with
+//                          no transactions that the hourly grid says are
+//                          normally busy
+//   sales_drop (daily)     yesterday vs the same weekday in Day vs Day
+//   category_drop          yesterday's categories vs the same weekday
+//   sales_drop (weekly)    last week vs the weeks before it (12-week trend)
+// A drop has to be both DROP_PCT below typical and below the 10th
+// percentile of history. New alerts go into the feed and out to the
+// webhook / email target (notify.js); ones already in the feed are
+// updated in place and not sent again. The feed is a Redis hash keyed
+// by alert id, so two runs recording at once can't drop each other's
+// alerts or both send the same one. "Today", "yesterday" and the hour
+// are each store's own (stores.js timezone).
+// ============================================================
+
+const fh = require('./flowhub');
+const agg = require('./aggregate');
+const redis = require('./redis');
+const notify = require('./notify');
+const registry = require('./stores');
+const { cumAt, quantile } = require('./forecast');
+
+const num = (name, dflt) => { const v = parseFloat(process.env[name]); return Number.isFinite(v) ? v : dflt; };
+const DROP_PCT = num('ALERT_DROP_PCT', 40);
+const CRITICAL_PCT = num('ALERT_CRITICAL_PCT', 60);
+const CATEGORY_DROP_PCT = num('ALERT_CATEGORY_DROP_PCT', 50);
+const MIN_EXPECTED = num('ALERT_MIN_EXPECTED', 300);      // $ typical before a sales drop counts
+const CATEGORY_MIN = num('ALERT_CATEGORY_MIN', 150);      // $ typical before a category drop counts
+const BUSY_HOUR_TXNS = num('ALERT_BUSY_HOUR_TXNS', 4);    // typical txns / hour for a zero hour to count
+const BAND_LOW = 0.1;
+const FEED_MAX = 500;
+const SEVERITIES = ['warning', 'critical'];
+
+const KEYS = { feed: 'alerts:items', status: 'alerts:status' };
+
+const { round2 } = agg;
+const median = xs => quantile(xs, 0.5);
+const money = n => '$' + Math.round(n).toLocaleString('en-US');
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const dowOf = date => new Date(date + 'T12:00:00Z').getUTCDay();
+const shortDate = date => `${parseInt(date.slice(5, 7), 10)}/${parseInt(date.slice(8), 10)}`;
+const hourLabel = (h, m) => `${h % 12 || 12}${m == null ? '' : ':' + String(m).padStart(2, '0')}${h < 12 || h === 24 ? 'am' : 'pm'}`;
+
+// ── Rules ─────────────────────────────────────────────────────
+// % change when `actual` is far enough under both the typical value and
+// the low end of history to count as a drop; otherwise null.
+function dropPct(actual, history, minPct, minExpected = MIN_EXPECTED) {
+  if (history.length < 2) return null;
+  const expected = median(history);
+  if (!(expected >= minExpected)) return null;
+  const pct = (actual - expected) / expected * 100;
+  return pct <= -minPct && actual < quantile(history, BAND_LOW) ? { pct: round2(pct), expected: round2(expected) } : null;
+}
+const severityOf = pct => (pct <= -CRITICAL_PCT ? 'critical' : 'warning');
+
+// ── Detectors ─────────────────────────────────────────────────
+// ctx: {
+//   now,                          ISO time of the check
+//   stores: [{ id, name, timezone, hours }],  (timezone / hours optional)
+//   today:   { id: { net_sales, hours: [24 × { transactions, net_sales }] } },
+//   profiles,                     forecast profiles (cache:forecast:profiles)
+//   dvd,                          Day vs Day payload for yesterday's weekday
+//   storeDetail: { id: payload }, for its LW+PW hourly grid
+//   trend,                        the 12-week trend payload
+// }
+function detect(ctx) {
+  const out = [];
+
+  ctx.stores.forEach(st => {
+    const { dow, hour, minute } = agg.localClock(ctx.now, st.timezone), at = hour + minute / 60;
+    const today = agg.localDateOf({ createdAt: ctx.now }, st.timezone), yesterday = fh.addDays(today, -1);
+    const base = { store: { id: st.id, name: st.name } };
+    const add = a => out.push({ ...base, ...a, message: `${st.name}: ${a.message}` });
+    const now = ctx.today && ctx.today[st.id];
+
+    // Intraday: today so far vs the same weekday by this time
+    const profile = ctx.profiles && ctx.profiles.stores[st.id];
+    if (now && profile) {
+      const d = dropPct(now.net_sales, (profile.days[dow] || []).map(x => cumAt(x.hours, at)), DROP_PCT);
+      if (d) add({
+        id: `${st.id}:sales_drop:intraday:${today}`, type: 'sales_drop', period: 'intraday', severity: severityOf(d.pct), date: today,
+        actual: now.net_sales, expected: d.expected, pct: d.pct,
+        message: `${money(now.net_sales)} so far today vs ${money(d.expected)} typical by ${hourLabel(hour, minute)} (${Math.round(d.pct)}%)`,
+      });
+    }
+
+    // Zero-transaction runs in finished hours the store is normally busy
+    const detail = ctx.storeDetail && ctx.storeDetail[st.id];
+    if (now && detail && detail.hourly && detail.hourly[dow]) {
+      const weeks = detail.hourlyWeeks || 2;
+      const busy = h => registry.openAt(st, dow, h) && (detail.hourly[dow][h]?.transactions || 0) / weeks >= BUSY_HOUR_TXNS;
+      let run = null;
+      const flush = () => {
+        if (!run) return;
+        const typical = run.typical / run.hours.length;
+        add({
+          id: `${st.id}:zero_hours:${today}:${run.hours[0]}`, type: 'zero_hours', period: 'intraday', severity: run.hours.length >= 2 ? 'critical' : 'warning', date: today,
+          hours: run.hours, actual: 0, expected: round2(typical), pct: -100,
+          message: `no transactions ${hourLabel(run.hours[0])}–${hourLabel(run.hours[run.hours.length - 1] + 1)} (normally ~${Math.round(typical)}/hr)`,
+        });
+        run = null;
+      };
+      for (let h = 0; h < hour; h++) {
+        if (busy(h) && !(now.hours[h]?.transactions > 0)) {
+          if (!run) run = { hours: [], typical: 0 };
+          run.hours.push(h);
+          run.typical += detail.hourly[dow][h].transactions / weeks;
+        } else flush();
+      }
+      flush();
+    }
+
+    // Yesterday vs the same weekday, then its categories
+    const days = ctx.dvd && ctx.dvd.dates ? ctx.dvd.dates : [];
+    const storeDay = e => e && e.stores.find(s => s.store.id === st.id)?.summary;
+    const yd = storeDay(days.find(e => e.date === yesterday));
+    const hist = days.filter(e => e.date < yesterday).map(storeDay).filter(s => s && s.net_sales > 0);
+    if (yd) {
+      const d = dropPct(yd.net_sales, hist.map(s => s.net_sales), DROP_PCT);
+      if (d) add({
+        id: `${st.id}:sales_drop:daily:${yesterday}`, type: 'sales_drop', period: 'daily', severity: severityOf(d.pct), date: yesterday,
+        actual: yd.net_sales, expected: d.expected, pct: d.pct,
+        message: `${money(yd.net_sales)} on ${DAYS[dowOf(yesterday)]} ${shortDate(yesterday)} vs ${money(d.expected)} typical (${Math.round(d.pct)}%)`,
+      });
+      // A store that was down across the board isn't a category story
+      if (!d) {
+        const names = new Set(hist.flatMap(s => (s.categories || []).map(c => c.name)));
+        names.forEach(name => {
+          const catNet = s => (s.categories || []).find(c => c.name === name)?.net_sales || 0;
+          const c = dropPct(catNet(yd), hist.map(catNet), CATEGORY_DROP_PCT, CATEGORY_MIN);
+          if (c) add({
+            id: `${st.id}:category_drop:${yesterday}:${name}`, type: 'category_drop', period: 'daily', severity: severityOf(c.pct), date: yesterday,
+            category: name, actual: catNet(yd), expected: c.expected, pct: c.pct,
+            message: `${name} ${money(catNet(yd))} on ${DAYS[dowOf(yesterday)]} ${shortDate(yesterday)} vs ${money(c.expected)} typical (${Math.round(c.pct)}%)`,
+          });
+        });
+      }
+    }
+
+    // Last completed week vs the weeks before it (the last trend week is in progress)
+    const weeks = ctx.trend && ctx.trend.stores[st.id] ? ctx.trend.stores[st.id].weeks : [];
+    const lw = weeks[weeks.length - 2];
+    if (lw && lw.summary) {
+      const prior = weeks.slice(0, -2).map(w => w.summary && w.summary.net_sales).filter(v => v > 0);
+      const d = dropPct(lw.summary.net_sales, prior, DROP_PCT);
+      if (d) add({
+        id: `${st.id}:sales_drop:weekly:${lw.week}`, type: 'sales_drop', period: 'weekly', severity: severityOf(d.pct), date: lw.week,
+        actual: lw.summary.net_sales, expected: d.expected, pct: d.pct,
+        message: `${money(lw.summary.net_sales)} week of ${shortDate(lw.week)} vs ${money(d.expected)} typical (${Math.round(d.pct)}%)`,
+      });
+    }
+  });
+  return out;
+}
+
+// Today's net so far and hour-by-hour counts for one store (one day read)
+async function readToday(loc, source = fh.apiSource) {
+  const today = fh.todayIn(loc.timezone), { orders } = await source.getOrders(loc, today, today);
+  const r = agg.aggregateOrders(orders, ['kpis', 'hourly'], { tz: loc.timezone });
+  return { net_sales: r.kpis.net_sales, hours: r.hourly[dowOf(today)] };
+}
+
+// ── Feed ──────────────────────────────────────────────────────
+// alert id → alert (JSON). HSETNX claims an id, so exactly one run sees
+// an alert as new; a repeat rewrites only its own entry, keeping when it
+// was first detected. Past FEED_MAX the oldest go. Returns the alerts
+// that are new.
+async function record(alerts, now = new Date().toISOString()) {
+  const client = redis.getClient();
+  const fresh = [];
+  for (const a of alerts) {
+    const rec = { ...a, detectedAt: now };
+    if (await client.hsetnx(KEYS.feed, a.id, JSON.stringify(rec))) { fresh.push(rec); continue; }
+    const seen = JSON.parse(await client.hget(KEYS.feed, a.id)) || rec;
+    await client.hset(KEYS.feed, a.id, JSON.stringify({ ...seen, ...a, detectedAt: seen.detectedAt, updatedAt: now }));
+  }
+  if ((await client.hlen(KEYS.feed)) > FEED_MAX) {
+    const old = (await readFeed()).slice(FEED_MAX).map(a => a.id);
+    if (old.length) await client.hdel(KEYS.feed, ...old);
+  }
+  return fresh;
+}
+
+// Newest first; one run's alerts in id order
+async function readFeed() {
+  const feed = (await redis.getClient().hvals(KEYS.feed)).map(v => JSON.parse(v));
+  return feed.sort((a, b) => String(b.detectedAt).localeCompare(String(a.detectedAt)) || a.id.localeCompare(b.id));
+}
+
+// stores: a Set of store ids to keep (a user's scope), or null for all.
+// An empty feed while Redis is unreachable.
+async function getFeed({ limit = 50, store, since, stores } = {}) {
+  const feed = await readFeed().catch(err => { console.error(`Redis HVALS ${KEYS.feed}:`, err.message); return []; });
+  const hits = feed.filter(a => (!store || a.store.id === store) && (!stores || stores.has(a.store.id)) && (!since || a.detectedAt > since));
+  return { alerts: hits.slice(0, limit), total: hits.length, status: await redis.getJSON(KEYS.status) };
+}
+
+// ── Notifications ─────────────────────────────────────────────
+// ALERT_WEBHOOK_URL and / or ALERT_SMTP_URL + ALERT_EMAIL_TO. Failures
+// are reported, never thrown — the alerts are in the feed either way.
+async function send(alerts, env = process.env) {
+  const min = SEVERITIES.indexOf(env.ALERT_NOTIFY_SEVERITY) >= 0 ? SEVERITIES.indexOf(env.ALERT_NOTIFY_SEVERITY) : 0;
+  const due = alerts.filter(a => SEVERITIES.indexOf(a.severity) >= min);
+  const result = { sent: due.length, webhook: null, email: null };
+  if (!due.length) return { ...result, sent: 0 };
+
+  const subject = `Thrive: ${due.length} store alert${due.length === 1 ? '' : 's'}`;
+  const lines = tag => due.map(a => `${tag(a.severity === 'critical')} ${a.message}`).join('\n');
+  const tasks = [];
+  if (env.ALERT_WEBHOOK_URL) tasks.push(notify.sendWebhook(env.ALERT_WEBHOOK_URL, { text: `${subject}\n${lines(c => (c ? '🔴' : '🟡'))}`, alerts: due })
+    .then(() => { result.webhook = 'ok'; }, e => { result.webhook = 'error: ' + e.message; }));
+  if (env.ALERT_SMTP_URL && env.ALERT_EMAIL_TO) tasks.push(notify.sendEmail({
+    url: env.ALERT_SMTP_URL, from: env.ALERT_EMAIL_FROM || 'alerts@localhost', to: env.ALERT_EMAIL_TO.split(',').map(s => s.trim()).filter(Boolean),
+    subject, text: lines(c => (c ? '[CRITICAL]' : '[WARNING]')),
+  }).then(() => { result.email = 'ok'; }, e => { result.email = 'error: ' + e.message; }));
+  await Promise.all(tasks);
+  if (result.webhook && result.webhook !== 'ok') console.error('  [alerts] webhook ' + result.webhook);
+  if (result.email && result.email !== 'ok') console.error('  [alerts] email ' + result.email);
+  return result;
+}
+
+// detect → record → send, and remember how the run went
+async function run(ctx) {
+  const found = detect(ctx);
+  const fresh = await record(found, ctx.now);
+  const notified = await send(fresh);
+  const status = { lastRun: ctx.now, detected: found.length, new: fresh.length, notified };
+  await redis.setJSON(KEYS.status, status);
+  return status;
+}
+
+module.exports = { detect, readToday, record, getFeed, send, run, KEYS };
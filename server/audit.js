@@ -0,0 +1,132 @@
+// server/audit.js
+// ============================================================
+// Audit log — who did what, from where, when
+// Sign-ins, sign-outs, cache clears, rebuild triggers (dashboard and
+// /internal), warehouse backfills, user and store changes, exports and
+// views of budtender-level data. Each entry: time, action, outcome, user and
+// role, IP, method, path and the action's parameters.
+// Entries are appended to one Redis list per Pacific day
+// (audit:log:<date>, no TTL — a record, not a cache; /api/cache/clear
+// never touches it) with the days indexed in audit:days. RPUSH is
+// atomic, so every instance writes to the same log. Each entry is also
+// printed to stdout, so the platform's logs hold a second copy.
+// AUDIT_RETENTION_DAYS (default: keep everything) drops older days.
+// ============================================================
+
+const crypto = require('crypto');
+const redis = require('./redis');
+
+const TZ = 'America/Los_Angeles';
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 0;
+const SEARCH_MAX = 500;       // entries per page
+const EXPORT_MAX = 50000;     // entries per export
+const KEYS = { day: date => 'audit:log:' + date, days: 'audit:days' };
+
+const ACTIONS = [
+  'login', 'logout', 'cache.clear', 'rebuild', 'warehouse.backfill',
+  'user.create', 'user.update', 'user.delete', 'store.update', 'export', 'budtenders.view',
+];
+
+// Who the caller is when there's no signed-in user: /internal/* routes
+// (INTERNAL_SECRET). Usernames can't contain brackets.
+const INTERNAL = '(internal)';
+
+const dayOf = ts => new Date(ts).toLocaleDateString('en-CA', { timeZone: TZ });
+
+// ── Writing ───────────────────────────────────────────────────
+// record(req, action, { params, outcome, user }) — outcome defaults to
+// 'ok'; user (a users.js user, or null) to req.user. With neither, the
+// caller on /internal/* is INTERNAL. Never throws into the request: a
+// Redis failure is logged, the stdout line still goes out.
+async function record(req, action, opts = {}) {
+  const at = new Date().toISOString();
+  const who = 'user' in opts ? opts.user : req.user;
+  const entry = {
+    id: crypto.randomBytes(6).toString('hex'), at, action, outcome: opts.outcome || 'ok',
+    user: who ? who.username : (req.path.startsWith('/internal') ? INTERNAL : null),
+    role: who ? who.role : null,
+    ip: req.ip || null, method: req.method, path: req.path, params: opts.params || {},
+  };
+  console.log(`  [audit] ${entry.action} ${entry.outcome} user=${entry.user || '-'} ip=${entry.ip || '-'} ${JSON.stringify(entry.params)}`);
+  try {
+    const day = dayOf(at), client = redis.getClient();
+    await client.rpush(KEYS.day(day), JSON.stringify(entry));
+    await client.sadd(KEYS.days, day);
+    await prune(day);
+  } catch (err) {
+    console.error('  [audit] write failed:', err.message);
+  }
+  return entry;
+}
+
+// Once per Pacific day per instance: drop days past the retention
+let prunedFor = null;
+async function prune(today) {
+  if (!RETENTION_DAYS || prunedFor === today) return;
+  prunedFor = today;
+  const cutoff = dayOf(Date.parse(today + 'T12:00:00Z') - RETENTION_DAYS * 864e5);
+  const old = (await redis.getClient().smembers(KEYS.days)).filter(d => d < cutoff);
+  if (!old.length) return;
+  await redis.getClient().del(...old.map(KEYS.day));
+  await redis.getClient().srem(KEYS.days, ...old);
+  console.log(`  [audit] dropped ${old.length} day(s) before ${cutoff}`);
+}
+
+// ── Searching ─────────────────────────────────────────────────
+// Filters (all optional): from / to (Pacific YYYY-MM-DD, inclusive),
+// user, action (exact, or a prefix ending in "." — "user." is every user
+// change), outcome, ip, q (text anywhere in the entry). Newest first.
+function matches(e, f) {
+  if (f.user && e.user !== f.user && !(e.params && e.params.username === f.user)) return false;
+  if (f.action && !(f.action.endsWith('.') ? e.action.startsWith(f.action) : e.action === f.action)) return false;
+  if (f.outcome && e.outcome !== f.outcome) return false;
+  if (f.ip && e.ip !== f.ip) return false;
+  if (f.q && !JSON.stringify(e).toLowerCase().includes(f.q.toLowerCase())) return false;
+  return true;
+}
+
+// Every match, newest first, up to max
+async function collect(filters, max) {
+  const client = redis.getClient();
+  const days = (await client.smembers(KEYS.days))
+    .filter(d => (!filters.from || d >= filters.from) && (!filters.to || d <= filters.to))
+    .sort().reverse();
+  const hits = [];
+  let total = 0;
+  for (const day of days) {
+    const raw = await client.lrange(KEYS.day(day), 0, -1);
+    for (let i = raw.length - 1; i >= 0; i--) {
+      const e = JSON.parse(raw[i]);
+      if (!matches(e, filters)) continue;
+      total++;
+      if (hits.length < max) hits.push(e);
+    }
+  }
+  return { hits, total };
+}
+
+// → { entries, total }; ?limit= (default 100, max SEARCH_MAX), ?offset=
+async function search(filters = {}, { limit = 100, offset = 0 } = {}) {
+  const lim = Math.min(Math.max(limit, 1), SEARCH_MAX), off = Math.max(offset, 0);
+  const { hits, total } = await collect(filters, off + lim);
+  return { entries: hits.slice(off), total };
+}
+
+// ── Export ────────────────────────────────────────────────────
+const CSV_COLUMNS = ['at', 'action', 'outcome', 'user', 'role', 'ip', 'method', 'path', 'params'];
+
+function csvCell(v) {
+  const s = v == null ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return /[",\n\r]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+// → { body, rows, truncated } as CSV (params as JSON in one column) or a JSON array
+async function exportLog(filters = {}, format = 'csv') {
+  const { hits, total } = await collect(filters, EXPORT_MAX);
+  const body = format === 'json'
+    ? JSON.stringify(hits, null, 2)
+    : [CSV_COLUMNS.join(','), ...hits.map(e => CSV_COLUMNS.map(c => csvCell(e[c])).join(','))].join('\n') + '\n';
+  return { body, rows: hits.length, truncated: total > hits.length };
+}
+
+module.exports = { record, search, exportLog, csvCell, ACTIONS, INTERNAL, KEYS, SEARCH_MAX, EXPORT_MAX };
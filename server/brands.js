@@ -0,0 +1,168 @@
+// server/brands.js
+// ============================================================
+// Brand analytics — each brand's share of its categories, for buyers
+// Week summaries carry one row per brand (aggregate.js, brands): net
+// sales, units and discount dollars, split by category. The 12-week
+// trend rebuild moves those rows into a cache of their own (fromTrend):
+// the Trend tab never shows them and they would be most of its size.
+// Everything the Brands tab shows is worked out from that cache per
+// request, over the stores the user can see:
+//   share        the brand's net sales over its category's (over all
+//                sales when no category is picked), in %
+//   share shift  the week's share less the week before's, in points
+//   discounts    what the brand's lines gave away, and as % of gross
+// A week is the last completed one unless the request picks another.
+// The scorecard is one brand by week, store and category — what a buyer
+// takes into a vendor meeting — and exports as CSV or JSON. Top brands
+// per budtender come from the enrichment (last week, cache:bt).
+// ============================================================
+
+const agg = require('./aggregate');
+const { csvCell } = require('./audit');
+
+const round1 = n => Math.round(n * 10) / 10;
+const { round2 } = agg;
+const sum = xs => xs.reduce((s, x) => s + x, 0);
+const pct = (n, d) => (d > 0 ? round1(n / d * 100) : null);
+const EMPTY = { brands: [], categories: [] };
+
+// ── Cache (rebuild worker) ────────────────────────────────────
+// The 12-week trend payload → { weekStarts, stores: { id: { name, color,
+// weeks: [{ brands, categories } | null] } } }. Takes the brand rows off
+// the payload's summaries as it goes.
+function fromTrend(payload) {
+  const stores = {};
+  Object.entries(payload.stores).forEach(([id, st]) => {
+    stores[id] = {
+      name: st.name, color: st.color,
+      weeks: st.weeks.map(w => {
+        if (!w.summary || !w.summary.brands) return null;
+        const rows = { brands: w.summary.brands, categories: w.summary.categories || [] };
+        w.summary = agg.withoutBrands(w.summary);
+        return rows;
+      }),
+    };
+  });
+  return { weekStarts: payload.weekStarts, stores };
+}
+
+// ── Per request ───────────────────────────────────────────────
+// Index of ?week= (a week start) in the cache; the last completed week
+// by default. -1 when it isn't one of the cached weeks.
+function weekIndex(cache, week) {
+  return week ? cache.weekStarts.indexOf(week) : cache.weekStarts.length - 2;
+}
+
+// Week i's brand and category rows summed over storeIds
+function weekOf(cache, storeIds, i) {
+  return agg.mergeSummaries(storeIds.map(id => cache.stores[id] && cache.stores[id].weeks[i])) || EMPTY;
+}
+const weeksOf = (cache, storeIds) => cache.weekStarts.map((w, i) => weekOf(cache, storeIds, i));
+
+// A brand in one week: net, units, discounts and share — within category
+// when one is given
+function figures(week, brand, category) {
+  const b = week.brands.find(x => x.name === brand);
+  const row = b && (category ? b.categories.find(c => c.name === category) : b);
+  const base = category ? ((week.categories.find(c => c.name === category) || {}).net_sales || 0) : sum(week.categories.map(c => c.net_sales));
+  return { net_sales: row ? row.net_sales : 0, units: row ? row.units : 0, discounts: row ? row.discounts : 0, share: pct(row ? row.net_sales : 0, base) };
+}
+
+// Share and its shift, week idx against the one before
+function shares(weeks, idx, brand, category) {
+  const cur = figures(weeks[idx], brand, category), prev = idx > 0 ? figures(weeks[idx - 1], brand, category) : null;
+  return {
+    ...cur, prior_net_sales: prev ? prev.net_sales : null, prior_share: prev ? prev.share : null,
+    share_shift: cur.share != null && prev && prev.share != null ? round1(cur.share - prev.share) : null,
+  };
+}
+
+// A brand over weeks (one store or several summed): week idx's numbers,
+// its change on the week before, its categories and its weekly net
+function brandRow(weeks, idx, brand, category) {
+  const row = shares(weeks, idx, brand, category), b = weeks[idx].brands.find(x => x.name === brand);
+  const cats = b ? b.categories.filter(c => !category || c.name === category).map(c => c.name) : [];
+  return {
+    name: brand, ...row,
+    discount_pct: pct(row.discounts, row.net_sales + row.discounts),
+    wow_pct: row.prior_net_sales > 0 ? round1((row.net_sales / row.prior_net_sales - 1) * 100) : null,
+    categories: cats.map(c => { const s = shares(weeks, idx, brand, c); return { name: c, net_sales: s.net_sales, units: s.units, discounts: s.discounts, share: s.share, prior_share: s.prior_share, share_shift: s.share_shift }; }),
+    weekly: weeks.map(w => figures(w, brand, category).net_sales),
+  };
+}
+
+// Every brand sold in the week or the one before over storeIds, by net
+// sales. opts: category, week. → { weekStarts, week, priorWeek, category,
+// categories, net_sales, discounts, brands } or { error, status }
+function overview(cache, storeIds, opts = {}) {
+  const idx = weekIndex(cache, opts.week);
+  if (idx < 0) return { error: `Unknown week: ${opts.week}`, status: 400 };
+  const weeks = weeksOf(cache, storeIds), cur = weeks[idx], category = opts.category || null;
+  const names = new Set([cur, weeks[idx - 1] || EMPTY].flatMap(w => w.brands.filter(b => !category || b.categories.some(c => c.name === category)).map(b => b.name)));
+  const brands = [...names].map(n => brandRow(weeks, idx, n, category))
+    .sort((a, b) => b.net_sales - a.net_sales || a.name.localeCompare(b.name));
+  const base = category ? cur.categories.filter(c => c.name === category) : cur.categories;
+  return {
+    weekStarts: cache.weekStarts, week: cache.weekStarts[idx], priorWeek: cache.weekStarts[idx - 1] || null, category,
+    categories: cur.categories.map(c => c.name), net_sales: round2(sum(base.map(c => c.net_sales))),
+    discounts: round2(sum(brands.map(b => b.discounts))), brands,
+  };
+}
+
+// The vendor scorecard: one brand over storeIds — week idx's numbers, every
+// week's (with its categories) and each store's. null when none of storeIds
+// sold it in the 12 weeks.
+function scorecard(cache, brand, storeIds, opts = {}) {
+  const idx = weekIndex(cache, opts.week);
+  if (idx < 0) return { error: `Unknown week: ${opts.week}`, status: 400 };
+  const weeks = weeksOf(cache, storeIds), sold = ws => ws.some(w => w.brands.some(b => b.name === brand));
+  if (!sold(weeks)) return null;
+  const stores = storeIds.map(id => {
+    const own = weeksOf(cache, [id]), info = cache.stores[id];
+    return sold(own) ? { id, name: info.name, color: info.color, ...brandRow(own, idx, brand) } : null;
+  }).filter(Boolean).sort((a, b) => b.net_sales - a.net_sales);
+  return {
+    brand, weekStarts: cache.weekStarts, week: cache.weekStarts[idx], priorWeek: cache.weekStarts[idx - 1] || null,
+    summary: brandRow(weeks, idx, brand),
+    weeks: weeks.map((w, i) => {
+      const b = w.brands.find(x => x.name === brand);
+      return { week: cache.weekStarts[i], ...figures(w, brand), categories: b ? b.categories.map(c => ({ name: c.name, ...figures(w, brand, c.name) })) : [] };
+    }),
+    stores,
+  };
+}
+
+// ── Export ────────────────────────────────────────────────────
+const CSV_COLUMNS = ['week', 'store', 'category', 'net_sales', 'units', 'discounts', 'category_net_sales', 'share_pct'];
+
+// The scorecard flat: one row per week, store and category the brand sold
+// in, all 12 weeks. → { body, rows } as CSV or a JSON array; null when
+// none of storeIds sold it.
+function exportScorecard(cache, brand, storeIds, format = 'csv') {
+  const rows = [];
+  cache.weekStarts.forEach((week, i) => storeIds.forEach(id => {
+    const w = cache.stores[id] && cache.stores[id].weeks[i], b = w && w.brands.find(x => x.name === brand);
+    if (!b) return;
+    b.categories.forEach(c => {
+      const base = (w.categories.find(x => x.name === c.name) || {}).net_sales || 0;
+      rows.push({ week, store: cache.stores[id].name, category: c.name, net_sales: c.net_sales, units: c.units, discounts: c.discounts, category_net_sales: base, share_pct: pct(c.net_sales, base) });
+    });
+  }));
+  if (!rows.length) return null;
+  const body = format === 'json'
+    ? JSON.stringify(rows, null, 2)
+    : [CSV_COLUMNS.join(','), ...rows.map(r => CSV_COLUMNS.map(c => csvCell(r[c])).join(','))].join('\n') + '\n';
+  return { body, rows: rows.length };
+}
+
+// ── Budtenders ────────────────────────────────────────────────
+// Budtender caches (rebuild.js, cache:bt:<id>) → per store, each
+// budtender's net sales and top brands last week
+function budtenderBrands(caches) {
+  return caches.filter(Boolean).map(c => ({
+    store: c.store, week: c.week,
+    budtenders: (c.employees || []).map(e => ({ name: e.name, net_sales: e.net_sales, top_brands: e.top_brands || [] })),
+  }));
+}
+
+module.exports = { fromTrend, weekIndex, overview, scorecard, exportScorecard, budtenderBrands, CSV_COLUMNS };
@@ -0,0 +1,187 @@
+// server/eod.js
+// ============================================================
+// Flowhub "End of Day" drawer reports — CSV parser + storage
+// One report per store per business date (its own), kept in Redis
+// (no TTL — these are the books, not a cache).
+// ============================================================
+
+const redis = require('./redis');
+const { round2 } = require('./aggregate');
+
+const KEYS = {
+  report: function(storeId, date) { return 'eod:' + storeId + ':' + date; },
+  index:  function(storeId) { return 'eod:index:' + storeId; },
+};
+
+// Top-of-file "LABEL,$1.00" rows → summary field names
+const TOTAL_FIELDS = {
+  'CASH SALES': 'cash_sales',
+  'DEBIT SALES': 'debit_sales',
+  'GIFT CARD SALES': 'gift_card_sales',
+  'AEROPAY SALES': 'aeropay_sales',
+  'CREDIT SALES': 'credit_sales',
+  'OTHER SALES': 'other_sales',
+  'LOYALTY SALES': 'loyalty_sales',
+  'TOTAL SALES': 'total_sales',
+  'TOTAL FEES': 'total_fees',
+  'REFUNDS': 'refunds',
+  'PAYOUTS': 'payouts',
+  'PAYINS': 'payins',
+  'GIFT CARDS SOLD': 'gift_cards_sold',
+  'GIFT CARD SOLD COUNT': 'gift_card_sold_count',
+  'DROPS': 'drops',
+  'TOTAL TRANSACTION COUNT': 'transaction_count',
+  'TOTAL TAX': 'total_tax',
+  'CANNABIS TAX': 'cannabis_tax',
+  'NON-CANNABIS TAX': 'non_cannabis_tax',
+  'TOTAL REVENUE': 'total_revenue',
+  'CANNABIS REVENUE': 'cannabis_revenue',
+  'NON-CANNABIS REVENUE': 'non_cannabis_revenue',
+};
+
+// Drawer block row labels → field names
+const DRAWER_ROWS = {
+  'starting balance': 'starting_balance',
+  'sales': 'sales',
+  'drops': 'drops',
+  'payouts': 'payouts',
+  'payins': 'payins',
+  'closing balance': 'closing_balance',
+};
+
+// ── CSV helpers ───────────────────────────────────────────────
+// Minimal RFC-4180 line splitter (quoted fields, "" escapes).
+// The EOD export never embeds newlines inside quotes.
+function splitCsvLine(line) {
+  const out = [];
+  let cur = '', inQ = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (inQ) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') inQ = false;
+      else cur += ch;
+    } else if (ch === '"') inQ = true;
+    else if (ch === ',') { out.push(cur); cur = ''; }
+    else cur += ch;
+  }
+  out.push(cur);
+  return out;
+}
+
+// "$1,234.56" → 1234.56, "($5.00)" / "-$5.00" → -5, "$ -.--" / "" → null
+function parseMoney(s) {
+  if (s == null) return null;
+  const t = String(s).trim();
+  if (!t || /^\$?\s*-\.--$/.test(t)) return null;
+  const neg = /^\(.*\)$/.test(t) || t.includes('-');
+  const n = parseFloat(t.replace(/[^0-9.]/g, ''));
+  if (isNaN(n)) return null;
+  return neg ? -n : n;
+}
+
+// ── Parser ────────────────────────────────────────────────────
+// Returns { title, locationName, locationCode, totals, drawers[] }.
+// Throws if the text does not look like an EOD export.
+function parseEodCsv(text) {
+  const lines = String(text || '').replace(/^﻿/, '').split(/\r?\n/);
+  const first = (lines[0] || '').trim();
+  const m = first.match(/^END OF DAY SALES DATA\s*-\s*(.+)$/i);
+  if (!m) throw new Error('Not a Flowhub End of Day report (missing header line)');
+
+  const title = m[1].trim();
+  const codeMatch = title.match(/^(.*?)\s*-\s*([A-Z0-9]+)$/);
+  const report = {
+    title,
+    locationName: codeMatch ? codeMatch[1].trim() : title,
+    locationCode: codeMatch ? codeMatch[2] : null,
+    totals: {},
+    drawers: [],
+  };
+
+  let drawer = null, tenders = [], inEmployees = false;
+  for (let i = 1; i < lines.length; i++) {
+    const raw = lines[i];
+    if (!raw.trim()) continue;
+    const cells = splitCsvLine(raw);
+    const label = cells[0].trim();
+
+    // Separators: " ", " --- ", " --- DRAWERS SALES DATA ---"
+    if (!label || /^-{3}/.test(label)) { drawer = null; inEmployees = false; continue; }
+
+    if (/^drawer is still open$/i.test(label)) { if (drawer) drawer.open = true; continue; }
+
+    // Drawer header: "AM DRAWER #1,LOYALTY,GIFT CARD,DEBIT,CASH,..."
+    if (/drawer/i.test(label) && cells.length > 2 && cells.slice(1).every(c => /^[A-Z ]+$/.test(c.trim()))) {
+      tenders = cells.slice(1).map(c => c.trim().toLowerCase().replace(/\s+/g, '_'));
+      drawer = { name: label, open: false, employees: [] };
+      Object.values(DRAWER_ROWS).forEach(f => { drawer[f] = {}; });
+      report.drawers.push(drawer);
+      inEmployees = false;
+      continue;
+    }
+
+    if (drawer) {
+      // "\tEmployee Sales",,,,TOTAL — employee rows follow, tab-indented
+      if (/^employee sales$/i.test(label)) { inEmployees = true; continue; }
+      if (inEmployees && /^\t/.test(cells[0])) {
+        const total = parseMoney(cells[cells.length - 1]);
+        drawer.employees.push({ name: label.replace(/\s+/g, ' '), total: total || 0 });
+        continue;
+      }
+      const field = DRAWER_ROWS[label.toLowerCase()];
+      if (field) {
+        tenders.forEach((t, ti) => { drawer[field][t] = parseMoney(cells[ti + 1]); });
+        continue;
+      }
+    }
+
+    const tf = TOTAL_FIELDS[label.toUpperCase()];
+    if (tf) {
+      const v = tf.endsWith('_count') ? parseInt(cells[1], 10) : parseMoney(cells[1]);
+      report.totals[tf] = isNaN(v) ? null : v;
+    }
+  }
+
+  report.drawers.forEach(d => {
+    d.sales_total = round2(Object.values(d.sales).reduce((s, v) => s + (v || 0), 0));
+    d.employee_total = round2(d.employees.reduce((s, e) => s + e.total, 0));
+  });
+  return report;
+}
+
+// ── Store matching ────────────────────────────────────────────
+// "Thrive Main Street - RD264" → 'main': the store whose Flowhub location
+// name (else display name) is in the report's, longest match first.
+// locations: fh.getLocations()
+function matchStoreId(locationName, locations) {
+  const n = (locationName || '').toLowerCase();
+  const longest = key => locations.filter(l => l[key] && n.includes(l[key].toLowerCase())).sort((a, b) => b[key].length - a[key].length)[0];
+  const hit = longest('rawName') || longest('name');
+  return hit ? hit.id : null;
+}
+
+// ── Storage ───────────────────────────────────────────────────
+async function saveReport(storeId, date, report, meta = {}) {
+  const doc = { store: storeId, date, uploadedAt: new Date().toISOString(), ...meta, ...report };
+  const ok = await redis.setJSON(KEYS.report(storeId, date), doc);
+  if (!ok) throw new Error('Failed to store EOD report');
+  await redis.getClient().sadd(KEYS.index(storeId), date);
+  return doc;
+}
+
+async function getReport(storeId, date) {
+  return redis.getJSON(KEYS.report(storeId, date));
+}
+
+async function listReportDates(storeId) {
+  try {
+    const dates = await redis.getClient().smembers(KEYS.index(storeId));
+    return dates.sort().reverse();
+  } catch (err) {
+    console.error(`Redis SMEMBERS ${KEYS.index(storeId)}:`, err.message);
+    return [];
+  }
+}
+
+module.exports = { parseEodCsv, parseMoney, splitCsvLine, matchStoreId, saveReport, getReport, listReportDates, KEYS };
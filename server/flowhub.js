@@ -1,286 +1,281 @@
 // server/flowhub.js
 // ============================================================
-// Flowhub API Client — Thrive Cannabis Marketplace
+// Sales data layer — Thrive Cannabis Marketplace
+// Locations, order reads and every builder the routes and the rebuild
+// worker use. Orders come through the POS adapters (pos.js: Flowhub's
+// API, exported files), already in one order model.
 // OPTIMIZED: streaming bucket fetch, disk-cached completed weeks
 // ============================================================
 
-const fetch = require('node-fetch');
 const fs = require('fs');
-
-const BASE = 'https://api.flowhub.co';
-const CLIENT_ID = process.env.FLOWHUB_CLIENT_ID;
-const CLIENT_KEY = process.env.FLOWHUB_API_KEY;
-
-const STORE_CONFIG = [
-  { id: 'cactus',   match: 'cactus',      display: 'Cactus',      color: '#00e5a0' },
-  { id: 'cheyenne', match: 'cheyenne',    display: 'Cheyenne',    color: '#4db8ff' },
-  { id: 'jackpot',  match: 'jackpot',     display: 'Jackpot',     color: '#c084fc' },
-  { id: 'main',     match: 'main street', display: 'Main Street', color: '#ffd166' },
-  { id: 'reno',     match: 'reno',        display: 'Reno',        color: '#ff8c42' },
-  { id: 'sahara',   match: 'sahara',      display: 'Sahara',      color: '#ff4d6d' },
-  { id: 'sammy',    match: 'sammy',       display: 'Sammy',       color: '#a8e6cf' },
-];
-const EXCLUDED_KEYWORDS = ['smoke', 'mirrors', 'mbnv', 'cultivation'];
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-function round2(n) { return Math.round(n * 100) / 100; }
-
-// ── Core GET with 429/500 retry ───────────────────────────────
-async function flowhubGet(path, params = {}) {
-  const url = new URL(`${BASE}${path}`);
-  Object.entries(params).forEach(([k, v]) => {
-    if (v !== undefined && v !== null) url.searchParams.set(k, String(v));
-  });
-  for (let attempt = 0; attempt < 5; attempt++) {
-    if (attempt > 0) {
-      const delay = Math.min(1500 * Math.pow(2, attempt), 20000);
-      console.log(`  ↻ retry #${attempt} in ${delay}ms...`);
-      await sleep(delay);
-    }
-    const res = await fetch(url.toString(), {
-      headers: { 'clientId': CLIENT_ID, 'key': CLIENT_KEY, 'Accept': 'application/json', 'Content-Type': 'application/json' },
-    });
-    if (res.status === 429) { console.log(`⚠ 429: ${path}`); continue; }
-    if (res.status === 500 && attempt < 4) { console.log(`⚠ 500: ${path}`); continue; }
-    if (!res.ok) { const b = await res.text().catch(() => ''); throw new Error(`Flowhub ${res.status} ${path}: ${b.slice(0, 300)}`); }
-    return res.json();
-  }
-  throw new Error(`Flowhub: max retries for ${path}`);
-}
+const agg = require('./aggregate');
+const jobs = require('./jobs');
+const pos = require('./pos');
+const registry = require('./stores');
 
 // ── Locations ─────────────────────────────────────────────────
-let _locations = null;
-async function getLocations() {
-  if (_locations) return _locations;
-  const data = await flowhubGet('/v0/clientsLocations');
-  const raw = Array.isArray(data) ? data : (data.locations || data.data || []);
-  _locations = raw
-    .filter(loc => { const n = (loc.locationName || loc.name || '').toLowerCase(); return !EXCLUDED_KEYWORDS.some(ex => n.includes(ex)); })
-    .map(loc => {
-      const rawName = loc.locationName || loc.name || '';
-      const importId = loc.importId || loc.locationId || loc._id || loc.id;
-      const cfg = STORE_CONFIG.find(s => rawName.toLowerCase().includes(s.match));
-      return { importId, rawName, name: cfg?.display || rawName, id: cfg?.id || rawName.toLowerCase().replace(/[^a-z]+/g, '_'), color: cfg?.color || '#888' };
-    });
-  console.log('✓', _locations.length, 'locations:', _locations.map(l => l.name).join(', '));
-  return _locations;
+// The POS location lists are read once per process (getStoreRegistry(true)
+// reads them again); names, colors, timezones and which stores show come
+// from the registry (server/stores.js), read fresh each call so an
+// admin's change reaches every instance.
+// The stores that show: [{ importId, rawName, source, id, name, color, timezone, hours, openDate }]
+async function getLocations() { return registry.locations(await registry.sync(await pos.locations())); }
+// Every registry entry, closed and pending ones too (store admin).
+// refresh: ask the POS sources for their lists again first.
+async function getStoreRegistry(refresh) {
+  return registry.list(await registry.sync(await pos.locations(refresh)));
 }
 
-// ── Date helpers (Pacific Time) ───────────────────────────────
-const TZ = 'America/Los_Angeles';
-function todayPacific() { return new Date().toLocaleDateString('en-CA', { timeZone: TZ }); }
-function dowPacific() { const d = new Date().toLocaleDateString('en-US', { timeZone: TZ, weekday: 'short' }); return { Sun:0,Mon:1,Tue:2,Wed:3,Thu:4,Fri:5,Sat:6 }[d] ?? 0; }
+// ── Date helpers (a store's timezone; Pacific by default) ─────
+// Pacific is the company's calendar: the scheduler, the audit log and
+// anything not about one store. Per-store work passes loc.timezone.
+const TZ = registry.DEFAULT_TZ;
+function todayIn(tz = TZ) { return new Date().toLocaleDateString('en-CA', { timeZone: tz }); }
+function dowIn(tz = TZ) { const d = new Date().toLocaleDateString('en-US', { timeZone: tz, weekday: 'short' }); return { Sun:0,Mon:1,Tue:2,Wed:3,Thu:4,Fri:5,Sat:6 }[d] ?? 0; }
+function todayPacific() { return todayIn(TZ); }
+function dowPacific() { return dowIn(TZ); }
 function addDays(s, days) { const d = new Date(s + 'T12:00:00Z'); d.setDate(d.getDate() + days); return d.toISOString().split('T')[0]; }
 function toDateStr(d) { return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`; }
-function weekRange(weeksBack = 0) { const t = todayPacific(), dw = dowPacific(), ds = (dw+6)%7, m = addDays(t, -ds - weeksBack*7); return { start: m, end: addDays(m, 6) }; }
-function todayRange() { const d = todayPacific(); return { start: d, end: d }; }
-function ytdRange() { const t = todayPacific(); return { start: `${t.split('-')[0]}-01-01`, end: t }; }
+function weekRange(weeksBack = 0, tz = TZ) { const t = todayIn(tz), dw = dowIn(tz), ds = (dw+6)%7, m = addDays(t, -ds - weeksBack*7); return { start: m, end: addDays(m, 6) }; }
+// The last `count` weeks, oldest first
+function weekRanges(count, tz = TZ) { return Array.from({ length: count }, (_, i) => weekRange(count - 1 - i, tz)); }
+// The last `count` dates on weekday dow (Sun = 0), newest first, today included
+function dowDates(dow, count, tz = TZ) { const t = todayIn(tz), back = (dowIn(tz) - dow + 7) % 7; return Array.from({ length: count }, (_, w) => addDays(t, -(back + 7 * w))); }
+function todayRange(tz = TZ) { const d = todayIn(tz); return { start: d, end: d }; }
+function ytdRange(tz = TZ) { const t = todayIn(tz); return { start: `${t.split('-')[0]}-01-01`, end: t }; }
+function qtdRange(tz = TZ) { const t = todayIn(tz), q = Math.floor((parseInt(t.slice(5, 7), 10) - 1) / 3); return { start: `${t.slice(0, 4)}-${String(q * 3 + 1).padStart(2, '0')}-01`, end: t }; }
+function mtdRange(tz = TZ) { const t = todayIn(tz); return { start: `${t.slice(0, 7)}-01`, end: t }; }
+// Period-to-date comparisons are calendar based: the same dates a year
+// earlier (Feb 29 → Feb 28), unlike YoY weeks below.
+function priorYearRange(r) {
+  const back = s => { const d = `${parseInt(s.slice(0, 4), 10) - 1}${s.slice(4)}`; return d.endsWith('-02-29') ? d.slice(0, 8) + '28' : d; };
+  return { start: back(r.start), end: back(r.end) };
+}
+
+// ── Year over year (ISO 8601 weeks) ───────────────────────────
+// Last year's counterpart of a date is the same weekday of the same ISO
+// week number (week 53 → 52 when last year had none): usually 364 days
+// back, 371 after a 53-week year. Weekdays always line up.
+function isoDay(s) { return (new Date(s + 'T12:00:00Z').getUTCDay() + 6) % 7; } // Mon = 0
+function isoWeekOf(date) { const thu = addDays(date, 3 - isoDay(date)), year = parseInt(thu.slice(0, 4), 10); return { year, week: Math.floor((Date.parse(thu) - Date.parse(`${year}-01-01`)) / 864e5 / 7) + 1 }; }
+function isoWeekStart(year, week) { const jan4 = `${year}-01-04`; return addDays(jan4, (week - 1) * 7 - isoDay(jan4)); }
+function sameDayLastYear(date) { const { year, week } = isoWeekOf(date), ly = Math.min(week, isoWeekOf(`${year - 1}-12-28`).week); return addDays(isoWeekStart(year - 1, ly), isoDay(date)); }
+function lastYearRange(r) { return { start: sameDayLastYear(r.start), end: sameDayLastYear(r.end) }; }
+
+// Sources date orders in UTC, so pos.eachOrderPage() pads a store's
+// local range a day either side; the reads below trim by each order's
+// local date (evening orders otherwise land on the wrong day).
+const { localDateOf } = agg;
 
 // ── Fetch orders (for short ranges: 1 week or less) ──────────
-let _schemaLogged = false;
-async function getOrdersForLocation(importId, startDate, endDate) {
+async function getOrdersForLocation(importId, startDate, endDate, tz = TZ) {
   const start = startDate.split('T')[0], end = endDate.split('T')[0];
-  let page = 1, allOrders = [], total = 0;
-  while (true) {
-    try {
-      const data = await flowhubGet(`/v1/orders/findByLocationId/${importId}`, { created_after: start, created_before: end, page_size: 500, page, order_by: 'asc' });
-      const batch = data.orders || []; total = data.total || 0; allOrders = allOrders.concat(batch);
-      if (!_schemaLogged && batch.length > 0) { _schemaLogged = true; console.log('ORDER KEYS:', Object.keys(batch[0]).join(', ')); }
-      if (allOrders.length >= total || batch.length < 500) break;
-      page++;
-    } catch (err) { console.error(`✗ ${importId.slice(0,8)} ${start}→${end} p${page}: ${err.message}`); break; }
-  }
-  return { total: allOrders.length, orders: allOrders };
+  let allOrders = [];
+  try { await pos.eachOrderPage(importId, start, end, batch => { allOrders = allOrders.concat(batch); }); }
+  catch (err) { console.error(`✗ ${importId.slice(0,8)} ${start}→${end}: ${err.message}`); }
+  const orders = allOrders.filter(o => { const d = localDateOf(o, tz); return d >= start && d <= end; });
+  return { total: orders.length, orders };
 }
 
+// ── Order sources ─────────────────────────────────────────────
+// The builders below read orders through a source so the rebuild worker
+// can point them at the local warehouse (server/warehouse.js); apiSource
+// reads the POS (pos.js) directly:
+//   getOrders(loc, start, end)          → { total, orders } for one range
+//                                         of dates in loc.timezone
+//   eachPage(loc, start, end, onPage)   → feeds pages (untrimmed: bucket
+//                                         them by loc.timezone), resolves
+//                                         to the count
+const apiSource = {
+  name: 'api',
+  getOrders: (loc, start, end) => getOrdersForLocation(loc.importId, start, end, loc.timezone),
+  async eachPage(loc, start, end, onPage) {
+    let n = 0;
+    try { await pos.eachOrderPage(loc.importId, start, end, batch => { n += batch.length; return onPage(batch); }); }
+    catch (err) { console.error(`✗ Stream ${loc.importId.slice(0,8)}: ${err.message}`); }
+    return n;
+  },
+};
+
 // ══════════════════════════════════════════════════════════════
 // STREAMING BUCKET FETCH — processes page-by-page, never holds
 // all orders in memory. Used for bulk 12-week fetches.
 // ══════════════════════════════════════════════════════════════
-async function streamBucketFetch(importId, startDate, endDate, weeks) {
-  const start = startDate.split('T')[0], end = endDate.split('T')[0];
-  let page = 1, totalFetched = 0, apiTotal = 0;
-
-  // Lightweight accumulators (no raw orders stored)
-  const accum = weeks.map(w => ({
-    week: w, net_sales: 0, gross_sales: 0, total_items: 0, transaction_count: 0,
-    catMap: {}, btMap: {}, ctypes: { rec: 0, med: 0 },
-  }));
-
-  while (true) {
-    let data;
-    try {
-      data = await flowhubGet(`/v1/orders/findByLocationId/${importId}`, { created_after: start, created_before: end, page_size: 500, page, order_by: 'asc' });
-    } catch (err) { console.error(`✗ Stream ${importId.slice(0,8)} p${page}: ${err.message}`); break; }
-
-    const batch = data.orders || [];
-    apiTotal = data.total || 0;
-
-    // Process & bucket each order immediately
-    for (const order of batch) {
-      if (order.voided === true || order.orderStatus === 'voided') continue;
-      const d = new Date(order.createdAt || order.completedOn || '').toLocaleDateString('en-CA', { timeZone: TZ });
-      let acc = null;
-      for (const a of accum) { if (d >= a.week.start && d <= a.week.end) { acc = a; break; } }
-      if (!acc) continue;
-
-      acc.transaction_count++;
-      const ct = (order.customerType || '').toLowerCase();
-      if (ct.includes('med')) acc.ctypes.med++; else acc.ctypes.rec++;
-      const bt = order.budtender || 'Unknown';
-      if (!acc.btMap[bt]) acc.btMap[bt] = { name: bt, transactions: 0, net_sales: 0, items: 0 };
-      acc.btMap[bt].transactions++;
-
-      let oNet = 0, oItems = 0;
-      for (const item of (order.itemsInCart || [])) {
-        if (item.voided === true) continue;
-        const qty = item.quantity || 1; oItems += qty;
-        const lg = Number(item.totalPrice) || (Number(item.unitPrice || 0) * qty);
-        const disc = Number(item.totalDiscounts) || 0;
-        const ln = lg - disc;
-        acc.gross_sales += lg; oNet += ln;
-        const cat = item.category || item.type || 'Other';
-        if (!acc.catMap[cat]) acc.catMap[cat] = { name: cat, net_sales: 0, units: 0, transactions: 0 };
-        acc.catMap[cat].net_sales += ln; acc.catMap[cat].units += qty; acc.catMap[cat].transactions++;
-      }
-      acc.net_sales += oNet; acc.total_items += oItems;
-      acc.btMap[bt].net_sales += oNet; acc.btMap[bt].items += oItems;
-    }
-
-    totalFetched += batch.length;
-    if (totalFetched >= apiTotal || batch.length < 500) break;
-    page++;
-  }
-
-  console.log(`    → ${totalFetched} orders streamed into ${weeks.length} weeks`);
-
-  return accum.map(a => ({
-    week: a.week,
-    summary: {
-      transaction_count: a.transaction_count, net_sales: round2(a.net_sales), gross_sales: round2(a.gross_sales),
-      avg_basket: round2(a.transaction_count > 0 ? a.net_sales / a.transaction_count : 0), total_items: a.total_items,
-      customer_types: a.ctypes,
-      categories: Object.values(a.catMap).sort((x,y) => y.net_sales - x.net_sales).map(c => ({ ...c, net_sales: round2(c.net_sales) })),
-      budtenders: Object.values(a.btMap).map(b => ({ ...b, net_sales: round2(b.net_sales), avg_basket: round2(b.transactions ? b.net_sales / b.transactions : 0) })).sort((x,y) => y.net_sales - x.net_sales),
-    },
-    error: null,
-  }));
+async function streamWeeks(source, loc, startDate, endDate, weeks) {
+  // One aggregator per week — running totals only, no raw orders stored
+  const buckets = agg.createRangeAggregator(weeks, agg.WEEK_DIMENSIONS, { tz: loc.timezone });
+  const n = await source.eachPage(loc, startDate.split('T')[0], endDate.split('T')[0], batch => buckets.addPage(batch));
+  console.log(`    → ${n} orders streamed into ${weeks.length} weeks`);
+  return buckets.results().map(b => ({ week: b.range, summary: agg.toSummary(b.result), error: null }));
 }
+function streamBucketFetch(importId, startDate, endDate, weeks, tz) { return streamWeeks(apiSource, { importId, timezone: tz }, startDate, endDate, weeks); }
 
-// ── Summarize hourly traffic (transactions by hour × day-of-week) ──
-function summarizeHourly(orders) {
-  // grid[dow][hour] = { transactions, net_sales }
-  const grid = {};
-  for (let d = 0; d < 7; d++) { grid[d] = {}; for (let h = 0; h < 24; h++) grid[d][h] = { transactions: 0, net_sales: 0 }; }
-  if (!orders || !orders.length) return grid;
-
-  const dowMap = { Sunday:0,Monday:1,Tuesday:2,Wednesday:3,Thursday:4,Friday:5,Saturday:6 };
-  const fmt = new Intl.DateTimeFormat('en-US', { timeZone: TZ, weekday: 'long', hour: 'numeric', hour12: false });
-
-  orders.forEach(o => {
-    if (o.voided === true || o.orderStatus === 'voided') return;
-    const ts = o.createdAt || o.completedOn || '';
-    if (!ts) return;
-    const parts = fmt.formatToParts(new Date(ts));
-    const weekday = parts.find(p => p.type === 'weekday')?.value || '';
-    let hour = parseInt(parts.find(p => p.type === 'hour')?.value || '0');
-    if (hour === 24) hour = 0; // some ICU versions use 24 for midnight
-    const dow = dowMap[weekday] ?? 0;
-    let on = 0;
-    (o.itemsInCart || []).forEach(item => { if (!item.voided) { on += (Number(item.totalPrice) || 0) - (Number(item.totalDiscounts) || 0); } });
-    grid[dow][hour].transactions++;
-    grid[dow][hour].net_sales += on;
-  });
-  return grid;
-}
+// ── Summaries (thin wrappers over server/aggregate.js) ────────
+// Hourly traffic: grid[dow][hour] = { transactions, net_sales }
+function summarizeHourly(orders) { return agg.aggregateOrders(orders, ['hourly']).hourly; }
 
-// ── Summarize orders → KPIs ───────────────────────────────────
-function summarizeOrders(orders) {
-  if (!orders || !orders.length) return { transaction_count: 0, net_sales: 0, gross_sales: 0, avg_basket: 0, total_items: 0, categories: [], budtenders: [], customer_types: { rec: 0, med: 0 } };
-  let ns = 0, gs = 0, ti = 0; const cm = {}, bm = {}, ct = { rec: 0, med: 0 };
-  orders.forEach(o => {
-    if (o.voided === true || o.orderStatus === 'voided') return;
-    const c = (o.customerType || '').toLowerCase(); if (c.includes('med')) ct.med++; else ct.rec++;
-    const bt = o.budtender || 'Unknown'; if (!bm[bt]) bm[bt] = { name: bt, transactions: 0, net_sales: 0, items: 0 }; bm[bt].transactions++;
-    let on = 0, og = 0, oi = 0;
-    (o.itemsInCart || []).forEach(item => {
-      if (item.voided === true) return; const q = item.quantity || 1; oi += q;
-      const lg = Number(item.totalPrice) || (Number(item.unitPrice || 0) * q); const d = Number(item.totalDiscounts) || 0; const ln = lg - d;
-      og += lg; on += ln; const cat = item.category || item.type || 'Other';
-      if (!cm[cat]) cm[cat] = { name: cat, net_sales: 0, units: 0, transactions: 0 }; cm[cat].net_sales += ln; cm[cat].units += q; cm[cat].transactions++;
-    });
-    ns += on; gs += og; ti += oi; bm[bt].net_sales += on; bm[bt].items += oi;
-  });
-  const tc = orders.length;
-  return { transaction_count: tc, net_sales: round2(ns), gross_sales: round2(gs), avg_basket: round2(tc > 0 ? ns/tc : 0), total_items: ti, customer_types: ct,
-    categories: Object.values(cm).sort((a,b) => b.net_sales - a.net_sales).map(c => ({ ...c, net_sales: round2(c.net_sales) })),
-    budtenders: Object.values(bm).map(b => ({ ...b, net_sales: round2(b.net_sales), avg_basket: round2(b.transactions ? b.net_sales/b.transactions : 0) })).sort((a,b) => b.net_sales - a.net_sales),
-  };
-}
+// Orders → KPIs + categories + budtenders (+ brands with agg.WEEK_DIMENSIONS)
+function summarizeOrders(orders, dimensions) { return agg.toSummary(agg.aggregateOrders(orders, dimensions)); }
 
-// ── Top products ──────────────────────────────────────────────
-function extractTopProducts(orders, limit = 15) {
-  const m = {};
-  orders.forEach(o => { if (o.voided) return; (o.itemsInCart || []).forEach(i => {
-    if (i.voided) return; const n = i.productName || i.title1 || 'Unknown', b = i.brand || '', c = i.category || i.type || 'Other', q = i.quantity || 1;
-    const g = Number(i.totalPrice) || 0, d = Number(i.totalDiscounts) || 0, net = g - d, k = `${n}__${b}`;
-    if (!m[k]) m[k] = { name: n, brand: b, category: c, units_sold: 0, net_sales: 0, prices: [] };
-    m[k].units_sold += q; m[k].net_sales += net; if (i.unitPrice) m[k].prices.push(Number(i.unitPrice));
-  }); });
-  return Object.values(m).map(p => ({ ...p, net_sales: round2(p.net_sales), avg_price: p.prices.length ? round2(p.prices.reduce((a,b) => a+b, 0) / p.prices.length) : 0 })).sort((a,b) => b.net_sales - a.net_sales).slice(0, limit);
-}
+// Top products by net sales (sales only)
+function extractTopProducts(orders, limit = 15) { return agg.aggregateOrders(orders, ['products'], { productLimit: limit }).products; }
 
 // ── Disk cache ────────────────────────────────────────────────
 const CACHE_DIR = process.env.CACHE_DIR || '/tmp';
 const CACHE_FILE = `${CACHE_DIR}/thrive-week-cache.json`;
+// Bump when the summary shape changes — completed weeks are cached forever,
+// so an old file would otherwise never pick up new fields.
+// 2: tenders  3: tax / fees / cannabis split  4: refunds / returns / voids
+// 5: brands
+const WEEK_CACHE_SCHEMA = 5;
 let _weekCache = {};
-function loadWeekCache() { try { if (fs.existsSync(CACHE_FILE)) { _weekCache = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8')); console.log(`✓ Loaded ${Object.keys(_weekCache).length} cached weeks`); } else { console.log('✓ No cache, starting fresh'); } } catch (e) { console.log('⚠ Cache load fail:', e.message); _weekCache = {}; } }
+function loadWeekCache() { try { if (fs.existsSync(CACHE_FILE)) { const raw = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8')); if (raw.schema === WEEK_CACHE_SCHEMA && raw.weeks) { _weekCache = raw.weeks; console.log(`✓ Loaded ${Object.keys(_weekCache).length} cached weeks`); } else { console.log(`✓ Week cache schema changed (→ v${WEEK_CACHE_SCHEMA}), starting fresh`); } } else { console.log('✓ No cache, starting fresh'); } } catch (e) { console.log('⚠ Cache load fail:', e.message); _weekCache = {}; } }
 let _savePending = false;
-function saveWeekCache() { if (_savePending) return; _savePending = true; setTimeout(() => { _savePending = false; try { fs.writeFileSync(CACHE_FILE, JSON.stringify(_weekCache), 'utf8'); console.log(`✓ Saved ${Object.keys(_weekCache).length} weeks`); } catch (e) { console.log('⚠ Save fail:', e.message); } }, 3000); }
+function saveWeekCache() { if (_savePending) return; _savePending = true; setTimeout(() => { _savePending = false; try { fs.writeFileSync(CACHE_FILE, JSON.stringify({ schema: WEEK_CACHE_SCHEMA, weeks: _weekCache }), 'utf8'); console.log(`✓ Saved ${Object.keys(_weekCache).length} weeks`); } catch (e) { console.log('⚠ Save fail:', e.message); } }, 3000); }
 loadWeekCache();
-function weekCacheKey(id, ws) { return `${id}:${ws}`; }
-function isWeekCompleted(w) { return w.end < todayPacific(); }
+// Weeks cut in another timezone hold different orders: keyed apart
+function weekCacheKey(id, ws, tz = TZ) { return tz === TZ ? `${id}:${ws}` : `${id}@${tz}:${ws}`; }
+// Over in the store's timezone
+function isWeekCompleted(w, tz = TZ) { return w.end < todayIn(tz); }
 
 // ── Trend for single store (used by rebuild worker) ──────────
-async function getTrendForStore(loc, weeks) {
-  const unc = weeks.filter(w => !(isWeekCompleted(w) && _weekCache[weekCacheKey(loc.importId, w.start)]));
-  if (unc.length === 0) {
-    return weeks.map(w => _weekCache[weekCacheKey(loc.importId, w.start)]);
-  }
-  if (unc.length === 1 && !isWeekCompleted(unc[0])) {
-    const trend = weeks.map(w => { const ck = weekCacheKey(loc.importId, w.start); return (isWeekCompleted(w) && _weekCache[ck]) ? _weekCache[ck] : null; });
+// Completed weeks come from the disk cache; only the rest are read from
+// the source, from the first uncached week onwards.
+async function getTrendForStore(loc, weeks, source = apiSource) {
+  const tz = loc.timezone, fromCache = w => (isWeekCompleted(w, tz) && _weekCache[weekCacheKey(loc.importId, w.start, tz)]) || null;
+  const trend = weeks.map(fromCache);
+  const unc = weeks.filter((w, i) => !trend[i]);
+  if (unc.length === 0) return trend;
+  if (unc.length === 1 && !isWeekCompleted(unc[0], tz)) {
     try {
-      const cw = unc[0], { orders } = await getOrdersForLocation(loc.importId, cw.start, cw.end);
-      trend[weeks.findIndex(w => w.start === cw.start)] = { week: cw, summary: summarizeOrders(orders), error: null };
+      const cw = unc[0], { orders } = await source.getOrders(loc, cw.start, cw.end);
+      trend[weeks.indexOf(cw)] = { week: cw, summary: summarizeOrders(orders, agg.WEEK_DIMENSIONS), error: null };
     } catch (e) {
-      trend[weeks.findIndex(w => w.start === unc[0].start)] = { week: unc[0], summary: null, error: e.message };
+      trend[weeks.indexOf(unc[0])] = { week: unc[0], summary: null, error: e.message };
     }
     return trend;
   }
-  const trend = await streamBucketFetch(loc.importId, weeks[0].start, weeks[weeks.length - 1].end, weeks);
-  for (const e of trend) {
-    if (isWeekCompleted(e.week) && e.summary?.net_sales > 0) _weekCache[weekCacheKey(loc.importId, e.week.start)] = e;
-  }
+  const fresh = await streamWeeks(source, loc, unc[0].start, unc[unc.length - 1].end, unc);
+  fresh.forEach((e, i) => {
+    trend[weeks.indexOf(unc[i])] = e;
+    if (isWeekCompleted(e.week, tz) && e.summary?.net_sales > 0) _weekCache[weekCacheKey(loc.importId, e.week.start, tz)] = e;
+  });
   saveWeekCache();
   return trend;
 }
 
+// ── Same weeks last year (YoY) ────────────────────────────────
+// → one { week, summary, error } per week, for its last-year week. Weeks
+// already in `have` (a range long enough to reach back a year) are
+// reused; the rest are completed weeks, so after the first read they
+// come from the disk cache like any other.
+async function getLastYearForStore(loc, weeks, source = apiSource, have = []) {
+  const ly = weeks.map(lastYearRange), known = {};
+  have.forEach(e => { known[e.week.start] = e; });
+  const need = ly.filter((w, i) => !known[w.start] && ly.findIndex(x => x.start === w.start) === i);
+  if (need.length) (await getTrendForStore(loc, need, source)).forEach(e => { known[e.week.start] = e; });
+  return ly.map(w => known[w.start] || { week: w, summary: null, error: null });
+}
+
+// ── Period to date (YTD / QTD / MTD) ──────────────────────────
+// → one headline summary per { start, end } range (null if nothing sold).
+// Whole Monday–Sunday weeks inside a range come from getTrendForStore (the
+// week cache, for completed ones); the odd days either side — the period's
+// first partial week, the current week so far — are read from the source,
+// a few days at a time. Ranges share weeks and days, so YTD / QTD / MTD
+// and their prior years cost one pass.
+async function getPeriodsToDate(loc, ranges, source = apiSource) {
+  const plan = ranges.map(r => {
+    const weeks = [], days = [];
+    for (let m = addDays(r.start, (7 - isoDay(r.start)) % 7); addDays(m, 6) <= r.end; m = addDays(m, 7)) weeks.push({ start: m, end: addDays(m, 6) });
+    const inWeek = d => weeks.length && d >= weeks[0].start && d <= weeks[weeks.length - 1].end;
+    for (let d = r.start; d <= r.end; d = addDays(d, 1)) if (!inWeek(d)) days.push(d);
+    return { weeks, days };
+  });
+
+  // Weeks: one getTrendForStore call per contiguous run (this year's, last year's)
+  const byWeek = {};
+  const allWeeks = [...new Map(plan.flatMap(p => p.weeks).map(w => [w.start, w])).values()].sort((a, b) => a.start.localeCompare(b.start));
+  for (const run of runsOf(allWeeks, 7)) (await getTrendForStore(loc, run, source)).forEach(e => { byWeek[e.week.start] = e; });
+
+  // Days: one read per contiguous run, a headline aggregator per day
+  const byDay = {};
+  const allDays = [...new Set(plan.flatMap(p => p.days))].sort().map(d => ({ start: d, end: d }));
+  for (const run of runsOf(allDays, 1)) {
+    const { orders } = await source.getOrders(loc, run[0].start, run[run.length - 1].end);
+    const days = agg.createRangeAggregator(run, ['kpis'], { tz: loc.timezone });
+    days.addPage(orders);
+    days.results().forEach(b => { byDay[b.range.start] = b.result.kpis; });
+  }
+
+  return plan.map(p => {
+    const weeks = p.weeks.map(w => byWeek[w.start]);
+    const err = weeks.find(e => e && e.error);
+    return { summary: agg.mergeSummaries([...weeks.map(e => e && agg.slimSummary(e.summary)), ...p.days.map(d => byDay[d])]), error: err ? err.error : null };
+  });
+}
+// Splits sorted ranges into runs whose starts are `step` days apart
+function runsOf(ranges, step) {
+  const runs = [];
+  ranges.forEach(r => {
+    const run = runs[runs.length - 1];
+    if (run && addDays(run[run.length - 1].start, step) === r.start) run.push(r); else runs.push([r]);
+  });
+  return runs;
+}
+
+// All stores plus the company: { ytd, qtd, mtd } each { current, prior }.
+// Each store's periods run to its own today; `ranges` are Pacific's.
+const periodRanges = tz => ({ ytd: ytdRange(tz), qtd: qtdRange(tz), mtd: mtdRange(tz) });
+async function getPeriodsToDateData(source = apiSource) {
+  const locs = await getLocations();
+  const ranges = periodRanges(), keys = Object.keys(ranges);
+  const listFor = r => keys.flatMap(k => [r[k], priorYearRange(r[k])]);
+  const stores = {};
+  for (const loc of locs) {
+    const t0 = Date.now();
+    try {
+      const r = await getPeriodsToDate(loc, listFor(periodRanges(loc.timezone)), source), out = { name: loc.name, color: loc.color, error: null };
+      keys.forEach((k, i) => { out[k] = { current: r[2 * i].summary, prior: r[2 * i + 1].summary }; out.error = out.error || r[2 * i].error || r[2 * i + 1].error; });
+      stores[loc.id] = out;
+      console.log('  periods ' + loc.name + ': YTD $' + (out.ytd.current ? out.ytd.current.net_sales : 0) + ' (' + (Date.now() - t0) + 'ms)');
+      jobs.storeDone(loc, t0, out.error ? new Error(out.error) : null);
+    } catch (e) {
+      console.error('  periods ' + loc.name + ': FAIL ' + e.message);
+      jobs.storeDone(loc, t0, e);
+      stores[loc.id] = { name: loc.name, color: loc.color, error: e.message };
+    }
+  }
+  const company = {};
+  keys.forEach(k => {
+    const ok = Object.values(stores).filter(st => st[k]);
+    company[k] = { current: agg.mergeSummaries(ok.map(st => st[k].current)), prior: agg.mergeSummaries(ok.map(st => st[k].prior)) };
+  });
+  return {
+    asOf: todayPacific(),
+    ranges: Object.fromEntries(keys.map(k => [k, { current: ranges[k], prior: priorYearRange(ranges[k]) }])),
+    stores, company,
+  };
+}
+
 // ── Trend (all stores) ────────────────────────────────────────
 async function getAllStoresWeeklyTrend(weeksBack = 12) {
-  const locs = await getLocations(), weeks = Array.from({ length: weeksBack }, (_, i) => weekRange(weeksBack - 1 - i)), results = [];
+  const locs = await getLocations(), results = [];
   for (const loc of locs) {
-    const unc = weeks.filter(w => !(isWeekCompleted(w) && _weekCache[weekCacheKey(loc.importId, w.start)]));
-    if (unc.length === 0) { results.push({ store: loc, trend: weeks.map(w => _weekCache[weekCacheKey(loc.importId, w.start)]) }); console.log(`  ${loc.name}: cached`); continue; }
-    if (unc.length === 1 && !isWeekCompleted(unc[0])) {
+    const tz = loc.timezone, weeks = weekRanges(weeksBack, tz);
+    const unc = weeks.filter(w => !(isWeekCompleted(w, tz) && _weekCache[weekCacheKey(loc.importId, w.start, tz)]));
+    if (unc.length === 0) { results.push({ store: loc, trend: weeks.map(w => _weekCache[weekCacheKey(loc.importId, w.start, tz)]) }); console.log(`  ${loc.name}: cached`); continue; }
+    if (unc.length === 1 && !isWeekCompleted(unc[0], tz)) {
       console.log(`  ${loc.name}: 1 fresh week...`);
-      const trend = weeks.map(w => { const ck = weekCacheKey(loc.importId, w.start); return (isWeekCompleted(w) && _weekCache[ck]) ? _weekCache[ck] : null; });
-      try { const cw = unc[0], { orders } = await getOrdersForLocation(loc.importId, cw.start, cw.end); trend[weeks.findIndex(w => w.start === cw.start)] = { week: cw, summary: summarizeOrders(orders), error: null }; }
+      const trend = weeks.map(w => { const ck = weekCacheKey(loc.importId, w.start, tz); return (isWeekCompleted(w, tz) && _weekCache[ck]) ? _weekCache[ck] : null; });
+      try { const cw = unc[0], { orders } = await getOrdersForLocation(loc.importId, cw.start, cw.end, tz); trend[weeks.findIndex(w => w.start === cw.start)] = { week: cw, summary: summarizeOrders(orders, agg.WEEK_DIMENSIONS), error: null }; }
       catch (e) { trend[weeks.findIndex(w => w.start === unc[0].start)] = { week: unc[0], summary: null, error: e.message }; }
       results.push({ store: loc, trend }); continue;
     }
     console.log(`  ${loc.name}: streaming ${unc.length} weeks...`);
     try {
-      const trend = await streamBucketFetch(loc.importId, weeks[0].start, weeks[weeks.length-1].end, weeks);
-      for (const e of trend) { if (isWeekCompleted(e.week) && e.summary?.net_sales > 0) _weekCache[weekCacheKey(loc.importId, e.week.start)] = e; }
+      const trend = await streamBucketFetch(loc.importId, weeks[0].start, weeks[weeks.length-1].end, weeks, tz);
+      for (const e of trend) { if (isWeekCompleted(e.week, tz) && e.summary?.net_sales > 0) _weekCache[weekCacheKey(loc.importId, e.week.start, tz)] = e; }
       saveWeekCache(); results.push({ store: loc, trend });
     } catch (e) { console.error(`  ${loc.name} fail: ${e.message}`); results.push({ store: loc, trend: weeks.map(w => ({ week: w, summary: null, error: e.message })) }); }
   }
@@ -288,23 +283,30 @@ async function getAllStoresWeeklyTrend(weeksBack = 12) {
 }
 
 // ── Trend (single store) ──────────────────────────────────────
-async function getWeeklyTrend(importId, weeksBack = 12) {
-  const weeks = Array.from({ length: weeksBack }, (_, i) => weekRange(weeksBack - 1 - i));
-  const unc = weeks.filter(w => !(isWeekCompleted(w) && _weekCache[weekCacheKey(importId, w.start)]));
+// Weeks by the store's clock (tz), as in getAllStoresWeeklyTrend
+async function getWeeklyTrend(importId, weeksBack = 12, tz = TZ) {
+  const weeks = weekRanges(weeksBack, tz);
+  const unc = weeks.filter(w => !(isWeekCompleted(w, tz) && _weekCache[weekCacheKey(importId, w.start, tz)]));
   if (unc.length <= 1) {
-    const trend = weeks.map(w => { const ck = weekCacheKey(importId, w.start); return (isWeekCompleted(w) && _weekCache[ck]) ? _weekCache[ck] : null; });
-    if (unc.length === 1) { try { const { orders } = await getOrdersForLocation(importId, unc[0].start, unc[0].end); trend[weeks.findIndex(w => w.start === unc[0].start)] = { week: unc[0], summary: summarizeOrders(orders), error: null }; } catch (e) { trend[weeks.findIndex(w => w.start === unc[0].start)] = { week: unc[0], summary: null, error: e.message }; } }
+    const trend = weeks.map(w => { const ck = weekCacheKey(importId, w.start, tz); return (isWeekCompleted(w, tz) && _weekCache[ck]) ? _weekCache[ck] : null; });
+    if (unc.length === 1) { try { const { orders } = await getOrdersForLocation(importId, unc[0].start, unc[0].end, tz); trend[weeks.findIndex(w => w.start === unc[0].start)] = { week: unc[0], summary: summarizeOrders(orders, agg.WEEK_DIMENSIONS), error: null }; } catch (e) { trend[weeks.findIndex(w => w.start === unc[0].start)] = { week: unc[0], summary: null, error: e.message }; } }
     return trend;
   }
-  const trend = await streamBucketFetch(importId, weeks[0].start, weeks[weeks.length-1].end, weeks);
-  for (const e of trend) { if (isWeekCompleted(e.week) && e.summary?.net_sales > 0) _weekCache[weekCacheKey(importId, e.week.start)] = e; }
+  const trend = await streamBucketFetch(importId, weeks[0].start, weeks[weeks.length-1].end, weeks, tz);
+  for (const e of trend) { if (isWeekCompleted(e.week, tz) && e.summary?.net_sales > 0) _weekCache[weekCacheKey(importId, e.week.start, tz)] = e; }
   saveWeekCache(); return trend;
 }
 
 // ── Dashboard (with hourly + budtenders piggybacked) ─────────
 // ── Fast dashboard: THIS WEEK only (~5-10s) ───────────────────
-async function getDashboardData() {
-  const tw = weekRange(0), lw = weekRange(1), td = todayRange(), locs = await getLocations();
+// Each store's this week / last week / today are by its own clock; the
+// meta dateRanges are Pacific's (a store elsewhere carries its own).
+function dashboardRanges(tz) {
+  const tw = weekRange(0, tz), lw = weekRange(1, tz), td = todayRange(tz);
+  return { thisWeek: tw, lastWeek: lw, today: td, lastYear: { thisWeek: lastYearRange({ start: tw.start, end: td.start }), today: lastYearRange(td), lastWeek: lastYearRange(lw) } };
+}
+async function getDashboardData(source = apiSource) {
+  const dr = dashboardRanges(), locs = await getLocations();
   console.log('Dashboard (fast): fetching TW for 7 stores...');
 
   const results = [];
@@ -312,36 +314,52 @@ async function getDashboardData() {
   for (let i = 0; i < locs.length; i += PARA) {
     const batch = locs.slice(i, i + PARA);
     const batchResults = await Promise.all(batch.map(async (loc) => {
-      const t0 = Date.now();
+      const t0 = Date.now(), tz = loc.timezone, { thisWeek: tw, lastWeek: lw, today: td, lastYear: lyRanges } = dashboardRanges(tz);
       try {
-        const { orders } = await getOrdersForLocation(loc.importId, tw.start, tw.end);
-        const tws = summarizeOrders(orders);
-        const tds = summarizeOrders(orders.filter(o => {
-          const utc = o.createdAt || o.completedOn || '';
-          if (!utc) return false;
-          return new Date(utc).toLocaleDateString('en-CA', { timeZone: TZ }) === td.start;
-        }));
+        const { orders } = await source.getOrders(loc, tw.start, tw.end);
+        // One pass: the whole week, and today's slice of it
+        const week = agg.createAggregator(), day = agg.createAggregator();
+        for (const o of orders) { const p = agg.prepareOrder(o); week.addPrepared(p); if (localDateOf(o, tz) === td.start) day.addPrepared(p); }
+        const tws = agg.toSummary(week.result()), tds = agg.toSummary(day.result());
 
         // LW summary from disk cache (no API call)
-        const lwCK = weekCacheKey(loc.importId, lw.start);
-        const lws = (isWeekCompleted(lw) && _weekCache[lwCK]) ? _weekCache[lwCK].summary : null;
+        const lwCK = weekCacheKey(loc.importId, lw.start, tz);
+        const lws = (isWeekCompleted(lw, tz) && _weekCache[lwCK]) ? agg.withoutBrands(_weekCache[lwCK].summary) : null;
 
         console.log('  ' + loc.name + ': $' + tds.net_sales + ' today (' + (Date.now() - t0) + 'ms)');
-        return { ...loc, thisWeek: tws, lastWeek: lws, today: tds };
+        const lastYear = await getDashboardLastYear(loc, lyRanges, lw, source);
+        jobs.storeDone(loc, t0, null, { orders: orders.length });
+        return { ...loc, thisWeek: tws, lastWeek: lws, today: tds, lastYear };
       } catch (e) {
         console.error('  ' + loc.name + ': FAIL ' + e.message);
+        jobs.storeDone(loc, t0, e);
         return { ...loc, thisWeek: null, lastWeek: null, today: null };
       }
     }));
     results.push(...batchResults);
   }
 
-  return { meta: { fetchedAt: new Date().toISOString(), dateRanges: { thisWeek: tw, lastWeek: lw, today: td, ytd: ytdRange() } }, stores: results };
+  return { meta: { fetchedAt: new Date().toISOString(), dateRanges: { thisWeek: dr.thisWeek, lastWeek: dr.lastWeek, today: dr.today, ytd: ytdRange(), lastYear: dr.lastYear } }, stores: results };
+}
+
+// Same days last year: this week to date (same weekdays), today's weekday
+// and last week. Headline numbers only; null if last year can't be read.
+async function getDashboardLastYear(loc, ly, lw, source) {
+  try {
+    const { orders } = await source.getOrders(loc, ly.thisWeek.start, ly.thisWeek.end);
+    const week = agg.createAggregator(['kpis']), day = agg.createAggregator(['kpis']);
+    for (const o of orders) { const p = agg.prepareOrder(o); week.addPrepared(p); if (localDateOf(o, loc.timezone) === ly.today.start) day.addPrepared(p); }
+    const [lyLw] = await getLastYearForStore(loc, [lw], source);
+    return { thisWeek: week.result().kpis, today: day.result().kpis, lastWeek: agg.slimSummary(lyLw.summary) };
+  } catch (e) {
+    console.error('  ' + loc.name + ': last year FAIL ' + e.message);
+    return null;
+  }
 }
 
 // ── Store enrichment: LW+PW for hourly/budtenders/categories (~60-90s, background) ──
-async function getStoreEnrichmentData() {
-  const lw = weekRange(1), pw = weekRange(2), locs = await getLocations();
+async function getStoreEnrichmentData(source = apiSource) {
+  const lw = weekRange(1), pw = weekRange(2), locs = await getLocations(); // Pacific's, for the payload
   console.log('StoreEnrich: fetching LW+PW for 7 stores...');
 
   const results = [];
@@ -349,136 +367,148 @@ async function getStoreEnrichmentData() {
   for (let i = 0; i < locs.length; i += PARA) {
     const batch = locs.slice(i, i + PARA);
     const batchResults = await Promise.all(batch.map(async (loc) => {
-      const t0 = Date.now();
+      const t0 = Date.now(), tz = loc.timezone, lw = weekRange(1, tz), pw = weekRange(2, tz);
       try {
-        const { orders: allOrders } = await getOrdersForLocation(loc.importId, pw.start, lw.end);
+        const { orders: allOrders } = await source.getOrders(loc, pw.start, lw.end);
 
-        const lwOrders = allOrders.filter(o => {
-          const d = new Date(o.createdAt || o.completedOn || '').toLocaleDateString('en-CA', { timeZone: TZ });
-          return d >= lw.start && d <= lw.end;
-        });
-        const pwOrders = allOrders.filter(o => {
-          const d = new Date(o.createdAt || o.completedOn || '').toLocaleDateString('en-CA', { timeZone: TZ });
-          return d >= pw.start && d <= pw.end;
-        });
-
-        const lwSummary = summarizeOrders(lwOrders);
-        const pwSummary = summarizeOrders(pwOrders);
-        const hourly = summarizeHourly(allOrders);
+        // One pass: LW / PW summaries plus the hourly grid over both weeks,
+        // and each budtender's top brands last week
+        const weeks = agg.createRangeAggregator([lw, pw], [...agg.WEEK_DIMENSIONS, 'budtender_brands'], { tz }), traffic = agg.createAggregator(['hourly'], { tz });
+        for (const o of allOrders) { const p = agg.prepareOrder(o); weeks.addPrepared(p); traffic.addPrepared(p); }
+        const [lwResult, pwResult] = weeks.results().map(b => b.result);
+        const lwSummary = agg.toSummary(lwResult), pwSummary = agg.toSummary(pwResult);
+        const budtenders = lwSummary.budtenders.map(b => ({ ...b, top_brands: lwResult.budtender_brands[b.name] || [] }));
+        const hourly = traffic.result().hourly;
 
         // Cache LW
-        const lwCK = weekCacheKey(loc.importId, lw.start);
-        if (isWeekCompleted(lw) && lwSummary.net_sales > 0) { _weekCache[lwCK] = { week: lw, summary: lwSummary, error: null }; saveWeekCache(); }
+        const lwCK = weekCacheKey(loc.importId, lw.start, tz);
+        if (isWeekCompleted(lw, tz) && lwSummary.net_sales > 0) { _weekCache[lwCK] = { week: lw, summary: lwSummary, error: null }; saveWeekCache(); }
+
+        // Same week last year (week cache after the first read)
+        let lySummary = null;
+        try { lySummary = (await getLastYearForStore(loc, [lw], source))[0].summary; }
+        catch (e) { console.error('  enrich ' + loc.name + ': last year FAIL ' + e.message); }
 
         // Category trends
-        const pwCatMap = {};
+        const pwCatMap = {}, lyCatMap = {};
         (pwSummary.categories || []).forEach(c => { pwCatMap[c.name] = c; });
+        ((lySummary && lySummary.categories) || []).forEach(c => { lyCatMap[c.name] = c; });
+        const pct = (cur, prev) => (prev && prev.net_sales > 0) ? Math.round(((cur - prev.net_sales) / prev.net_sales) * 1000) / 10 : null;
         const categoryTrend = (lwSummary.categories || []).map(cat => {
-          const prev = pwCatMap[cat.name];
+          const prev = pwCatMap[cat.name], ly = lyCatMap[cat.name];
           return {
             name: cat.name, lw_sales: cat.net_sales, lw_units: cat.units,
             pw_sales: prev ? prev.net_sales : 0, pw_units: prev ? prev.units : 0,
-            wow_pct: (prev && prev.net_sales > 0) ? Math.round(((cat.net_sales - prev.net_sales) / prev.net_sales) * 1000) / 10 : null,
+            wow_pct: pct(cat.net_sales, prev),
+            ly_sales: lySummary ? (ly ? ly.net_sales : 0) : null,
+            yoy_pct: pct(cat.net_sales, ly),
           };
         });
 
         console.log('  enrich ' + loc.name + ': ' + allOrders.length + ' orders (' + (Date.now() - t0) + 'ms)');
-        return { id: loc.id, name: loc.name, color: loc.color, hourly: hourly, budtenders: lwSummary.budtenders, lwCategories: lwSummary.categories, categoryTrend: categoryTrend, lastWeek: lwSummary };
+        jobs.storeDone(loc, t0, null, { orders: allOrders.length });
+        return { id: loc.id, name: loc.name, color: loc.color, hourly: hourly, budtenders: budtenders, lwCategories: lwSummary.categories, categoryTrend: categoryTrend, lastWeek: agg.withoutBrands(lwSummary), lastYearWeek: agg.slimSummary(lySummary) };
       } catch (e) {
         console.error('  enrich ' + loc.name + ': FAIL ' + e.message);
+        jobs.storeDone(loc, t0, e);
         return { id: loc.id, name: loc.name, color: loc.color, hourly: null, budtenders: [], lwCategories: [], categoryTrend: [], lastWeek: null };
       }
     }));
     results.push(...batchResults);
   }
 
-  return { stores: results, lastWeek: lw, priorWeek: pw };
+  return { stores: results, lastWeek: lw, priorWeek: pw, lastYearWeek: lastYearRange(lw) };
 }
 
 // ── Other endpoints ───────────────────────────────────────────
 async function getAllStoresSales(startDate, endDate) {
   const locs = await getLocations(), r = [];
-  for (const loc of locs) { try { const { orders } = await getOrdersForLocation(loc.importId, startDate, endDate); r.push({ store: loc, summary: summarizeOrders(orders), orders }); } catch (e) { r.push({ store: loc, summary: null, orders: [], error: e.message }); } }
+  for (const loc of locs) { try { const { orders } = await getOrdersForLocation(loc.importId, startDate, endDate, loc.timezone); r.push({ store: loc, summary: summarizeOrders(orders), orders }); } catch (e) { r.push({ store: loc, summary: null, orders: [], error: e.message }); } }
   return r;
 }
 
-async function getRawOrderSample(importId) {
-  const td = todayRange(), data = await flowhubGet(`/v1/orders/findByLocationId/${importId}`, { created_after: td.start, created_before: td.end, page_size: 3, page: 1 });
-  return { total: data.total, sample: (data.orders || []).slice(0, 2) };
-}
+function getRawOrderSample(importId) { return pos.sample(importId); }
 
+// Rows are the Pacific dates; each store reads the same weekday by its own
+// clock (its store entry's date)
 async function getSingleDayVsDay(dow, weeksBack = 4) {
-  const locs = await getLocations(), today = todayPacific(), tdow = dowPacific();
+  const locs = await getLocations();
   const dn = ['Sunday','Monday','Tuesday','Wednesday','Thursday','Friday','Saturday'];
-  const dates = [];
-  for (let w = 0; w < weeksBack; w++) { let db = (tdow - dow + 7) % 7; if (db === 0 && w > 0) db = 7*w; else if (w > 0) db += 7*w; const d = addDays(today, -db); if (d <= today) dates.push(d); }
-  const dd = [];
-  for (const date of dates) { console.log(`  DvD: ${dn[dow]} ${date}`); const sr = []; for (const loc of locs) { try { const { orders } = await getOrdersForLocation(loc.importId, date, date); sr.push({ store: loc, summary: summarizeOrders(orders) }); } catch (e) { sr.push({ store: loc, summary: null, error: e.message }); } } dd.push({ date, stores: sr }); }
+  const dd = dowDates(dow, weeksBack).map(date => ({ date, stores: [] }));
+  for (const loc of locs) {
+    const own = dowDates(dow, weeksBack, loc.timezone);
+    for (const [i, date] of own.entries()) { console.log(`  DvD: ${loc.name} ${dn[dow]} ${date}`); try { const { orders } = await getOrdersForLocation(loc.importId, date, date, loc.timezone); dd[i].stores.push({ store: loc, date, summary: summarizeOrders(orders) }); } catch (e) { dd[i].stores.push({ store: loc, date, summary: null, error: e.message }); } }
+  }
   return { dow, dayName: dn[dow], dates: dd };
 }
 
 // ── Bulk DvD: one 28-day fetch per store, builds all 7 DOWs ──
-async function buildAllDayVsDay(weeksBack = 4) {
+// Each store's window ends on its own today and its dates are its own;
+// the rows are labelled with the Pacific dates.
+async function buildAllDayVsDay(weeksBack = 4, source = apiSource) {
   const locs = await getLocations();
-  const today = todayPacific();
   const dn = ['Sunday','Monday','Tuesday','Wednesday','Thursday','Friday','Saturday'];
 
-  // Date range: 28 days back from today
-  const startDate = addDays(today, -(weeksBack * 7));
-  const endDate = today;
-
-  console.log('  DvD bulk: fetching ' + startDate + ' to ' + endDate + ' for ' + locs.length + ' stores...');
+  console.log('  DvD bulk: fetching ' + (weeksBack * 7) + ' days for ' + locs.length + ' stores...');
 
-  // One fetch per store for the full 28-day window
+  // One fetch per store for its last 28 days
   const storeOrders = {};
   for (const loc of locs) {
-    const t0 = Date.now();
+    const t0 = Date.now(), endDate = todayIn(loc.timezone), startDate = addDays(endDate, -(weeksBack * 7));
     try {
-      const { orders } = await getOrdersForLocation(loc.importId, startDate, endDate);
+      const { orders } = await source.getOrders(loc, startDate, endDate);
       storeOrders[loc.id] = { loc: loc, orders: orders };
       console.log('    DvD ' + loc.name + ': ' + orders.length + ' orders (' + (Date.now() - t0) + 'ms)');
+      jobs.storeDone(loc, t0, null, { orders: orders.length });
     } catch (e) {
       console.error('    DvD ' + loc.name + ': FAIL ' + e.message);
+      jobs.storeDone(loc, t0, e);
       storeOrders[loc.id] = { loc: loc, orders: [] };
     }
   }
 
-  // Bucket orders by Pacific date
+  // Same weekdays last year, streamed into one headline aggregator per day
+  // per store (orders aren't kept). Keyed by last year's date.
+  const lyByDate = {};
+  for (const loc of locs) {
+    const endDate = todayIn(loc.timezone), lyStart = sameDayLastYear(addDays(endDate, -(weeksBack * 7))), lyEnd = sameDayLastYear(endDate), lyDays = [];
+    for (let d = lyStart; d <= lyEnd; d = addDays(d, 1)) lyDays.push({ start: d, end: d });
+    try {
+      const days = agg.createRangeAggregator(lyDays, ['kpis'], { tz: loc.timezone });
+      await source.eachPage(loc, lyStart, lyEnd, batch => days.addPage(batch));
+      days.results().forEach(b => { (lyByDate[b.range.start] = lyByDate[b.range.start] || {})[loc.id] = b.result.kpis; });
+    } catch (e) {
+      console.error('    DvD ' + loc.name + ': last year FAIL ' + e.message);
+    }
+  }
+
+  // Bucket orders by each store's local date
   const ordersByDate = {};
   for (const id in storeOrders) {
     const entry = storeOrders[id];
     entry.orders.forEach(function(o) {
-      if (o.voided === true || o.orderStatus === 'voided') return;
-      const ts = o.createdAt || o.completedOn || '';
-      if (!ts) return;
-      const pacificDate = new Date(ts).toLocaleDateString('en-CA', { timeZone: TZ });
-      if (!ordersByDate[pacificDate]) ordersByDate[pacificDate] = {};
-      if (!ordersByDate[pacificDate][id]) ordersByDate[pacificDate][id] = [];
-      ordersByDate[pacificDate][id].push(o);
+      // Voids and returns stay in — summarizeOrders reports them separately
+      if (!(o.createdAt || o.completedOn)) return;
+      const localDate = localDateOf(o, entry.loc.timezone);
+      if (!ordersByDate[localDate]) ordersByDate[localDate] = {};
+      if (!ordersByDate[localDate][id]) ordersByDate[localDate][id] = [];
+      ordersByDate[localDate][id].push(o);
     });
   }
 
   // Build all 7 DOWs
   var results = {};
   for (var dow = 0; dow < 7; dow++) {
-    var tdow = new Date(today + 'T12:00:00').getDay();
-    var dates = [];
-    for (var w = 0; w < weeksBack; w++) {
-      var db = (tdow - dow + 7) % 7;
-      if (db === 0 && w > 0) db = 7 * w;
-      else if (w > 0) db += 7 * w;
-      var d = addDays(today, -db);
-      if (d <= today) dates.push(d);
-    }
-
-    var dd = [];
-    dates.forEach(function(date) {
-      var sr = [];
-      locs.forEach(function(loc) {
+    var own = {};
+    locs.forEach(function(loc) { own[loc.id] = dowDates(dow, weeksBack, loc.timezone); });
+    var dd = dowDates(dow, weeksBack).map(function(label, i) {
+      var sr = locs.map(function(loc) {
+        var date = own[loc.id][i], lyDate = sameDayLastYear(date);
         var dayOrders = (ordersByDate[date] && ordersByDate[date][loc.id]) ? ordersByDate[date][loc.id] : [];
-        sr.push({ store: loc, summary: summarizeOrders(dayOrders) });
+        var ly = lyByDate[lyDate] ? lyByDate[lyDate][loc.id] : null;
+        return { store: loc, date: date, summary: summarizeOrders(dayOrders), ly: ly || null };
       });
-      dd.push({ date: date, stores: sr });
+      return { date: label, lyDate: sameDayLastYear(label), stores: sr };
     });
 
     results[dow] = { dow: dow, dayName: dn[dow], dates: dd };
@@ -487,4 +517,4 @@ async function buildAllDayVsDay(weeksBack = 4) {
   return results;
 }
 
-module.exports = { getLocations, getOrdersForLocation, summarizeOrders, summarizeHourly, extractTopProducts, getAllStoresSales, getWeeklyTrend, getAllStoresWeeklyTrend, getTrendForStore, getDashboardData, getStoreEnrichmentData, getRawOrderSample, getSingleDayVsDay, buildAllDayVsDay, weekRange, todayRange, ytdRange, toDateStr, STORE_CONFIG };
+module.exports = { getLocations, getOrdersForLocation, apiSource, summarizeOrders, summarizeHourly, extractTopProducts, getAllStoresSales, getWeeklyTrend, getAllStoresWeeklyTrend, getTrendForStore, getDashboardData, getStoreEnrichmentData, getLastYearForStore, getPeriodsToDate, getPeriodsToDateData, getRawOrderSample, getSingleDayVsDay, buildAllDayVsDay, weekRange, weekRanges, dowDates, todayRange, ytdRange, qtdRange, mtdRange, priorYearRange, sameDayLastYear, lastYearRange, todayIn, dowIn, todayPacific, dowPacific, addDays, toDateStr, getStoreRegistry, classifyOrder: agg.classifyOrder, streamBucketFetch, TENDER_TYPES: agg.TENDER_TYPES };
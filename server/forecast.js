@@ -0,0 +1,149 @@
+// server/forecast.js
+// ============================================================
+// Sales forecasting — today's close and this week's total per store
+// Today: sales so far, plus what the same weekday usually does after
+// this time of day (its hour-by-hour curve over the last 12 weeks),
+// scaled by how far ahead or behind today is running. This week: the
+// days already done, today's projection and the typical remaining
+// weekdays, scaled the same way. The band is the 10th–90th percentile
+// of the history days. Net sales only — the curves are net, and so is
+// every total they are compared against.
+// ============================================================
+
+const fh = require('./flowhub');
+const agg = require('./aggregate');
+const jobs = require('./jobs');
+
+const HISTORY_WEEKS = parseInt(process.env.FORECAST_HISTORY_WEEKS, 10) || 12;
+const BAND = { low: 0.1, high: 0.9 };
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0]; // Mon..Sun
+
+const { round2 } = agg;
+const round3 = n => Math.round(n * 1000) / 1000;
+const dowOf = date => new Date(date + 'T12:00:00Z').getUTCDay();
+
+function quantile(xs, q) {
+  if (!xs.length) return 0;
+  const s = [...xs].sort((a, b) => a - b), i = (s.length - 1) * q, lo = Math.floor(i);
+  return s[lo] + (s[Math.ceil(i)] - s[lo]) * (i - lo);
+}
+const median = xs => quantile(xs, 0.5);
+
+// ── History profile ───────────────────────────────────────────
+// The last HISTORY_WEEKS weeks of finished days, grouped by weekday:
+//   { asOf, start, end, days: { 0..6: [{ date, hours: [24 × net], total }] } }
+// Days with no sales (closed, or a failed read) are left out rather
+// than dragging every typical day down.
+async function buildProfile(loc, source = fh.apiSource, today = fh.todayIn(loc.timezone)) {
+  const start = fh.addDays(today, -HISTORY_WEEKS * 7), end = fh.addDays(today, -1);
+  const a = agg.createAggregator(['daily_hours'], { tz: loc.timezone });
+  await source.eachPage(loc, start, end, batch => a.addPage(batch));
+  const byDate = a.result().daily_hours;
+
+  const days = {};
+  for (let d = 0; d < 7; d++) days[d] = [];
+  for (let d = start; d <= end; d = fh.addDays(d, 1)) {
+    const hours = byDate[d];
+    if (!hours) continue;
+    const total = round2(hours.reduce((s, h) => s + h, 0));
+    if (total > 0) days[dowOf(d)].push({ date: d, hours, total });
+  }
+  return { asOf: today, start, end, days };
+}
+
+// Each store's history ends at its own yesterday; asOf is Pacific's today
+async function buildProfiles(locations, source = fh.apiSource) {
+  const today = fh.todayPacific(), stores = {};
+  for (const loc of locations) {
+    const t0 = Date.now();
+    try { stores[loc.id] = await buildProfile(loc, source); jobs.storeDone(loc, t0); }
+    catch (e) { console.error(`  ${loc.name}: forecast profile FAIL ${e.message}`); jobs.storeDone(loc, t0, e); }
+  }
+  return { asOf: today, historyWeeks: HISTORY_WEEKS, stores };
+}
+
+// ── Projection ────────────────────────────────────────────────
+// Sales a history day had made by `at` (fractional local hour, 14.5 = 2:30pm)
+function cumAt(hours, at) {
+  const h = Math.min(Math.floor(at), 24);
+  let c = 0;
+  for (let i = 0; i < h; i++) c += hours[i];
+  if (h < 24) c += hours[h] * (at - h);
+  return c;
+}
+
+// Pace is today's sales against the typical day at this hour. It is
+// trusted in proportion to how much of a typical day is done by now, so
+// one early sale doesn't double the forecast and a slow evening can't
+// be undone by a fast morning.
+function shrunkPace(actual, typical, share) {
+  const pace = typical > 0 ? actual / typical : 1;
+  return { pace, k: 1 + share * (pace - 1) };
+}
+
+// history: same-weekday profile days. soFar: today's net so far.
+function projectDay(history, soFar, at) {
+  if (!history || !history.length) return null;
+  const done = history.map(d => cumAt(d.hours, at)), rest = history.map((d, i) => d.total - done[i]);
+  const share = median(history.map((d, i) => done[i] / d.total));
+  const { pace, k } = shrunkPace(soFar, median(done), share);
+  const point = soFar + k * median(rest);
+  const spread = rest.map(r => soFar + k * r);
+  return {
+    soFar: round2(soFar), point: round2(point),
+    low: round2(Math.min(point, quantile(spread, BAND.low))), high: round2(Math.max(point, quantile(spread, BAND.high))),
+    share: round3(share), pace: round3(pace), days: history.length,
+  };
+}
+
+// profile: buildProfile(). dow: today's weekday. before: this week's net
+// up to yesterday. day: projectDay() for today.
+function projectWeek(profile, dow, at, before, day) {
+  if (!day) return null;
+  const totals = d => (profile.days[d] || []).map(x => x.total);
+  const idx = WEEK_ORDER.indexOf(dow), doneDays = WEEK_ORDER.slice(0, idx), restDays = WEEK_ORDER.slice(idx + 1);
+  const typicalDone = doneDays.reduce((s, d) => s + median(totals(d)), 0) + median((profile.days[dow] || []).map(x => cumAt(x.hours, at)));
+  const typicalWeek = WEEK_ORDER.reduce((s, d) => s + median(totals(d)), 0);
+  const share = typicalWeek > 0 ? Math.min(1, typicalDone / typicalWeek) : 0;
+  const { pace, k } = shrunkPace(before + day.soFar, typicalDone, share);
+  const rest = q => k * restDays.reduce((s, d) => s + quantile(totals(d), q), 0);
+  return {
+    soFar: round2(before + day.soFar), point: round2(before + day.point + rest(0.5)),
+    low: round2(before + day.low + rest(BAND.low)), high: round2(before + day.high + rest(BAND.high)),
+    share: round3(share), pace: round3(pace),
+  };
+}
+
+// Weekday and fractional hour of an ISO timestamp in a store's timezone
+function storeClock(ts, tz) {
+  const { dow, hour, minute } = agg.localClock(ts, tz);
+  return { dow, at: hour + minute / 60 };
+}
+
+// ── Forecast payload ──────────────────────────────────────────
+// dashboard: the rebuild worker's dashboard (today / thisWeek / lastWeek
+// per store). profiles: buildProfiles(). Cheap — runs per request.
+function forecast(dashboard, profiles) {
+  const asOf = dashboard.meta.fetchedAt;
+  const stores = dashboard.stores.map(st => {
+    const { dow, at } = storeClock(asOf, st.timezone), profile = profiles.stores[st.id];
+    const base = { id: st.id, name: st.name, color: st.color, lastWeek: st.lastWeek ? st.lastWeek.net_sales : null };
+    if (!profile) return { ...base, today: null, week: null, error: 'no sales history yet' };
+    if (!st.today || !st.thisWeek) return { ...base, today: null, week: null, error: 'no sales for this week yet' };
+    const today = projectDay(profile.days[dow], st.today.net_sales, at);
+    const week = projectWeek(profile, dow, at, st.thisWeek.net_sales - st.today.net_sales, today);
+    return { ...base, today, week, error: today ? null : 'no history for this weekday' };
+  });
+
+  const sum = (key, f) => {
+    const parts = stores.map(s => s[key]).filter(Boolean);
+    return parts.length ? round2(parts.reduce((t, p) => t + p[f], 0)) : null;
+  };
+  const company = {};
+  ['today', 'week'].forEach(key => { company[key] = { soFar: sum(key, 'soFar'), point: sum(key, 'point'), low: sum(key, 'low'), high: sum(key, 'high') }; });
+  company.lastWeek = round2(stores.reduce((t, s) => t + (s.lastWeek || 0), 0));
+
+  return { asOf, profileAsOf: profiles.asOf, historyWeeks: profiles.historyWeeks, band: BAND, dateRanges: dashboard.meta.dateRanges, stores, company };
+}
+
+module.exports = { buildProfile, buildProfiles, projectDay, projectWeek, forecast, cumAt, quantile, HISTORY_WEEKS };
@@ -12,24 +12,88 @@ const NodeCache  = require('node-cache');
 const fh         = require('./flowhub');
 const redis      = require('./redis');
 const rebuild    = require('./rebuild');
+const eod        = require('./eod');
+const reconcile  = require('./reconcile');
+const warehouse  = require('./warehouse');
+const trend      = require('./trend');
+const forecast   = require('./forecast');
+const products   = require('./products');
+const brands     = require('./brands');
+const inventory  = require('./inventory');
+const alerts     = require('./alerts');
+const scheduler  = require('./scheduler');
+const jobs       = require('./jobs');
+const live       = require('./live');
+const users      = require('./users');
+const registry   = require('./stores');
+const session    = require('./session');
+const audit      = require('./audit');
+const agg        = require('./aggregate');
 
 const app   = express();
 const cache = new NodeCache({ stdTTL: parseInt(process.env.CACHE_TTL) || 300 });
 const PORT  = process.env.PORT || 3000;
 
+// req.ip from X-Forwarded-For behind Railway's proxy (login throttling)
+const PROXY_HOPS = parseInt(process.env.TRUST_PROXY, 10);
+app.set('trust proxy', Number.isNaN(PROXY_HOPS) ? 1 : PROXY_HOPS);
 app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
 
 // ── Auth middleware ────────────────────────────────────────────
-function auth(req, res, next) {
-  const pw = process.env.DASHBOARD_PASSWORD;
-  if (!pw) return next();
-  const provided = req.query.key
-    || req.headers.authorization?.replace('Bearer ', '')
-    || req.headers.cookie?.split(';').find(c => c.trim().startsWith('thrive_key='))?.split('=')[1];
-  if (provided === pw) return next();
-  res.status(401).json({ error: 'Unauthorized' });
+// Session cookie from POST /api/login (see session.js, users.js) → req.user.
+// Writes also need the session's X-CSRF-Token.
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+async function auth(req, res, next) {
+  try {
+    req.sessionToken = await session.read(req);
+    req.user = await users.authenticate(req.sessionToken);
+    if (!req.user) return res.status(401).json({ error: 'Unauthorized' });
+    if (req.sessionToken && !SAFE_METHODS.includes(req.method) && !(await session.checkCsrf(req, req.sessionToken))) {
+      return res.status(403).json({ error: 'Missing or invalid CSRF token' });
+    }
+  } catch (err) {
+    console.error('Auth error:', err.message);
+    return res.status(503).json({ error: 'Sign-in unavailable' });
+  }
+  next();
+}
+
+// After auth: users, rebuilds, cache, diagnostics
+function adminOnly(req, res, next) {
+  if (req.user.role === 'admin') return next();
+  res.status(403).json({ error: 'Admin only' });
+}
+
+// ── Store scoping ─────────────────────────────────────────────
+// Every store-level payload goes through these: managers only ever see
+// their own stores, and company totals are their stores' totals.
+function denyStore(req, res, storeId) {
+  if (!storeId || users.canSee(req.user, storeId)) return false;
+  res.status(403).json({ error: `No access to store: ${storeId}` });
+  return true;
+}
+
+const visible = (req, list, idOf) => list.filter(x => users.canSee(req.user, idOf(x)));
+
+// { stores: { id: ... } } payloads (trend, periods)
+function scopeKeyed(req, storesById) {
+  return Object.fromEntries(Object.entries(storesById).filter(([id]) => users.canSee(req.user, id)));
+}
+
+function scopeDashboard(req, d) {
+  return users.storeScope(req.user) ? { ...d, stores: visible(req, d.stores, st => st.id) } : d;
+}
+
+function scopePeriods(req, p) {
+  if (!users.storeScope(req.user)) return p;
+  const stores = scopeKeyed(req, p.stores), company = {};
+  Object.keys(p.company).forEach(k => {
+    const ok = Object.values(stores).filter(st => st[k]);
+    company[k] = { current: agg.mergeSummaries(ok.map(st => st[k].current)), prior: agg.mergeSummaries(ok.map(st => st[k].prior)) };
+  });
+  return { ...p, stores, company };
 }
 
 // ── Internal auth (for rebuild endpoint) ──────────────────────
@@ -57,7 +121,7 @@ function triggerRebuild(section) {
   if (_rebuildingFlags[section]) return; // already in flight
   _rebuildingFlags[section] = true;
   console.log(`→ Triggering async rebuild: ${section}`);
-  rebuild.rebuildSection(section)
+  rebuild.rebuildSection(section, { trigger: 'request' })
     .catch(err => console.error(`Async rebuild ${section} failed:`, err.message))
     .finally(() => { _rebuildingFlags[section] = false; });
 }
@@ -75,18 +139,125 @@ app.get('/health', async (req, res) => {
   });
 });
 
-// Store list
-app.get('/api/stores', async (req, res) => {
+// Store list — the ones this user may see (drives every store selector)
+app.get('/api/stores', auth, async (req, res) => {
   try {
-    const locations = await fh.getLocations();
+    const locations = visible(req, await fh.getLocations(), l => l.id);
     res.json(locations.map(l => ({ id: l.id, name: l.name, color: l.color })));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// ═══════════════════════════════════════════════════════════════
+// ACCOUNTS — sign in, who am I, and user admin (see users.js)
+// ═══════════════════════════════════════════════════════════════
+
+// { username, password } → session cookie + { user, csrfToken, expiresAt }.
+// 429 (with Retry-After) when the IP or the username is throttled.
+app.post('/api/login', async (req, res) => {
+  const username = String(req.body?.username || '').trim().toLowerCase();
+  try {
+    const limited = await session.throttle(req.ip, username);
+    if (limited) {
+      await audit.record(req, 'login', { outcome: 'throttled', user: null, params: { username } });
+      res.setHeader('Retry-After', limited.retryAfter);
+      return res.status(429).json({ error: limited.error });
+    }
+    const signedIn = await users.login(username, req.body?.password);
+    if (!signedIn) {
+      await session.loginFailed(username);
+      await audit.record(req, 'login', { outcome: 'failed', user: null, params: { username } });
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    await session.loginSucceeded(username);
+    const expiresAt = await session.issue(req, res, signedIn.token);
+    console.log(`✓ Login: ${signedIn.user.username}`);
+    await audit.record(req, 'login', { user: signedIn.user, params: { username } });
+    res.json({ user: signedIn.user, csrfToken: await session.csrfToken(signedIn.token), expiresAt });
+  } catch (err) {
+    console.error('Login error:', err.message);
+    res.status(503).json({ error: 'Sign-in unavailable' });
+  }
+});
+
+app.post('/api/logout', auth, async (req, res) => {
+  try {
+    await users.logout(req.sessionToken);
+  } catch (err) {
+    console.error('Logout error:', err.message);
+  }
+  session.clear(req, res);
+  await audit.record(req, 'logout');
+  res.json({ status: 'ok' });
+});
+
+// The signed-in user, plus the CSRF token a reloaded page needs for writes
+app.get('/api/me', auth, async (req, res) => {
+  res.json({ ...req.user, csrfToken: req.sessionToken ? await session.csrfToken(req.sessionToken) : null });
+});
+
+app.get('/api/users', auth, adminOnly, async (req, res) => {
+  try {
+    res.json({ users: await users.list(), roles: users.ROLES });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const storeIds = async () => (await fh.getLocations()).map(l => l.id);
+const sendResult = (res, r, ok = 200) => (r.error ? res.status(r.status).json({ error: r.error }) : res.status(ok).json(r.user));
+
+// What changed, for the audit log: never the password itself
+function userChange(username, body = {}) {
+  const params = { username };
+  ['name', 'role', 'stores', 'disabled'].forEach(k => { if (body[k] !== undefined) params[k] = body[k]; });
+  if (body.password != null) params.password = 'changed';
+  return params;
+}
+
+// Audits the admin's change whether it went through or not
+async function auditUserChange(req, action, username, r) {
+  await audit.record(req, action, { outcome: r.error ? 'failed' : 'ok', params: { ...userChange(username, req.body || {}), ...(r.error ? { error: r.error } : {}) } });
+}
+
+app.post('/api/users', auth, adminOnly, async (req, res) => {
+  try {
+    const r = await users.create(req.body || {}, await storeIds());
+    await auditUserChange(req, 'user.create', r.user ? r.user.username : String(req.body?.username || ''), r);
+    sendResult(res, r, 201);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/users/:username', auth, adminOnly, async (req, res) => {
+  const self = req.params.username === req.user.username;
+  if (self && (req.body?.disabled || (req.body?.role && req.body.role !== req.user.role))) {
+    return res.status(400).json({ error: "You can't disable your own account or change your own role" });
+  }
+  try {
+    const r = await users.update(req.params.username, req.body || {}, await storeIds());
+    await auditUserChange(req, 'user.update', req.params.username, r);
+    sendResult(res, r);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/users/:username', auth, adminOnly, async (req, res) => {
+  if (req.params.username === req.user.username) return res.status(400).json({ error: "You can't delete your own account" });
+  try {
+    const r = await users.remove(req.params.username);
+    await auditUserChange(req, 'user.delete', req.params.username, r);
+    sendResult(res, r);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ★ DIAGNOSTIC — raw order sample
-app.get('/api/diag/order-sample', auth, async (req, res) => {
+app.get('/api/diag/order-sample', auth, adminOnly, async (req, res) => {
   try {
     const locations = await fh.getLocations();
     const sample = await fh.getRawOrderSample(locations[0].importId);
@@ -97,13 +268,13 @@ app.get('/api/diag/order-sample', auth, async (req, res) => {
 });
 
 // ★ DIAGNOSTIC — date test
-app.get('/api/diag/date-test', auth, async (req, res) => {
+app.get('/api/diag/date-test', auth, adminOnly, async (req, res) => {
   try {
     const locations = await fh.getLocations();
     const loc = locations.find(l => l.id === (req.query.store || locations[0].id)) || locations[0];
-    const start = req.query.start || fh.weekRange(1).start;
-    const end = req.query.end || fh.weekRange(1).end;
-    const { total, orders } = await fh.getOrdersForLocation(loc.importId, start, end);
+    const start = req.query.start || fh.weekRange(1, loc.timezone).start;
+    const end = req.query.end || fh.weekRange(1, loc.timezone).end;
+    const { total, orders } = await fh.getOrdersForLocation(loc.importId, start, end, loc.timezone);
     res.json({ store: loc.name, importId: loc.importId, dateRange: { start, end }, total, ordersReturned: orders.length,
       firstOrderDate: orders[0]?.createdAt || null, lastOrderDate: orders[orders.length - 1]?.createdAt || null });
   } catch (err) {
@@ -119,32 +290,272 @@ app.get('/api/dashboard', auth, async (req, res) => {
     // Try Redis
     const redisCached = await rebuild.getCachedDashboard();
     if (redisCached) {
-      return res.json({ ...redisCached, source: 'redis' });
+      return res.json({ ...scopeDashboard(req, redisCached), source: 'redis' });
     }
 
     // Fallback: direct fetch (and trigger background cache)
     triggerRebuild('dashboard');
     const data = await cached('dashboard', 300, () => fh.getDashboardData());
-    res.json({ ...data, source: 'direct' });
+    res.json({ ...scopeDashboard(req, data), source: 'direct' });
   } catch (err) {
     console.error('Dashboard error:', err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
+// ═══════════════════════════════════════════════════════════════
+// PERIOD TO DATE — YTD / QTD / MTD vs prior year. Redis only: built by
+// the rebuild worker from the week cache, never blocks on Flowhub
+// ═══════════════════════════════════════════════════════════════
+app.get('/api/periods', auth, async (req, res) => {
+  try {
+    const redisCached = await rebuild.getCachedPeriods();
+    if (redisCached) return res.json({ ...scopePeriods(req, redisCached), source: 'redis' });
+    triggerRebuild('periods');
+    res.json({ status: 'building', message: 'Period-to-date totals are being built. Refresh in ~60 seconds.' });
+  } catch (err) {
+    console.error('Periods error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// FORECAST — today's close + this week's total per store, with a band.
+// Worked out per request from the Redis dashboard and the worker's
+// intraday profiles (see forecast.js); either missing → building
+// ═══════════════════════════════════════════════════════════════
+app.get('/api/forecast', auth, async (req, res) => {
+  try {
+    const [dashboard, profiles] = await Promise.all([rebuild.getCachedDashboard(), rebuild.getCachedForecastProfiles()]);
+    if (!dashboard) triggerRebuild('dashboard');
+    if (!profiles) triggerRebuild('forecast');
+    if (!dashboard || !profiles) return res.json({ status: 'building', message: 'Forecast history is being built. Refresh in ~60 seconds.' });
+    res.json({ ...forecast.forecast(scopeDashboard(req, dashboard), profiles), source: 'redis' });
+  } catch (err) {
+    console.error('Forecast error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// STATUS — per section: data as of (last success), last failure, its
+// schedule, next run and whether a scheduled run has been missed
+// ═══════════════════════════════════════════════════════════════
+async function sectionStatus() {
+  const [status, sched] = [await rebuild.getSectionStatus(), scheduler.schedules()];
+  const now = Date.now(), sections = {};
+  rebuild.SECTIONS.forEach(name => {
+    const st = status[name] || {};
+    sections[name] = {
+      asOf: st.lastSuccessAt || null, lastRunAt: st.lastRunAt || null, ok: st.ok ?? null,
+      lastFailureAt: st.lastFailureAt || null, lastError: st.lastError || null, durationMs: st.durationMs ?? null,
+      ...scheduler.staleness(sched[name], status[name], now),
+    };
+  });
+  return { now: new Date(now).toISOString(), scheduler: scheduler.ENABLED ? 'on' : 'off', sections };
+}
+
+app.get('/api/status', auth, async (req, res) => {
+  try {
+    res.json(await sectionStatus());
+  } catch (err) {
+    console.error('Status error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// LIVE — server-sent events for the Executive tab: a 'snapshot'
+// ({ kpis, transactions }) on connect, then 'kpis' each time the
+// dashboard is rebuilt and 'transactions' when a sync brings in large
+// sales (see live.js). A comment line every 25s keeps proxies open.
+// ═══════════════════════════════════════════════════════════════
+app.get('/api/live', auth, async (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  const write = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // Only this user's stores; nothing at all when none of it is theirs
+  const send = (event, data) => {
+    if (event === 'kpis') return write(event, scopeDashboard(req, data));
+    if (event === 'transactions') { const mine = visible(req, data, t => t.store.id); return mine.length && write(event, mine); }
+    if (event === 'snapshot') return write(event, { ...data, kpis: data.kpis && scopeDashboard(req, data.kpis), transactions: visible(req, data.transactions, t => t.store.id) });
+    write(event, data);
+  };
+  const unsubscribe = live.subscribe(send);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  res.on('close', () => { clearInterval(keepAlive); unsubscribe(); });
+  try {
+    const today = Object.fromEntries((await fh.getLocations()).map(l => [l.id, fh.todayIn(l.timezone)]));
+    send('snapshot', { ...(await live.snapshot(today)), largeTxn: live.LARGE_TXN });
+  } catch (err) {
+    console.error('Live error:', err.message);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ALERTS — anomaly feed written by the rebuild worker, newest first
+// ?limit= (default 50, max 500), ?store=, ?since= (ISO time)
+// ═══════════════════════════════════════════════════════════════
+app.get('/api/alerts', auth, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    if (denyStore(req, res, req.query.store)) return;
+    res.json(await alerts.getFeed({ limit, store: req.query.store, since: req.query.since, stores: users.storeScope(req.user) }));
+  } catch (err) {
+    console.error('Alerts error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// REBUILD JOBS — every rebuild run (full, section, scheduled) with
+// per-section / per-store progress; see jobs.js
+// ═══════════════════════════════════════════════════════════════
+
+// Recent runs, newest first: ?limit= (default 50, max 200), ?status=, ?target=
+app.get('/api/rebuild/jobs', auth, adminOnly, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    res.json(await jobs.history({ limit, status: req.query.status, target: req.query.target }));
+  } catch (err) {
+    console.error('Jobs error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/rebuild/jobs/:id', auth, adminOnly, async (req, res) => {
+  try {
+    const job = await jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: `Unknown job: ${req.params.id}` });
+    res.json(job);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Server-sent events: snapshot, then section / store / progress, then done
+app.get('/api/rebuild/jobs/:id/events', auth, adminOnly, async (req, res) => {
+  let stop = null, closed = false;
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (event === 'done') res.end();
+  };
+  res.on('close', () => { closed = true; if (stop) stop(); });
+  try {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    stop = await jobs.watch(req.params.id, send);
+    if (!stop) send('done', { job: null, error: `Unknown job: ${req.params.id}` });
+    else if (closed) stop();
+  } catch (err) {
+    send('done', { job: null, error: err.message });
+  }
+});
+
+// Start a rebuild from the dashboard: ?section= (default: everything) → 202 { jobId }
+app.post('/api/rebuild', auth, adminOnly, async (req, res) => {
+  const target = req.query.section || 'all';
+  const started = rebuild.start(target, { trigger: 'dashboard' });
+  await audit.record(req, 'rebuild', { outcome: started ? 'ok' : 'failed', params: { section: target, ...(started ? { jobId: started.job.id } : {}) } });
+  if (!started) return res.status(400).json({ error: `Unknown section: ${target}` });
+  console.log(`→ Rebuild from dashboard: ${target}`);
+  res.status(202).json({ status: 'started', jobId: started.job.id });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// STORE REGISTRY — names, colors, timezones, hours, open dates and
+// status per Flowhub location (see stores.js). Cached sections pick a
+// change up on their next rebuild.
+// ═══════════════════════════════════════════════════════════════
+// ?refresh=1 asks Flowhub for its location list again first
+app.get('/api/stores/registry', auth, adminOnly, async (req, res) => {
+  try {
+    const list = await fh.getStoreRegistry(req.query.refresh === '1');
+    res.json({ stores: list, statuses: registry.STATUSES, defaultTimezone: registry.DEFAULT_TZ, defaultHours: registry.DEFAULT_HOURS });
+  } catch (err) {
+    console.error('Store registry error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Partial: id (pending stores only), name, color, timezone, hours, openDate, status
+app.put('/api/stores/registry/:importId', auth, adminOnly, async (req, res) => {
+  const body = req.body || {};
+  try {
+    const r = await registry.update(req.params.importId, body);
+    const params = { importId: req.params.importId, store: r.before ? r.before.id : null };
+    ['id', 'name', 'color', 'timezone', 'hours', 'openDate', 'status'].forEach(k => { if (body[k] !== undefined) params[k] = body[k]; });
+    await audit.record(req, 'store.update', { outcome: r.error ? 'failed' : 'ok', params: r.error ? { ...params, error: r.error } : params });
+    if (r.error) return res.status(r.status).json({ error: r.error });
+    cache.flushAll();
+    res.json(r.store);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// AUDIT LOG — admin search and export; see audit.js
+// Filters: ?from= &to= (Pacific YYYY-MM-DD), ?user=, ?action=, ?outcome=,
+// ?ip=, ?q= (text anywhere in the entry)
+// ═══════════════════════════════════════════════════════════════
+function auditFilters(q) {
+  const f = {};
+  ['from', 'to', 'user', 'action', 'outcome', 'ip', 'q'].forEach(k => { if (q[k]) f[k] = String(q[k]).trim(); });
+  if ([f.from, f.to].some(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d))) return { error: 'from and to must be YYYY-MM-DD' };
+  return { filters: f };
+}
+
+// Newest first: ?limit= (default 100, max 500), ?offset=
+app.get('/api/audit', auth, adminOnly, async (req, res) => {
+  const { filters, error } = auditFilters(req.query);
+  if (error) return res.status(400).json({ error });
+  try {
+    const page = { limit: parseInt(req.query.limit, 10) || 100, offset: parseInt(req.query.offset, 10) || 0 };
+    res.json({ ...(await audit.search(filters, page)), actions: audit.ACTIONS });
+  } catch (err) {
+    console.error('Audit error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Download every match: ?format=csv (default) | json. Exporting is audited too.
+app.get('/api/audit/export', auth, adminOnly, async (req, res) => {
+  const { filters, error } = auditFilters(req.query);
+  if (error) return res.status(400).json({ error });
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  try {
+    const out = await audit.exportLog(filters, format);
+    await audit.record(req, 'export', { params: { what: 'audit', format, filters, rows: out.rows } });
+    const name = `audit-${filters.from || 'start'}-to-${filters.to || fh.todayPacific()}.${format}`;
+    res.setHeader('Content-Type', format === 'json' ? 'application/json' : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+    if (out.truncated) res.setHeader('X-Audit-Truncated', String(audit.EXPORT_MAX));
+    res.send(out.body);
+  } catch (err) {
+    console.error('Audit export error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════
 // TREND — Redis only, never blocks on Flowhub
+// ?weeks=12|26|52|104|156 (others round up), ?granularity=week|month|quarter
 // ═══════════════════════════════════════════════════════════════
+function trendSection(weeks) { return weeks === 12 ? 'trend' : `trend:${weeks}`; }
+
 app.get('/api/trend', auth, async (req, res) => {
+  const weeks = trend.normalizeWeeks(req.query.weeks);
+  const granularity = trend.normalizeGranularity(req.query.granularity);
   try {
-    const redisCached = await rebuild.getCachedTrend();
+    const redisCached = await rebuild.getCachedTrend(weeks);
     if (redisCached) {
-      return res.json({ source: 'redis', ...redisCached });
+      const rolled = trend.rollup(redisCached, granularity);
+      return res.json({ source: 'redis', ...rolled, stores: scopeKeyed(req, rolled.stores), weeks });
     }
 
     // No cache — trigger rebuild, return building status
-    triggerRebuild('trend');
-    return res.json({ status: 'building', message: 'Trend data is being built. Refresh in ~60 seconds.' });
+    triggerRebuild(trendSection(weeks));
+    return res.json({ status: 'building', weeks, granularity, message: 'Trend data is being built. Refresh in ~60 seconds.' });
   } catch (err) {
     console.error('Trend error:', err.message);
     res.status(500).json({ error: err.message });
@@ -155,27 +566,37 @@ app.get('/api/trend', auth, async (req, res) => {
 // TREND (single store) — extract from Redis all-stores cache
 // ═══════════════════════════════════════════════════════════════
 app.get('/api/trend/:storeId', auth, async (req, res) => {
-  const weeks = Math.min(parseInt(req.query.weeks) || 12, 52);
+  const weeks = trend.normalizeWeeks(req.query.weeks);
+  const granularity = trend.normalizeGranularity(req.query.granularity);
+  if (denyStore(req, res, req.params.storeId)) return;
   try {
+    const locations = await fh.getLocations();
+    const loc = locations.find(l => l.id === req.params.storeId);
+
     // Try Redis
-    const allCached = await rebuild.getCachedTrend();
+    const allCached = await rebuild.getCachedTrend(weeks);
     if (allCached && allCached.stores[req.params.storeId]) {
       const storeData = allCached.stores[req.params.storeId];
-      const locations = await fh.getLocations();
-      const loc = locations.find(l => l.id === req.params.storeId);
+      const rolled = trend.rollup({ ...allCached, stores: { [req.params.storeId]: storeData } }, granularity).stores[req.params.storeId];
       return res.json({
-        source: 'redis',
+        source: 'redis', weeks, granularity,
         store: loc || { id: req.params.storeId, name: storeData.name, color: storeData.color },
-        trend: storeData.weeks.map(w => ({ week: { start: w.week, end: w.weekEnd }, summary: w.summary, error: w.error })),
+        trend: granularity === 'week'
+          ? storeData.weeks.map(w => ({ week: { start: w.week, end: w.weekEnd }, summary: w.summary, ly: w.ly || null, error: w.error }))
+          : rolled.periods.map(p => ({ period: { key: p.period, label: p.label, start: p.start, end: p.end, weeks: p.weeks, complete: p.complete }, summary: p.summary, ly: p.ly, error: p.error })),
       });
     }
 
-    // Fallback: direct
-    const locations = await fh.getLocations();
-    const loc = locations.find(l => l.id === req.params.storeId);
     if (!loc) return res.status(404).json({ error: 'Store not found' });
-    const data = await cached(`trend_${loc.id}_${weeks}`, 1800, () => fh.getWeeklyTrend(loc.importId, weeks));
-    res.json({ source: 'direct', store: loc, trend: data });
+    // Longer ranges are only ever built by the worker, from the week cache
+    if (weeks !== 12 || granularity !== 'week') {
+      triggerRebuild(trendSection(weeks));
+      return res.json({ status: 'building', weeks, granularity, message: 'Trend data is being built. Refresh in ~60 seconds.' });
+    }
+
+    // Fallback: direct
+    const data = await cached(`trend_${loc.id}_${weeks}`, 1800, () => fh.getWeeklyTrend(loc.importId, weeks, loc.timezone));
+    res.json({ source: 'direct', weeks, granularity, store: loc, trend: data });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -184,20 +605,24 @@ app.get('/api/trend/:storeId', auth, async (req, res) => {
 // ═══════════════════════════════════════════════════════════════
 // DAY VS DAY — Redis first, fallback to direct
 // ═══════════════════════════════════════════════════════════════
+function scopeDvd(req, d) {
+  return users.storeScope(req.user) ? { ...d, dates: d.dates.map(day => ({ ...day, stores: visible(req, day.stores, s => s.store.id) })) } : d;
+}
+
 app.get('/api/day-vs-day', auth, async (req, res) => {
-  const dow = parseInt(req.query.dow ?? new Date().getDay());
+  const dow = parseInt(req.query.dow ?? fh.dowPacific());
   const weeks = Math.min(parseInt(req.query.weeks) || 4, 8);
   try {
     // Try Redis
     const redisCached = await rebuild.getCachedDvd(dow);
     if (redisCached) {
-      return res.json({ ...redisCached, source: 'redis' });
+      return res.json({ ...scopeDvd(req, redisCached), source: 'redis' });
     }
 
     // Fallback: direct fetch (and trigger full dvd rebuild)
     triggerRebuild('dvd');
     const data = await cached(`dvd_${dow}_${weeks}`, 1800, () => fh.getSingleDayVsDay(dow, weeks));
-    res.json({ ...data, source: 'direct' });
+    res.json({ ...scopeDvd(req, data), source: 'direct' });
   } catch (err) {
     console.error('Day vs Day error:', err.message);
     res.status(500).json({ error: err.message });
@@ -210,6 +635,8 @@ app.get('/api/day-vs-day', auth, async (req, res) => {
 app.get('/api/employees', auth, async (req, res) => {
   const { store, start, end } = req.query;
   if (!store || !start || !end) return res.status(400).json({ error: 'store, start, end required' });
+  if (denyStore(req, res, store)) return;
+  await audit.record(req, 'budtenders.view', { params: { store, start, end } });
   try {
     // Try Redis (only for last-week queries, which is what the tab uses)
     const redisCached = await rebuild.getCachedBudtenders(store);
@@ -223,7 +650,7 @@ app.get('/api/employees', auth, async (req, res) => {
     const loc = locations.find(l => l.id === store);
     if (!loc) return res.status(404).json({ error: 'Store not found' });
     const data = await cached(`emp_${store}_${start}_${end}`, 600, async () => {
-      const { orders } = await fh.getOrdersForLocation(loc.importId, start, end);
+      const { orders } = await fh.getOrdersForLocation(loc.importId, start, end, loc.timezone);
       return { store: loc, employees: fh.summarizeOrders(orders).budtenders };
     });
     res.json({ ...data, source: 'direct' });
@@ -236,6 +663,7 @@ app.get('/api/employees', auth, async (req, res) => {
 // STORE DETAIL — hourly heatmap + category trends from Redis
 // ═══════════════════════════════════════════════════════════════
 app.get('/api/store-detail/:storeId', auth, async (req, res) => {
+  if (denyStore(req, res, req.params.storeId)) return;
   try {
     const redisCached = await rebuild.getCachedStoreDetail(req.params.storeId);
     if (redisCached) {
@@ -251,6 +679,162 @@ app.get('/api/store-detail/:storeId', auth, async (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════════
+// PRODUCT ANALYTICS — every store's products over the 12-week trend,
+// from the worker's catalog (see products.js). Ranked and compared per
+// request over the stores the user can see; ?store= narrows to one.
+// ?q= &category= &brand= &status= &sort=net|units|change|name &limit= &offset=
+// ═══════════════════════════════════════════════════════════════
+async function productCatalog(req, res) {
+  const catalog = await rebuild.getCachedProducts();
+  if (catalog) return { catalog, storeIds: Object.keys(catalog.stores).filter(id => users.canSee(req.user, id) && (!req.query.store || id === req.query.store)) };
+  triggerRebuild('products');
+  res.json({ status: 'building', message: 'Product analytics are being built. Refresh in ~60 seconds.' });
+  return null;
+}
+
+app.get('/api/product-analytics', auth, async (req, res) => {
+  if (denyStore(req, res, req.query.store)) return;
+  try {
+    const found = await productCatalog(req, res);
+    if (!found) return;
+    res.json({ generatedAt: found.catalog.generatedAt, ...products.rank(found.catalog, found.storeIds, req.query), source: 'redis' });
+  } catch (err) {
+    console.error('Product analytics error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// One product (its key from the ranking) across stores
+app.get('/api/product-analytics/:key', auth, async (req, res) => {
+  if (denyStore(req, res, req.query.store)) return;
+  try {
+    const found = await productCatalog(req, res);
+    if (!found) return;
+    const data = products.compare(found.catalog, req.params.key, found.storeIds);
+    if (!data) return res.status(404).json({ error: 'Product not found' });
+    res.json({ generatedAt: found.catalog.generatedAt, ...data, source: 'redis' });
+  } catch (err) {
+    console.error('Product analytics error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// BRANDS — share of category by store and week, from the brand rows the
+// 12-week trend rebuild caches (see brands.js). Worked out per request
+// over the stores the user can see; ?store= narrows to one, ?week= picks
+// a week start (the last completed week by default).
+// ═══════════════════════════════════════════════════════════════
+async function brandCache(req, res) {
+  const brandRows = await rebuild.getCachedBrands();
+  if (brandRows) return { brandRows, storeIds: Object.keys(brandRows.stores).filter(id => users.canSee(req.user, id) && (!req.query.store || id === req.query.store)) };
+  triggerRebuild('trend');
+  res.json({ status: 'building', message: 'Brand analytics are being built. Refresh in ~60 seconds.' });
+  return null;
+}
+
+// Every brand (?category= for share of one category), with each
+// budtender's top brands last week
+app.get('/api/brands', auth, async (req, res) => {
+  if (denyStore(req, res, req.query.store)) return;
+  try {
+    const found = await brandCache(req, res);
+    if (!found) return;
+    const data = brands.overview(found.brandRows, found.storeIds, req.query);
+    if (data.error) return res.status(data.status).json({ error: data.error });
+    const bt = await Promise.all(found.storeIds.map(id => rebuild.getCachedBudtenders(id)));
+    res.json({ generatedAt: found.brandRows.generatedAt, ...data, budtenders: brands.budtenderBrands(bt), source: 'redis' });
+  } catch (err) {
+    console.error('Brands error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// One brand's vendor scorecard
+app.get('/api/brands/:brand', auth, async (req, res) => {
+  if (denyStore(req, res, req.query.store)) return;
+  try {
+    const found = await brandCache(req, res);
+    if (!found) return;
+    const data = brands.scorecard(found.brandRows, req.params.brand, found.storeIds, req.query);
+    if (!data) return res.status(404).json({ error: 'Brand not found' });
+    if (data.error) return res.status(data.status).json({ error: data.error });
+    res.json({ generatedAt: found.brandRows.generatedAt, ...data, source: 'redis' });
+  } catch (err) {
+    console.error('Brands error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The scorecard's 12 weeks by store and category: ?format=csv (default) |
+// json. Exporting is audited.
+app.get('/api/brands/:brand/export', auth, async (req, res) => {
+  if (denyStore(req, res, req.query.store)) return;
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  try {
+    const found = await brandCache(req, res);
+    if (!found) return;
+    const out = brands.exportScorecard(found.brandRows, req.params.brand, found.storeIds, format);
+    if (!out) return res.status(404).json({ error: 'Brand not found' });
+    await audit.record(req, 'export', { params: { what: 'brand-scorecard', format, brand: req.params.brand, store: req.query.store || null, rows: out.rows } });
+    const name = `scorecard-${req.params.brand.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${found.brandRows.weekStarts[0]}.${format}`;
+    res.setHeader('Content-Type', format === 'json' ? 'application/json' : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+    res.send(out.body);
+  } catch (err) {
+    console.error('Brand export error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// INVENTORY — stock on hand (the worker's read of each store's POS)
+// joined with the product catalog's sales velocity per request (see
+// inventory.js): days of supply, stockout dates, dead stock, overstock,
+// and transfers between the stores the user can see.
+// ?status=out|reorder|overstock|dead|ok &category= &q= &sort=
+// ═══════════════════════════════════════════════════════════════
+async function inventoryCaches(req, res) {
+  const [inv, catalog] = await Promise.all([rebuild.getCachedInventory(), rebuild.getCachedProducts()]);
+  if (inv && catalog) {
+    const ids = [...Object.keys(inv.stores), ...inv.unsupported, ...Object.keys(inv.errors)];
+    return { inv, catalog, storeIds: ids.filter(id => users.canSee(req.user, id) && (!req.query.store || id === req.query.store)) };
+  }
+  triggerRebuild(inv ? 'products' : 'inventory');
+  res.json({ status: 'building', message: 'Inventory is being read. Refresh in ~60 seconds.' });
+  return null;
+}
+
+// The company view: each store's totals and the suggested transfers
+app.get('/api/inventory', auth, async (req, res) => {
+  if (denyStore(req, res, req.query.store)) return;
+  try {
+    const found = await inventoryCaches(req, res);
+    if (!found) return;
+    res.json({ ...inventory.company(found.inv, found.catalog, found.storeIds), source: 'redis' });
+  } catch (err) {
+    console.error('Inventory error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// One store's reorder list
+app.get('/api/inventory/:store', auth, async (req, res) => {
+  if (denyStore(req, res, req.params.store)) return;
+  try {
+    const found = await inventoryCaches(req, res);
+    if (!found) return;
+    if (found.inv.unsupported.includes(req.params.store)) return res.status(404).json({ error: 'No stock feed for this store' });
+    const data = inventory.reorderList(found.inv, found.catalog, req.params.store, req.query);
+    if (!data) return res.status(404).json({ error: 'Store not found' });
+    res.json({ ...data, source: 'redis' });
+  } catch (err) {
+    console.error('Inventory error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════
 // REMAINING ROUTES (no Redis caching — user-driven queries)
 // ═══════════════════════════════════════════════════════════════
@@ -259,13 +843,14 @@ app.get('/api/store-detail/:storeId', auth, async (req, res) => {
 app.get('/api/sales', auth, async (req, res) => {
   const { start, end, store } = req.query;
   if (!start || !end) return res.status(400).json({ error: 'start and end required (YYYY-MM-DD)' });
+  if (denyStore(req, res, store)) return;
   try {
     if (store) {
       const locations = await fh.getLocations();
       const loc = locations.find(l => l.id === store);
       if (!loc) return res.status(404).json({ error: 'Store not found' });
       const data = await cached(`sales_${store}_${start}_${end}`, 300, async () => {
-        const { orders } = await fh.getOrdersForLocation(loc.importId, start, end);
+        const { orders } = await fh.getOrdersForLocation(loc.importId, start, end, loc.timezone);
         return { store: loc, summary: fh.summarizeOrders(orders) };
       });
       res.json(data);
@@ -275,7 +860,7 @@ app.get('/api/sales', auth, async (req, res) => {
           results.map(r => ({ store: r.store, summary: r.summary, error: r.error }))
         )
       );
-      res.json(data);
+      res.json(visible(req, data, r => r.store.id));
     }
   } catch (err) {
     console.error('Sales error:', err.message);
@@ -287,12 +872,13 @@ app.get('/api/sales', auth, async (req, res) => {
 app.get('/api/products', auth, async (req, res) => {
   const { store, start, end, limit = 15 } = req.query;
   if (!store || !start || !end) return res.status(400).json({ error: 'store, start, end required' });
+  if (denyStore(req, res, store)) return;
   try {
     const locations = await fh.getLocations();
     const loc = locations.find(l => l.id === store);
     if (!loc) return res.status(404).json({ error: 'Store not found' });
     const data = await cached(`products_${store}_${start}_${end}_${limit}`, 600, async () => {
-      const { orders } = await fh.getOrdersForLocation(loc.importId, start, end);
+      const { orders } = await fh.getOrdersForLocation(loc.importId, start, end, loc.timezone);
       return { store: loc, products: fh.extractTopProducts(orders, parseInt(limit)) };
     });
     res.json(data);
@@ -305,12 +891,13 @@ app.get('/api/products', auth, async (req, res) => {
 app.get('/api/categories', auth, async (req, res) => {
   const { store, start, end } = req.query;
   if (!store || !start || !end) return res.status(400).json({ error: 'store, start, end required' });
+  if (denyStore(req, res, store)) return;
   try {
     const locations = await fh.getLocations();
     const loc = locations.find(l => l.id === store);
     if (!loc) return res.status(404).json({ error: 'Store not found' });
     const data = await cached(`cats_${store}_${start}_${end}`, 600, async () => {
-      const { orders } = await fh.getOrdersForLocation(loc.importId, start, end);
+      const { orders } = await fh.getOrdersForLocation(loc.importId, start, end, loc.timezone);
       return { store: loc, categories: fh.summarizeOrders(orders).categories };
     });
     res.json(data);
@@ -320,46 +907,130 @@ app.get('/api/categories', auth, async (req, res) => {
 });
 
 // ═══════════════════════════════════════════════════════════════
-// REBUILD ENDPOINTS
+// END OF DAY REPORTS — Flowhub EOD CSV upload + lookup
 // ═══════════════════════════════════════════════════════════════
 
-// Full rebuild
-app.post('/internal/rebuild', internalAuth, async (req, res) => {
-  console.log('→ Full rebuild triggered');
+// A real calendar date: YYYY-MM-DD that survives a round trip through
+// Date (no Feb 31st, no month 13)
+function isDate(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s || '')) return false;
+  const d = new Date(s + 'T00:00:00Z');
+  return !Number.isNaN(d.getTime()) && d.toISOString().startsWith(s);
+}
+
+// Upload: raw CSV body (Content-Type: text/csv) or JSON { csv, store, date, filename }
+// ?store= optional (detected from the report header), ?date= optional if the
+// filename carries it ("... 2026-03-11.csv")
+app.post('/api/eod', auth, express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  const body = typeof req.body === 'string' ? { csv: req.body } : (req.body || {});
+  const csv = body.csv;
+  if (!csv) return res.status(400).json({ error: 'CSV body required' });
   try {
-    const result = await rebuild.rebuildAll();
-    res.json(result);
+    let report;
+    try { report = eod.parseEodCsv(csv); }
+    catch (err) { return res.status(400).json({ error: err.message }); }
+
+    const filename = body.filename || req.query.filename || req.headers['x-filename'] || '';
+    const date = req.query.date || body.date || (filename.match(/(\d{4}-\d{2}-\d{2})(?!.*\d{4}-\d{2}-\d{2})/) || [])[1];
+    if (!isDate(date)) return res.status(400).json({ error: 'date required (YYYY-MM-DD)' });
+
+    const locations = await fh.getLocations();
+    const storeId = req.query.store || body.store || eod.matchStoreId(report.locationName, locations);
+    const loc = locations.find(l => l.id === storeId);
+    if (!loc) return res.status(404).json({ error: `Store not found for "${report.locationName}"` });
+    if (denyStore(req, res, loc.id)) return;
+
+    const doc = await eod.saveReport(loc.id, date, report, { filename: filename || null });
+    cache.del(cache.keys().filter(k => k.startsWith('recon_')));
+    console.log(`✓ EOD ${loc.name} ${date}: ${report.drawers.length} drawers, $${report.totals.total_sales}`);
+    res.json({ status: 'ok', store: loc.id, date, totals: doc.totals, drawers: doc.drawers.length });
   } catch (err) {
-    res.status(500).json({ status: 'error', error: err.message });
+    console.error('EOD upload error:', err.message);
+    res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/internal/rebuild', internalAuth, async (req, res) => {
-  console.log('→ Full rebuild triggered (GET)');
+// Lookup: ?store=X&date=YYYY-MM-DD → report; ?store=X alone → available dates
+app.get('/api/eod', auth, async (req, res) => {
+  const { store, date } = req.query;
+  if (!store) return res.status(400).json({ error: 'store required' });
+  if (date && !isDate(date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  if (denyStore(req, res, store)) return;
   try {
-    const result = await rebuild.rebuildAll();
-    res.json(result);
+    if (!date) return res.json({ store, dates: await eod.listReportDates(store) });
+    const report = await eod.getReport(store, date);
+    if (!report) return res.status(404).json({ error: 'No EOD report for that store/date' });
+    res.json(report);
   } catch (err) {
-    res.status(500).json({ status: 'error', error: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// Section rebuild
-app.post('/internal/rebuild/:section', internalAuth, async (req, res) => {
-  console.log(`→ Section rebuild: ${req.params.section}`);
+// ═══════════════════════════════════════════════════════════════
+// RECONCILIATION — EOD drawer report vs POS orders (default: yesterday)
+// ═══════════════════════════════════════════════════════════════
+app.get('/api/reconciliation', auth, async (req, res) => {
+  const date = req.query.date || fh.addDays(fh.todayPacific(), -1);
+  const { store } = req.query;
+  if (!isDate(date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  if (denyStore(req, res, store)) return;
   try {
-    const result = await rebuild.rebuildSection(req.params.section);
-    res.json({ status: 'ok', section: req.params.section });
+    if (store) {
+      const locations = await fh.getLocations();
+      const loc = locations.find(l => l.id === store);
+      if (!loc) return res.status(404).json({ error: 'Store not found' });
+      const data = await cached(`recon_${store}_${date}`, 300, () => reconcile.reconcileStoreDay(loc, date));
+      if (!data) return res.status(404).json({ error: 'No EOD report for that store/date' });
+      return res.json(data);
+    }
+    const data = await cached(`recon_all_${date}`, 300, () => reconcile.reconcileDay(date));
+    res.json({ ...data, stores: visible(req, data.stores, r => r.store.id) });
   } catch (err) {
-    res.status(500).json({ status: 'error', error: err.message });
+    console.error('Reconciliation error:', err.message);
+    res.status(500).json({ error: err.message });
   }
 });
 
+// ═══════════════════════════════════════════════════════════════
+// REBUILD ENDPOINTS
+// ═══════════════════════════════════════════════════════════════
+
+// Full / section rebuild. Waits and returns the job's result (HTTP 500
+// when it ended in error); ?wait=0 returns 202 with the job id at once.
+async function runRebuild(req, res, target) {
+  const started = rebuild.start(target, { trigger: 'api' });
+  await audit.record(req, 'rebuild', { outcome: started ? 'ok' : 'failed', params: { section: target, ...(started ? { jobId: started.job.id } : {}) } });
+  if (!started) return res.status(400).json({ status: 'error', error: `Unknown section: ${target}` });
+  if (req.query.wait === '0') return res.status(202).json({ status: 'started', jobId: started.job.id });
+  const result = await started.done;
+  res.status(result.status === 'error' ? 500 : 200).json(result);
+}
+
+app.post('/internal/rebuild', internalAuth, (req, res) => {
+  console.log('→ Full rebuild triggered');
+  runRebuild(req, res, 'all');
+});
+
+app.get('/internal/rebuild', internalAuth, (req, res) => {
+  console.log('→ Full rebuild triggered (GET)');
+  runRebuild(req, res, 'all');
+});
+
+app.post('/internal/rebuild/:section', internalAuth, (req, res) => {
+  console.log(`→ Section rebuild: ${req.params.section}`);
+  runRebuild(req, res, req.params.section);
+});
+
 // Cache status
 app.get('/internal/cache-status', internalAuth, async (req, res) => {
   const redisOk = await redis.ping();
   const trend = await rebuild.getCachedTrend();
   const dashboard = await rebuild.getCachedDashboard();
+  const periods = await rebuild.getCachedPeriods();
+  const profiles = await rebuild.getCachedForecastProfiles();
+  const catalog = await rebuild.getCachedProducts();
+  const brandRows = await rebuild.getCachedBrands();
+  const stock = await rebuild.getCachedInventory();
   const dvdResults = {};
   for (let d = 0; d < 7; d++) {
     const v = await rebuild.getCachedDvd(d);
@@ -370,12 +1041,43 @@ app.get('/internal/cache-status', internalAuth, async (req, res) => {
     inMemoryKeys: cache.keys().length,
     trend: trend ? { generatedAt: trend.generatedAt, stores: Object.keys(trend.stores).length } : null,
     dashboard: dashboard ? { fetchedAt: dashboard.meta?.fetchedAt } : null,
+    periods: periods ? { generatedAt: periods.generatedAt, asOf: periods.asOf } : null,
+    sections: (await sectionStatus()).sections,
+    forecastProfiles: profiles ? { generatedAt: profiles.generatedAt, asOf: profiles.asOf, stores: Object.keys(profiles.stores).length } : null,
+    products: catalog ? { generatedAt: catalog.generatedAt, products: catalog.products.length, stores: Object.keys(catalog.stores).length } : null,
+    brands: brandRows ? { generatedAt: brandRows.generatedAt, stores: Object.keys(brandRows.stores).length } : null,
+    inventory: stock ? { readAt: stock.readAt, stores: Object.keys(stock.stores).length, unsupported: stock.unsupported.length } : null,
     dayVsDay: dvdResults,
   });
 });
 
+// Local order warehouse: per-store coverage, cursor, last sync
+app.get('/internal/warehouse', internalAuth, async (req, res) => {
+  try {
+    res.json({ enabled: warehouse.ENABLED, historyWeeks: warehouse.HISTORY_WEEKS, resyncDays: warehouse.RESYNC_DAYS, backfillWeeks: warehouse.BACKFILL_WEEKS, stores: await warehouse.status() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Pull history older than the warehouse holds: ?start=YYYY-MM-DD[&store=id]
+app.post('/internal/warehouse/backfill', internalAuth, async (req, res) => {
+  const { start, store } = req.query;
+  if (!isDate(start)) return res.status(400).json({ error: 'start must be YYYY-MM-DD' });
+  try {
+    const locs = (await fh.getLocations()).filter(l => !store || l.id === store);
+    await audit.record(req, 'warehouse.backfill', { outcome: locs.length ? 'ok' : 'failed', params: { start, store: store || null } });
+    if (!locs.length) return res.status(404).json({ error: `Unknown store: ${store}` });
+    const results = [];
+    for (const loc of locs) results.push(await warehouse.backfill(loc, start));
+    res.json({ status: 'ok', results });
+  } catch (err) {
+    res.status(500).json({ status: 'error', error: err.message });
+  }
+});
+
 // Cache clear
-app.post('/api/cache/clear', auth, async (req, res) => {
+app.post('/api/cache/clear', auth, adminOnly, async (req, res) => {
   const memCount = cache.keys().length;
   cache.flushAll();
   // Also clear Redis caches
@@ -383,8 +1085,10 @@ app.post('/api/cache/clear', auth, async (req, res) => {
     const client = redis.getClient();
     const keys = await client.keys('cache:*');
     if (keys.length > 0) await client.del(...keys);
+    await audit.record(req, 'cache.clear', { params: { memoryKeys: memCount, redisKeys: keys.length } });
     res.json({ cleared: memCount, redisCleared: keys.length });
   } catch (err) {
+    await audit.record(req, 'cache.clear', { outcome: 'failed', params: { memoryKeys: memCount, error: err.message } });
     res.json({ cleared: memCount, redisError: err.message });
   }
 });
@@ -395,20 +1099,24 @@ app.get('*', (req, res) => {
 });
 
 // ── Start ─────────────────────────────────────────────────────
-app.listen(PORT, async () => {
+// Only when run directly — tests require the app without binding a port
+if (require.main === module) app.listen(PORT, async () => {
   console.log(`\n🌿 THRIVE DASHBOARD — port ${PORT}\n`);
+  // Scheduled section rebuilds (see scheduler.js), even if startup below fails
+  scheduler.start(section => rebuild.rebuildSection(section, { trigger: 'schedule' }));
   try {
     await fh.getLocations();
     console.log('✓ Ready');
 
     const redisOk = await redis.ping();
-    console.log(redisOk ? '✓ Redis connected' : '⚠ Redis not available — using direct Flowhub fallback');
+    console.log(redisOk ? '✓ Redis connected'
+      : '⚠ Redis not available — using direct Flowhub fallback' + (process.env.DASHBOARD_PASSWORD ? '; sign-in unavailable until it is back' : ''));
 
     if (redisOk) {
       const existing = await rebuild.getCachedTrend();
       if (!existing) {
         console.log('→ No cache — triggering full rebuild...');
-        rebuild.rebuildAll().catch(err =>
+        rebuild.rebuildAll({ trigger: 'startup' }).catch(err =>
           console.error('Initial rebuild failed:', err.message)
         );
       } else {
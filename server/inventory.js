@@ -0,0 +1,234 @@
+// server/inventory.js
+// ============================================================
+// Inventory — stock on hand against sales velocity, per store
+// The rebuild worker reads each store's stock on hand through its POS
+// adapter (pos.inventory) into a cache of its own; a store whose adapter
+// has no stock feed is listed as such. Each request joins that stock
+// with the product catalog (products.js) by product — name + brand, or
+// the SKU when the names differ — over the stores the user can see:
+//   daily units     units sold per day over the last RECENT_WEEKS
+//                   completed weeks and this week so far
+//   days of supply  on hand ÷ daily units; the stockout date is that
+//                   many days after the stock was read
+//   status          out        none on hand, still selling
+//                   reorder    under REORDER_DAYS of supply
+//                   overstock  over OVERSTOCK_DAYS, or on hand with no
+//                              sales in the recent weeks
+//                   dead       on hand, nothing sold in DEAD_WEEKS
+//                   ok         everything else
+// A product still selling that the stock feed doesn't list is out. The
+// company view sums each store's list and suggests transfers: what a
+// store holds past TARGET_DAYS of supply (all of it when dead) moved to
+// the stores that are out or need to reorder, before anyone buys more.
+// ============================================================
+
+const pos = require('./pos');
+const fh = require('./flowhub');
+const jobs = require('./jobs');
+const { round2 } = require('./aggregate');
+const { WEEKS, RECENT_WEEKS } = require('./products');
+
+const REORDER_DAYS = parseInt(process.env.INVENTORY_REORDER_DAYS, 10) || 14;
+// A reorder (or a transfer in) brings a product up to this many days
+const TARGET_DAYS = parseInt(process.env.INVENTORY_TARGET_DAYS, 10) || 30;
+const OVERSTOCK_DAYS = parseInt(process.env.INVENTORY_OVERSTOCK_DAYS, 10) || 90;
+// The catalog holds WEEKS weeks, so dead stock can't look further back
+const DEAD_WEEKS = Math.min(parseInt(process.env.INVENTORY_DEAD_WEEKS, 10) || 8, WEEKS);
+const STATUSES = ['out', 'reorder', 'overstock', 'dead', 'ok'];
+const SORTS = {
+  status: (a, b) => STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status) || (a.days_of_supply ?? Infinity) - (b.days_of_supply ?? Infinity),
+  days: (a, b) => (a.days_of_supply ?? Infinity) - (b.days_of_supply ?? Infinity),
+  on_hand: (a, b) => b.on_hand - a.on_hand,
+  velocity: (a, b) => b.daily_units - a.daily_units,
+  reorder: (a, b) => b.reorder_qty - a.reorder_qty,
+  value: (a, b) => (b.stock_value ?? -1) - (a.stock_value ?? -1),
+  name: (a, b) => a.name.localeCompare(b.name),
+};
+
+const round1 = n => Math.round(n * 10) / 10;
+const sum = xs => xs.reduce((s, x) => s + x, 0);
+const dayDiff = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / 864e5);
+
+// ── Stock (rebuild worker) ────────────────────────────────────
+// { readAt, stores: { id: { name, color, asOf, items: [{ key, name,
+//   brand, category, sku, quantity, cost }] } }, unsupported: [id],
+//   errors: { id: message } }
+// asOf is the store's local date when its stock was read. Rows for the
+// same product (Flowhub lists one per package) are summed.
+async function readStock(locations) {
+  const stores = {}, unsupported = [], errors = {};
+  for (const loc of locations) {
+    const t0 = Date.now();
+    try {
+      const rows = await pos.inventory(loc.importId);
+      jobs.storeDone(loc, t0);
+      if (!rows) { unsupported.push(loc.id); continue; }
+      const items = new Map();
+      rows.forEach(r => {
+        const key = `${r.productName}__${r.brand}`, it = items.get(key);
+        if (!it) items.set(key, { key, name: r.productName, brand: r.brand, category: r.category, sku: r.sku, quantity: r.quantity, cost: r.cost });
+        else { it.quantity += r.quantity; it.sku = it.sku || r.sku; it.cost = it.cost || r.cost; }
+      });
+      stores[loc.id] = { name: loc.name, color: loc.color, asOf: fh.todayIn(loc.timezone), items: [...items.values()] };
+    } catch (e) {
+      console.error(`  ${loc.name}: inventory FAIL ${e.message}`);
+      errors[loc.id] = e.message;
+      jobs.storeDone(loc, t0, e);
+    }
+  }
+  return { readAt: new Date().toISOString(), stores, unsupported, errors };
+}
+
+// ── Assessment ────────────────────────────────────────────────
+// One product at one store: on hand against its WEEKS weekly units (the
+// current week last; zeros when it never sold there). elapsed is how many
+// days of the current week have gone, today included.
+function assess(item, units, asOf, elapsed = 7) {
+  const on_hand = Math.max(item.quantity, 0);
+  const recent = units.slice(-1 - RECENT_WEEKS);
+  const daily = sum(recent) / (RECENT_WEEKS * 7 + elapsed);
+  const soldLately = sum(units.slice(-DEAD_WEEKS)) > 0;
+  if (!on_hand && !daily) return null;
+  const days = daily > 0 ? on_hand / daily : null;
+
+  let status = 'ok';
+  if (!on_hand) status = 'out';
+  else if (!soldLately) status = 'dead';
+  else if (days == null || days > OVERSTOCK_DAYS) status = 'overstock';
+  else if (days < REORDER_DAYS) status = 'reorder';
+
+  const target = Math.ceil(daily * TARGET_DAYS);
+  return {
+    key: item.key, name: item.name, brand: item.brand, category: item.category, sku: item.sku || null,
+    on_hand, daily_units: round2(daily), days_of_supply: days == null ? null : round1(days),
+    stockout_date: days != null && on_hand ? fh.addDays(asOf, Math.floor(days)) : null,
+    status,
+    reorder_qty: status === 'out' || status === 'reorder' ? Math.max(target - on_hand, 0) : 0,
+    surplus: status === 'dead' ? on_hand : status === 'overstock' ? Math.max(on_hand - target, 0) : 0,
+    stock_value: item.cost ? round2(on_hand * item.cost) : null,
+    cost: item.cost || null, units,
+  };
+}
+
+// Every row of one store's list: its stock, then whatever it still sells
+// that the feed doesn't list. null when its stock wasn't read.
+function storeRows(inv, catalog, id) {
+  const st = inv.stores[id];
+  if (!st) return null;
+  const weekStarts = catalog ? catalog.weekStarts : [];
+  const products = catalog ? catalog.products : [];
+  const elapsed = weekStarts.length ? Math.min(Math.max(dayDiff(weekStarts[weekStarts.length - 1], st.asOf) + 1, 1), 7) : 7;
+  const byKey = new Map(products.map(p => [p.key, p])), bySku = new Map(products.filter(p => p.sku).map(p => [p.sku, p]));
+  const unitsAt = p => (p && p.stores[id] ? p.stores[id].units : new Array(WEEKS).fill(0));
+
+  // Matched by SKU, an item goes by the catalog's key, so transfers pair
+  // it with the same product under another name at other stores. Feed
+  // names that land on one key are one product: their stock is summed.
+  const stock = new Map();
+  st.items.forEach(it => {
+    const p = byKey.get(it.key) || (it.sku && bySku.get(it.sku));
+    const key = p ? p.key : it.key, prev = stock.get(key);
+    if (!prev) stock.set(key, { item: { ...it, key, sku: it.sku || (p && p.sku) }, p });
+    else { prev.item.quantity += it.quantity; prev.item.cost = prev.item.cost || it.cost; }
+  });
+  const seen = new Set(), rows = [];
+  stock.forEach(({ item, p }) => {
+    if (p) seen.add(p.key);
+    const row = assess(item, unitsAt(p), st.asOf, elapsed);
+    if (row) rows.push({ ...row, in_feed: true });
+  });
+  products.filter(p => !seen.has(p.key) && p.stores[id]).forEach(p => {
+    const row = assess({ key: p.key, name: p.name, brand: p.brand, category: p.category, sku: p.sku, quantity: 0 }, unitsAt(p), st.asOf, elapsed);
+    if (row) rows.push({ ...row, in_feed: false });
+  });
+  return rows.map(r => { const last = r.units.map(u => u > 0).lastIndexOf(true); return { ...r, last_sold_week: last >= 0 ? weekStarts[last] || null : null }; });
+}
+
+function totals(rows) {
+  const valueOf = status => round2(sum(rows.filter(r => !status || r.status === status).map(r => r.stock_value || 0)));
+  return {
+    counts: Object.fromEntries(STATUSES.map(s => [s, rows.filter(r => r.status === s).length])),
+    on_hand: sum(rows.map(r => r.on_hand)), stock_value: valueOf(),
+    dead_value: valueOf('dead'), overstock_value: valueOf('overstock'),
+    reorder_units: sum(rows.map(r => r.reorder_qty)),
+  };
+}
+
+function matches(row, q) {
+  if (!q) return true;
+  const needle = q.toLowerCase();
+  return [row.name, row.brand, row.sku].some(v => v && v.toLowerCase().includes(needle));
+}
+
+// ── Per request ───────────────────────────────────────────────
+// One store's reorder list. opts: status, category, q (name, brand or
+// SKU), sort (status | days | on_hand | velocity | reorder | value |
+// name; status first, then fewest days of supply, by default). null
+// when the store's stock wasn't read.
+function reorderList(inv, catalog, id, opts = {}) {
+  const all = storeRows(inv, catalog, id);
+  if (!all) return null;
+  const st = inv.stores[id];
+  const rows = all.filter(r => matches(r, opts.q)
+    && (!opts.status || r.status === opts.status)
+    && (!opts.category || r.category === opts.category));
+  const by = SORTS[opts.sort] || SORTS.status;
+  rows.sort((a, b) => by(a, b) || a.name.localeCompare(b.name));
+  return {
+    store: { id, name: st.name, color: st.color }, asOf: st.asOf, readAt: inv.readAt,
+    weekStarts: catalog ? catalog.weekStarts : [], categories: [...new Set(all.map(r => r.category))].sort(),
+    ...totals(all), total: rows.length, rows,
+  };
+}
+
+// Transfers for one product: the stores short of it (out first, then
+// fewest days) take from the stores with the most to spare
+function transfersFor(rows) {
+  const needs = rows.filter(r => r.row.reorder_qty > 0).sort((a, b) => (a.row.days_of_supply ?? 0) - (b.row.days_of_supply ?? 0));
+  const spare = rows.filter(r => r.row.surplus > 0).map(r => ({ ...r, left: r.row.surplus })).sort((a, b) => b.left - a.left);
+  const out = [];
+  needs.forEach(n => {
+    let need = n.row.reorder_qty, got = 0;
+    spare.forEach(s => {
+      const qty = Math.min(need, s.left);
+      if (qty <= 0) return;
+      need -= qty; s.left -= qty; got += qty;
+      const r = n.row;
+      out.push({
+        key: r.key, name: r.name, brand: r.brand, category: r.category, qty,
+        value: s.row.cost ? round2(qty * s.row.cost) : null,
+        from: { id: s.id, name: s.name, on_hand: s.row.on_hand, status: s.row.status },
+        to: { id: n.id, name: n.name, on_hand: r.on_hand, status: r.status, days_of_supply: r.days_of_supply,
+          days_after: r.daily_units > 0 ? round1((r.on_hand + got) / r.daily_units) : null },
+      });
+    });
+  });
+  return out;
+}
+
+// The company view over storeIds: each store's totals, the stores
+// without a stock feed (or whose read failed), and the transfers that
+// would cover what the others are short of
+function company(inv, catalog, storeIds) {
+  const read = storeIds.filter(id => inv.stores[id]);
+  const byKey = new Map(), stores = [];
+  read.forEach(id => {
+    const st = inv.stores[id], rows = storeRows(inv, catalog, id);
+    stores.push({ id, name: st.name, color: st.color, asOf: st.asOf, ...totals(rows) });
+    rows.forEach(row => {
+      if (!byKey.has(row.key)) byKey.set(row.key, []);
+      byKey.get(row.key).push({ id, name: st.name, row });
+    });
+  });
+  const transfers = [...byKey.values()].flatMap(transfersFor)
+    .sort((a, b) => (a.to.days_of_supply ?? 0) - (b.to.days_of_supply ?? 0) || b.qty - a.qty);
+  return {
+    readAt: inv.readAt, weekStarts: catalog ? catalog.weekStarts : [],
+    stores: stores.sort((a, b) => a.name.localeCompare(b.name)),
+    unsupported: storeIds.filter(id => inv.unsupported.includes(id)),
+    errors: Object.fromEntries(Object.entries(inv.errors).filter(([id]) => storeIds.includes(id))),
+    transfers,
+  };
+}
+
+module.exports = { readStock, assess, storeRows, reorderList, company, STATUSES, REORDER_DAYS, TARGET_DAYS, OVERSTOCK_DAYS, DEAD_WEEKS };
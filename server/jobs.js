@@ -0,0 +1,199 @@
+// server/jobs.js
+// ============================================================
+// Rebuild jobs — one record per rebuild run (full or one section)
+// Per section: status, duration, Flowhub calls, error, and how each
+// store went. The running job travels with its async work
+// (AsyncLocalStorage), so sections running in parallel each count their
+// own Flowhub calls and store results without anything being passed
+// through flowhub.js. Outside a job every hook here is a no-op.
+// Records live in Redis (rebuild:job:<id>, 7 days) with a newest-first
+// summary list in rebuild:jobs; progress events go to in-process
+// subscribers (the SSE endpoint).
+// ============================================================
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const redis = require('./redis');
+
+const HISTORY_MAX = parseInt(process.env.REBUILD_HISTORY, 10) || 200;
+const JOB_TTL = 7 * 24 * 3600;
+const KEEP_LIVE_MS = 60000;   // finished jobs stay in memory this long for late watchers
+const POLL_MS = 2000;         // watching a job another instance is running
+const KEYS = { job: id => 'rebuild:job:' + id, history: 'rebuild:jobs' };
+
+const als = new AsyncLocalStorage();
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+const live = new Map(); // id → job record, this instance's runs
+
+// ── Records ───────────────────────────────────────────────────
+// id: start time (UTC, to the second) plus a random suffix — sorts by age
+function newId(ms) {
+  return new Date(ms).toISOString().replace(/\D/g, '').slice(0, 14) + '-' + crypto.randomBytes(3).toString('hex');
+}
+
+// target: 'all' or a section name; trigger: api | dashboard | schedule | request | startup
+function create(target, trigger) {
+  const now = Date.now();
+  const job = {
+    id: newId(now), target, trigger: trigger || 'api', status: 'running', reason: null, error: null,
+    startedAt: new Date(now).toISOString(), finishedAt: null, durationMs: null,
+    flowhubCalls: 0, flowhubRetries: 0, sections: {},
+  };
+  live.set(job.id, job);
+  return job;
+}
+
+// The history row: everything but the per-store detail
+function summary(job) {
+  const sections = {};
+  Object.entries(job.sections).forEach(([name, s]) => { sections[name] = s.status; });
+  return { ...job, sections };
+}
+
+function emit(job, type, data) { bus.emit(job.id, { type, job: summary(job), ...data }); }
+
+async function save(job) {
+  try { await redis.setJSON(KEYS.job(job.id), job, JOB_TTL); }
+  catch (err) { console.error(`  [jobs] save ${job.id} FAIL: ${err.message}`); }
+}
+
+async function saveHistory(job) {
+  try {
+    const list = (await redis.getJSON(KEYS.history)) || [];
+    const i = list.findIndex(j => j.id === job.id);
+    if (i >= 0) list[i] = summary(job); else list.unshift(summary(job));
+    await redis.setJSON(KEYS.history, list.slice(0, HISTORY_MAX));
+  } catch (err) {
+    console.error(`  [jobs] history FAIL: ${err.message}`);
+  }
+}
+
+// ok when every section was; error when the run threw or every section
+// failed; partial in between (a failed section, or stores that failed)
+function finalStatus(job, err) {
+  if (err) return 'error';
+  if (job.reason) return 'skipped';
+  const all = Object.values(job.sections).map(s => s.status);
+  if (all.length && all.every(s => s === 'error')) return 'error';
+  return all.every(s => s === 'ok') ? 'ok' : 'partial';
+}
+
+// ── Running ───────────────────────────────────────────────────
+// Runs fn as the job; never throws — a thrown error ends the job as 'error'
+async function run(job, fn) {
+  await save(job);
+  await saveHistory(job);
+  emit(job, 'start', {});
+  let err = null;
+  try { await als.run({ job, section: null, name: null }, fn); }
+  catch (e) { err = e; console.error(`  [jobs] ${job.id} FAIL: ${e.message}`); }
+  job.status = finalStatus(job, err);
+  job.error = err ? err.message : null;
+  job.finishedAt = new Date().toISOString();
+  job.durationMs = Date.parse(job.finishedAt) - Date.parse(job.startedAt);
+  await save(job);
+  await saveHistory(job);
+  emit(job, 'done', { record: job });
+  setTimeout(() => live.delete(job.id), KEEP_LIVE_MS).unref();
+  return job;
+}
+
+// One section of the current job. Outside a job, just fn().
+async function step(name, fn) {
+  const ctx = als.getStore();
+  if (!ctx) return fn();
+  const { job } = ctx, t0 = Date.now();
+  const s = job.sections[name] = {
+    status: 'running', startedAt: new Date(t0).toISOString(), durationMs: null, flowhubCalls: 0, error: null, stores: {},
+  };
+  emit(job, 'section', { section: name, record: s });
+  try {
+    return await als.run({ job, section: s, name }, fn);
+  } catch (err) {
+    s.error = s.error || err.message;
+    throw err;
+  } finally {
+    s.durationMs = Date.now() - t0;
+    s.status = s.error ? 'error' : Object.values(s.stores).some(st => st.error) ? 'partial' : 'ok';
+    emit(job, 'section', { section: name, record: s });
+    await save(job);
+  }
+}
+
+// The current section caught a failure of its own (rebuild.js markSection)
+function sectionFailed(err) {
+  const ctx = als.getStore();
+  if (ctx && ctx.section) ctx.section.error = err.message || String(err);
+}
+
+// A store finished within the current section; extra: e.g. { orders }
+function storeDone(loc, t0, err, extra) {
+  const ctx = als.getStore();
+  if (!ctx || !ctx.section) return;
+  const rec = { name: loc.name, status: err ? 'error' : 'ok', durationMs: Date.now() - t0, error: err ? err.message || String(err) : null, ...extra };
+  ctx.section.stores[loc.id] = rec;
+  emit(ctx.job, 'store', { section: ctx.name, store: loc.id, record: rec });
+}
+
+// Every Flowhub request attempt (flowhub.js), retries counted separately
+function countCall(retry) {
+  const ctx = als.getStore();
+  if (!ctx) return;
+  ctx.job.flowhubCalls++;
+  if (retry) ctx.job.flowhubRetries++;
+  if (ctx.section) ctx.section.flowhubCalls++;
+}
+
+// The job finished without doing anything (e.g. another rebuild holds the lock)
+function skip(reason) {
+  const ctx = als.getStore();
+  if (ctx) ctx.job.reason = reason;
+}
+
+// ── Reading ───────────────────────────────────────────────────
+async function get(id) {
+  return live.get(id) || redis.getJSON(KEYS.job(id));
+}
+
+// Newest first: { jobs, total }, ?status= / ?target= filters
+async function history({ limit = 50, status, target } = {}) {
+  const list = (await redis.getJSON(KEYS.history)) || [];
+  const hits = list.filter(j => (!status || j.status === status) && (!target || j.target === target));
+  return { jobs: hits.slice(0, limit), total: hits.length };
+}
+
+// Calls send(type, data) with a 'snapshot' (the full record), then this
+// instance's progress events ('section', 'store', 'progress') or, for a job running
+// elsewhere, a fresh snapshot whenever its saved record changes; ends
+// with 'done'. Returns a stop function; resolves null for unknown ids.
+async function watch(id, send) {
+  const job = await get(id);
+  if (!job) return null;
+  send('snapshot', { job: summary(job), record: job });
+  if (job.status !== 'running') { send('done', { job: summary(job), record: job }); return () => {}; }
+
+  if (live.has(id)) {
+    // Call counts move between events: a 'progress' tick carries them
+    const tick = setInterval(() => send('progress', { job: summary(job) }), POLL_MS);
+    const stop = () => { clearInterval(tick); bus.removeListener(id, listener); };
+    const listener = ev => { const { type, ...data } = ev; send(type, data); if (type === 'done') stop(); };
+    bus.on(id, listener);
+    return stop;
+  }
+
+  let last = JSON.stringify(job), timer = null, stopped = false;
+  const poll = async () => {
+    const cur = await redis.getJSON(KEYS.job(id)).catch(() => null);
+    if (stopped) return;
+    const raw = JSON.stringify(cur);
+    if (cur && raw !== last) { last = raw; send('snapshot', { job: summary(cur), record: cur }); }
+    if (!cur || cur.status !== 'running') { send('done', { job: cur ? summary(cur) : null, record: cur }); return; }
+    timer = setTimeout(poll, POLL_MS);
+  };
+  timer = setTimeout(poll, POLL_MS);
+  return () => { stopped = true; clearTimeout(timer); };
+}
+
+module.exports = { create, run, step, sectionFailed, storeDone, countCall, skip, get, history, watch, summary, KEYS };
@@ -0,0 +1,140 @@
+// server/live.js
+// ============================================================
+// Live push — today's store KPIs and large transactions, over SSE
+// The rebuild worker publishes KPIs each time it writes the dashboard,
+// and large sales from each warehouse sync (only today's, only new
+// ones). Both are kept in Redis as well, and every instance with open
+// streams polls them, so a rebuild on one instance reaches browsers
+// connected to any other.
+// ============================================================
+
+const redis = require('./redis');
+const agg = require('./aggregate');
+
+const LARGE_TXN = parseFloat(process.env.LIVE_LARGE_TXN) || 250; // net $ for the ticker
+const POLL_MS = (parseInt(process.env.LIVE_POLL_SEC, 10) || 15) * 1000;
+const FEED_MAX = 50;
+const TTL = 36 * 3600;
+const KEYS = { kpis: 'live:kpis', txns: 'live:txns' };
+
+const listeners = new Set();
+let lastKpisAt = null, sentTxns = new Set(), poller = null;
+
+// ── Payloads ──────────────────────────────────────────────────
+// Headline numbers only — categories / budtenders stay on /api/dashboard
+function kpis(dashboard) {
+  return {
+    fetchedAt: dashboard.meta.fetchedAt,
+    dateRanges: dashboard.meta.dateRanges,
+    stores: dashboard.stores.map(st => ({ id: st.id, name: st.name, today: agg.slimSummary(st.today), thisWeek: agg.slimSummary(st.thisWeek) })),
+  };
+}
+
+// A store's sales on `date` (its local date) of at least LARGE_TXN net,
+// newest first
+function largeTransactions(loc, orders, date) {
+  const out = [];
+  for (const o of orders) {
+    if (agg.localDateOf(o, loc.timezone) !== date) continue;
+    const p = agg.prepareOrder(o);
+    if (p.kind !== 'sale' || p.net < LARGE_TXN) continue;
+    out.push({
+      id: `${loc.id}:${o._id || o.id}`, date, at: o.createdAt || o.completedOn,
+      store: { id: loc.id, name: loc.name }, net: Math.round(p.net * 100) / 100, items: p.items, budtender: p.budtender,
+    });
+  }
+  return out.sort((a, b) => (b.at > a.at ? 1 : -1));
+}
+
+// ── Broadcast ─────────────────────────────────────────────────
+function broadcast(event, data) {
+  listeners.forEach(send => { try { send(event, data); } catch (e) { listeners.delete(send); } });
+}
+
+function sendKpis(k) {
+  if (!k || k.fetchedAt === lastKpisAt) return;
+  lastKpisAt = k.fetchedAt;
+  broadcast('kpis', k);
+}
+
+function sendTxns(feed) {
+  const fresh = feed.filter(t => !sentTxns.has(t.id));
+  sentTxns = new Set(feed.map(t => t.id));
+  if (fresh.length) broadcast('transactions', fresh);
+}
+
+// ── Publishing (rebuild worker) ───────────────────────────────
+// Never throws: a failed push must not fail the rebuild
+async function publishDashboard(dashboard) {
+  try {
+    const k = kpis(dashboard);
+    await redis.setJSON(KEYS.kpis, k, TTL);
+    sendKpis(k);
+  } catch (err) {
+    console.error('  [live] kpis FAIL: ' + err.message);
+  }
+}
+
+// Adds the ones the feed hasn't seen; the feed only keeps today's. Stores
+// change days at their own midnight, so a store's earlier days go once
+// its new day's sales come in.
+async function recordTransactions(txns) {
+  try {
+    if (!txns.length) return [];
+    const today = {};
+    txns.forEach(t => { if (!today[t.store.id] || t.date > today[t.store.id]) today[t.store.id] = t.date; });
+    const feed = ((await redis.getJSON(KEYS.txns)) || []).filter(t => !today[t.store.id] || t.date >= today[t.store.id]);
+    const known = new Set(feed.map(t => t.id));
+    const fresh = txns.filter(t => !known.has(t.id));
+    if (!fresh.length) return [];
+    const next = [...fresh, ...feed].sort((a, b) => (b.at > a.at ? 1 : -1)).slice(0, FEED_MAX);
+    await redis.setJSON(KEYS.txns, next, TTL);
+    sendTxns(next);
+    return fresh;
+  } catch (err) {
+    console.error('  [live] transactions FAIL: ' + err.message);
+    return [];
+  }
+}
+
+// ── Subscribers (the SSE endpoint) ────────────────────────────
+// What's on the board now: { kpis, transactions } (today's only).
+// today: { storeId: its local date }
+async function snapshot(today) {
+  const [k, feed] = [await redis.getJSON(KEYS.kpis), (await redis.getJSON(KEYS.txns)) || []];
+  return { kpis: k, transactions: feed.filter(t => t.date === today[t.store.id]) };
+}
+
+// prime: take what's in Redis as already sent (new subscribers get it in
+// their snapshot) — without winding back a push that landed meanwhile
+async function poll(prime) {
+  try {
+    const [k, feed] = [await redis.getJSON(KEYS.kpis), (await redis.getJSON(KEYS.txns)) || []];
+    if (prime) {
+      if (k && !(lastKpisAt > k.fetchedAt)) lastKpisAt = k.fetchedAt;
+      feed.forEach(t => sentTxns.add(t.id));
+      return;
+    }
+    sendKpis(k);
+    sendTxns(feed);
+  } catch (err) {
+    console.error('  [live] poll FAIL: ' + err.message);
+  }
+}
+
+// send(event, data); returns an unsubscribe function. Polling runs only
+// while someone is listening.
+function subscribe(send) {
+  listeners.add(send);
+  if (!poller) {
+    poll(true);
+    poller = setInterval(poll, POLL_MS);
+    if (poller.unref) poller.unref();
+  }
+  return () => {
+    listeners.delete(send);
+    if (!listeners.size && poller) { clearInterval(poller); poller = null; }
+  };
+}
+
+module.exports = { kpis, largeTransactions, publishDashboard, recordTransactions, snapshot, subscribe, poll, KEYS, LARGE_TXN };
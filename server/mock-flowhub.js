@@ -0,0 +1,352 @@
+// server/mock-flowhub.js
+// ============================================================
+// Mock Flowhub API — local development without credentials
+// Serves the endpoints the Flowhub adapter uses from generated,
+// deterministic seven-store order and stock data, and can inject 429s,
+// 500s and slow pages to exercise flowhubGet()'s retry logic.
+//
+//   npm run mock:flowhub                       (port 4010)
+//   FLOWHUB_BASE_URL=http://localhost:4010 npm run dev
+// ============================================================
+
+const express = require('express');
+const fs = require('fs');
+
+const TZ = 'America/Los_Angeles';
+
+// ── Seeded randomness ─────────────────────────────────────────
+// Every store/day gets its own generator, so any page of any range
+// is reproducible without holding the whole history in memory.
+function hashStr(s) {
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 16777619); }
+  return h >>> 0;
+}
+function rng(seed) {
+  let a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+function pick(r, list) { return list[Math.floor(r() * list.length)]; }
+function round2(n) { return Math.round(n * 100) / 100; }
+
+// ── Stores, staff, catalog ────────────────────────────────────
+// Names match the seed table in stores.js; the cultivation location
+// is there to be seeded closed.
+const LOCATIONS = [
+  { importId: 'mock-loc-cactus',   locationName: 'Thrive Cactus',            ordersPerDay: 210 },
+  { importId: 'mock-loc-cheyenne', locationName: 'Thrive Cheyenne',          ordersPerDay: 260 },
+  { importId: 'mock-loc-jackpot',  locationName: 'Thrive Jackpot',           ordersPerDay: 140 },
+  { importId: 'mock-loc-main',     locationName: 'Thrive Main Street',       ordersPerDay: 320 },
+  { importId: 'mock-loc-reno',     locationName: 'Thrive Reno',              ordersPerDay: 180 },
+  { importId: 'mock-loc-sahara',   locationName: 'Thrive Sahara',            ordersPerDay: 240 },
+  { importId: 'mock-loc-sammy',    locationName: 'Thrive Sammy Davis Jr',    ordersPerDay: 200 },
+  { importId: 'mock-loc-cult',     locationName: 'Thrive Cultivation',       ordersPerDay: 0 },
+];
+
+const FIRST = ['Alex', 'Brianna', 'Carlos', 'Dana', 'Eli', 'Fatima', 'Gabe', 'Hana', 'Isaac', 'Jade', 'Kyle', 'Luz', 'Marcus', 'Nina', 'Omar', 'Priya', 'Quinn', 'Rosa', 'Sam', 'Tariq'];
+const LAST = ['Alvarez', 'Brooks', 'Chen', 'Diaz', 'Evans', 'Foster', 'Garcia', 'Hughes', 'Ito', 'Jones', 'Kim', 'Lopez', 'Moore', 'Nguyen', 'Ortiz', 'Patel'];
+
+const CATALOG = [
+  { category: 'Flower',      weight: 30, price: [25, 60],  products: ['Blue Dream 3.5g', 'Gelato 3.5g', 'Runtz 3.5g', 'OG Kush 7g', 'Wedding Cake 3.5g'], brands: ['Cannabiotix', 'Matrix', 'Kynd', 'Tsunami'] },
+  { category: 'Pre-Rolls',   weight: 16, price: [8, 25],   products: ['Infused Pre-Roll 1g', 'Pre-Roll 5pk', 'Mini Dogs 10pk'], brands: ['Jeeter', 'Dogwalkers', 'Stiiizy'] },
+  { category: 'Vapes',       weight: 20, price: [25, 55],  products: ['Live Resin Cart 1g', 'Disposable 0.5g', 'Pod 1g'], brands: ['Stiiizy', 'Select', 'Rove', 'Cannabiotix'] },
+  { category: 'Edibles',     weight: 14, price: [12, 30],  products: ['Gummies 100mg', 'Chocolate Bar 100mg', 'Mints 100mg'], brands: ['Wyld', 'Kiva', 'Dixie', 'Incredibles'] },
+  { category: 'Concentrates', weight: 8, price: [30, 70],  products: ['Live Rosin 1g', 'Badder 1g', 'Diamonds 1g'], brands: ['Hash Factory', 'Cannabiotix', 'Kynd'] },
+  { category: 'Topicals',    weight: 3,  price: [20, 45],  products: ['Relief Balm', 'CBD Lotion'], brands: ['Papa & Barkley', 'Mary\'s'] },
+  { category: 'Accessories', weight: 6,  price: [3, 30],   products: ['Lighter', 'Rolling Papers', '510 Battery', 'Grinder'], brands: ['Clipper', 'RAW', 'Thrive'] },
+  { category: 'Apparel',     weight: 3,  price: [20, 45],  products: ['Thrive Tee', 'Thrive Hat'], brands: ['Thrive'] },
+];
+const CATALOG_WEIGHT = CATALOG.reduce((s, c) => s + c.weight, 0);
+const CANNABIS_TAX = 0.10 + 0.08375;   // NV excise + Clark County sales
+const NON_CANNABIS_TAX = 0.08375;
+const TENDERS = [['cash', 45], ['debit', 35], ['aeropay', 8], ['credit', 6], ['gift_card', 2], ['loyalty', 4]];
+
+// Day-of-week and hour-of-day traffic shape (index 0 = Sunday / midnight)
+const DOW_FACTOR = [0.95, 0.8, 0.85, 0.9, 1.0, 1.25, 1.3];
+const HOUR_WEIGHT = [2, 1, 0.5, 0.3, 0.2, 0.2, 0.4, 1, 2, 3, 4, 5, 6, 6, 6, 7, 8, 9, 9, 8, 7, 6, 4, 3];
+const HOUR_TOTAL = HOUR_WEIGHT.reduce((s, w) => s + w, 0);
+
+function weightedPick(r, pairs) {
+  const total = pairs.reduce((s, p) => s + p[1], 0);
+  let x = r() * total;
+  for (const p of pairs) { x -= p[1]; if (x <= 0) return p[0]; }
+  return pairs[pairs.length - 1][0];
+}
+function pickCategory(r) {
+  let x = r() * CATALOG_WEIGHT;
+  for (const c of CATALOG) { x -= c.weight; if (x <= 0) return c; }
+  return CATALOG[0];
+}
+function pickHour(r) {
+  let x = r() * HOUR_TOTAL;
+  for (let h = 0; h < 24; h++) { x -= HOUR_WEIGHT[h]; if (x <= 0) return h; }
+  return 23;
+}
+
+function staffFor(loc, seed) {
+  const r = rng(hashStr(seed + ':staff:' + loc.importId));
+  const n = 8 + Math.floor(r() * 5), out = [];
+  while (out.length < n) { const name = pick(r, FIRST) + ' ' + pick(r, LAST); if (!out.includes(name)) out.push(name); }
+  return out;
+}
+
+// ── Date helpers ──────────────────────────────────────────────
+function addDays(s, days) { const d = new Date(s + 'T12:00:00Z'); d.setUTCDate(d.getUTCDate() + days); return d.toISOString().split('T')[0]; }
+function dow(s) { return new Date(s + 'T12:00:00Z').getUTCDay(); }
+// Pacific wall-clock → UTC ISO string (DST-correct: guess PST, then correct)
+const _hourFmt = new Intl.DateTimeFormat('en-US', { timeZone: TZ, hour: 'numeric', hour12: false });
+function pacificToIso(date, h, m, s) {
+  const [y, mo, d] = date.split('-').map(Number);
+  let t = Date.UTC(y, mo - 1, d, h + 8, m, s);
+  const parts = _hourFmt.formatToParts(new Date(t));
+  const ph = parseInt(parts.find(p => p.type === 'hour').value, 10) % 24;
+  if (ph !== h) t -= 3600 * 1000; // PDT: UTC-7
+  return new Date(t).toISOString();
+}
+
+// ── Order generation ──────────────────────────────────────────
+function dayCount(loc, date, opts) {
+  if (!loc.ordersPerDay) return 0;
+  const r = rng(hashStr(opts.seed + ':count:' + loc.importId + ':' + date));
+  return Math.round(loc.ordersPerDay * opts.scale * DOW_FACTOR[dow(date)] * (0.85 + r() * 0.3));
+}
+
+function makeItem(r) {
+  const c = pickCategory(r);
+  const qty = r() < 0.85 ? 1 : 2 + Math.floor(r() * 2);
+  const unit = round2(c.price[0] + r() * (c.price[1] - c.price[0]));
+  const total = round2(unit * qty);
+  const disc = r() < 0.25 ? round2(total * pick(r, [0.1, 0.15, 0.2, 0.3])) : 0;
+  const cannabis = c.category !== 'Accessories' && c.category !== 'Apparel';
+  const tax = round2((total - disc) * (cannabis ? CANNABIS_TAX : NON_CANNABIS_TAX));
+  const item = {
+    productName: pick(r, c.products), brand: pick(r, c.brands), category: c.category,
+    quantity: qty, unitPrice: unit, totalPrice: total, totalDiscounts: disc,
+    taxes: [{ name: cannabis ? 'Cannabis + Sales Tax' : 'Sales Tax', amount: tax }],
+  };
+  if (r() < 0.01) item.voided = true;
+  return item;
+}
+
+function ordersForDay(loc, date, opts) {
+  const n = dayCount(loc, date, opts);
+  if (!n) return [];
+  const r = rng(hashStr(opts.seed + ':orders:' + loc.importId + ':' + date));
+  const staff = staffFor(loc, opts.seed);
+  const onShift = staff.filter(() => r() < 0.7);
+  const team = onShift.length ? onShift : staff;
+  const orders = [];
+  for (let i = 0; i < n; i++) {
+    const hour = pickHour(r), min = Math.floor(r() * 60), sec = Math.floor(r() * 60);
+    const items = [];
+    const lines = 1 + Math.floor(r() * r() * 5);
+    for (let j = 0; j < lines; j++) items.push(makeItem(r));
+    const live = items.filter(it => !it.voided);
+    const net = live.reduce((s, it) => s + it.totalPrice - it.totalDiscounts, 0);
+    const tax = live.reduce((s, it) => s + it.taxes[0].amount, 0);
+    const tender = weightedPick(r, TENDERS);
+    const ts = pacificToIso(date, hour, min, sec);
+    const order = {
+      _id: loc.importId.replace('mock-loc-', '') + '-' + date.replace(/-/g, '') + '-' + String(i).padStart(4, '0'),
+      locationId: loc.importId,
+      createdAt: ts, completedOn: ts,
+      customerType: r() < 0.9 ? 'recCustomer' : 'medCustomer',
+      budtender: pick(r, team),
+      orderStatus: 'sold',
+      orderType: 'sale',
+      voided: false,
+      itemsInCart: items,
+      paymentType: tender,
+      payments: [{ paymentType: tender, amount: round2(net + tax) }],
+      totalTaxes: round2(tax),
+    };
+    const roll = r();
+    if (roll < 0.015) { order.voided = true; order.orderStatus = 'voided'; }
+    else if (roll < 0.02) { order.orderType = 'return'; order.orderStatus = 'returned'; }
+    else if (roll < 0.025) order.totalRefunded = round2(net * 0.25);
+    orders.push(order);
+  }
+  return orders.sort((a, b) => a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0);
+}
+
+function utcDate(ord) { return String(ord.createdAt || ord.completedOn || '').slice(0, 10); }
+
+// Per store/day: how many orders fall on the Pacific date's own UTC date
+// (early) vs the next UTC date (late). Tiny, so never evicted.
+const _splits = new Map();
+function daySplit(loc, date, opts) {
+  const key = opts.seed + ':' + opts.scale + ':' + loc.importId + ':' + date;
+  if (!_splits.has(key)) {
+    const orders = ordersForDay(loc, date, opts);
+    const early = orders.filter(ord => utcDate(ord) === date).length;
+    _splits.set(key, { early, late: orders.length - early });
+  }
+  return _splits.get(key);
+}
+
+// ── Stock generation ──────────────────────────────────────────
+// Every product × brand the orders draw from, with a day's stock on
+// hand: mostly modest, some sold out, a few piles — enough for every
+// inventory status to show up. Stores with no orders hold no stock.
+function stockForDay(loc, date, opts) {
+  if (!loc.ordersPerDay) return [];
+  const r = rng(hashStr(opts.seed + ':stock:' + loc.importId + ':' + date));
+  const out = [];
+  for (const c of CATALOG) {
+    const cost = round2((c.price[0] + c.price[1]) / 2 * 0.45);
+    for (const productName of c.products) {
+      for (const brand of c.brands) {
+        const x = r();
+        const quantity = x < 0.08 ? 0 : x > 0.95 ? 150 + Math.floor(r() * 250) : Math.floor(r() * r() * 60 * opts.scale);
+        out.push({ productName, brand, category: c.category, quantity, costPerUnit: cost });
+      }
+    }
+  }
+  return out;
+}
+
+// ── Fault injection ───────────────────────────────────────────
+// Rates are probabilities per request; failEvery forces every Nth request
+// to fail (deterministic, handy in tests). Both can be changed at runtime
+// via POST /__mock/faults.
+function defaultFaults() {
+  return {
+    rate429: parseFloat(process.env.MOCK_429_RATE) || 0,
+    rate500: parseFloat(process.env.MOCK_500_RATE) || 0,
+    failEvery: parseInt(process.env.MOCK_FAIL_EVERY, 10) || 0,
+    failStatus: parseInt(process.env.MOCK_FAIL_STATUS, 10) || 429,
+    slowRate: parseFloat(process.env.MOCK_SLOW_RATE) || 0,
+    slowMs: parseInt(process.env.MOCK_SLOW_MS, 10) || 0,
+  };
+}
+
+// ── App factory ───────────────────────────────────────────────
+// opts: { seed, scale, fixture, faults } — all optional. A fixture file
+// ({ locations: [...], orders: { importId: [order, ...] }, inventory:
+// { importId: [stock row, ...] } }) replaces the generated data entirely.
+function createMockFlowhub(opts = {}) {
+  const o = {
+    seed: String(opts.seed ?? process.env.MOCK_SEED ?? 'thrive'),
+    scale: opts.scale ?? (parseFloat(process.env.MOCK_SCALE) || 1),
+    fixture: opts.fixture ?? process.env.MOCK_FIXTURE ?? null,
+  };
+  const faults = { ...defaultFaults(), ...(opts.faults || {}) };
+  const faultRng = rng(hashStr(o.seed + ':faults'));
+  const stats = { requests: 0, served: 0, status429: 0, status500: 0, slow: 0, byPath: {} };
+
+  let fixture = null;
+  if (o.fixture) {
+    fixture = typeof o.fixture === 'string' ? JSON.parse(fs.readFileSync(o.fixture, 'utf8')) : o.fixture;
+    console.log(`✓ Mock Flowhub fixture: ${(fixture.locations || []).length} locations`);
+  }
+  const locations = fixture ? (fixture.locations || []) : LOCATIONS;
+
+  const app = express();
+  app.use(express.json());
+
+  // Faults apply to the Flowhub API routes only, never to /__mock
+  app.use(async (req, res, next) => {
+    if (req.path.startsWith('/__mock')) return next();
+    stats.requests++;
+    const key = req.path.replace(/findByLocationId\/.+$/, 'findByLocationId/:id').replace(/locations\/[^/]+\/inventory$/, 'locations/:id/inventory');
+    stats.byPath[key] = (stats.byPath[key] || 0) + 1;
+    if (faults.failEvery && stats.requests % faults.failEvery === 0) {
+      stats['status' + faults.failStatus] = (stats['status' + faults.failStatus] || 0) + 1;
+      return res.status(faults.failStatus).json({ message: 'mock: forced failure' });
+    }
+    const roll = faultRng();
+    if (roll < faults.rate429) { stats.status429++; return res.status(429).json({ message: 'mock: rate limited' }); }
+    if (roll < faults.rate429 + faults.rate500) { stats.status500++; return res.status(500).json({ message: 'mock: internal error' }); }
+    if (faults.slowMs && faultRng() < (faults.slowRate || 1)) {
+      stats.slow++;
+      await new Promise(r => setTimeout(r, faults.slowMs));
+    }
+    next();
+  });
+
+  app.get('/v0/clientsLocations', (req, res) => {
+    stats.served++;
+    res.json({ data: locations.map(l => ({ importId: l.importId, locationName: l.locationName, locationId: l.importId })) });
+  });
+
+  // Same contract as Flowhub: created_after / created_before match the UTC
+  // date of createdAt (inclusive), so Pacific evenings spill into the next
+  // day exactly as they do in production. page is 1-based.
+  app.get('/v1/orders/findByLocationId/:id', (req, res) => {
+    const loc = locations.find(l => l.importId === req.params.id);
+    if (!loc) return res.status(404).json({ message: `Location ${req.params.id} not found` });
+    const start = String(req.query.created_after || '').split('T')[0];
+    const end = String(req.query.created_before || start).split('T')[0];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start) || !/^\d{4}-\d{2}-\d{2}$/.test(end)) {
+      return res.status(400).json({ message: 'created_after / created_before must be YYYY-MM-DD' });
+    }
+    const pageSize = Math.min(parseInt(req.query.page_size, 10) || 100, 500);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const from = (page - 1) * pageSize, to = from + pageSize;
+    stats.served++;
+
+    if (fixture) {
+      const all = (fixture.orders?.[loc.importId] || []).filter(ord => {
+        const d = utcDate(ord);
+        return d >= start && d <= end;
+      });
+      return res.json({ orders: all.slice(from, to), total: all.length, page, page_size: pageSize });
+    }
+
+    // Pacific day d covers UTC dates d (early) and d+1 (late). Walk the
+    // cached split counts and only generate the days this page touches.
+    let total = 0;
+    const days = [];
+    for (let d = addDays(start, -1); d <= end; d = addDays(d, 1)) {
+      const sp = daySplit(loc, d, o);
+      const a = d >= start ? 0 : sp.early, b = d < end ? sp.early + sp.late : sp.early;
+      if (b > a) { days.push([d, total, a, b]); total += b - a; }
+    }
+    const orders = [];
+    for (const [d, offset, a, b] of days) {
+      const c = b - a;
+      if (offset + c <= from || offset >= to) continue;
+      const dayOrders = ordersForDay(loc, d, o).slice(a, b);
+      orders.push(...dayOrders.slice(Math.max(from - offset, 0), Math.min(to - offset, c)));
+    }
+    res.json({ orders, total, page, page_size: pageSize });
+  });
+
+  // Stock on hand now; the generated stock changes with the UTC date
+  app.get('/v0/locations/:id/inventory', (req, res) => {
+    const loc = locations.find(l => l.importId === req.params.id);
+    if (!loc) return res.status(404).json({ message: `Location ${req.params.id} not found` });
+    stats.served++;
+    if (fixture) return res.json({ data: fixture.inventory?.[loc.importId] || [] });
+    res.json({ data: stockForDay(loc, new Date().toISOString().split('T')[0], o) });
+  });
+
+  // ── Control endpoints ──
+  app.get('/__mock/stats', (req, res) => res.json({ ...stats, faults }));
+  app.post('/__mock/faults', (req, res) => { Object.assign(faults, req.body || {}); res.json(faults); });
+  app.post('/__mock/reset', (req, res) => {
+    Object.assign(faults, defaultFaults());
+    Object.assign(stats, { requests: 0, served: 0, status429: 0, status500: 0, slow: 0, byPath: {} });
+    res.json({ ok: true });
+  });
+
+  app.locals.stats = stats;
+  app.locals.faults = faults;
+  return app;
+}
+
+module.exports = { createMockFlowhub, ordersForDay, LOCATIONS };
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_FLOWHUB_PORT, 10) || 4010;
+  createMockFlowhub().listen(port, () => {
+    console.log(`\n🧪 MOCK FLOWHUB — http://localhost:${port}`);
+    console.log(`   Point the dashboard at it: FLOWHUB_BASE_URL=http://localhost:${port}\n`);
+  });
+}
@@ -0,0 +1,146 @@
+// server/pos-file.js
+// ============================================================
+// File adapter (see pos.js) — orders exported from another POS
+// POS_FILE_DIR holds one folder per location; the folder name is its id
+// (importId "file:<folder>") and location.json's "name" its name (the
+// folder name without one). Every *.json and *.csv file in the folder is
+// read:
+//   *.json  an array of model orders, or { orders: [...] }
+//   *.csv   one row per line item, a header row first. Rows with the same
+//           order_id are one order; its order columns come from its first
+//           row. Columns (any order, case-insensitive): order_id,
+//           created_at (ISO 8601 with offset), status, order_type,
+//           customer_type, budtender, payment_type, product, sku, brand,
+//           category, quantity, unit_price, total_price, discount, tax,
+//           voided (true / yes / 1)
+// Stock on hand, if the store exports it, is inventory.json (an array of
+// stock rows, or { inventory: [...] }) or inventory.csv (columns product,
+// sku, brand, category, quantity, cost) in the same folder; neither is
+// read as orders. Files are parsed once and read again when they change.
+// A file that can't be parsed fails the read, like a failed API page.
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const { splitCsvLine, parseMoney } = require('./eod');
+
+const PAGE_SIZE = 500;
+const dir = () => {
+  if (!process.env.POS_FILE_DIR) throw new Error('POS_FILE_DIR is not set');
+  return process.env.POS_FILE_DIR;
+};
+
+// ── Parsing ───────────────────────────────────────────────────
+const amount = s => { const n = parseMoney(s); return n == null ? undefined : n; };
+const flag = s => /^(true|yes|y|1)$/i.test(String(s || '').trim());
+
+function parseCsvOrders(text, file) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return [];
+  const cols = splitCsvLine(lines[0]).map(c => c.trim().toLowerCase());
+  ['order_id', 'created_at'].forEach(c => { if (!cols.includes(c)) throw new Error(`${file}: no ${c} column`); });
+  const orders = new Map();
+  lines.slice(1).forEach(line => {
+    const cells = splitCsvLine(line), r = {};
+    cols.forEach((c, i) => { r[c] = (cells[i] || '').trim(); });
+    if (!r.order_id) return;
+    let o = orders.get(r.order_id);
+    if (!o) {
+      o = { _id: r.order_id, createdAt: r.created_at, orderStatus: r.status || 'sold', orderType: r.order_type || 'sale',
+        customerType: r.customer_type || '', budtender: r.budtender || '', paymentType: r.payment_type || '', itemsInCart: [] };
+      orders.set(r.order_id, o);
+    }
+    if (!r.product && !r.total_price) return;
+    o.itemsInCart.push({
+      productName: r.product || 'Unknown', sku: r.sku || undefined, brand: r.brand || '', category: r.category || 'Other',
+      quantity: amount(r.quantity) || 1, unitPrice: amount(r.unit_price), totalPrice: amount(r.total_price),
+      totalDiscounts: amount(r.discount) || 0, totalTaxes: amount(r.tax), voided: flag(r.voided),
+    });
+  });
+  return [...orders.values()];
+}
+
+function parseCsvInventory(text, file) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return [];
+  const cols = splitCsvLine(lines[0]).map(c => c.trim().toLowerCase());
+  ['product', 'quantity'].forEach(c => { if (!cols.includes(c)) throw new Error(`${file}: no ${c} column`); });
+  return lines.slice(1).map(line => {
+    const cells = splitCsvLine(line), r = {};
+    cols.forEach((c, i) => { r[c] = (cells[i] || '').trim(); });
+    return { productName: r.product, sku: r.sku || undefined, brand: r.brand || '', category: r.category || 'Other', quantity: amount(r.quantity), cost: amount(r.cost) };
+  });
+}
+
+function parseFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (file.endsWith('.csv')) return parseCsvOrders(text, path.basename(file));
+  let data;
+  try { data = JSON.parse(text); } catch (err) { throw new Error(`${path.basename(file)}: ${err.message}`); }
+  const orders = Array.isArray(data) ? data : data.orders;
+  if (!Array.isArray(orders)) throw new Error(`${path.basename(file)}: expected an array of orders or { orders }`);
+  return orders;
+}
+
+// ── Reading ───────────────────────────────────────────────────
+const NOT_ORDERS = /^(location\.json|inventory\.(json|csv))$/;
+// file path → { mtimeMs, rows } (orders, or stock rows)
+const _parsed = new Map();
+function ordersIn(id) {
+  const folder = path.join(dir(), id);
+  if (!fs.existsSync(folder)) throw new Error(`No such location folder: ${id}`);
+  const all = [];
+  fs.readdirSync(folder).filter(f => /\.(json|csv)$/.test(f) && !NOT_ORDERS.test(f)).sort().forEach(f => {
+    const file = path.join(folder, f), mtimeMs = fs.statSync(file).mtimeMs, hit = _parsed.get(file);
+    const orders = hit && hit.mtimeMs === mtimeMs ? hit.rows : parseFile(file);
+    _parsed.set(file, { mtimeMs, rows: orders });
+    all.push(...orders);
+  });
+  return all;
+}
+
+const utcDate = o => { const ts = Date.parse(o.createdAt || o.completedOn || ''); return isNaN(ts) ? null : new Date(ts).toISOString().split('T')[0]; };
+
+// ── Adapter ───────────────────────────────────────────────────
+async function locations() {
+  return fs.readdirSync(dir(), { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name).sort().map(id => {
+    let name = id;
+    try { name = JSON.parse(fs.readFileSync(path.join(dir(), id, 'location.json'), 'utf8')).name || id; } catch (e) { /* no location.json */ }
+    return { id, rawName: name };
+  });
+}
+
+async function eachPage(id, from, to, onPage) {
+  const orders = ordersIn(id).filter(o => { const d = utcDate(o); return d && d >= from && d <= to; })
+    .sort((a, b) => Date.parse(a.createdAt || a.completedOn) - Date.parse(b.createdAt || b.completedOn));
+  for (let i = 0; i < orders.length; i += PAGE_SIZE) await onPage(orders.slice(i, i + PAGE_SIZE), i / PAGE_SIZE + 1);
+  return orders.length;
+}
+
+async function sample(id) {
+  const orders = ordersIn(id);
+  return { total: orders.length, sample: orders.slice(-2) };
+}
+
+// null when the folder has no inventory file
+async function inventory(id) {
+  const folder = path.join(dir(), id);
+  if (!fs.existsSync(folder)) throw new Error(`No such location folder: ${id}`);
+  const f = ['inventory.json', 'inventory.csv'].find(n => fs.existsSync(path.join(folder, n)));
+  if (!f) return null;
+  const file = path.join(folder, f), mtimeMs = fs.statSync(file).mtimeMs, hit = _parsed.get(file);
+  if (hit && hit.mtimeMs === mtimeMs) return hit.rows;
+  const text = fs.readFileSync(file, 'utf8');
+  let rows;
+  if (f.endsWith('.csv')) rows = parseCsvInventory(text, f);
+  else {
+    let data;
+    try { data = JSON.parse(text); } catch (err) { throw new Error(`${f}: ${err.message}`); }
+    rows = Array.isArray(data) ? data : data.inventory;
+    if (!Array.isArray(rows)) throw new Error(`${f}: expected an array of stock rows or { inventory }`);
+  }
+  _parsed.set(file, { mtimeMs, rows });
+  return rows;
+}
+
+module.exports = { name: 'file', locations, eachPage, sample, inventory, parseCsvOrders, parseCsvInventory };
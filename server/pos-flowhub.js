@@ -0,0 +1,79 @@
+// server/pos-flowhub.js
+// ============================================================
+// Flowhub API adapter (see pos.js) — the dashboard's first source
+// Location ids are Flowhub's importIds. Flowhub orders already have the
+// model's shape; pos.js fills in the odd missing field.
+// ============================================================
+
+const fetch = require('node-fetch');
+const jobs = require('./jobs');
+
+// Point at the mock (server/mock-flowhub.js) or a staging host for local work
+const BASE = (process.env.FLOWHUB_BASE_URL || 'https://api.flowhub.co').replace(/\/+$/, '');
+const RETRY_BASE_MS = parseInt(process.env.FLOWHUB_RETRY_BASE_MS, 10) || 1500;
+const CLIENT_ID = process.env.FLOWHUB_CLIENT_ID;
+const CLIENT_KEY = process.env.FLOWHUB_API_KEY;
+const PAGE_SIZE = 500;
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+// ── Core GET with 429/500 retry ───────────────────────────────
+async function flowhubGet(path, params = {}) {
+  const url = new URL(`${BASE}${path}`);
+  Object.entries(params).forEach(([k, v]) => {
+    if (v !== undefined && v !== null) url.searchParams.set(k, String(v));
+  });
+  for (let attempt = 0; attempt < 5; attempt++) {
+    if (attempt > 0) {
+      const delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempt), 20000);
+      console.log(`  ↻ retry #${attempt} in ${delay}ms...`);
+      await sleep(delay);
+    }
+    jobs.countCall(attempt > 0);
+    const res = await fetch(url.toString(), {
+      headers: { 'clientId': CLIENT_ID, 'key': CLIENT_KEY, 'Accept': 'application/json', 'Content-Type': 'application/json' },
+    });
+    if (res.status === 429) { console.log(`⚠ 429: ${path}`); continue; }
+    if (res.status === 500 && attempt < 4) { console.log(`⚠ 500: ${path}`); continue; }
+    if (!res.ok) { const b = await res.text().catch(() => ''); throw new Error(`Flowhub ${res.status} ${path}: ${b.slice(0, 300)}`); }
+    return res.json();
+  }
+  throw new Error(`Flowhub: max retries for ${path}`);
+}
+
+// ── Adapter ───────────────────────────────────────────────────
+async function locations() {
+  const data = await flowhubGet('/v0/clientsLocations');
+  const raw = Array.isArray(data) ? data : (data.locations || data.data || []);
+  return raw.map(loc => ({ id: loc.importId || loc.locationId || loc._id || loc.id, rawName: loc.locationName || loc.name || '' }));
+}
+
+// created_after / created_before are UTC dates, inclusive
+let _schemaLogged = false;
+async function eachPage(importId, from, to, onPage) {
+  let page = 1, fetched = 0;
+  while (true) {
+    const data = await flowhubGet(`/v1/orders/findByLocationId/${importId}`, { created_after: from, created_before: to, page_size: PAGE_SIZE, page, order_by: 'asc' });
+    const batch = data.orders || [], total = data.total || 0;
+    if (!_schemaLogged && batch.length > 0) { _schemaLogged = true; console.log('ORDER KEYS:', Object.keys(batch[0]).join(', ')); }
+    await onPage(batch, page);
+    fetched += batch.length;
+    if (fetched >= total || batch.length < PAGE_SIZE) return fetched;
+    page++;
+  }
+}
+
+// Today's first orders (UTC date), as Flowhub sends them
+async function sample(importId) {
+  const today = new Date().toISOString().split('T')[0];
+  const data = await flowhubGet(`/v1/orders/findByLocationId/${importId}`, { created_after: today, created_before: today, page_size: 3, page: 1 });
+  return { total: data.total, sample: (data.orders || []).slice(0, 2) };
+}
+
+// Stock on hand per product at the location, as Flowhub sends it
+async function inventory(importId) {
+  const data = await flowhubGet(`/v0/locations/${importId}/inventory`);
+  return Array.isArray(data) ? data : (data.data || data.inventory || []);
+}
+
+module.exports = { name: 'flowhub', locations, eachPage, sample, inventory, flowhubGet };
@@ -0,0 +1,147 @@
+// server/pos.js
+// ============================================================
+// POS data sources — adapters behind one order model
+// Every order the dashboard reads comes through an adapter: Flowhub's
+// API (pos-flowhub.js) or exported files (pos-file.js). An adapter lists
+// its locations and pages through their orders, normalized to the model
+// below, so flowhub.js, the warehouse, the rebuild worker and the routes
+// never see which POS a store runs on. POS_SOURCES picks the adapters
+// (default: flowhub); their locations all go into the store registry.
+// Location ids are the adapter's own, prefixed with its name
+// ("file:reno-west") for every adapter but Flowhub, whose ids predate
+// this and key caches, warehouse folders and the registry.
+// ============================================================
+
+// ── Order model ───────────────────────────────────────────────
+// What aggregate.js, the warehouse, live and reconciliation read. Flowhub
+// was the first source, so the names are its own:
+//   _id            unique within the location
+//   createdAt      ISO 8601 timestamp with its offset (Flowhub's are UTC)
+//   orderStatus    'sold' | 'voided' | 'returned' | 'refunded'
+//   orderType      'sale' | 'return'
+//   customerType   anything containing "med" is medical, else recreational
+//   budtender      employee name
+//   paymentType    the tender, or payments: [{ paymentType, amount }] when split
+//   totalTaxes, totalFees, totalRefunded   order-level amounts (optional)
+//   itemsInCart    [{ productName, sku, brand, category, quantity, unitPrice,
+//                     totalPrice, totalDiscounts, totalTaxes, isCannabis, voided }]
+// Adapters may pass other fields through; nothing downstream needs them.
+//
+// ── Stock model ───────────────────────────────────────────────
+// What inventory.js reads — one row per product on hand at a location:
+//   productName, sku, brand, category   as on order lines
+//   quantity       units on hand now
+//   cost           unit cost (optional)
+//
+// ── Adapter interface ─────────────────────────────────────────
+//   name                              'flowhub', 'file', …
+//   locations()                       → [{ id, rawName }] (the adapter's own ids)
+//   eachPage(id, from, to, onPage)    every order created on UTC dates from..to
+//                                     (inclusive), a page at a time, in the
+//                                     adapter's own shape. Throws on a failed
+//                                     page; resolves to the count.
+//   sample(id)                        → { total, sample } raw orders (diagnostics)
+//   inventory(id)                     → raw stock rows, or null when the
+//                                     location has none (optional: an
+//                                     adapter without it has no stock)
+// Adapters don't pad or normalize: eachOrderPage() below does both.
+
+const ADAPTERS = {
+  flowhub: () => require('./pos-flowhub'),
+  file: () => require('./pos-file'),
+};
+const DEFAULT_SOURCE = 'flowhub';
+
+function configured() {
+  const names = (process.env.POS_SOURCES || DEFAULT_SOURCE).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const unknown = names.filter(n => !ADAPTERS[n]);
+  if (unknown.length) throw new Error(`Unknown POS_SOURCES: ${unknown.join(', ')} (known: ${Object.keys(ADAPTERS).join(', ')})`);
+  return names;
+}
+
+// ── Location ids ──────────────────────────────────────────────
+const importIdOf = (source, id) => (source === DEFAULT_SOURCE ? id : `${source}:${id}`);
+
+// importId → { adapter, id }. An unprefixed id is Flowhub's.
+function resolve(importId) {
+  const m = /^([a-z]+):(.+)$/.exec(importId);
+  const source = m && ADAPTERS[m[1]] ? m[1] : DEFAULT_SOURCE;
+  return { source, adapter: ADAPTERS[source](), id: source === DEFAULT_SOURCE ? importId : m[2] };
+}
+
+const sourceOf = importId => resolve(importId).source;
+
+// ── Normalizing ───────────────────────────────────────────────
+// Fills the model's required fields from the usual alternatives. An
+// order with no usable timestamp can't be dated and is dropped (null).
+function toOrder(o) {
+  if (!o || typeof o !== 'object') return null;
+  const createdAt = o.createdAt || o.completedOn || o.created_at;
+  if (!createdAt || isNaN(Date.parse(createdAt))) return null;
+  const _id = o._id || o.id || o.orderId || `${createdAt}|${o.budtender || ''}`;
+  return { ...o, _id: String(_id), createdAt, itemsInCart: Array.isArray(o.itemsInCart) ? o.itemsInCart : [] };
+}
+
+// Fills the stock model the same way. A row with no product name or no
+// usable quantity is dropped (null).
+function toStock(s) {
+  if (!s || typeof s !== 'object') return null;
+  const productName = s.productName || s.name || s.product;
+  const quantity = Number(s.quantity ?? s.quantityOnHand ?? s.inventoryQuantity ?? s.available);
+  if (!productName || !Number.isFinite(quantity)) return null;
+  const cost = Number(s.cost ?? s.costPerUnit ?? s.unitCost);
+  return {
+    productName: String(productName), sku: s.sku ? String(s.sku) : null, brand: s.brand || '', category: s.category || 'Other',
+    quantity, cost: Number.isFinite(cost) && cost > 0 ? cost : null,
+  };
+}
+
+// ── Reading ───────────────────────────────────────────────────
+// Every configured adapter's locations, read once per process (refresh
+// reads them again): [{ importId, rawName, source }]. One adapter
+// failing doesn't hide the others' stores (and the list is read again
+// next time); all failing throws.
+let _locations = null;
+async function locations(refresh) {
+  if (_locations && !refresh) return _locations;
+  const out = [], errors = [];
+  for (const source of configured()) {
+    try {
+      (await ADAPTERS[source]().locations()).forEach(l => out.push({ importId: importIdOf(source, l.id), rawName: l.rawName, source }));
+    } catch (err) {
+      console.error(`  [pos] ${source} locations failed:`, err.message);
+      errors.push(`${source}: ${err.message}`);
+    }
+  }
+  if (!out.length && errors.length) throw new Error(errors.join('; '));
+  console.log('✓', out.length, 'POS locations:', out.map(l => `${l.rawName} (${l.source})`).join(', '));
+  if (!errors.length) _locations = out;
+  return out;
+}
+
+// Every page of a padded local range (YYYY-MM-DD), untrimmed, as model
+// orders. Sources date orders in UTC, so a store's local range is read
+// with a day of padding either side (every offset from UTC-12 to UTC+12)
+// and callers trim by each order's local date. Throws on a failed page;
+// resolves to the number of orders seen.
+function addDays(s, days) { const d = new Date(s + 'T12:00:00Z'); d.setUTCDate(d.getUTCDate() + days); return d.toISOString().split('T')[0]; }
+function eachOrderPage(importId, start, end, onPage) {
+  const { adapter, id } = resolve(importId);
+  return adapter.eachPage(id, addDays(start, -1), addDays(end, 1), (batch, page) => onPage(batch.map(toOrder).filter(Boolean), page));
+}
+
+function sample(importId) {
+  const { adapter, id } = resolve(importId);
+  return adapter.sample(id);
+}
+
+// Stock on hand at the location now, as model rows; null when its
+// adapter has no inventory (or none for this location)
+async function inventory(importId) {
+  const { adapter, id } = resolve(importId);
+  if (typeof adapter.inventory !== 'function') return null;
+  const rows = await adapter.inventory(id);
+  return rows ? rows.map(toStock).filter(Boolean) : null;
+}
+
+module.exports = { locations, eachOrderPage, sample, inventory, toOrder, toStock, sourceOf, configured, ADAPTERS, DEFAULT_SOURCE };
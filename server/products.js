@@ -0,0 +1,175 @@
+// server/products.js
+// ============================================================
+// Product analytics — every store's products over the 12-week trend
+// The rebuild worker reads each store's last 12 weeks into a catalog:
+// per product and store, the units and net sales of each week. A
+// product is its name + brand, the key /api/products already uses; the
+// SKU is kept for display and search. Everything the Products tab
+// shows — the company-wide ranking, one product across stores, its
+// weekly units and average price, the new / rising / dying flags — is
+// worked out from the catalog per request, over the stores the user
+// can see. Sales only, like the top-products list: returns aren't
+// matched back to their products.
+// ============================================================
+
+const fh = require('./flowhub');
+const agg = require('./aggregate');
+const jobs = require('./jobs');
+
+const num = (name, dflt) => { const v = parseFloat(process.env[name]); return Number.isFinite(v) ? v : dflt; };
+const WEEKS = 12;
+// Flags compare the last RECENT_WEEKS completed weeks with the ones
+// before; the current week is shown but never judged
+const RECENT_WEEKS = 4;
+const RISING_PCT = num('PRODUCT_RISING_PCT', 50);
+const DYING_PCT = num('PRODUCT_DYING_PCT', 60);
+// Fewer units than this over the completed weeks is too little to call
+const MIN_UNITS = num('PRODUCT_MIN_UNITS', 10);
+const STATUSES = ['new', 'rising', 'steady', 'dying'];
+const SORTS = {
+  net: (a, b) => b.net_sales - a.net_sales,
+  units: (a, b) => b.units_sold - a.units_sold,
+  change: (a, b) => (b.change_pct ?? -Infinity) - (a.change_pct ?? -Infinity),
+  name: (a, b) => a.name.localeCompare(b.name),
+};
+
+const round1 = n => Math.round(n * 10) / 10;
+const { round2 } = agg;
+const sum = xs => xs.reduce((s, x) => s + x, 0);
+const zeros = () => new Array(WEEKS).fill(0);
+const avgPrices = (units, net) => units.map((u, i) => (u > 0 ? round2(net[i] / u) : null));
+
+// ── skus: units and net per product, sales only ───────────────
+agg.registerDimension('skus', {
+  init: () => ({}),
+  add(m, p) {
+    if (p.kind !== 'sale') return;
+    for (const l of p.lines) {
+      const i = l.item, name = i.productName || i.title1 || 'Unknown', brand = i.brand || '', k = `${name}__${brand}`;
+      if (!m[k]) m[k] = { key: k, name, brand, category: l.category, sku: null, units: 0, net: 0 };
+      m[k].units += l.qty; m[k].net += l.net;
+      if (i.sku) m[k].sku = String(i.sku);
+    }
+  },
+  result: m => Object.values(m).map(s => ({ ...s, net: round2(s.net) })),
+});
+
+// ── Catalog (rebuild worker) ──────────────────────────────────
+// { weekStarts, stores: { id: { name, color } }, errors: { id: message },
+//   products: [{ key, name, brand, category, sku,
+//                stores: { id: { units: [12], net: [12] } } }] }
+// weekStarts are Pacific's, as in the trend; each store's weeks are cut
+// by its own clock. A store whose read fails is left out (errors).
+async function buildCatalog(locations, source = fh.apiSource) {
+  const stores = {}, errors = {}, products = new Map();
+  for (const loc of locations) {
+    const t0 = Date.now(), weeks = fh.weekRanges(WEEKS, loc.timezone);
+    try {
+      const a = agg.createRangeAggregator(weeks, ['skus'], { tz: loc.timezone });
+      await source.eachPage(loc, weeks[0].start, weeks[WEEKS - 1].end, batch => a.addPage(batch));
+      a.results().forEach((b, w) => b.result.skus.forEach(s => {
+        let p = products.get(s.key);
+        if (!p) products.set(s.key, p = { key: s.key, name: s.name, brand: s.brand, category: s.category, sku: s.sku, stores: {} });
+        if (s.sku) p.sku = s.sku;
+        const st = p.stores[loc.id] || (p.stores[loc.id] = { units: zeros(), net: zeros() });
+        st.units[w] = s.units; st.net[w] = s.net;
+      }));
+      stores[loc.id] = { name: loc.name, color: loc.color };
+      jobs.storeDone(loc, t0);
+    } catch (e) {
+      console.error(`  ${loc.name}: product catalog FAIL ${e.message}`);
+      errors[loc.id] = e.message;
+      jobs.storeDone(loc, t0, e);
+    }
+  }
+  return { weekStarts: fh.weekRanges(WEEKS).map(w => w.start), stores, errors, products: [...products.values()] };
+}
+
+// ── Flags ─────────────────────────────────────────────────────
+// units: WEEKS weekly units, the current week last. Average weekly units
+// over the recent completed weeks against the earlier ones:
+//   new     nothing sold before the recent weeks (this week counts)
+//   rising  up RISING_PCT% or more     } with MIN_UNITS sold over
+//   dying   down DYING_PCT% or more    } the completed weeks
+//   steady  everything else
+function classify(units) {
+  const done = units.slice(0, -1), recent = done.slice(-RECENT_WEEKS), prior = done.slice(0, -RECENT_WEEKS);
+  const before = sum(prior) / prior.length, now = sum(recent) / recent.length;
+  const change_pct = before > 0 ? round1((now / before - 1) * 100) : null;
+  let status = 'steady';
+  if (!sum(prior)) status = 'new';
+  else if (sum(done) >= MIN_UNITS && change_pct >= RISING_PCT) status = 'rising';
+  else if (sum(done) >= MIN_UNITS && change_pct <= -DYING_PCT) status = 'dying';
+  return { status, change_pct };
+}
+
+// ── Per request ───────────────────────────────────────────────
+// A product's weekly totals over storeIds; null when none of them sold it
+function companyRow(p, storeIds, weekStarts) {
+  const units = zeros(), net = zeros(), sold = storeIds.filter(id => p.stores[id]);
+  if (!sold.length) return null;
+  sold.forEach(id => p.stores[id].units.forEach((u, i) => { units[i] += u; net[i] += p.stores[id].net[i]; }));
+  const weeksNet = net.map(round2), total = sum(units), last = units.map(u => u > 0).lastIndexOf(true);
+  return {
+    key: p.key, name: p.name, brand: p.brand, category: p.category, sku: p.sku,
+    units_sold: total, net_sales: round2(sum(net)), avg_price: total > 0 ? round2(sum(net) / total) : 0,
+    stores: sold.length, lastSoldWeek: last >= 0 ? weekStarts[last] : null,
+    ...classify(units), weeks: { units, net: weeksNet, avg_price: avgPrices(units, weeksNet) },
+  };
+}
+
+function matches(row, q) {
+  if (!q) return true;
+  const needle = q.toLowerCase();
+  return [row.name, row.brand, row.sku].some(v => v && v.toLowerCase().includes(needle));
+}
+
+// The company-wide ranking over storeIds (the stores the user can see,
+// or the one they picked). rank is by net sales before any filter, so
+// a search still shows where a product stands. opts: q (name, brand or
+// SKU), category, brand, status, sort (net | units | change | name),
+// limit, offset.
+function rank(catalog, storeIds, opts = {}) {
+  const all = catalog.products.map(p => companyRow(p, storeIds, catalog.weekStarts)).filter(Boolean)
+    .sort((a, b) => b.net_sales - a.net_sales);
+  all.forEach((r, i) => { r.rank = i + 1; });
+
+  const categories = [...new Set(all.map(r => r.category))].sort();
+  const statusCounts = Object.fromEntries(STATUSES.map(s => [s, all.filter(r => r.status === s).length]));
+  const rows = all.filter(r => matches(r, opts.q)
+    && (!opts.category || r.category === opts.category)
+    && (!opts.brand || r.brand === opts.brand)
+    && (!opts.status || r.status === opts.status));
+  const by = SORTS[opts.sort] || SORTS.net;
+  rows.sort((a, b) => by(a, b) || a.rank - b.rank);
+
+  const limit = Math.min(parseInt(opts.limit, 10) || 50, 500), offset = Math.max(parseInt(opts.offset, 10) || 0, 0);
+  return {
+    weekStarts: catalog.weekStarts, stores: storeIds.length, total: rows.length,
+    products: rows.slice(offset, offset + limit), categories, statusCounts,
+  };
+}
+
+// One product across storeIds: the company row, then each store's
+// units, net, average price, share of the product's units, its rank
+// among that store's products and its own weekly numbers and flag.
+// null when the product is unknown or none of storeIds sold it.
+function compare(catalog, key, storeIds) {
+  const p = catalog.products.find(x => x.key === key);
+  const row = p && companyRow(p, storeIds, catalog.weekStarts);
+  if (!row) return null;
+  const netOf = (x, id) => (x.stores[id] ? round2(sum(x.stores[id].net)) : 0);
+  const stores = storeIds.filter(id => p.stores[id]).map(id => {
+    const { units, net } = p.stores[id], u = sum(units), n = round2(sum(net)), info = catalog.stores[id] || {};
+    return {
+      id, name: info.name || id, color: info.color || null,
+      units_sold: u, net_sales: n, avg_price: u > 0 ? round2(n / u) : 0,
+      share: row.units_sold > 0 ? round1(u / row.units_sold * 100) : 0,
+      rank: 1 + catalog.products.filter(x => netOf(x, id) > n).length,
+      ...classify(units), weeks: { units, net, avg_price: avgPrices(units, net) },
+    };
+  }).sort((a, b) => b.net_sales - a.net_sales);
+  return { weekStarts: catalog.weekStarts, product: row, stores };
+}
+
+module.exports = { buildCatalog, classify, rank, compare, STATUSES, WEEKS, RECENT_WEEKS, RISING_PCT, DYING_PCT, MIN_UNITS };
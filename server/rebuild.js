@@ -1,22 +1,68 @@
 // server/rebuild.js
 // Dashboard piggybacks hourly + budtenders (zero extra API calls)
 // Trend + DvD run in parallel alongside dashboard
+// Orders come from the local warehouse, synced once up front (new orders only)
+// Every run is a job (jobs.js): progress, durations and Flowhub calls per section
+var AsyncResource = require('async_hooks').AsyncResource;
 var fh = require('./flowhub');
 var redis = require('./redis');
+var warehouse = require('./warehouse');
+var trendRanges = require('./trend');
+var forecast = require('./forecast');
+var products = require('./products');
+var brands = require('./brands');
+var inventory = require('./inventory');
+var alerts = require('./alerts');
+var jobs = require('./jobs');
+var live = require('./live');
 
 var KEYS = {
-  trend:       'cache:trend:12w',
+  trend:       function(weeks) { return 'cache:trend:' + (weeks || 12) + 'w'; },
   dvd:         function(dow) { return 'cache:dvd:' + dow; },
   budtenders:  function(storeId) { return 'cache:bt:' + storeId; },
   storeDetail: function(storeId) { return 'cache:store:' + storeId; },
   dashboard:   'cache:dashboard',
+  periods:     'cache:periods',
+  forecast:    'cache:forecast:profiles',
+  products:    'cache:products',
+  brands:      'cache:brands',
+  inventory:   'cache:inventory',
+  status:      function(section) { return 'rebuild:status:' + section; },
   lock:        'rebuild:lock',
 };
 
-var LOCK_TTL = 180;
-var CACHE_TTL = 600;
+var LOCK_TTL = 180; // re-armed while a rebuild runs (withLock)
+// With the scheduler on, sections are refreshed on its timetable and
+// staleness is tracked per section, so keys only need to outlive the
+// longest gap (nightly). Without it, keep the old short expiry.
+var CACHE_TTL = parseInt(process.env.REBUILD_CACHE_TTL, 10) || (process.env.SCHEDULER === 'off' ? 600 : 36 * 3600);
+var PROFILE_TTL = 36 * 3600; // a day's profiles outlive a missed rebuild
 var CONCURRENCY = 3;
 
+// Sections with a status record; the trend ranges past 12w are 'trend:N'
+var SECTIONS = ['warehouse', 'dashboard', 'enrichment', 'trend', 'dvd', 'periods', 'forecast', 'products', 'inventory', 'alerts']
+  .concat(trendRanges.TREND_RANGES.filter(function(w) { return w > 12; }).map(function(w) { return 'trend:' + w; }));
+
+// -- SECTION STATUS (last success / failure, for "data as of") ------
+async function markSection(section, t0, err) {
+  var key = KEYS.status(section);
+  var s = (await redis.getJSON(key)) || { section: section };
+  var now = new Date().toISOString();
+  s.lastRunAt = now;
+  s.durationMs = Date.now() - t0;
+  s.ok = !err;
+  if (err) { s.lastFailureAt = now; s.lastError = err.message || String(err); }
+  else s.lastSuccessAt = now;
+  await redis.setJSON(key, s);
+  if (err) jobs.sectionFailed(err);
+}
+
+async function getSectionStatus() {
+  var out = {};
+  for (var i = 0; i < SECTIONS.length; i++) out[SECTIONS[i]] = await redis.getJSON(KEYS.status(SECTIONS[i]));
+  return out;
+}
+
 function pLimit(n) {
   var active = 0, q = [];
   function next() {
@@ -25,33 +71,62 @@ function pLimit(n) {
     var item = q.shift();
     item.fn().then(item.resolve, item.reject).finally(function() { active--; next(); });
   }
+  // fn keeps the caller's async context (its job section), whoever's turn frees the slot
   return function(fn) {
-    return new Promise(function(resolve, reject) { q.push({ fn: fn, resolve: resolve, reject: reject }); next(); });
+    return new Promise(function(resolve, reject) { q.push({ fn: AsyncResource.bind(fn), resolve: resolve, reject: reject }); next(); });
   };
 }
 
+// -- WAREHOUSE SYNC (only orders since the last sync hit the API) --
+// Returns the order source every section reads from. A store whose sync
+// failed still reads its settled days locally and falls back to the API
+// for the rest (see warehouse.js).
+async function syncWarehouse(locations) {
+  if (!warehouse.ENABLED) return fh.apiSource;
+  await jobs.step('warehouse', async function() {
+    var t0 = Date.now();
+    console.log('  [warehouse] syncing...');
+    var results = await warehouse.syncAll(locations);
+    var orders = 0, failed = 0;
+    results.forEach(function(r) { orders += r.orders; if (r.error) failed++; });
+    await markSection('warehouse', t0, failed ? new Error(failed + ' of ' + results.length + ' stores failed to sync') : null);
+    // Today's large sales for the live ticker (the feed drops ones it has)
+    var large = [];
+    results.forEach(function(r, i) {
+      var today = fh.todayIn(locations[i].timezone);
+      if (r.orders) large = large.concat(live.largeTransactions(locations[i], warehouse.readDay(locations[i].importId, today), today));
+    });
+    await live.recordTransactions(large);
+    console.log('  [warehouse] done ' + (Date.now() - t0) + 'ms (' + orders + ' orders' + (failed ? ', ' + failed + ' stores failed' : '') + ')');
+  });
+  return warehouse.source;
+}
+
 // -- DASHBOARD (fast: TW only, ~10s) ------------------------------
-async function rebuildDashboard() {
+async function rebuildDashboard(source) {
   var t0 = Date.now();
   console.log('  [dashboard] starting (TW only, fast)...');
   try {
-    var data = await fh.getDashboardData();
+    var data = await fh.getDashboardData(source);
     data.rebuildDurationMs = Date.now() - t0;
     await redis.setJSON(KEYS.dashboard, data, CACHE_TTL);
+    await markSection('dashboard', t0);
+    await live.publishDashboard(data);
     console.log('  [dashboard] done ' + (Date.now() - t0) + 'ms');
     return data;
   } catch (err) {
     console.error('  [dashboard] FAIL: ' + err.message);
+    await markSection('dashboard', t0, err);
     return null;
   }
 }
 
 // -- STORE ENRICHMENT (LW+PW: hourly, budtenders, categories, ~60-90s) --
-async function rebuildStoreEnrichment() {
+async function rebuildStoreEnrichment(source) {
   var t0 = Date.now();
   console.log('  [enrich] starting (LW+PW for hourly + budtenders + categories)...');
   try {
-    var data = await fh.getStoreEnrichmentData();
+    var data = await fh.getStoreEnrichmentData(source);
     var lw = data.lastWeek;
 
     for (var i = 0; i < data.stores.length; i++) {
@@ -62,7 +137,7 @@ async function rebuildStoreEnrichment() {
         await redis.setJSON(KEYS.storeDetail(store.id), {
           store: { id: store.id, name: store.name, color: store.color },
           hourly: store.hourly, hourlyWeeks: 2, categoryTrend: store.categoryTrend || [],
-          lastWeek: lw, generatedAt: new Date().toISOString(),
+          lastWeek: lw, lastYearWeek: data.lastYearWeek, generatedAt: new Date().toISOString(),
         }, CACHE_TTL);
       }
 
@@ -75,33 +150,43 @@ async function rebuildStoreEnrichment() {
       }
     }
 
+    await markSection('enrichment', t0);
     console.log('  [enrich] done ' + (Date.now() - t0) + 'ms');
     return data;
   } catch (err) {
     console.error('  [enrich] FAIL: ' + err.message);
+    await markSection('enrichment', t0, err);
     return null;
   }
 }
 
-// -- TREND --------------------------------------------------------
-async function rebuildTrend(locations, limit) {
+// -- TREND (12w in every full rebuild; 26w-3y when first requested) --
+async function rebuildTrend(locations, limit, source, weeksBack) {
   var t0 = Date.now();
-  console.log('  [trend] starting...');
-  var weeksBack = 12;
-  var weeks = [];
-  for (var i = 0; i < weeksBack; i++) weeks.push(fh.weekRange(weeksBack - 1 - i));
+  weeksBack = weeksBack || 12;
+  console.log('  [trend] starting (' + weeksBack + ' weeks)...');
+  var slim = weeksBack > 12;
+  // weekStarts label the payload (Pacific's); each store's weeks are cut
+  // by its own clock
+  var weeks = fh.weekRanges(weeksBack);
 
   var storeResults = await Promise.all(
     locations.map(function(loc) {
       return limit(async function() {
-        var ts = Date.now();
+        var ts = Date.now(), own = fh.weekRanges(weeksBack, loc.timezone);
         try {
-          var trend = await fh.getTrendForStore(loc, weeks);
+          var trend = await fh.getTrendForStore(loc, own, source);
+          // Same ISO weeks last year for YoY; completed, so cached after the first read
+          var ly = null;
+          try { ly = await fh.getLastYearForStore(loc, own, source, trend); }
+          catch (err) { console.error('    trend ' + loc.name + ': last year FAIL ' + err.message); }
           console.log('    trend ' + loc.name + ': ' + (Date.now() - ts) + 'ms');
-          return { store: loc, trend: trend, error: null };
+          jobs.storeDone(loc, ts);
+          return { store: loc, trend: trend, ly: ly, error: null };
         } catch (err) {
           console.error('    trend ' + loc.name + ': FAIL ' + err.message);
-          return { store: loc, trend: null, error: err.message };
+          jobs.storeDone(loc, ts, err);
+          return { store: loc, weeks: own, trend: null, error: err.message };
         }
       });
     })
@@ -112,29 +197,171 @@ async function rebuildTrend(locations, limit) {
     stores[r.store.id] = {
       name: r.store.name, color: r.store.color,
       weeks: r.trend
-        ? r.trend.map(function(e) { return { week: e.week.start, weekEnd: e.week.end, summary: e.summary, error: e.error || null }; })
-        : weeks.map(function(w) { return { week: w.start, weekEnd: w.end, error: r.error }; }),
+        ? r.trend.map(function(e, i) {
+          var ly = r.ly ? r.ly[i] : null;
+          return {
+            week: e.week.start, weekEnd: e.week.end, summary: slim ? trendRanges.slimSummary(e.summary) : e.summary, error: e.error || null,
+            lyWeek: ly ? ly.week.start : null, ly: ly ? trendRanges.slimSummary(ly.summary) || null : null,
+          };
+        })
+        : r.weeks.map(function(w) { return { week: w.start, weekEnd: w.end, error: r.error }; }),
     };
   });
 
   var payload = {
     generatedAt: new Date().toISOString(),
     rebuildDurationMs: Date.now() - t0,
+    weeks: weeksBack,
     weekStarts: weeks.map(function(w) { return w.start; }),
     stores: stores
   };
-  await redis.setJSON(KEYS.trend, payload, CACHE_TTL);
-  console.log('  [trend] done ' + (Date.now() - t0) + 'ms');
+  // 12w: brand rows go to their own cache (brands.js), not the trend
+  if (weeksBack === 12) {
+    var brandCache = brands.fromTrend(payload);
+    brandCache.generatedAt = payload.generatedAt;
+    await redis.setJSON(KEYS.brands, brandCache, CACHE_TTL);
+  }
+  await redis.setJSON(KEYS.trend(weeksBack), payload, CACHE_TTL);
+  var failed = storeResults.filter(function(r) { return r.error; }).length;
+  await markSection(weeksBack === 12 ? 'trend' : 'trend:' + weeksBack, t0,
+    failed && failed === storeResults.length ? new Error('every store failed: ' + storeResults[0].error) : null);
+  console.log('  [trend] done ' + weeksBack + 'w ' + (Date.now() - t0) + 'ms');
   return payload;
 }
 
-// -- DAY VS DAY (bulk: 7 API calls for all 7 DOWs) ---------------
-async function rebuildDayVsDay() {
+// -- PERIOD TO DATE (YTD / QTD / MTD vs prior year, from the week cache) --
+async function rebuildPeriods(source) {
+  var t0 = Date.now();
+  console.log('  [periods] starting (YTD / QTD / MTD)...');
+  try {
+    var data = await fh.getPeriodsToDateData(source);
+    data.generatedAt = new Date().toISOString();
+    data.rebuildDurationMs = Date.now() - t0;
+    await redis.setJSON(KEYS.periods, data, CACHE_TTL);
+    await markSection('periods', t0);
+    console.log('  [periods] done ' + (Date.now() - t0) + 'ms');
+    return data;
+  } catch (err) {
+    console.error('  [periods] FAIL: ' + err.message);
+    await markSection('periods', t0, err);
+    return null;
+  }
+}
+
+// -- FORECAST PROFILES (12 weeks of intraday curves, once a day) --
+// Finished days only, so one build per store-local date is enough; the
+// forecast itself is worked out per request from these + the dashboard.
+function profilesCurrent(cached, locations) {
+  return cached.asOf === fh.todayPacific() && locations.every(function(loc) {
+    var p = cached.stores[loc.id];
+    return !p || p.asOf === fh.todayIn(loc.timezone);
+  });
+}
+async function rebuildForecast(locations, source, force) {
+  var t0 = Date.now();
+  var cached = await getCachedForecastProfiles();
+  if (!force && cached && profilesCurrent(cached, locations)) { await markSection('forecast', t0); return cached; }
+  console.log('  [forecast] starting (' + forecast.HISTORY_WEEKS + 'w intraday profiles)...');
+  try {
+    var data = await forecast.buildProfiles(locations, source);
+    data.generatedAt = new Date().toISOString();
+    data.rebuildDurationMs = Date.now() - t0;
+    await redis.setJSON(KEYS.forecast, data, PROFILE_TTL);
+    await markSection('forecast', t0);
+    console.log('  [forecast] done ' + (Date.now() - t0) + 'ms');
+    return data;
+  } catch (err) {
+    console.error('  [forecast] FAIL: ' + err.message);
+    await markSection('forecast', t0, err);
+    return null;
+  }
+}
+
+// -- PRODUCTS (every store's products, 12 weeks, for the Products tab) --
+// Ranking, comparisons and flags are worked out per request from this
+async function rebuildProducts(locations, source) {
+  var t0 = Date.now();
+  console.log('  [products] starting (' + products.WEEKS + 'w catalog)...');
+  try {
+    var data = await products.buildCatalog(locations, source);
+    data.generatedAt = new Date().toISOString();
+    data.rebuildDurationMs = Date.now() - t0;
+    var failed = Object.keys(data.errors);
+    if (failed.length && failed.length === locations.length) throw new Error('every store failed: ' + data.errors[failed[0]]);
+    await redis.setJSON(KEYS.products, data, CACHE_TTL);
+    await markSection('products', t0);
+    console.log('  [products] done ' + (Date.now() - t0) + 'ms (' + data.products.length + ' products)');
+    return data;
+  } catch (err) {
+    console.error('  [products] FAIL: ' + err.message);
+    await markSection('products', t0, err);
+    return null;
+  }
+}
+
+// -- INVENTORY (every store's stock on hand, for the Inventory tab) --
+// Read from the POS, not the warehouse: stock is now, not history. Joined
+// with the products catalog per request
+async function rebuildInventory(locations) {
+  var t0 = Date.now();
+  console.log('  [inventory] starting...');
+  try {
+    var data = await inventory.readStock(locations);
+    data.rebuildDurationMs = Date.now() - t0;
+    var failed = Object.keys(data.errors);
+    if (failed.length && failed.length === locations.length - data.unsupported.length) throw new Error('every store failed: ' + data.errors[failed[0]]);
+    await redis.setJSON(KEYS.inventory, data, CACHE_TTL);
+    await markSection('inventory', t0);
+    console.log('  [inventory] done ' + (Date.now() - t0) + 'ms (' + Object.keys(data.stores).length + ' stores, ' + data.unsupported.length + ' without stock)');
+    return data;
+  } catch (err) {
+    console.error('  [inventory] FAIL: ' + err.message);
+    await markSection('inventory', t0, err);
+    return null;
+  }
+}
+
+// -- ALERTS (anomaly checks against what this rebuild just cached) --
+// One read of today's orders per store for the intraday checks; the rest
+// comes from the Day vs Day, store detail, trend and forecast caches.
+async function rebuildAlerts(locations, source) {
+  var t0 = Date.now();
+  console.log('  [alerts] checking...');
+  try {
+    var yesterday = fh.addDays(fh.todayPacific(), -1);
+    var ctx = {
+      now: new Date().toISOString(),
+      stores: locations,
+      today: {},
+      storeDetail: {},
+      profiles: await getCachedForecastProfiles(),
+      dvd: await getCachedDvd(new Date(yesterday + 'T12:00:00Z').getUTCDay()),
+      trend: await getCachedTrend(12),
+    };
+    for (var i = 0; i < locations.length; i++) {
+      var loc = locations[i], ts = Date.now();
+      ctx.storeDetail[loc.id] = await getCachedStoreDetail(loc.id);
+      try { ctx.today[loc.id] = await alerts.readToday(loc, source); jobs.storeDone(loc, ts); }
+      catch (err) { console.error('    alerts ' + loc.name + ': today FAIL ' + err.message); jobs.storeDone(loc, ts, err); }
+    }
+    var status = await alerts.run(ctx);
+    await markSection('alerts', t0);
+    console.log('  [alerts] done ' + (Date.now() - t0) + 'ms (' + status.detected + ' found, ' + status.new + ' new)');
+    return status;
+  } catch (err) {
+    console.error('  [alerts] FAIL: ' + err.message);
+    await markSection('alerts', t0, err);
+    return null;
+  }
+}
+
+// -- DAY VS DAY (bulk: one 28-day read per store for all 7 DOWs) --
+async function rebuildDayVsDay(source) {
   var t0 = Date.now();
   console.log('  [dvd] starting (bulk fetch)...');
 
   try {
-    var allDows = await fh.buildAllDayVsDay(4);
+    var allDows = await fh.buildAllDayVsDay(4, source);
 
     for (var dow = 0; dow < 7; dow++) {
       if (allDows[dow]) {
@@ -142,83 +369,180 @@ async function rebuildDayVsDay() {
       }
     }
 
+    await markSection('dvd', t0);
     console.log('  [dvd] done ' + (Date.now() - t0) + 'ms (all 7 DOWs from bulk fetch)');
   } catch (err) {
     console.error('  [dvd] FAIL: ' + err.message);
+    await markSection('dvd', t0, err);
+  }
+}
+
+// -- LOCK ----------------------------------------------------------
+// One rebuild at a time across instances: fn runs holding KEYS.lock,
+// re-armed every LOCK_TTL / 3 so a long run never outlives it (a dead
+// process's lock still expires). Skipped as lock_held when another run
+// has it; with Redis unreachable there is no lock to take, so fn runs
+// without one (as rebuilds always did).
+async function withLock(fn) {
+  if (!(await redis.acquireLock(KEYS.lock, LOCK_TTL))) {
+    if (!(await redis.ping())) {
+      console.log('  Redis unavailable, rebuilding without the lock');
+      return fn();
+    }
+    console.log('  Lock held, skipping');
+    jobs.skip('lock_held');
+    return;
+  }
+  var beat = setInterval(function() { redis.refreshLock(KEYS.lock, LOCK_TTL); }, LOCK_TTL * 1000 / 3);
+  if (beat.unref) beat.unref();
+  try {
+    return await fn();
+  } finally {
+    clearInterval(beat);
+    await redis.releaseLock(KEYS.lock);
   }
 }
 
 // -- FULL REBUILD (parallel) --------------------------------------
-async function rebuildAll() {
+async function fullRebuild() {
   var t0 = Date.now();
   console.log('\n=== FULL REBUILD: starting (parallel) ===');
 
-  var locked = await redis.acquireLock(KEYS.lock, LOCK_TTL);
-  if (!locked) {
-    console.log('  Lock held, skipping');
-    return { status: 'skipped', reason: 'lock_held' };
-  }
-
-  try {
+  await withLock(async function() {
     var locations = await fh.getLocations();
     var limit = pLimit(CONCURRENCY);
+    var source = await syncWarehouse(locations);
 
     // Dashboard first (fast, TW only ~10s) — user sees data immediately
-    await rebuildDashboard();
+    await jobs.step('dashboard', function() { return rebuildDashboard(source); });
 
-    // Then enrichment + trend + dvd all in parallel (background)
+    // Then enrichment + trend + dvd + periods + forecast + products + inventory all in parallel (background)
+    var names = ['enrichment', 'trend', 'dvd', 'periods', 'forecast', 'products', 'inventory'];
     var results = await Promise.allSettled([
-      rebuildStoreEnrichment(),
-      rebuildTrend(locations, limit),
-      rebuildDayVsDay(),
-    ]);
+      function() { return rebuildStoreEnrichment(source); },
+      function() { return rebuildTrend(locations, limit, source); },
+      function() { return rebuildDayVsDay(source); },
+      function() { return rebuildPeriods(source); },
+      function() { return rebuildForecast(locations, source); },
+      function() { return rebuildProducts(locations, source); },
+      function() { return rebuildInventory(locations); },
+    ].map(function(fn, i) { return jobs.step(names[i], fn); }));
 
-    var names = ['enrichment', 'trend', 'dvd'];
     results.forEach(function(r, i) {
       if (r.status === 'rejected') {
         console.error('  ' + names[i] + ' FAILED: ' + (r.reason ? r.reason.message : r.reason));
       }
     });
 
+    // Anomaly checks read the caches the sections above just wrote
+    await jobs.step('alerts', function() { return rebuildAlerts(locations, source); });
+
+    // Longer trend ranges someone has opened stay as fresh as the 12w
+    // (completed weeks are cached, so this only re-reads the current week)
+    var longRanges = trendRanges.TREND_RANGES.filter(function(w) { return w > 12; });
+    for (var i = 0; i < longRanges.length; i++) {
+      if (!(await getCachedTrend(longRanges[i]))) continue;
+      await jobs.step('trend:' + longRanges[i], rebuildTrend.bind(null, locations, limit, source, longRanges[i]));
+    }
+
     var total = Date.now() - t0;
     console.log('=== FULL REBUILD: complete in ' + total + 'ms (' + (total/1000).toFixed(1) + 's) ===\n');
-    return { status: 'ok', durationMs: total };
-
-  } catch (err) {
+  }).catch(function(err) {
     console.error('=== FULL REBUILD: FAILED -- ' + err.message + ' ===');
-    return { status: 'error', error: err.message };
-  } finally {
-    await redis.releaseLock(KEYS.lock);
-  }
+    throw err;
+  });
+}
+
+// -- ONE SECTION (after a warehouse sync) --------------------------
+// Request names → the section they rebuild ('trend:12' is 'trend');
+// null for unknown ones
+var ALIASES = { budtenders: 'enrichment', storeDetail: 'enrichment', storeData: 'enrichment' };
+function sectionFor(name) {
+  var m = /^trend:(\d+)$/.exec(name || '');
+  if (m) { var w = trendRanges.normalizeWeeks(m[1]); return w === 12 ? 'trend' : 'trend:' + w; }
+  name = ALIASES[name] || name;
+  return SECTIONS.indexOf(name) === -1 ? null : name;
 }
 
-async function rebuildSection(section) {
+async function sectionRebuild(section) {
   var locations = await fh.getLocations();
-  var limit = pLimit(CONCURRENCY);
-  switch (section) {
-    case 'trend':       return rebuildTrend(locations, limit);
-    case 'dvd':         return rebuildDayVsDay();
-    case 'dashboard':   return rebuildDashboard();
-    case 'budtenders':  return rebuildStoreEnrichment();
-    case 'storeDetail': return rebuildStoreEnrichment();
-    case 'storeData':   return rebuildStoreEnrichment();
-    default:            return { error: 'unknown section' };
-  }
+  if (section === 'warehouse' && !warehouse.ENABLED) return jobs.skip('warehouse_disabled');
+  await withLock(async function() {
+    var source = await syncWarehouse(locations);
+    if (section === 'warehouse') return;
+    var limit = pLimit(CONCURRENCY);
+    var m = /^trend(?::(\d+))?$/.exec(section);
+    await jobs.step(section, function() {
+      if (m) return rebuildTrend(locations, limit, source, m[1] ? parseInt(m[1], 10) : 12);
+      switch (section) {
+        case 'dvd':        return rebuildDayVsDay(source);
+        case 'dashboard':  return rebuildDashboard(source);
+        case 'periods':    return rebuildPeriods(source);
+        case 'forecast':   return rebuildForecast(locations, source, true);
+        case 'products':   return rebuildProducts(locations, source);
+        case 'inventory':  return rebuildInventory(locations);
+        case 'alerts':     return rebuildAlerts(locations, source);
+        case 'enrichment': return rebuildStoreEnrichment(source);
+      }
+    });
+  });
+}
+
+// -- JOBS ------------------------------------------------------------
+// start('all' | section, { trigger }) → { job, done } without waiting;
+// done resolves to result(job). null for an unknown section.
+function start(target, opts) {
+  var section = target === 'all' ? 'all' : sectionFor(target);
+  if (!section) return null;
+  var job = jobs.create(section, opts && opts.trigger);
+  var done = jobs.run(job, section === 'all' ? fullRebuild : function() { return sectionRebuild(section); }).then(result);
+  return { job: job, done: done };
+}
+
+// What a caller gets back: status is ok | partial | error | skipped
+function result(job) {
+  var out = { status: job.status, jobId: job.id, durationMs: job.durationMs, flowhubCalls: job.flowhubCalls, sections: jobs.summary(job).sections };
+  if (job.reason) out.reason = job.reason;
+  if (job.error) out.error = job.error;
+  return out;
+}
+
+async function rebuildAll(opts) {
+  return start('all', opts).done;
+}
+
+async function rebuildSection(section, opts) {
+  var started = start(section, opts);
+  return started ? started.done : { status: 'error', error: 'unknown section' };
 }
 
-async function getCachedTrend()           { return redis.getJSON(KEYS.trend); }
+async function getCachedTrend(weeks)      { return redis.getJSON(KEYS.trend(weeks)); }
 async function getCachedDvd(dow)          { return redis.getJSON(KEYS.dvd(dow)); }
 async function getCachedBudtenders(id)    { return redis.getJSON(KEYS.budtenders(id)); }
 async function getCachedStoreDetail(id)   { return redis.getJSON(KEYS.storeDetail(id)); }
 async function getCachedDashboard()       { return redis.getJSON(KEYS.dashboard); }
+async function getCachedPeriods()         { return redis.getJSON(KEYS.periods); }
+async function getCachedForecastProfiles() { return redis.getJSON(KEYS.forecast); }
+async function getCachedProducts()        { return redis.getJSON(KEYS.products); }
+async function getCachedBrands()          { return redis.getJSON(KEYS.brands); }
+async function getCachedInventory()       { return redis.getJSON(KEYS.inventory); }
 
 module.exports = {
   rebuildAll: rebuildAll,
   rebuildSection: rebuildSection,
+  start: start,
+  sectionFor: sectionFor,
   getCachedTrend: getCachedTrend,
   getCachedDvd: getCachedDvd,
   getCachedBudtenders: getCachedBudtenders,
   getCachedStoreDetail: getCachedStoreDetail,
   getCachedDashboard: getCachedDashboard,
+  getCachedPeriods: getCachedPeriods,
+  getCachedForecastProfiles: getCachedForecastProfiles,
+  getCachedProducts: getCachedProducts,
+  getCachedBrands: getCachedBrands,
+  getCachedInventory: getCachedInventory,
+  getSectionStatus: getSectionStatus,
+  SECTIONS: SECTIONS,
   KEYS: KEYS,
 };
@@ -0,0 +1,170 @@
+// server/reconcile.js
+// ============================================================
+// Cash drawer reconciliation — EOD report vs POS order data
+// Compares a store/day's Flowhub End of Day report with what
+// summarizeOrders() computes from the same date, in the store's timezone.
+// ============================================================
+
+const fh = require('./flowhub');
+const eod = require('./eod');
+const agg = require('./aggregate');
+const registry = require('./stores');
+
+const TOLERANCE = 1.00; // dollars — anything within this is "ok"
+
+const { round2 } = agg;
+function normName(s) { return String(s || '').toLowerCase().replace(/\s+/g, ' ').trim(); }
+function localTime(o, tz) { return new Date(o.createdAt || o.completedOn || '').toLocaleTimeString('en-US', { timeZone: tz, hour: '2-digit', minute: '2-digit' }); }
+
+// Compact order row for the "orders behind the mismatch" lists
+function orderRow(o, k, tz) {
+  const p = agg.prepareOrder(o);
+  return {
+    id: o._id || o.id || o.orderId || null,
+    time: localTime(o, tz),
+    budtender: o.budtender || 'Unknown',
+    customerType: o.customerType || null,
+    items: p.items,
+    net_sales: round2(p.net),
+    expected_tendered: round2(p.net * k),
+    kind: p.kind,
+  };
+}
+
+// Cash drawer math: starting + cash sales - drops - payouts + payins = expected closing
+function checkDrawer(d) {
+  const cash = key => (d[key] && d[key].cash) || 0;
+  const expected = round2(cash('starting_balance') + cash('sales') - cash('drops') - cash('payouts') + cash('payins'));
+  const actual = d.closing_balance ? d.closing_balance.cash : null;
+  const overShort = (d.open || actual == null) ? null : round2(actual - expected);
+  const employeeGap = round2(d.employee_total - d.sales_total);
+  const flags = [];
+  if (d.open) flags.push('open');
+  if (overShort != null && Math.abs(overShort) > TOLERANCE) flags.push(overShort > 0 ? 'over' : 'short');
+  if (Math.abs(employeeGap) > TOLERANCE) flags.push('employee_total_mismatch');
+  return {
+    name: d.name, open: d.open,
+    starting_cash: cash('starting_balance'), cash_sales: cash('sales'), sales_total: d.sales_total,
+    expected_closing_cash: expected, closing_cash: actual, over_short: overShort,
+    employee_total: d.employee_total, employee_gap: employeeGap,
+    employees: d.employees,
+    status: flags.length ? 'flag' : 'ok', flags,
+  };
+}
+
+// ── Reconcile one store/day ───────────────────────────────────
+// Returns null when no EOD report has been uploaded for that day.
+async function reconcileStoreDay(loc, date) {
+  const report = await eod.getReport(loc.id, date);
+  if (!report) return null;
+
+  const tz = loc.timezone || registry.DEFAULT_TZ;
+  const { orders } = await fh.getOrdersForLocation(loc.importId, date, date, tz);
+  const dayOrders = orders.filter(o => agg.localDateOf(o, tz) === date);
+  const valid = dayOrders.filter(o => agg.classifyOrder(o).kind !== 'void');
+  const pos = fh.summarizeOrders(dayOrders);
+
+  // EOD figures are tendered amounts (tax + fees included); POS net_sales is
+  // pre-tax. Use the POS's own tax + fees when orders carry them, otherwise
+  // gross POS up by the day's blended rate from the report itself.
+  const t = report.totals || {};
+  const eodRevenue = (t.cannabis_revenue || 0) + (t.non_cannabis_revenue || 0);
+  const posHasTax = pos.total_tax > 0 && pos.net_sales > 0;
+  const k = posHasTax ? pos.total_collected / pos.net_sales
+    : (eodRevenue > 0 && t.total_sales > 0 ? t.total_sales / eodRevenue : 1);
+  const posTendered = posHasTax ? pos.total_collected : round2(pos.net_sales * k);
+
+  const salesDiff = round2((t.total_sales || 0) - posTendered);
+  const txnDiff = (t.transaction_count || 0) - pos.transaction_count;
+
+  // Per-employee: sum drawer totals across drawers, match to POS budtenders
+  const eodEmp = {};
+  report.drawers.forEach(d => d.employees.forEach(e => {
+    const key = normName(e.name);
+    if (!eodEmp[key]) eodEmp[key] = { name: e.name, drawer_total: 0, drawers: [] };
+    eodEmp[key].drawer_total += e.total;
+    eodEmp[key].drawers.push(d.name);
+  }));
+  const posEmp = {};
+  pos.budtenders.forEach(b => { posEmp[normName(b.name)] = b; });
+
+  const names = Array.from(new Set(Object.keys(eodEmp).concat(Object.keys(posEmp))));
+  const employees = names.map(key => {
+    const e = eodEmp[key], b = posEmp[key];
+    const drawerTotal = e ? round2(e.drawer_total) : 0;
+    const posNet = b ? b.net_sales : 0;
+    const expected = round2(posNet * k);
+    const diff = round2(drawerTotal - expected);
+    const flags = [];
+    if (!e) flags.push('missing_from_eod');
+    if (!b) flags.push('missing_from_pos');
+    if (Math.abs(diff) > TOLERANCE) flags.push('amount_mismatch');
+    const row = {
+      name: e ? e.name : b.name, drawers: e ? e.drawers : [],
+      drawer_total: drawerTotal, pos_net_sales: posNet, pos_transactions: b ? b.transactions : 0,
+      expected_tendered: expected, diff, status: flags.length ? 'flag' : 'ok', flags,
+    };
+    if (flags.length) {
+      row.orders = valid.filter(o => normName(o.budtender || 'Unknown') === key).map(o => orderRow(o, k, tz));
+    }
+    return row;
+  }).sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
+
+  const drawers = report.drawers.map(checkDrawer);
+  const flags = [];
+  if (Math.abs(salesDiff) > TOLERANCE) flags.push('sales_mismatch');
+  if (txnDiff !== 0) flags.push('transaction_count_mismatch');
+  if (drawers.some(d => d.flags.includes('open'))) flags.push('drawer_open');
+  if (drawers.some(d => d.flags.includes('over') || d.flags.includes('short'))) flags.push('drawer_over_short');
+  if (employees.some(e => e.status === 'flag')) flags.push('employee_mismatch');
+
+  return {
+    store: { id: loc.id, name: loc.name, color: loc.color },
+    date,
+    status: flags.length ? 'flag' : 'ok',
+    flags,
+    taxFeeBasis: posHasTax ? 'pos' : 'eod_blended',
+    taxFeeMultiplier: round2(k * 10000) / 10000,
+    totals: {
+      eod_total_sales: t.total_sales ?? null,
+      pos_net_sales: pos.net_sales,
+      pos_expected_tendered: posTendered,
+      sales_diff: salesDiff,
+      eod_tax: t.total_tax ?? null,
+      pos_tax: pos.total_tax,
+      eod_fees: t.total_fees ?? null,
+      pos_fees: pos.total_fees,
+      eod_transactions: t.transaction_count ?? null,
+      pos_transactions: pos.transaction_count,
+      transaction_diff: txnDiff,
+      eod_refunds: t.refunds ?? null,
+      pos_refunds: pos.refunds.amount,
+      pos_returns: pos.returns.count,
+      voided_orders: pos.voids.count,
+    },
+    drawers,
+    employees,
+    // Orders with no budtender match in the EOD, voids and returns are the usual suspects
+    // for a transaction count gap — include them when the counts disagree.
+    orders: txnDiff !== 0 ? dayOrders.map(o => orderRow(o, k, tz)) : [],
+    eod: { uploadedAt: report.uploadedAt, filename: report.filename || null, locationCode: report.locationCode },
+  };
+}
+
+// ── All stores for a date ─────────────────────────────────────
+async function reconcileDay(date) {
+  const locs = await fh.getLocations();
+  const stores = [];
+  for (const loc of locs) {
+    try {
+      const r = await reconcileStoreDay(loc, date);
+      stores.push(r || { store: { id: loc.id, name: loc.name, color: loc.color }, date, status: 'no_report', flags: [] });
+    } catch (err) {
+      console.error(`  reconcile ${loc.name} ${date}: FAIL ${err.message}`);
+      stores.push({ store: { id: loc.id, name: loc.name, color: loc.color }, date, status: 'error', error: err.message, flags: [] });
+    }
+  }
+  return { date, tolerance: TOLERANCE, stores };
+}
+
+module.exports = { reconcileStoreDay, reconcileDay, checkDrawer, TOLERANCE };
@@ -64,6 +64,16 @@ async function acquireLock(key, ttlSeconds = 90) {
   }
 }
 
+// Pushes a held lock's expiry out again; false when it has already gone
+async function refreshLock(key, ttlSeconds = 90) {
+  try {
+    return (await getClient().expire(key, ttlSeconds)) === 1;
+  } catch (err) {
+    console.error(`Redis RELOCK ${key}:`, err.message);
+    return false;
+  }
+}
+
 async function releaseLock(key) {
   try {
     await getClient().del(key);
@@ -83,4 +93,4 @@ async function ping() {
   }
 }
 
-module.exports = { getClient, getJSON, setJSON, acquireLock, releaseLock, ping };
+module.exports = { getClient, getJSON, setJSON, acquireLock, refreshLock, releaseLock, ping };
@@ -0,0 +1,166 @@
+// server/scheduler.js
+// ============================================================
+// In-process rebuild scheduler — cron-style, Pacific time
+// Each section has one or more 5-field cron expressions
+// (minute hour day-of-month month day-of-week, `;` between several),
+// overridable with SCHEDULE_<SECTION> (`off` drops it). Runs go through
+// one queue so two sections never sync the warehouse at once, and a
+// Redis lock per fire time keeps several app instances from doing the
+// same run. SCHEDULER=off leaves rebuilds to /internal/rebuild.
+// ============================================================
+
+const redis = require('./redis');
+
+const TZ = 'America/Los_Angeles';
+const DEFAULT_SCHEDULES = {
+  dashboard:  '*/5 7-23 * * *; 0 0-6 * * *', // every 5 min in store hours, hourly overnight
+  enrichment: '0 * * * *',
+  periods:    '10 * * * *',
+  alerts:     '*/15 7-23 * * *',
+  trend:      '0 3 * * *',
+  dvd:        '15 3 * * *',
+  forecast:   '30 3 * * *',
+  products:   '45 3 * * *',
+  inventory:  '20 6-23 * * *', // hourly from before opening
+};
+const ENABLED = process.env.SCHEDULER !== 'off';
+// A fire time with no success this long after it marks the section stale
+const GRACE_MS = (parseInt(process.env.SCHEDULE_GRACE_MIN, 10) || 15) * 60000;
+const MAX_TIMER_MS = 6 * 3600000; // re-plan at least this often (setTimeout caps at ~24 days anyway)
+
+// ── Cron expressions ──────────────────────────────────────────
+const FIELDS = [['minute', 0, 59], ['hour', 0, 23], ['dom', 1, 31], ['month', 1, 12], ['dow', 0, 7]];
+
+function fieldSet(spec, min, max, name) {
+  const out = new Set();
+  spec.split(',').forEach(part => {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part.trim());
+    if (!m) throw new Error(`Bad cron ${name}: ${part}`);
+    const lo = m[1] === '*' ? min : parseInt(m[2], 10);
+    const hi = m[1] === '*' ? max : m[3] != null ? parseInt(m[3], 10) : (m[4] ? max : lo);
+    const step = m[4] ? parseInt(m[4], 10) : 1;
+    if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`Bad cron ${name}: ${part}`);
+    for (let v = lo; v <= hi; v += step) out.add(v);
+  });
+  return out;
+}
+
+// "*/5 7-23 * * *" → { minutes: [sorted], hour, dom, month, dow: Set, … }
+function parseCron(expr) {
+  const parts = expr.trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron needs 5 fields: ${expr}`);
+  const c = { expr: expr.trim() };
+  FIELDS.forEach(([name, min, max], i) => { c[name] = fieldSet(parts[i], min, max, name); });
+  if (c.dow.has(7)) c.dow.add(0);
+  c.minutes = [...c.minute].sort((a, b) => a - b);
+  // Classic cron: when both day fields are restricted, either may match
+  c.dayOr = parts[2] !== '*' && parts[4] !== '*';
+  return c;
+}
+
+// "a; b" → [cron, cron]; "off" / "" → []
+function parseSchedule(spec) {
+  if (!spec || spec.trim() === 'off') return [];
+  return spec.split(';').map(s => s.trim()).filter(Boolean).map(parseCron);
+}
+
+const partsFmt = new Intl.DateTimeFormat('en-US', { timeZone: TZ, hourCycle: 'h23', hour: 'numeric', day: 'numeric', month: 'numeric', weekday: 'short' });
+const DOW = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+function pacificHour(ms) {
+  const p = {};
+  partsFmt.formatToParts(new Date(ms)).forEach(x => { p[x.type] = x.value; });
+  return { hour: parseInt(p.hour, 10), dom: parseInt(p.day, 10), month: parseInt(p.month, 10), dow: DOW[p.weekday] };
+}
+function hourMatches(c, p) {
+  if (!c.hour.has(p.hour) || !c.month.has(p.month)) return false;
+  return c.dayOr ? (c.dom.has(p.dom) || c.dow.has(p.dow)) : (c.dom.has(p.dom) && c.dow.has(p.dow));
+}
+
+// Pacific offsets are whole hours, so UTC hour boundaries are Pacific ones
+// too: step an hour at a time and only look at minutes in matching hours.
+const HOUR = 3600000, SEARCH_HOURS = 366 * 24;
+function nextRun(crons, fromMs = Date.now()) {
+  let best = null;
+  crons.forEach(c => {
+    const from = Math.floor(fromMs / 60000) * 60000 + 60000;
+    for (let h = Math.floor(from / HOUR) * HOUR, i = 0; i < SEARCH_HOURS; h += HOUR, i++) {
+      if (!hourMatches(c, pacificHour(h))) continue;
+      const m = c.minutes.find(x => h + x * 60000 >= from);
+      if (m != null) { const t = h + m * 60000; if (best == null || t < best) best = t; break; }
+    }
+  });
+  return best;
+}
+function prevRun(crons, beforeMs = Date.now()) {
+  let best = null;
+  crons.forEach(c => {
+    for (let h = Math.floor(beforeMs / HOUR) * HOUR, i = 0; i < SEARCH_HOURS; h -= HOUR, i++) {
+      if (!hourMatches(c, pacificHour(h))) continue;
+      const m = [...c.minutes].reverse().find(x => h + x * 60000 <= beforeMs);
+      if (m != null) { const t = h + m * 60000; if (best == null || t > best) best = t; break; }
+    }
+  });
+  return best;
+}
+
+// ── Config ────────────────────────────────────────────────────
+function schedules(env = process.env) {
+  const out = {};
+  Object.keys(DEFAULT_SCHEDULES).forEach(section => {
+    const spec = env['SCHEDULE_' + section.toUpperCase()] ?? DEFAULT_SCHEDULES[section];
+    out[section] = { spec: spec.trim(), crons: parseSchedule(spec) };
+  });
+  return out;
+}
+
+// ── Staleness ─────────────────────────────────────────────────
+// status: the rebuild worker's per-section record (rebuild.getSectionStatus).
+// Stale when a fire time at least GRACE_MS ago has had no success since —
+// so overnight gaps in a store-hours schedule don't count.
+function staleness(schedule, status, now = Date.now()) {
+  const crons = schedule ? schedule.crons : [];
+  const due = crons.length ? prevRun(crons, now - GRACE_MS) : null;
+  const last = status && status.lastSuccessAt ? Date.parse(status.lastSuccessAt) : null;
+  return {
+    schedule: schedule ? schedule.spec : 'off',
+    nextRunAt: crons.length ? new Date(nextRun(crons, now)).toISOString() : null,
+    stale: last == null || (due != null && last < due),
+  };
+}
+
+// ── Runner ────────────────────────────────────────────────────
+const timers = {};
+let queue = Promise.resolve();
+
+// run(section) → the rebuild; fire times are claimed in Redis first
+function plan(section, crons, run) {
+  const at = nextRun(crons);
+  if (at == null) return;
+  const wait = Math.min(at - Date.now(), MAX_TIMER_MS);
+  timers[section] = setTimeout(() => {
+    if (Date.now() < at - 1000) return plan(section, crons, run); // woke early to re-plan
+    queue = queue.then(async () => {
+      if (!(await redis.acquireLock(`sched:${section}:${at}`, 24 * 3600))) return;
+      console.log(`→ Scheduled rebuild: ${section}`);
+      try { await run(section); }
+      catch (err) { console.error(`Scheduled rebuild ${section} failed:`, err.message); }
+    });
+    plan(section, crons, run);
+  }, Math.max(wait, 0));
+  if (timers[section].unref) timers[section].unref();
+}
+
+function start(run, env = process.env) {
+  if (!ENABLED) { console.log('⚠ Scheduler off (SCHEDULER=off)'); return false; }
+  const all = schedules(env);
+  Object.entries(all).forEach(([section, s]) => {
+    if (!s.crons.length) return;
+    plan(section, s.crons, run);
+    console.log(`✓ Schedule ${section}: ${s.spec}`);
+  });
+  return true;
+}
+
+function stop() { Object.keys(timers).forEach(k => { clearTimeout(timers[k]); delete timers[k]; }); }
+
+module.exports = { parseCron, parseSchedule, nextRun, prevRun, schedules, staleness, start, stop, DEFAULT_SCHEDULES, ENABLED, GRACE_MS };
@@ -0,0 +1,142 @@
+// server/session.js
+// ============================================================
+// Browser sessions — signed cookies, CSRF tokens, login throttling
+// The sign-in token (users.js) travels only in an HttpOnly, SameSite
+// cookie, signed with SESSION_SECRET and carrying its own expiry, so a
+// forged or stale cookie is turned away before Redis is asked. Writes
+// (POST / PUT / DELETE) also need an X-CSRF-Token header: an HMAC of the
+// session token, handed to the page at login and by /api/me.
+// Login attempts are limited per IP (fixed window) and per username
+// (lockout after repeated failures); both counters live in Redis so
+// every instance sees them, and are bumped with INCR so concurrent
+// attempts can't overwrite each other's count.
+// ============================================================
+
+const crypto = require('crypto');
+const redis = require('./redis');
+
+const COOKIE = 'thrive_session';
+const SESSION_MS = (parseFloat(process.env.SESSION_HOURS) || 12) * 3600 * 1000;
+const IP_LIMIT = parseInt(process.env.LOGIN_RATE_LIMIT, 10) || 20;        // attempts per IP per window
+const IP_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;   // per username, then locked
+const LOCKOUT_MS = (parseFloat(process.env.LOGIN_LOCKOUT_MIN) || 15) * 60 * 1000;
+const KEYS = {
+  secret: 'auth:secret',
+  ip: (ip, win) => `auth:rate:${ip}:${win}`,
+  failures: u => 'auth:failures:' + u,
+  locked: u => 'auth:locked:' + u,
+};
+
+// ── Signing secret ────────────────────────────────────────────
+// SESSION_SECRET, or one random secret shared through Redis (first
+// instance to start writes it) so cookies work on every instance
+let cachedSecret = process.env.SESSION_SECRET || null;
+async function secret() {
+  if (cachedSecret) return cachedSecret;
+  const client = redis.getClient();
+  await client.set(KEYS.secret, crypto.randomBytes(32).toString('base64url'), 'NX');
+  cachedSecret = await client.get(KEYS.secret);
+  if (!cachedSecret) throw new Error('no session secret');
+  return cachedSecret;
+}
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest('base64url');
+
+function safeEqual(a, b) {
+  const [x, y] = [Buffer.from(String(a)), Buffer.from(String(b))];
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// ── Cookie ────────────────────────────────────────────────────
+// <token>.<expires, epoch seconds>.<signature>
+function readCookie(req, name) {
+  const pair = (req.headers.cookie || '').split(';').map(c => c.trim()).find(c => c.startsWith(name + '='));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+function cookieHeader(req, value, maxAgeSec) {
+  const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+  return `${COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAgeSec}${secure ? '; Secure' : ''}`;
+}
+
+// Sets the cookie; returns when it expires (ISO)
+async function issue(req, res, token) {
+  const exp = Math.floor((Date.now() + SESSION_MS) / 1000);
+  const body = `${token}.${exp}`;
+  res.setHeader('Set-Cookie', cookieHeader(req, `${body}.${hmac(await secret(), body)}`, Math.floor(SESSION_MS / 1000)));
+  return new Date(exp * 1000).toISOString();
+}
+
+function clear(req, res) {
+  res.setHeader('Set-Cookie', cookieHeader(req, '', 0));
+}
+
+// The sign-in token from a well-signed, unexpired cookie, or null
+async function read(req) {
+  const raw = readCookie(req, COOKIE);
+  const parts = raw ? raw.split('.') : [];
+  if (parts.length !== 3) return null;
+  const [token, exp, sig] = parts;
+  if (!safeEqual(sig, hmac(await secret(), `${token}.${exp}`))) return null;
+  if (!(parseInt(exp, 10) * 1000 > Date.now())) return null;
+  return token;
+}
+
+// ── CSRF ──────────────────────────────────────────────────────
+async function csrfToken(token) {
+  return hmac(await secret(), 'csrf:' + token);
+}
+
+async function checkCsrf(req, token) {
+  const sent = req.headers['x-csrf-token'];
+  return !!sent && safeEqual(sent, await csrfToken(token));
+}
+
+// ── Login throttling ──────────────────────────────────────────
+// INCR + PEXPIRE in one MULTI: the new count, with the key set to expire
+async function bump(key, ttlMs) {
+  const [[err, count]] = await redis.getClient().multi().incr(key).pexpire(key, ttlMs).exec();
+  if (err) throw err;
+  return count;
+}
+
+// null when the attempt may go ahead, else { error, retryAfter } (seconds).
+// Counts the attempt against the IP either way.
+async function throttle(ip, username) {
+  const now = Date.now();
+  const lockedUntil = username ? Number(await redis.getClient().get(KEYS.locked(username))) : 0;
+  if (lockedUntil > now) {
+    const retryAfter = Math.ceil((lockedUntil - now) / 1000);
+    return { error: `Too many failed sign-ins for this account. Try again in ${Math.ceil(retryAfter / 60)} min.`, retryAfter };
+  }
+  // One key per IP per window, so the window's end is known without a TTL lookup
+  const win = Math.floor(now / IP_WINDOW_MS);
+  if ((await bump(KEYS.ip(ip, win), IP_WINDOW_MS)) > IP_LIMIT) {
+    const retryAfter = Math.ceil(((win + 1) * IP_WINDOW_MS - now) / 1000);
+    return { error: `Too many sign-in attempts. Try again in ${Math.ceil(retryAfter / 60)} min.`, retryAfter };
+  }
+  return null;
+}
+
+// MAX_FAILURES in a row locks the username for LOCKOUT_MS — known or not,
+// so a lockout doesn't tell which usernames exist. Locking clears the
+// count, so failures after a served lockout start over.
+async function loginFailed(username) {
+  if (!username) return;
+  const count = await bump(KEYS.failures(username), LOCKOUT_MS);
+  if (count < MAX_FAILURES) return;
+  const client = redis.getClient();
+  await client.set(KEYS.locked(username), String(Date.now() + LOCKOUT_MS), 'PX', LOCKOUT_MS);
+  await client.del(KEYS.failures(username));
+  console.warn(`  [session] ${username} locked for ${LOCKOUT_MS / 60000} min after ${count} failed sign-ins`);
+}
+
+async function loginSucceeded(username) {
+  await redis.getClient().del(KEYS.failures(username), KEYS.locked(username));
+}
+
+module.exports = {
+  issue, clear, read, csrfToken, checkCsrf, throttle, loginFailed, loginSucceeded,
+  COOKIE, KEYS, MAX_FAILURES, IP_LIMIT,
+};
@@ -0,0 +1,191 @@
+// server/stores.js
+// ============================================================
+// Store registry — every POS location, keyed by importId
+// One Redis document (stores:registry, no TTL) holds each location's
+// dashboard id, display name, color, timezone, opening hours, open date
+// and status, and which POS source it comes from (pos.js). Only active
+// stores whose open date has come (in their own timezone) show
+// anywhere; a closed store keeps its settings, caches and EOD reports.
+// The first read seeds the registry from the POS location list and
+// the name table the dashboard used to hardcode (LEGACY below). After
+// that the registry is the only source. A location the POS adds later
+// comes in closed and pending until an admin sets it up, so a new store
+// never shows half-named. A store's id can only change while it is
+// pending: caches, EOD reports, alerts and user scopes are keyed by it.
+// ============================================================
+
+const redis = require('./redis');
+
+const DEFAULT_TZ = 'America/Los_Angeles';
+const KEYS = { registry: 'stores:registry' };
+const STATUSES = ['active', 'closed'];
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// 7am–midnight every day, until an admin says otherwise
+const DEFAULT_HOURS = DAYS.map(() => ({ open: '07:00', close: '24:00' }));
+
+// ── Seed data ─────────────────────────────────────────────────
+// The stores as they were configured in code, matched on Flowhub's
+// location name. Locations matching LEGACY_EXCLUDED (cultivation, the
+// smoke shop) are seeded closed.
+const LEGACY = [
+  { id: 'cactus',   match: 'cactus',      display: 'Cactus',      color: '#00e5a0' },
+  { id: 'cheyenne', match: 'cheyenne',    display: 'Cheyenne',    color: '#4db8ff' },
+  { id: 'jackpot',  match: 'jackpot',     display: 'Jackpot',     color: '#c084fc' },
+  { id: 'main',     match: 'main street', display: 'Main Street', color: '#ffd166' },
+  { id: 'reno',     match: 'reno',        display: 'Reno',        color: '#ff8c42' },
+  { id: 'sahara',   match: 'sahara',      display: 'Sahara',      color: '#ff4d6d' },
+  { id: 'sammy',    match: 'sammy',       display: 'Sammy',       color: '#a8e6cf' },
+];
+const LEGACY_EXCLUDED = ['smoke', 'mirrors', 'mbnv', 'cultivation'];
+
+const slug = name => name.toLowerCase().replace(/[^a-z]+/g, '_');
+
+// An id no other entry has: base, base_2, base_3…
+function freeId(all, base) {
+  const taken = new Set(Object.values(all).map(e => e.id));
+  let id = base || 'store', n = 1;
+  while (taken.has(id)) id = `${base}_${++n}`;
+  return id;
+}
+
+// loc: { importId, rawName, source } from pos.locations(). seeding: the registry's first
+// read (legacy table) rather than a location that turned up later.
+function newEntry(all, loc, seeding, now) {
+  const n = loc.rawName.toLowerCase();
+  const cfg = seeding ? LEGACY.find(s => n.includes(s.match)) : null;
+  const excluded = LEGACY_EXCLUDED.some(ex => n.includes(ex));
+  return {
+    importId: loc.importId, rawName: loc.rawName, source: loc.source || 'flowhub',
+    id: cfg ? cfg.id : freeId(all, slug(loc.rawName)), name: cfg ? cfg.display : loc.rawName, color: cfg ? cfg.color : '#888888',
+    timezone: DEFAULT_TZ, hours: DEFAULT_HOURS, openDate: null,
+    status: seeding && !excluded ? 'active' : 'closed', pending: !seeding,
+    createdAt: now, updatedAt: now,
+  };
+}
+
+// ── Storage ───────────────────────────────────────────────────
+async function load() {
+  const raw = await redis.getClient().get(KEYS.registry);
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function saveAll(all) {
+  await redis.getClient().set(KEYS.registry, JSON.stringify(all));
+}
+
+// The last registry read, for when Redis is down: the dashboard keeps
+// working from it (or from a fresh, unsaved seed) rather than failing
+let _last = null;
+
+// Brings the registry in line with the POS location list: seeds it on
+// the first read, adds new locations as pending, keeps the POS name and
+// source for each. Returns the whole registry. Never throws.
+// A registry only held in memory (seeded while Redis was down) is saved
+// as soon as Redis answers again.
+async function sync(posLocations) {
+  const now = new Date().toISOString();
+  let all = null, changed = false, read = false;
+  try { all = await load(); read = true; }
+  catch (err) { console.error('  [stores] registry read failed:', err.message); }
+  const seeding = !all && !_last;
+  if (!all) { all = _last ? { ..._last } : {}; changed = read && !!_last; }
+  for (const loc of posLocations) {
+    const cur = all[loc.importId], source = loc.source || 'flowhub';
+    if (!cur) { all[loc.importId] = newEntry(all, loc, seeding, now); changed = true; }
+    else if (cur.rawName !== loc.rawName || cur.source !== source) { all[loc.importId] = { ...cur, rawName: loc.rawName, source }; changed = true; }
+  }
+  if (changed) {
+    try {
+      await saveAll(all);
+      const added = posLocations.filter(l => all[l.importId].createdAt === now).map(l => all[l.importId].name);
+      if (added.length) console.log(`  [stores] ${seeding ? 'seeded' : 'new location(s), pending setup'}: ${added.join(', ')}`);
+    } catch (err) {
+      console.error('  [stores] registry write failed:', err.message);
+    }
+  }
+  _last = all;
+  return all;
+}
+
+// ── Reading ───────────────────────────────────────────────────
+function todayIn(tz) { return new Date().toLocaleDateString('en-CA', { timeZone: tz }); }
+
+// Showing now: active, and open by the store's own date
+function isLive(e) {
+  return e.status === 'active' && !e.pending && (!e.openDate || e.openDate <= todayIn(e.timezone));
+}
+
+// The dashboard's location objects, in registry (POS) order
+function locations(all) {
+  return Object.values(all).filter(isLive).map(e => ({
+    importId: e.importId, rawName: e.rawName, source: e.source, id: e.id, name: e.name, color: e.color,
+    timezone: e.timezone, hours: e.hours, openDate: e.openDate,
+  }));
+}
+
+// Every entry, for the admin screen, with whether it is showing now
+function list(all) {
+  return Object.values(all).map(e => ({ ...e, live: isLive(e) })).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// ── Opening hours ─────────────────────────────────────────────
+// 'HH:MM' → fractional hours (24:00 = 24)
+const hoursOf = t => { const [h, m] = t.split(':').map(Number); return h + m / 60; };
+
+// Is the hour starting at `hour` on weekday `dow` (0 = Sunday) inside
+// opening hours? A store without hours (tests, old callers) always is.
+function openAt(loc, dow, hour) {
+  if (!loc.hours) return true;
+  const d = loc.hours[dow];
+  return !!d && hour >= hoursOf(d.open) && hour + 1 <= hoursOf(d.close);
+}
+
+// ── Validation ────────────────────────────────────────────────
+function validTimezone(tz) {
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; } catch (e) { return false; }
+}
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+// Returns an error message, or null
+function validate(e, all) {
+  if (!/^[a-z0-9_-]{2,32}$/.test(e.id || '')) return 'id must be 2–32 characters: a–z, 0–9, _ -';
+  if (Object.values(all).some(o => o.importId !== e.importId && o.id === e.id)) return `id already in use: ${e.id}`;
+  if (!String(e.name || '').trim() || e.name.length > 60) return 'name must be 1–60 characters';
+  if (!/^#[0-9a-fA-F]{6}$/.test(e.color || '')) return 'color must be #RRGGBB';
+  if (typeof e.timezone !== 'string' || !validTimezone(e.timezone)) return `Unknown timezone: ${e.timezone}`;
+  if (!Array.isArray(e.hours) || e.hours.length !== 7) return 'hours must be 7 entries, Sunday first';
+  for (let d = 0; d < 7; d++) {
+    const h = e.hours[d];
+    if (h === null) continue;
+    if (!h || !TIME.test(h.open) || !TIME.test(h.close) || h.open === '24:00') return `${DAYS[d]} hours must be { open, close } as HH:MM, or null when closed`;
+    if (hoursOf(h.close) <= hoursOf(h.open)) return `${DAYS[d]} closes before it opens`;
+  }
+  if (e.openDate !== null && !/^\d{4}-\d{2}-\d{2}$/.test(e.openDate || '')) return 'openDate must be YYYY-MM-DD, or null';
+  if (!STATUSES.includes(e.status)) return `status must be one of: ${STATUSES.join(', ')}`;
+  return null;
+}
+
+// ── Admin operations ──────────────────────────────────────────
+// Partial: id (pending stores only), name, color, timezone, hours,
+// openDate, status. Saving sets a pending store up.
+// Returns { store, before } or { error, status } (with before when the
+// store exists, so the audit entry can name it).
+async function update(importId, input) {
+  const all = await load();
+  const cur = all && all[importId];
+  if (!cur) return { error: `Unknown store: ${importId}`, status: 404 };
+  if (input.id !== undefined && input.id !== cur.id && !cur.pending) return { error: 'id is fixed once a store is set up', status: 400, before: cur };
+  const next = { ...cur, ...['id', 'name', 'color', 'timezone', 'hours', 'openDate', 'status'].reduce((o, k) => (input[k] !== undefined ? { ...o, [k]: input[k] } : o), {}) };
+  if (typeof next.name === 'string') next.name = next.name.trim();
+  const error = validate(next, all);
+  if (error) return { error, status: 400, before: cur };
+  next.pending = false;
+  next.updatedAt = new Date().toISOString();
+  all[importId] = next;
+  await saveAll(all);
+  _last = all;
+  return { store: { ...next, live: isLive(next) }, before: cur };
+}
+
+module.exports = { sync, locations, list, update, openAt, validTimezone, todayIn, DEFAULT_TZ, DEFAULT_HOURS, STATUSES, KEYS };
@@ -0,0 +1,101 @@
+// server/trend.js
+// ============================================================
+// Trend ranges and roll-ups — 12 weeks to 3 years
+// Every range is built weekly by the rebuild worker (completed weeks
+// come from the disk week cache, see flowhub.js); months and quarters
+// are rolled up from those weeks when a request asks for them.
+// ============================================================
+
+const fh = require('./flowhub');
+const agg = require('./aggregate');
+
+// Supported ?weeks= values; anything else rounds up to the next one
+const TREND_RANGES = [12, 26, 52, 104, 156];
+const GRANULARITIES = ['week', 'month', 'quarter'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function normalizeWeeks(n) {
+  const w = parseInt(n, 10) || 12;
+  return TREND_RANGES.find(r => r >= w) || TREND_RANGES[TREND_RANGES.length - 1];
+}
+function normalizeGranularity(g) { return GRANULARITIES.includes(g) ? g : 'week'; }
+
+// Long ranges keep headline numbers only (agg.slimSummary) — nothing reads
+// categories or budtenders off the trend, and 156 weeks × 7 stores of them
+// is megabytes.
+const { slimSummary } = agg;
+
+// ── Periods ───────────────────────────────────────────────────
+// A week belongs to the month / quarter holding most of its days, i.e. the
+// one its Thursday falls in (the ISO 8601 rule), so no week is split.
+function periodOf(weekStart, granularity) {
+  const thu = fh.addDays(weekStart, 3), y = thu.slice(0, 4), m = parseInt(thu.slice(5, 7), 10);
+  if (granularity === 'quarter') {
+    const q = Math.ceil(m / 3), first = `${y}-${String(q * 3 - 2).padStart(2, '0')}-01`;
+    return { key: `${y}-Q${q}`, label: `Q${q} ${y}`, first, last: fh.addDays(monthAfter(fh.addDays(first, 62)), -1) };
+  }
+  const first = `${y}-${String(m).padStart(2, '0')}-01`;
+  return { key: first.slice(0, 7), label: `${MONTHS[m - 1]} ${y}`, first, last: fh.addDays(monthAfter(first), -1) };
+}
+// First day of the month after the one `date` is in
+function monthAfter(date) {
+  const y = parseInt(date.slice(0, 4), 10), m = parseInt(date.slice(5, 7), 10);
+  return m === 12 ? `${y + 1}-01-01` : `${y}-${String(m + 1).padStart(2, '0')}-01`;
+}
+// How many weeks a full period has (Thursdays between first and last)
+function fullWeeks(p) {
+  let n = 0;
+  for (let d = p.first; d <= p.last; d = fh.addDays(d, 1)) if (new Date(d + 'T12:00:00Z').getUTCDay() === 4) n++;
+  return n;
+}
+
+// ── Roll-up ───────────────────────────────────────────────────
+// payload: the weekly trend the rebuild worker stores in Redis
+//   { generatedAt, weekStarts, stores: { id: { name, color, weeks: [{ week, weekEnd, summary, error, lyWeek, ly }] } } }
+// week → the payload as-is. month / quarter → periods[] plus per-store
+// periods [{ period, label, start, end, weeks, complete, summary, ly, error }]
+// where ly sums the same ISO weeks last year.
+// A period is complete when all its weeks are in range and finished;
+// the first period of a range is usually cut short and is not.
+function rollup(payload, granularity, today = fh.todayPacific()) {
+  if (granularity === 'week' || !payload || !payload.stores) return { ...payload, granularity: 'week' };
+
+  const periods = [];
+  (payload.weekStarts || []).forEach(ws => {
+    const p = periodOf(ws, granularity);
+    let cur = periods[periods.length - 1];
+    if (!cur || cur.key !== p.key) periods.push(cur = { ...p, weekStarts: [] });
+    cur.weekStarts.push(ws);
+  });
+  periods.forEach(p => {
+    const lastWeekEnd = fh.addDays(p.weekStarts[p.weekStarts.length - 1], 6);
+    p.start = p.weekStarts[0];
+    p.end = lastWeekEnd;
+    p.complete = p.weekStarts.length === fullWeeks(p) && lastWeekEnd < today;
+  });
+
+  const stores = {};
+  Object.entries(payload.stores).forEach(([id, st]) => {
+    const byStart = {};
+    (st.weeks || []).forEach(w => { byStart[w.week] = w; });
+    stores[id] = {
+      name: st.name, color: st.color,
+      periods: periods.map(p => {
+        const wk = p.weekStarts.map(ws => byStart[ws]).filter(Boolean);
+        const err = wk.find(w => w.error);
+        return {
+          period: p.key, label: p.label, start: p.start, end: p.end, weeks: p.weekStarts.length, complete: p.complete,
+          summary: agg.mergeSummaries(wk.map(w => w.summary)), ly: agg.mergeSummaries(wk.map(w => w.ly)), error: err ? err.error : null,
+        };
+      }),
+    };
+  });
+
+  return {
+    generatedAt: payload.generatedAt, rebuildDurationMs: payload.rebuildDurationMs, granularity,
+    periods: periods.map(p => ({ key: p.key, label: p.label, start: p.start, end: p.end, weeks: p.weekStarts.length, complete: p.complete })),
+    stores,
+  };
+}
+
+module.exports = { normalizeWeeks, normalizeGranularity, slimSummary, periodOf, rollup, TREND_RANGES, GRANULARITIES };
@@ -0,0 +1,205 @@
+// server/users.js
+// ============================================================
+// User accounts — roles, store scoping, sign-in tokens
+// One Redis document (auth:users) holds every account: scrypt password
+// hash, role and the stores it may see. Signing in trades a username and
+// password for a random token (auth:token:<sha256>, SESSION_HOURS), which
+// travels in a signed session cookie (session.js); the password never
+// travels again.
+// Roles:
+//   admin      — every store, plus users, rebuilds and cache
+//   executive  — every store
+//   district   — a set of stores
+//   store      — one store
+// With no accounts at all, DASHBOARD_PASSWORD seeds an `admin` account
+// with that password; with neither, auth is off (local development).
+// ============================================================
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const redis = require('./redis');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['admin', 'executive', 'district', 'store'];
+const ALL_STORES = ['admin', 'executive'];
+const SESSION_TTL = (parseFloat(process.env.SESSION_HOURS) || 12) * 3600;
+const MIN_PASSWORD = 8;
+const KEYS = { users: 'auth:users', token: hash => 'auth:token:' + hash };
+
+// Who you are with auth off
+const OPEN_USER = { username: 'local', name: 'Local', role: 'admin', stores: [] };
+
+// ── Passwords ─────────────────────────────────────────────────
+// scrypt$<salt>$<key>, both base64
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+async function checkPassword(password, stored) {
+  const [scheme, salt, key] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// ── Storage ───────────────────────────────────────────────────
+// Straight from the client, not redis.getJSON: a Redis outage throws
+// rather than reading as "no accounts" (see authenticate)
+async function load() {
+  const raw = await redis.getClient().get(KEYS.users);
+  if (raw) return JSON.parse(raw);
+  if (!process.env.DASHBOARD_PASSWORD) return {};
+  const now = new Date().toISOString();
+  const seeded = {
+    admin: { username: 'admin', name: 'Admin', role: 'admin', stores: [], passwordHash: await hashPassword(process.env.DASHBOARD_PASSWORD),
+      disabled: false, version: 1, createdAt: now, updatedAt: now },
+  };
+  await redis.getClient().set(KEYS.users, JSON.stringify(seeded));
+  console.log('  [users] no accounts — seeded "admin" from DASHBOARD_PASSWORD');
+  return seeded;
+}
+
+async function saveAll(all) {
+  await redis.getClient().set(KEYS.users, JSON.stringify(all));
+}
+
+// What the API shows: everything but the hash
+function publicUser(u) {
+  const { passwordHash, version, ...rest } = u;
+  return rest;
+}
+
+async function list() {
+  return Object.values(await load()).map(publicUser).sort((a, b) => a.username.localeCompare(b.username));
+}
+
+// ── Validation ────────────────────────────────────────────────
+// Returns an error message, or null. storeIds: every known store id.
+function validate(input, storeIds, creating) {
+  if (creating && !/^[a-z0-9._-]{2,32}$/.test(input.username || '')) return 'username must be 2–32 characters: a–z, 0–9, . _ -';
+  if (!ROLES.includes(input.role)) return `role must be one of: ${ROLES.join(', ')}`;
+  const stores = input.stores || [];
+  if (!Array.isArray(stores)) return 'stores must be a list of store ids';
+  const unknown = stores.filter(id => !storeIds.includes(id));
+  if (unknown.length) return `Unknown store: ${unknown.join(', ')}`;
+  if (input.role === 'district' && !stores.length) return 'a district manager needs at least one store';
+  if (input.role === 'store' && stores.length !== 1) return 'a store manager needs exactly one store';
+  if ((creating || input.password != null) && String(input.password || '').length < MIN_PASSWORD) return `password must be at least ${MIN_PASSWORD} characters`;
+  return null;
+}
+
+const activeAdmins = all => Object.values(all).filter(u => u.role === 'admin' && !u.disabled);
+
+// ── Admin operations ──────────────────────────────────────────
+// Each returns { user } or { error, status }
+
+async function create(input, storeIds) {
+  const username = String(input.username || '').trim().toLowerCase();
+  const fields = { ...input, username };
+  const error = validate(fields, storeIds, true);
+  if (error) return { error, status: 400 };
+  const all = await load();
+  if (all[username]) return { error: `User already exists: ${username}`, status: 409 };
+  const now = new Date().toISOString();
+  all[username] = {
+    username, name: String(input.name || username).trim(), role: input.role,
+    stores: ALL_STORES.includes(input.role) ? [] : [...new Set(input.stores)],
+    passwordHash: await hashPassword(input.password), disabled: false, version: 1, createdAt: now, updatedAt: now,
+  };
+  await saveAll(all);
+  return { user: publicUser(all[username]) };
+}
+
+// Partial: name, role, stores, password, disabled. A new password or
+// disabling signs the user out everywhere.
+async function update(username, input, storeIds) {
+  const all = await load();
+  const cur = all[username];
+  if (!cur) return { error: `Unknown user: ${username}`, status: 404 };
+  const next = { ...cur, ...['name', 'role', 'stores', 'disabled'].reduce((o, k) => (input[k] !== undefined ? { ...o, [k]: input[k] } : o), {}) };
+  if (ALL_STORES.includes(next.role)) next.stores = [];
+  const error = validate({ ...next, password: input.password }, storeIds, false);
+  if (error) return { error, status: 400 };
+  next.disabled = !!next.disabled;
+  next.stores = [...new Set(next.stores)];
+  if (cur.role === 'admin' && !cur.disabled && (next.role !== 'admin' || next.disabled) && activeAdmins(all).length === 1) {
+    return { error: 'the last admin must stay an active admin', status: 400 };
+  }
+  if (input.password != null) next.passwordHash = await hashPassword(input.password);
+  if (input.password != null || (next.disabled && !cur.disabled)) next.version = (cur.version || 1) + 1;
+  next.updatedAt = new Date().toISOString();
+  all[username] = next;
+  await saveAll(all);
+  return { user: publicUser(next) };
+}
+
+async function remove(username) {
+  const all = await load();
+  if (!all[username]) return { error: `Unknown user: ${username}`, status: 404 };
+  if (all[username].role === 'admin' && !all[username].disabled && activeAdmins(all).length === 1) {
+    return { error: 'cannot delete the last admin', status: 400 };
+  }
+  const user = publicUser(all[username]);
+  delete all[username];
+  await saveAll(all);
+  return { user };
+}
+
+// ── Signing in ────────────────────────────────────────────────
+const tokenHash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// { token, user } or null. Unknown users still pay for a hash, so timing
+// doesn't tell which usernames exist.
+async function login(username, password) {
+  const u = (await load())[String(username || '').trim().toLowerCase()];
+  const ok = await checkPassword(password, u ? u.passwordHash : 'scrypt$AAAA$' + 'A'.repeat(88));
+  if (!u || !ok || u.disabled) return null;
+  const token = crypto.randomBytes(32).toString('base64url');
+  await redis.setJSON(KEYS.token(tokenHash(token)), { username: u.username, version: u.version, createdAt: new Date().toISOString() }, SESSION_TTL);
+  return { token, user: publicUser(u) };
+}
+
+// The signed-in user for a token, or null. Read fresh on every request,
+// so role and store changes apply at once. With Redis down, sign-in
+// fails (throws) when DASHBOARD_PASSWORD says accounts are expected;
+// without it the dashboard stays open, as it runs without Redis.
+async function authenticate(token) {
+  let all;
+  try {
+    all = await load();
+  } catch (err) {
+    if (!process.env.DASHBOARD_PASSWORD) return OPEN_USER;
+    throw err;
+  }
+  if (!Object.keys(all).length) return OPEN_USER;
+  if (!token) return null;
+  const session = await redis.getJSON(KEYS.token(tokenHash(token)));
+  const u = session && all[session.username];
+  if (!u || u.disabled || session.version !== u.version) return null;
+  return publicUser(u);
+}
+
+// Ends one session (sign out)
+async function logout(token) {
+  if (token) await redis.getClient().del(KEYS.token(tokenHash(token)));
+}
+
+// ── Store scoping ─────────────────────────────────────────────
+// null = every store
+function storeScope(user) {
+  return ALL_STORES.includes(user.role) ? null : new Set(user.stores);
+}
+
+function canSee(user, storeId) {
+  const scope = storeScope(user);
+  return !scope || scope.has(storeId);
+}
+
+module.exports = {
+  list, create, update, remove, login, logout, authenticate, storeScope, canSee,
+  hashPassword, checkPassword, ROLES, OPEN_USER, KEYS,
+};
@@ -0,0 +1,228 @@
+// server/warehouse.js
+// ============================================================
+// Local order warehouse — POS orders (pos.js) on the CACHE_DIR volume
+// One JSON file per store per local day (the store's timezone, see
+// stores.js) plus a per-store cursor.
+// sync() only asks the POS for days after the cursor (re-reading the
+// last couple of days so late voids / refunds land); the rebuild
+// worker then reads every section locally through `source`.
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const fh = require('./flowhub');
+const agg = require('./aggregate');
+const jobs = require('./jobs');
+const pos = require('./pos');
+const registry = require('./stores');
+
+function intEnv(name, def) { const n = parseInt(process.env[name], 10); return Number.isNaN(n) ? def : n; }
+
+const DIR = path.join(process.env.CACHE_DIR || '/tmp', 'warehouse');
+const ENABLED = !/^(0|off|false)$/i.test(process.env.WAREHOUSE || '');
+// First sync pulls this many weeks (current week included)
+const HISTORY_WEEKS = intEnv('WAREHOUSE_HISTORY_WEEKS', 13);
+// Days before today that every sync fetches again
+const RESYNC_DAYS = intEnv('WAREHOUSE_RESYNC_DAYS', 2);
+// How far back a read may backfill on its own (the 12-week trend's weeks
+// last year); older reads go to the API and aren't kept. An explicit
+// backfill (/internal/warehouse/backfill) isn't limited.
+const BACKFILL_WEEKS = intEnv('WAREHOUSE_BACKFILL_WEEKS', 65);
+
+// ── Files ─────────────────────────────────────────────────────
+// DIR/<importId>/state.json       { timezone, earliest, cursor, syncedAt, lastSync, lastError }
+// DIR/<importId>/YYYY-MM-DD.json  that local day's orders, oldest first
+//   timezone — where the days were cut (older state: Pacific)
+//   earliest — first day held locally
+//   cursor   — last day that is final: never fetched again
+const storeDir = importId => path.join(DIR, String(importId).replace(/[^A-Za-z0-9_-]/g, '_'));
+const stateFile = importId => path.join(storeDir(importId), 'state.json');
+const dayFile = (importId, date) => path.join(storeDir(importId), `${date}.json`);
+
+function writeJSONAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data), 'utf8');
+  fs.renameSync(tmp, file);
+}
+function readJSON(file, fallback) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) { if (e.code === 'ENOENT') return fallback; throw e; }
+}
+
+function readState(importId) { return readJSON(stateFile(importId), { timezone: null, earliest: null, cursor: null, syncedAt: null, lastSync: null, lastError: null }); }
+const tzOf = loc => loc.timezone || registry.DEFAULT_TZ;
+const cutIn = st => st.timezone || registry.DEFAULT_TZ;
+function readDay(importId, date) { return readJSON(dayFile(importId, date), []); }
+
+const orderKey = o => o._id || o.id || o.orderId || `${o.createdAt || o.completedOn}|${o.budtender || ''}`;
+const orderTs = o => o.createdAt || o.completedOn || '';
+
+// Orders are upserted by id: a re-synced day picks up voids and refunds
+// recorded after the sale without losing anything already held.
+function upsertDay(importId, date, orders) {
+  const byId = new Map(readDay(importId, date).map(o => [orderKey(o), o]));
+  orders.forEach(o => byId.set(orderKey(o), o));
+  writeJSONAtomic(dayFile(importId, date), Array.from(byId.values()).sort((a, b) => orderTs(a).localeCompare(orderTs(b))));
+}
+
+// One sync / backfill per store at a time — both rewrite its state
+const _queues = {};
+function serial(importId, fn) {
+  const run = (_queues[importId] || Promise.resolve()).then(fn);
+  _queues[importId] = run.catch(() => {});
+  return run;
+}
+
+// ── Fetch into day files ──────────────────────────────────────
+// Pages come oldest first, so once a page reaches day D every earlier
+// buffered day is complete and goes to disk. Peak memory: one page plus
+// the day in progress. Throws if a page fails; days already written stay.
+async function fetchRange(loc, start, end) {
+  const pending = new Map();
+  let kept = 0;
+  const flush = before => {
+    for (const [d, list] of pending) { if (before !== undefined && d >= before) continue; upsertDay(loc.importId, d, list); pending.delete(d); }
+  };
+  await pos.eachOrderPage(loc.importId, start, end, batch => {
+    let newest = '';
+    for (const o of batch) {
+      const d = agg.localDateOf(o, loc.timezone);
+      if (d < start || d > end) continue;
+      if (!pending.has(d)) pending.set(d, []);
+      pending.get(d).push(o); kept++;
+      if (d > newest) newest = d;
+    }
+    if (newest) flush(newest);
+  });
+  flush();
+  return kept;
+}
+
+// ── Sync (new orders only) ────────────────────────────────────
+// → { store, from, to, orders, ms, error }. Never throws: a failed sync
+// leaves the cursor where it was and records lastError.
+// Days held for another timezone hold the wrong orders: a store whose
+// timezone changed starts over, like a first sync.
+function sync(loc) {
+  return serial(loc.importId, async () => {
+    let st = readState(loc.importId);
+    if (st.cursor && cutIn(st) !== tzOf(loc)) {
+      fs.rmSync(storeDir(loc.importId), { recursive: true, force: true });
+      console.log(`  warehouse ${loc.name}: timezone now ${tzOf(loc)}, starting over`);
+      st = readState(loc.importId);
+    }
+    const today = fh.todayIn(loc.timezone), t0 = Date.now();
+    const from = st.cursor ? fh.addDays(st.cursor, 1) : fh.weekRange(HISTORY_WEEKS - 1, loc.timezone).start;
+    try {
+      const n = await fetchRange(loc, from, today);
+      const settled = fh.addDays(today, -RESYNC_DAYS);
+      st.timezone = tzOf(loc);
+      if (!st.earliest || from < st.earliest) st.earliest = from;
+      if (!st.cursor || settled > st.cursor) st.cursor = settled;
+      st.syncedAt = new Date().toISOString();
+      st.lastSync = { from, to: today, orders: n, ms: Date.now() - t0 };
+      st.lastError = null;
+      writeJSONAtomic(stateFile(loc.importId), st);
+      jobs.storeDone(loc, t0, null, { orders: n });
+      return { store: loc.id, from, to: today, orders: n, ms: Date.now() - t0, error: null };
+    } catch (err) {
+      st.lastError = err.message;
+      writeJSONAtomic(stateFile(loc.importId), st);
+      console.error(`  warehouse ${loc.name}: sync FAIL ${err.message}`);
+      jobs.storeDone(loc, t0, err);
+      return { store: loc.id, from, to: today, orders: 0, ms: Date.now() - t0, error: err.message };
+    }
+  });
+}
+
+async function syncAll(locs) {
+  const out = [];
+  for (const loc of (locs || await fh.getLocations())) out.push(await sync(loc));
+  return out;
+}
+
+// ── Backfill (history before `earliest`) ──────────────────────
+// Fetches [start, earliest - 1] once; after that those days are local.
+async function backfill(loc, start) {
+  if (!readState(loc.importId).cursor) {
+    const r = await sync(loc);
+    if (r.error) throw new Error(`warehouse sync failed: ${r.error}`);
+  }
+  return serial(loc.importId, async () => {
+    const st = readState(loc.importId), t0 = Date.now();
+    if (start >= st.earliest) return { store: loc.id, from: start, to: start, orders: 0, ms: 0 };
+    const to = fh.addDays(st.earliest, -1);
+    const n = await fetchRange(loc, start, to);
+    st.earliest = start;
+    writeJSONAtomic(stateFile(loc.importId), st);
+    console.log(`  warehouse ${loc.name}: backfilled ${start}→${to} (${n} orders)`);
+    return { store: loc.id, from: start, to, orders: n, ms: Date.now() - t0 };
+  });
+}
+
+// ── Reads ─────────────────────────────────────────────────────
+// Local when the store has synced in its timezone and the range is held:
+// days up to the cursor are final; later days only count if the last
+// sync succeeded.
+function covers(st, loc, start, end) {
+  return !!st.cursor && !!st.earliest && cutIn(st) === tzOf(loc) && start >= st.earliest && (end <= st.cursor || !st.lastError);
+}
+
+// Feeds each stored day (oldest first) to onDay; resolves to the count
+async function eachDay(importId, start, end, onDay) {
+  let n = 0;
+  for (let d = start; d <= end; d = fh.addDays(d, 1)) {
+    const list = readDay(importId, d);
+    if (!list.length) continue;
+    n += list.length;
+    await onDay(list);
+  }
+  return n;
+}
+
+// Ranges that start before `earliest` but inside BACKFILL_WEEKS are
+// backfilled first; anything the warehouse can't serve, older ranges
+// included, falls through to the API.
+async function ensure(loc, start, end) {
+  let st = readState(loc.importId);
+  const limit = fh.weekRange(BACKFILL_WEEKS - 1, loc.timezone).start;
+  if (st.cursor && st.earliest && cutIn(st) === tzOf(loc) && start < st.earliest && start >= limit) {
+    try { await backfill(loc, start); st = readState(loc.importId); }
+    catch (err) { console.error(`  warehouse ${loc.name}: backfill FAIL ${err.message}`); }
+  }
+  return covers(st, loc, start, end);
+}
+
+// Order source (see flowhub.js) for the rebuild builders
+const source = {
+  name: 'warehouse',
+  async getOrders(loc, startDate, endDate) {
+    const start = startDate.split('T')[0], end = endDate.split('T')[0];
+    if (!await ensure(loc, start, end)) return fh.apiSource.getOrders(loc, start, end);
+    const orders = [];
+    await eachDay(loc.importId, start, end, list => { orders.push(...list); });
+    return { total: orders.length, orders };
+  },
+  async eachPage(loc, startDate, endDate, onPage) {
+    const start = startDate.split('T')[0], end = endDate.split('T')[0];
+    if (!await ensure(loc, start, end)) return fh.apiSource.eachPage(loc, start, end, onPage);
+    return eachDay(loc.importId, start, end, onPage);
+  },
+};
+
+// ── Status ────────────────────────────────────────────────────
+async function status(locs) {
+  return (locs || await fh.getLocations()).map(loc => {
+    const st = readState(loc.importId);
+    let days = 0, bytes = 0;
+    try {
+      fs.readdirSync(storeDir(loc.importId)).forEach(f => {
+        if (!/^\d{4}-\d{2}-\d{2}\.json$/.test(f)) return;
+        days++; bytes += fs.statSync(path.join(storeDir(loc.importId), f)).size;
+      });
+    } catch (e) { /* not synced yet */ }
+    return { store: { id: loc.id, name: loc.name }, ...st, timezone: cutIn(st), days, bytes };
+  });
+}
+
+module.exports = { sync, syncAll, backfill, source, status, readDay, readState, ENABLED, DIR, HISTORY_WEEKS, RESYNC_DAYS, BACKFILL_WEEKS };
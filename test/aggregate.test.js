@@ -0,0 +1,86 @@
+// server/aggregate.js — one-pass engine, page feeding, ranges, plug-ins
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempCacheDir, quiet, fixtureOrders, fixtureOrder } = require('./helpers/setup');
+
+process.env.TZ = 'UTC';
+useTempCacheDir();
+quiet();
+const agg = require('../server/aggregate');
+const fh = require('../server/flowhub');
+
+const ALL = ['kpis', 'categories', 'budtenders', 'hourly', 'products'];
+
+describe('createAggregator', () => {
+  it('produces every dimension in one pass, matching the wrappers', () => {
+    const orders = fixtureOrders();
+    const r = agg.aggregateOrders(orders, ALL, { productLimit: 50 });
+    assert.deepEqual(agg.toSummary(r), fh.summarizeOrders(orders));
+    assert.deepEqual(r.hourly, fh.summarizeHourly(orders));
+    assert.deepEqual(r.products, fh.extractTopProducts(orders, 50));
+  });
+
+  it('gives the same numbers fed page by page as all at once', () => {
+    const orders = fixtureOrders(), a = agg.createAggregator(ALL);
+    for (let i = 0; i < orders.length; i += 3) a.addPage(orders.slice(i, i + 3));
+    assert.equal(a.count, orders.length);
+    assert.deepEqual(a.result(), agg.aggregateOrders(orders, ALL));
+  });
+
+  it('keeps running totals only (products carry no price lists)', () => {
+    const p = agg.aggregateOrders(fixtureOrders(), ['products']).products;
+    assert.ok(p.every(x => !('prices' in x) && !('priceSum' in x)));
+  });
+
+  it('daily_hours splits the hourly net by Pacific date', () => {
+    const orders = fixtureOrders(), r = agg.createAggregator(['kpis', 'daily_hours']);
+    r.addPage(orders);
+    const { kpis, daily_hours: days } = r.result();
+    assert.deepEqual([days['2026-03-08'][1], days['2026-03-08'][3], days['2026-03-08'][23]], [25, 35, 10]);
+    const total = Object.values(days).reduce((s, h) => s + h.reduce((a, b) => a + b, 0), 0);
+    assert.equal(Math.round(total * 100) / 100, kpis.net_sales);
+  });
+
+  it('rejects unknown dimensions', () => {
+    assert.throws(() => agg.createAggregator(['kpis', 'nope']), /Unknown dimension: nope/);
+  });
+});
+
+describe('createRangeAggregator', () => {
+  it('buckets by Pacific date and skips orders outside every range', () => {
+    const ranges = [{ start: '2026-03-02', end: '2026-03-02' }, { start: '2026-03-03', end: '2026-03-03' }];
+    const ra = agg.createRangeAggregator(ranges);
+    assert.equal(ra.add(fixtureOrder('pre-midnight-mon')), true);  // Mon 23:59 PST
+    assert.equal(ra.add(fixtureOrder('post-midnight-tue')), true); // Tue 00:01 PST
+    assert.equal(ra.add(fixtureOrder('sunday-late')), false);
+    const [mon, tue] = ra.results().map(b => agg.toSummary(b.result));
+    assert.equal(mon.net_sales, 40);
+    assert.equal(tue.net_sales, 30);
+  });
+
+  it("buckets by a store's own timezone when given one", () => {
+    const ra = agg.createRangeAggregator([{ start: '2026-03-03', end: '2026-03-03' }], undefined, { tz: 'America/New_York' });
+    assert.equal(ra.add(fixtureOrder('pre-midnight-mon')), true); // Tue 02:59 EST
+    assert.equal(ra.add(fixtureOrder('post-midnight-tue')), true);
+    assert.equal(agg.toSummary(ra.results()[0].result).net_sales, 70);
+    assert.deepEqual(agg.localClock('2026-03-03T07:59:00Z', 'Asia/Kolkata'), { dow: 2, hour: 13, minute: 29 }); // half-hour offset
+  });
+});
+
+describe('registerDimension', () => {
+  it('plugs a new dimension into the same pass', () => {
+    agg.registerDimension('test_kinds', {
+      init: () => ({}),
+      add: (m, p) => { m[p.kind] = (m[p.kind] || 0) + 1; },
+      result: m => m,
+    });
+    const r = agg.aggregateOrders(fixtureOrders(), ['kpis', 'test_kinds']);
+    assert.equal(r.test_kinds.sale, r.kpis.transaction_count);
+    assert.equal(r.test_kinds.void, r.kpis.voids.count);
+    assert.equal(r.test_kinds.return, r.kpis.returns.count);
+  });
+
+  it('requires init / add / result', () => {
+    assert.throws(() => agg.registerDimension('broken', { init: () => ({}) }), /needs init \/ add \/ result/);
+  });
+});
@@ -0,0 +1,180 @@
+// server/alerts.js + server/notify.js — detectors on synthetic caches, the
+// feed (de-duplicated by id), and delivery to a local webhook / SMTP server
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const { quiet, useTempCacheDir } = require('./helpers/setup');
+const fakeRedis = require('./helpers/fake-redis');
+const redis = require('../server/redis');
+
+process.env.TZ = 'UTC';
+useTempCacheDir();
+quiet();
+fakeRedis.install();
+const alerts = require('../server/alerts');
+const notify = require('../server/notify');
+
+const NOW = '2026-03-11T22:00:00.000Z'; // Wed 3pm PDT; yesterday Tue 3/10
+const STORES = [{ id: 'main', name: 'Main Street' }, { id: 'east', name: 'Eastside' }];
+
+// Open 10am–8pm, $100 an hour, 5 transactions an hour
+const curve = scale => { const h = new Array(24).fill(0); for (let i = 10; i < 20; i++) h[i] = 100 * scale; return h; };
+const profileDays = {};
+for (let d = 0; d < 7; d++) profileDays[d] = [0.9, 1, 1.1, 1].map((s, i) => ({ date: `d${i}`, hours: curve(s), total: 1000 * s }));
+const grid = () => Array.from({ length: 7 }, () => Array.from({ length: 24 }, (_, h) => ({ transactions: h >= 10 && h < 20 ? 10 : 0, net_sales: 0 })));
+const todayHours = zero => Array.from({ length: 24 }, (_, h) => ({ transactions: h >= 10 && h < 20 && !zero.includes(h) ? 5 : 0, net_sales: 0 }));
+const summary = (net, cats = {}) => ({ net_sales: net, categories: Object.entries(cats).map(([name, v]) => ({ name, net_sales: v })) });
+const day = (date, main, east) => ({ date, stores: [{ store: { id: 'main' }, summary: main }, { store: { id: 'east' }, summary: east }] });
+
+const ctx = {
+  now: NOW,
+  stores: STORES,
+  today: { main: { net_sales: 100, hours: todayHours([13, 14]) }, east: { net_sales: 480, hours: todayHours([]) } },
+  profiles: { stores: { main: { days: profileDays }, east: { days: profileDays } } },
+  storeDetail: { main: { hourly: grid(), hourlyWeeks: 2 }, east: { hourly: grid(), hourlyWeeks: 2 } },
+  dvd: { dates: [
+    day('2026-03-10', summary(1000, { Flower: 600 }), summary(2950, { Flower: 2900, Vapes: 50 })),
+    day('2026-03-03', summary(3000, { Flower: 2000 }), summary(3000, { Flower: 2200, Vapes: 800 })),
+    day('2026-02-24', summary(3200, { Flower: 2100 }), summary(3100, { Flower: 2300, Vapes: 800 })),
+    day('2026-02-17', summary(2800, { Flower: 1900 }), summary(2900, { Flower: 2100, Vapes: 800 })),
+  ] },
+  trend: { stores: {
+    main: { weeks: [...Array(9).fill(20000), 10000, 4000].map((net, i) => ({ week: `w${i}`, summary: { net_sales: net } })) },
+    east: { weeks: [...Array(10).fill(20000), 4000].map((net, i) => ({ week: `w${i}`, summary: { net_sales: net } })) },
+  } },
+};
+
+describe('detect', () => {
+  const found = alerts.detect(ctx);
+  const of = (store, type, period) => found.filter(a => a.store.id === store && a.type === type && (!period || a.period === period));
+
+  it('flags today running far under the same weekday by this hour', () => {
+    const [a] = of('main', 'sales_drop', 'intraday');
+    assert.deepEqual([a.expected, a.pct, a.severity], [500, -80, 'critical']);
+    assert.match(a.message, /^Main Street: \$100 so far today vs \$500 typical by 3:00pm/);
+    assert.equal(of('east', 'sales_drop', 'intraday').length, 0); // $480, inside the band
+  });
+
+  it('groups zero-transaction hours the store is normally busy', () => {
+    const [a] = of('main', 'zero_hours');
+    assert.deepEqual([a.hours, a.severity, a.id], [[13, 14], 'critical', 'main:zero_hours:2026-03-11:13']);
+    assert.match(a.message, /no transactions 1pm–3pm \(normally ~5\/hr\)/);
+    assert.equal(of('east', 'zero_hours').length, 0);
+  });
+
+  it("reads each store's own clock and opening hours", () => {
+    const hours = [null, null, null, { open: '14:00', close: '20:00' }, null, null, null]; // Wednesdays from 2pm
+    const own = alerts.detect({ ...ctx, stores: [{ ...STORES[0], hours }, { ...STORES[1], timezone: 'America/New_York' }] });
+    assert.deepEqual(own.find(a => a.store.id === 'main' && a.type === 'zero_hours').hours, [14]);
+    const east = own.find(a => a.store.id === 'east' && a.period === 'intraday'); // 6pm there
+    assert.deepEqual([east.expected, east.pct], [800, -40]);
+    assert.match(east.message, /typical by 6:00pm/);
+  });
+
+  it('compares yesterday with the same weekday, and its categories only when the store was not down overall', () => {
+    assert.deepEqual(of('main', 'sales_drop', 'daily').map(a => [a.date, a.expected, a.severity]), [['2026-03-10', 3000, 'critical']]);
+    assert.equal(of('main', 'category_drop').length, 0);
+    const [vapes] = of('east', 'category_drop');
+    assert.deepEqual([vapes.category, vapes.actual, vapes.expected], ['Vapes', 50, 800]);
+    assert.equal(of('east', 'sales_drop', 'daily').length, 0);
+  });
+
+  it('compares the last completed week with the ones before it', () => {
+    assert.deepEqual(of('main', 'sales_drop', 'weekly').map(a => [a.date, a.pct, a.severity]), [['w9', -50, 'warning']]);
+    assert.equal(of('east', 'sales_drop', 'weekly').length, 0);
+  });
+
+  it('stays quiet while the typical day is still small', () => {
+    const early = alerts.detect({ ...ctx, now: '2026-03-11T17:30:00.000Z', today: { main: { net_sales: 0, hours: todayHours([]) } }, stores: [STORES[0]], dvd: null, trend: null });
+    assert.deepEqual(early, []); // 10:30am: ~$50 typical
+  });
+});
+
+describe('record / getFeed', () => {
+  it('keeps new alerts once and updates repeats in place', async () => {
+    const found = alerts.detect(ctx);
+    const fresh = await alerts.record(found, '2026-03-11T22:00:00.000Z');
+    assert.equal(fresh.length, found.length);
+    const again = await alerts.record(found.map(a => ({ ...a, actual: a.actual + 1 })), '2026-03-11T22:10:00.000Z');
+    assert.equal(again.length, 0);
+    const feed = await alerts.getFeed({ store: 'main' });
+    assert.equal(feed.total, found.filter(a => a.store.id === 'main').length);
+    assert.ok(feed.alerts.every(a => a.detectedAt === '2026-03-11T22:00:00.000Z' && a.updatedAt === '2026-03-11T22:10:00.000Z'));
+    assert.equal((await alerts.getFeed({ since: '2026-03-11T22:00:00.000Z' })).total, 0);
+  });
+
+  it('keeps every alert, and sends each once, when two runs record at the same time', async () => {
+    await redis.getClient().del(alerts.KEYS.feed);
+    const found = alerts.detect(ctx), half = Math.ceil(found.length / 2);
+    const [one, two] = await Promise.all([
+      alerts.record(found.slice(0, half).concat(found[found.length - 1]), '2026-03-12T22:00:00.000Z'),
+      alerts.record(found.slice(half), '2026-03-12T22:00:00.000Z'),
+    ]);
+    assert.equal(one.length + two.length, found.length);
+    assert.equal((await alerts.getFeed({ limit: 500 })).total, found.length);
+  });
+});
+
+describe('send', () => {
+  let web, smtp, webhookBodies = [], mails = [];
+  before(async () => {
+    web = http.createServer((req, res) => { let b = ''; req.on('data', c => { b += c; }); req.on('end', () => { webhookBodies.push(JSON.parse(b)); res.end('ok'); }); });
+    // Just enough of an SMTP server: AUTH, one DATA block
+    smtp = net.createServer(sock => {
+      let buf = '', data = null;
+      const mail = { commands: [] };
+      sock.write('220 test ESMTP\r\n');
+      sock.on('data', chunk => {
+        buf += chunk;
+        let i;
+        while ((i = buf.indexOf('\r\n')) >= 0) {
+          const line = buf.slice(0, i); buf = buf.slice(i + 2);
+          if (data != null) {
+            if (line === '.') { mail.data = data; mails.push(mail); data = null; sock.write('250 queued\r\n'); } else data += line + '\n';
+            continue;
+          }
+          mail.commands.push(line);
+          if (/^EHLO/.test(line)) sock.write('250-test\r\n250 AUTH PLAIN\r\n');
+          else if (line === 'DATA') { data = ''; sock.write('354 go\r\n'); }
+          else if (line === 'QUIT') { sock.end('221 bye\r\n'); }
+          else sock.write(/^AUTH/.test(line) ? '235 ok\r\n' : '250 ok\r\n');
+        }
+      });
+    });
+    await Promise.all([new Promise(r => web.listen(0, r)), new Promise(r => smtp.listen(0, r))]);
+  });
+  after(() => { web.close(); smtp.close(); });
+
+  const sample = [
+    { severity: 'critical', message: 'Main Street: $100 so far today' },
+    { severity: 'warning', message: '.Eastside: Vapes down' },
+  ];
+
+  it('posts to the webhook and mails the SMTP target', async () => {
+    const r = await alerts.send(sample, {
+      ALERT_WEBHOOK_URL: `http://127.0.0.1:${web.address().port}/hook`,
+      ALERT_SMTP_URL: `smtp://ops%40thrive:pw@127.0.0.1:${smtp.address().port}`, ALERT_EMAIL_TO: 'a@x.com, b@x.com', ALERT_EMAIL_FROM: 'alerts@thrive',
+    });
+    assert.deepEqual(r, { sent: 2, webhook: 'ok', email: 'ok' });
+    assert.match(webhookBodies[0].text, /^Thrive: 2 store alerts\n🔴 Main Street/);
+    assert.equal(webhookBodies[0].alerts.length, 2);
+
+    const [mail] = mails;
+    assert.ok(mail.commands.includes('AUTH PLAIN ' + Buffer.from('\0ops@thrive\0pw').toString('base64')));
+    assert.deepEqual(mail.commands.filter(c => c.startsWith('RCPT')), ['RCPT TO:<a@x.com>', 'RCPT TO:<b@x.com>']);
+    assert.match(mail.data, /^Subject: Thrive: 2 store alerts$/m);
+    assert.match(mail.data, /^\[CRITICAL\] Main Street/m);
+    assert.match(mail.data, /^\[WARNING\] \.Eastside/m); // line didn't start with a dot, so no stuffing
+  });
+
+  it('skips alerts under ALERT_NOTIFY_SEVERITY and reports failures instead of throwing', async () => {
+    const r = await alerts.send(sample, { ALERT_NOTIFY_SEVERITY: 'critical', ALERT_WEBHOOK_URL: 'http://127.0.0.1:1/nope' });
+    assert.equal(r.sent, 1);
+    assert.match(r.webhook, /^error: /);
+  });
+
+  it('dot-stuffs message lines', () => {
+    assert.match(notify.formatMessage({ from: 'a', to: ['b'], subject: 's', text: 'one\n.two' }), /\r\n\.\.two\r\n\.$/);
+  });
+});
@@ -0,0 +1,92 @@
+// server/audit.js — recording, search filters and paging, export, Redis outages
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, setNow } = require('./helpers/setup');
+const fakeRedis = require('./helpers/fake-redis');
+
+quiet();
+const store = fakeRedis.install();
+const redis = require('../server/redis');
+const audit = require('../server/audit');
+
+const req = (user, extra = {}) => ({ user, ip: '10.1.1.1', method: 'POST', path: '/api/cache/clear', ...extra });
+const ADMIN = { username: 'admin', role: 'admin' };
+const PAT = { username: 'pat', role: 'store' };
+
+describe('record', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('appends to the Pacific day, with who, where and what', async () => {
+    setNow('2026-03-11T06:30:00Z'); // Mar 10, 23:30 PDT
+    const e = await audit.record(req(ADMIN), 'cache.clear', { params: { redisKeys: 4 } });
+    assert.deepEqual([e.user, e.role, e.ip, e.method, e.path, e.outcome, e.params], ['admin', 'admin', '10.1.1.1', 'POST', '/api/cache/clear', 'ok', { redisKeys: 4 }]);
+    assert.equal(JSON.parse((await redis.getClient().lrange(audit.KEYS.day('2026-03-10'), 0, -1))[0]).id, e.id);
+    assert.deepEqual(await redis.getClient().smembers(audit.KEYS.days), ['2026-03-10']);
+  });
+
+  it('names the caller: an explicit user, nobody, or the internal secret', async () => {
+    setNow('2026-03-11T18:00:00Z');
+    assert.equal((await audit.record(req(undefined), 'login', { user: PAT, params: { username: 'pat' } })).role, 'store');
+    assert.equal((await audit.record(req(ADMIN), 'login', { user: null, outcome: 'failed', params: { username: 'pat' } })).user, null);
+    assert.equal((await audit.record(req(undefined, { method: 'GET', path: '/internal/rebuild' }), 'rebuild', { params: { section: 'all' } })).user, audit.INTERNAL);
+  });
+
+  it('never throws into the request when Redis is down', async () => {
+    const client = redis.getClient(), rpush = client.rpush;
+    client.rpush = async () => { throw new Error('ECONNREFUSED'); };
+    try {
+      assert.equal((await audit.record(req(ADMIN), 'logout')).action, 'logout');
+    } finally {
+      client.rpush = rpush;
+    }
+  });
+});
+
+describe('search', () => {
+  it('filters by day, user, action prefix, outcome, ip and text, newest first', async () => {
+    setNow('2026-03-12T18:00:00Z');
+    await audit.record(req(ADMIN), 'user.create', { params: { username: 'kim', role: 'store', stores: ['east'] } });
+    await audit.record(req(PAT, { ip: '10.2.2.2', method: 'GET', path: '/api/employees' }), 'budtenders.view', { params: { store: 'main' } });
+    mock.timers.reset();
+
+    const all = await audit.search();
+    assert.equal(all.total, 6); // not the one Redis refused
+    assert.deepEqual(all.entries.slice(0, 2).map(e => e.action), ['budtenders.view', 'user.create']);
+    assert.deepEqual((await audit.search({ from: '2026-03-11', to: '2026-03-11' })).entries.map(e => e.action), ['rebuild', 'login', 'login']);
+    assert.equal((await audit.search({ to: '2026-03-10' })).total, 1);
+    // A user's own actions, plus the ones about them (sign-in attempts, user changes)
+    assert.deepEqual((await audit.search({ user: 'pat' })).entries.map(e => e.action), ['budtenders.view', 'login', 'login']);
+    assert.deepEqual((await audit.search({ user: 'kim' })).entries.map(e => e.action), ['user.create']);
+    assert.equal((await audit.search({ action: 'user.' })).total, 1);
+    assert.equal((await audit.search({ action: 'user' })).total, 0);
+    assert.deepEqual((await audit.search({ outcome: 'failed' })).entries.map(e => e.params.username), ['pat']);
+    assert.equal((await audit.search({ ip: '10.2.2.2' })).total, 1);
+    assert.equal((await audit.search({ q: 'EAST' })).entries[0].params.username, 'kim');
+  });
+
+  it('pages with limit / offset, keeping the total', async () => {
+    const page = await audit.search({}, { limit: 2, offset: 2 });
+    assert.deepEqual([page.total, page.entries.map(e => e.action)], [6, ['rebuild', 'login']]);
+    assert.equal((await audit.search({}, { limit: 9999 })).entries.length, 6);
+  });
+});
+
+describe('exportLog', () => {
+  it('writes CSV with params as JSON in one quoted column', async () => {
+    setNow('2026-03-12T19:00:00Z');
+    await audit.record(req(undefined), 'login', { user: null, outcome: 'failed', params: { username: '=HYPERLINK("x")' } });
+    mock.timers.reset();
+    const { body, rows, truncated } = await audit.exportLog({ action: 'login', outcome: 'failed' });
+    const lines = body.trim().split('\n');
+    assert.deepEqual([rows, truncated, lines[0]], [2, false, 'at,action,outcome,user,role,ip,method,path,params']);
+    assert.equal(lines[1].split(',').slice(1, 4).join(','), 'login,failed,');
+    assert.match(lines[1], /,"\{""username"":""=HYPERLINK\(\\""x\\""\)""\}"$/);
+    assert.match(lines[2], /""username"":""pat""/);
+  });
+
+  it('writes JSON on request', async () => {
+    const { body } = await audit.exportLog({ user: 'kim' }, 'json');
+    assert.deepEqual(JSON.parse(body).map(e => e.action), ['user.create']);
+    assert.equal(store.size, 0); // lists and sets only, nothing in the plain keys
+  });
+});
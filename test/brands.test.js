@@ -0,0 +1,129 @@
+// server/brands.js + the brands dimensions — brand rows out of the orders,
+// share of category and its shift, the vendor scorecard and its export
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempCacheDir, quiet, fixtureOrders } = require('./helpers/setup');
+
+process.env.TZ = 'UTC';
+useTempCacheDir();
+quiet();
+const agg = require('../server/aggregate');
+const br = require('../server/brands');
+
+describe('brands dimension', () => {
+  const r = agg.aggregateOrders(fixtureOrders(), ['categories', 'brands', 'budtender_brands']);
+  const brand = name => r.brands.find(b => b.name === name);
+
+  it('takes returns back out, so brand rows add up to their categories', () => {
+    assert.deepEqual([brand('Matrix').net_sales, brand('Matrix').units, brand('Matrix').transactions], [25, 1, 2]); // 40 + 25 sold, 40 returned; the voided order left out
+    r.categories.forEach(c => {
+      const total = r.brands.reduce((s, b) => s + (b.categories.find(x => x.name === c.name)?.net_sales || 0), 0);
+      assert.equal(Math.round(total * 100) / 100, c.net_sales, c.name);
+    });
+    assert.equal(brand('Kynd').net_sales, 35); // its voided line left out
+  });
+
+  it('counts the discount dollars each brand gave away', () => {
+    assert.deepEqual([brand('Jeeter').net_sales, brand('Jeeter').discounts, brand('Jeeter').categories[0].discounts], [20, 5, 5]);
+    assert.equal(brand('Matrix').discounts, 0);
+  });
+
+  it("keeps each budtender's top brands, sales only", () => {
+    assert.deepEqual(r.budtender_brands['Ben Ito'].map(b => [b.name, b.net_sales]), [['Tsunami', 45], ['Kynd', 35], ['Clipper', 10]]);
+    assert.deepEqual(r.budtender_brands['Ana Ruiz'].slice(0, 2).map(b => [b.name, b.net_sales]), [['Matrix', 65], ['Rove', 60]]);
+    assert.equal(agg.aggregateOrders(fixtureOrders(), ['budtender_brands'], { brandLimit: 2 }).budtender_brands['Ana Ruiz'].length, 2);
+  });
+
+  it('merges across weeks by brand and category, and stays off slim summaries', () => {
+    const s = agg.toSummary(agg.aggregateOrders(fixtureOrders(), agg.WEEK_DIMENSIONS));
+    const m = agg.mergeSummaries([s, s]);
+    assert.deepEqual([m.brands[0].name, m.brands[0].net_sales, m.brands.find(b => b.name === 'Jeeter').categories[0].discounts], [s.brands[0].name, s.brands[0].net_sales * 2, 10]);
+    assert.ok(!('brands' in agg.slimSummary(s)) && !('brands' in agg.withoutBrands(s)));
+    assert.ok(!('brands' in agg.toSummary(agg.aggregateOrders(fixtureOrders()))));
+  });
+});
+
+// Each brand sells in one category here: [brand, category, net, discounts]
+function week(rows) {
+  const categories = {};
+  rows.forEach(([, c, net]) => { categories[c] = (categories[c] || 0) + net; });
+  return {
+    brands: rows.map(([name, c, net, disc = 0]) => ({ name, net_sales: net, units: 1, discounts: disc, transactions: 1, categories: [{ name: c, net_sales: net, units: 1, discounts: disc }] })),
+    categories: Object.entries(categories).map(([name, net]) => ({ name, net_sales: net, units: 1, transactions: 1 })),
+  };
+}
+// Three weeks; the last is in progress, so the middle one is the default
+const cache = {
+  weekStarts: ['2026-03-02', '2026-03-09', '2026-03-16'],
+  stores: {
+    main: { name: 'Main', color: '#fff', weeks: [
+      week([['Matrix', 'Flower', 60], ['Kynd', 'Flower', 40]]),
+      week([['Matrix', 'Flower', 40], ['Kynd', 'Flower', 60], ['Rove', 'Vapes', 50, 10]]),
+      week([['Matrix', 'Flower', 20]]),
+    ] },
+    east: { name: 'East', color: '#000', weeks: [null, week([['Matrix', 'Flower', 50], ['Tsunami', 'Flower', 50]]), null] },
+  },
+};
+
+describe('overview', () => {
+  it('gives share of all sales and its shift on the week before', () => {
+    const o = br.overview(cache, ['main', 'east']);
+    assert.deepEqual([o.week, o.priorWeek, o.net_sales, o.discounts], ['2026-03-09', '2026-03-02', 250, 10]);
+    assert.deepEqual(o.brands.map(b => b.name), ['Matrix', 'Kynd', 'Rove', 'Tsunami']);
+    const m = o.brands[0];
+    assert.deepEqual([m.net_sales, m.share, m.prior_share, m.share_shift, m.wow_pct, m.weekly], [90, 36, 60, -24, 50, [60, 90, 20]]);
+    assert.deepEqual(m.categories.map(c => [c.name, c.share, c.prior_share, c.share_shift]), [['Flower', 45, 60, -15]]);
+    assert.deepEqual([o.brands[2].discounts, o.brands[2].discount_pct], [10, 16.7]);
+  });
+
+  it('narrows to one category and to the stores given', () => {
+    const f = br.overview(cache, ['main', 'east'], { category: 'Flower' });
+    assert.deepEqual(f.brands.map(b => [b.name, b.share, b.share_shift]), [['Matrix', 45, -15], ['Kynd', 30, -10], ['Tsunami', 25, 25]]);
+    assert.equal(f.net_sales, 200);
+    assert.deepEqual(br.overview(cache, ['main']).brands.map(b => [b.name, b.share]), [['Kynd', 40], ['Rove', 33.3], ['Matrix', 26.7]]);
+  });
+
+  it('picks another week, and refuses one it does not have', () => {
+    const first = br.overview(cache, ['main', 'east'], { week: '2026-03-02' });
+    assert.deepEqual([first.priorWeek, first.brands[0].prior_share, first.brands[0].share_shift], [null, null, null]);
+    assert.deepEqual(br.overview(cache, ['main'], { week: '2026-01-05' }), { error: 'Unknown week: 2026-01-05', status: 400 });
+  });
+});
+
+describe('scorecard', () => {
+  it('shows the brand by week, category and store', () => {
+    const c = br.scorecard(cache, 'Matrix', ['main', 'east']);
+    assert.deepEqual([c.summary.net_sales, c.weeks.map(w => w.share)], [90, [60, 36, 100]]);
+    assert.deepEqual(c.stores.map(s => [s.id, s.net_sales, s.share, s.prior_share]), [['east', 50, 50, null], ['main', 40, 26.7, 60]]);
+    assert.deepEqual(c.weeks[1].categories, [{ name: 'Flower', net_sales: 90, units: 2, discounts: 0, share: 45 }]);
+  });
+
+  it('is null for a brand none of the stores sold', () => {
+    assert.equal(br.scorecard(cache, 'Nope', ['main', 'east']), null);
+    assert.equal(br.scorecard(cache, 'Tsunami', ['main']), null);
+  });
+
+  it('exports every week, store and category as CSV or JSON', () => {
+    const { body, rows } = br.exportScorecard(cache, 'Matrix', ['main', 'east']);
+    assert.deepEqual(body.trim().split('\n'), [
+      'week,store,category,net_sales,units,discounts,category_net_sales,share_pct',
+      '2026-03-02,Main,Flower,60,1,0,100,60', '2026-03-09,Main,Flower,40,1,0,100,40',
+      '2026-03-09,East,Flower,50,1,0,100,50', '2026-03-16,Main,Flower,20,1,0,20,100',
+    ]);
+    assert.equal(rows, 4);
+    assert.deepEqual(JSON.parse(br.exportScorecard(cache, 'Rove', ['main'], 'json').body), [{ week: '2026-03-09', store: 'Main', category: 'Vapes', net_sales: 50, units: 1, discounts: 10, category_net_sales: 50, share_pct: 100 }]);
+    assert.equal(br.exportScorecard(cache, 'Rove', ['east']), null);
+  });
+});
+
+describe('fromTrend', () => {
+  it("moves the brand rows out of the trend's summaries", () => {
+    const summary = { net_sales: 100, ...week([['Matrix', 'Flower', 100]]) };
+    const payload = { weekStarts: ['2026-03-02', '2026-03-09'], stores: { main: { name: 'Main', color: '#fff', weeks: [{ week: '2026-03-02', summary }, { week: '2026-03-09', error: 'timeout' }] } } };
+    const c = br.fromTrend(payload);
+    assert.deepEqual(c.stores.main.weeks[0].brands.map(b => b.name), ['Matrix']);
+    assert.equal(c.stores.main.weeks[1], null);
+    assert.ok(!('brands' in payload.stores.main.weeks[0].summary));
+    assert.equal(payload.stores.main.weeks[0].summary.categories.length, 1);
+  });
+});
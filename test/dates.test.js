@@ -0,0 +1,152 @@
+// Pacific date helpers — week boundaries, midnight, DST
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempCacheDir, quiet, setNow: at } = require('./helpers/setup');
+
+process.env.TZ = 'UTC'; // production runs in UTC; Pacific logic must not lean on local time
+useTempCacheDir();
+quiet();
+const fh = require('../server/flowhub');
+
+describe('addDays', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('crosses month and year ends', () => {
+    assert.equal(fh.addDays('2026-01-31', 1), '2026-02-01');
+    assert.equal(fh.addDays('2026-12-31', 1), '2027-01-01');
+    assert.equal(fh.addDays('2026-03-01', -1), '2026-02-28');
+    assert.equal(fh.addDays('2028-03-01', -1), '2028-02-29');
+  });
+
+  it('is not shifted by DST transitions', () => {
+    assert.equal(fh.addDays('2026-03-07', 1), '2026-03-08');
+    assert.equal(fh.addDays('2026-03-08', 1), '2026-03-09');
+    assert.equal(fh.addDays('2026-10-31', 1), '2026-11-01');
+    assert.equal(fh.addDays('2026-11-01', 1), '2026-11-02');
+    assert.equal(fh.addDays('2026-03-15', -14), '2026-03-01');
+  });
+
+  it('is not shifted by the process timezone', () => {
+    const saved = process.env.TZ;
+    try {
+      for (const tz of ['America/Los_Angeles', 'Pacific/Kiritimati', 'Pacific/Pago_Pago']) {
+        process.env.TZ = tz;
+        assert.equal(fh.addDays('2026-03-08', 1), '2026-03-09', tz);
+        assert.equal(fh.addDays('2026-11-01', -1), '2026-10-31', tz);
+      }
+    } finally { process.env.TZ = saved; }
+  });
+});
+
+describe('todayPacific / dowPacific', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('stays on the Pacific day after 4 PM PST (UTC already tomorrow)', () => {
+    at('2026-03-03T07:59:00Z'); // Mon 23:59 PST
+    assert.equal(fh.todayPacific(), '2026-03-02');
+    assert.equal(fh.dowPacific(), 1);
+  });
+
+  it('rolls over at Pacific midnight', () => {
+    at('2026-03-03T08:00:00Z'); // Tue 00:00 PST
+    assert.equal(fh.todayPacific(), '2026-03-03');
+    assert.equal(fh.dowPacific(), 2);
+  });
+
+  it('uses PDT offsets after spring forward', () => {
+    at('2026-03-10T06:59:00Z'); // Mon 23:59 PDT
+    assert.equal(fh.todayPacific(), '2026-03-09');
+    assert.equal(fh.dowPacific(), 1);
+    at('2026-03-10T07:00:00Z'); // Tue 00:00 PDT
+    assert.equal(fh.todayPacific(), '2026-03-10');
+    assert.equal(fh.dowPacific(), 2);
+  });
+});
+
+describe('weekRange', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('runs Monday → Sunday', () => {
+    at('2026-03-04T20:00:00Z'); // Wed
+    assert.deepEqual(fh.weekRange(0), { start: '2026-03-02', end: '2026-03-08' });
+    assert.deepEqual(fh.weekRange(1), { start: '2026-02-23', end: '2026-03-01' });
+    assert.deepEqual(fh.weekRange(12), { start: '2025-12-08', end: '2025-12-14' });
+  });
+
+  it('keeps Sunday night in the current week (spring-forward Sunday)', () => {
+    at('2026-03-09T06:59:00Z'); // Sun Mar 8 23:59 PDT
+    assert.deepEqual(fh.weekRange(0), { start: '2026-03-02', end: '2026-03-08' });
+  });
+
+  it('starts the new week at Monday 00:00 Pacific', () => {
+    at('2026-03-09T07:00:00Z'); // Mon Mar 9 00:00 PDT
+    assert.deepEqual(fh.weekRange(0), { start: '2026-03-09', end: '2026-03-15' });
+    assert.deepEqual(fh.weekRange(1), { start: '2026-03-02', end: '2026-03-08' });
+  });
+
+  it('handles the fall-back week', () => {
+    at('2026-11-02T07:30:00Z'); // Sun Nov 1 23:30 PST
+    assert.deepEqual(fh.weekRange(0), { start: '2026-10-26', end: '2026-11-01' });
+    at('2026-11-02T08:00:00Z'); // Mon Nov 2 00:00 PST
+    assert.deepEqual(fh.weekRange(0), { start: '2026-11-02', end: '2026-11-08' });
+  });
+});
+
+describe('weekRanges / dowDates', () => {
+  afterEach(() => mock.timers.reset());
+
+  it("count back by the store's clock when given its timezone", () => {
+    at('2026-03-09T05:00:00Z'); // Mon 01:00 EDT, still Sun 22:00 PDT
+    assert.deepEqual(fh.weekRanges(2).map(w => w.start), ['2026-02-23', '2026-03-02']);
+    assert.deepEqual(fh.weekRanges(2, 'America/New_York').map(w => w.start), ['2026-03-02', '2026-03-09']);
+    assert.deepEqual(fh.dowDates(1, 2), ['2026-03-02', '2026-02-23']);
+    assert.deepEqual(fh.dowDates(1, 2, 'America/New_York'), ['2026-03-09', '2026-03-02']);
+  });
+});
+
+describe('todayRange / ytdRange', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('uses the Pacific year on New Year\'s Eve evening', () => {
+    at('2027-01-01T07:30:00Z'); // Dec 31 23:30 PST
+    assert.deepEqual(fh.todayRange(), { start: '2026-12-31', end: '2026-12-31' });
+    assert.deepEqual(fh.ytdRange(), { start: '2026-01-01', end: '2026-12-31' });
+  });
+
+  it('rolls the year at Pacific midnight', () => {
+    at('2027-01-01T08:00:00Z');
+    assert.deepEqual(fh.ytdRange(), { start: '2027-01-01', end: '2027-01-01' });
+  });
+});
+
+describe('qtdRange / mtdRange / priorYearRange', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('starts the quarter and month on the Pacific date', () => {
+    at('2026-04-01T06:30:00Z'); // Mar 31 23:30 PDT
+    assert.deepEqual(fh.qtdRange(), { start: '2026-01-01', end: '2026-03-31' });
+    assert.deepEqual(fh.mtdRange(), { start: '2026-03-01', end: '2026-03-31' });
+    at('2026-04-01T07:00:00Z');
+    assert.deepEqual(fh.qtdRange(), { start: '2026-04-01', end: '2026-04-01' });
+  });
+
+  it('compares with the same calendar dates last year, Feb 29 → Feb 28', () => {
+    assert.deepEqual(fh.priorYearRange({ start: '2028-01-01', end: '2028-02-29' }), { start: '2027-01-01', end: '2027-02-28' });
+  });
+});
+
+describe('sameDayLastYear / lastYearRange', () => {
+  it('goes back to the same ISO week and weekday (usually 364 days)', () => {
+    assert.equal(fh.sameDayLastYear('2026-03-11'), '2025-03-12'); // Wed, week 11
+    assert.deepEqual(fh.lastYearRange({ start: '2026-03-09', end: '2026-03-15' }), { start: '2025-03-10', end: '2025-03-16' });
+  });
+
+  it('follows ISO week-numbering years across New Year', () => {
+    assert.equal(fh.sameDayLastYear('2027-01-06'), '2025-12-31'); // week 1 of 2027 → week 1 of 2026, 371 days back
+    assert.equal(fh.sameDayLastYear('2026-01-01'), '2025-01-02'); // Thu of week 1 of 2026
+  });
+
+  it('maps week 53 to week 52 when last year had none', () => {
+    assert.equal(fh.sameDayLastYear('2026-12-31'), '2025-12-25'); // 2026 has 53 ISO weeks, 2025 has 52
+  });
+});
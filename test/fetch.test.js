@@ -0,0 +1,175 @@
+// Fetch paths against the mock Flowhub (orders.json fixture):
+// Pacific-day trimming, streaming week buckets, Day vs Day dates, last year
+// (one extra order on Mon 2025-03-10, the ISO counterpart of Mon 2026-03-09)
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockFlowhub, quiet, setNow, fixtureOrder, loadFixture } = require('./helpers/setup');
+const fakeRedis = require('./helpers/fake-redis');
+
+process.env.TZ = 'UTC';
+quiet();
+
+let fh, flowhub;
+before(async () => {
+  const fixture = loadFixture();
+  fixture.orders['fx-main'].push({ _id: 'last-year-monday', createdAt: '2025-03-10T20:00:00.000Z', budtender: 'Ana Ruiz', paymentType: 'cash', itemsInCart: [{ productName: 'Pod 1g', category: 'Vapes', quantity: 1, totalPrice: 30 }] });
+  flowhub = await startMockFlowhub({ fixture });
+  fakeRedis.install();
+  fh = require('../server/flowhub');
+});
+after(() => flowhub.close());
+
+const ids = orders => orders.map(o => o._id);
+const W1 = { start: '2026-03-02', end: '2026-03-08' }, W2 = { start: '2026-03-09', end: '2026-03-15' };
+
+describe('getLocations', () => {
+  it('maps fixture locations to store config and drops excluded ones', async () => {
+    const locs = await fh.getLocations();
+    assert.deepEqual(locs.map(l => [l.id, l.name, l.importId]), [['main', 'Main Street', 'fx-main']]);
+  });
+});
+
+describe('getOrdersForLocation', () => {
+  it('returns exactly the Pacific day, not its UTC neighbours', async () => {
+    assert.deepEqual(ids((await fh.getOrdersForLocation('fx-main', '2026-03-02', '2026-03-02')).orders), ['pre-midnight-mon']);
+    assert.deepEqual(ids((await fh.getOrdersForLocation('fx-main', '2026-03-03', '2026-03-03')).orders), ['post-midnight-tue']);
+  });
+
+  it("cuts days in the store's timezone when given one", async () => {
+    assert.deepEqual(ids((await fh.getOrdersForLocation('fx-main', '2026-03-02', '2026-03-02', 'America/New_York')).orders), []);
+    assert.deepEqual(ids((await fh.getOrdersForLocation('fx-main', '2026-03-03', '2026-03-03', 'America/New_York')).orders), ['pre-midnight-mon', 'post-midnight-tue']);
+  });
+
+  it('keeps a whole spring-forward Sunday, up to 23:59 PDT', async () => {
+    const { total, orders } = await fh.getOrdersForLocation('fx-main', '2026-03-08', '2026-03-08');
+    assert.deepEqual(ids(orders), ['dst-spring-before', 'dst-spring-after', 'sunday-late']);
+    assert.equal(total, 3);
+  });
+});
+
+describe('streamBucketFetch', () => {
+  it('buckets Sunday 23:59 and Monday 00:01 into their own weeks', async () => {
+    const [w1, w2] = await fh.streamBucketFetch('fx-main', W1.start, W2.end, [W1, W2]);
+    assert.equal(w1.summary.transaction_count, 7);
+    assert.equal(w2.summary.transaction_count, 1);
+    assert.equal(w1.summary.categories.find(c => c.name === 'Accessories').net_sales, 10); // sunday-late
+  });
+
+  it('produces the same summary as summarizeOrders, brand rows included', async () => {
+    const { WEEK_DIMENSIONS } = require('../server/aggregate');
+    const [w1, w2] = await fh.streamBucketFetch('fx-main', W1.start, W2.end, [W1, W2]);
+    const week1 = ['pre-midnight-mon', 'post-midnight-tue', 'voided-order', 'voided-item', 'missing-total-price', 'dst-spring-before', 'dst-spring-after', 'sunday-late'].map(fixtureOrder);
+    const week2 = ['monday-early', 'return'].map(fixtureOrder);
+    assert.deepEqual(w1.summary, fh.summarizeOrders(week1, WEEK_DIMENSIONS));
+    assert.deepEqual(w2.summary, fh.summarizeOrders(week2, WEEK_DIMENSIONS));
+    assert.ok(w1.summary.brands.length > 0);
+  });
+});
+
+describe('getWeeklyTrend', () => {
+  afterEach(() => mock.timers.reset());
+
+  it("cuts weeks by the store's clock when given its timezone", async () => {
+    setNow('2026-03-09T05:00:00Z'); // Mon 01:00 EDT, still Sun 22:00 PDT
+    const [w1, w2] = await fh.getWeeklyTrend('fx-main', 2, 'America/New_York');
+    assert.deepEqual([w1.week, w2.week], [W1, W2]);
+    assert.equal(w1.summary.transaction_count, 6); // sunday-late is Monday in New York
+    assert.deepEqual((await fh.getWeeklyTrend('fx-main', 1)).map(e => e.week), [W1]);
+  });
+});
+
+describe('Day vs Day', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('getSingleDayVsDay walks back whole weeks from the Pacific today', async () => {
+    setNow('2026-03-10T19:00:00Z'); // Tue Mar 10 12:00 PDT
+    const sun = await fh.getSingleDayVsDay(0, 2);
+    assert.equal(sun.dayName, 'Sunday');
+    assert.deepEqual(sun.dates.map(d => d.date), ['2026-03-08', '2026-03-01']);
+    assert.equal(sun.dates[0].stores[0].summary.transaction_count, 3);
+    assert.equal(sun.dates[0].stores[0].summary.net_sales, 70);
+
+    const tue = await fh.getSingleDayVsDay(2, 2);
+    assert.deepEqual(tue.dates.map(d => d.date), ['2026-03-10', '2026-03-03']);
+    assert.equal(tue.dates[0].stores[0].summary.transaction_count, 0);
+    assert.deepEqual(tue.dates[0].stores[0].summary.returns, { count: 1, amount: 40 });
+    assert.equal(tue.dates[1].stores[0].summary.net_sales, 30);
+  });
+
+  it('getSingleDayVsDay keeps "today" on the Pacific date late in the evening', async () => {
+    setNow('2026-03-10T06:30:00Z'); // Mon Mar 9 23:30 PDT — already Tuesday in UTC
+    const mon = await fh.getSingleDayVsDay(1, 1);
+    assert.deepEqual(mon.dates.map(d => d.date), ['2026-03-09']);
+    assert.equal(mon.dates[0].stores[0].summary.net_sales, 45);
+  });
+
+  it('buildAllDayVsDay matches getSingleDayVsDay for every weekday', async () => {
+    setNow('2026-03-10T19:00:00Z');
+    const all = await fh.buildAllDayVsDay(2);
+    assert.deepEqual(all[1].dates.map(d => d.date), ['2026-03-09', '2026-03-02']);
+    assert.deepEqual(all[1].dates.map(d => d.stores[0].summary.net_sales), [45, 40]);
+    for (let dow = 0; dow < 7; dow++) {
+      const single = await fh.getSingleDayVsDay(dow, 2);
+      assert.deepEqual(all[dow].dates.map(d => d.date), single.dates.map(d => d.date), `dow ${dow}`);
+      all[dow].dates.forEach((d, i) => assert.deepEqual(d.stores[0].summary, single.dates[i].stores[0].summary, `dow ${dow} ${d.date}`));
+    }
+  });
+});
+
+describe('last year', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('getLastYearForStore reads the same ISO weeks a year back, reusing weeks it has', async () => {
+    setNow('2026-03-10T19:00:00Z');
+    const [loc] = await fh.getLocations();
+    const [ly] = await fh.getLastYearForStore(loc, [W2]);
+    assert.deepEqual(ly.week, { start: '2025-03-10', end: '2025-03-16' });
+    assert.equal(ly.summary.net_sales, 30);
+    const have = [{ week: ly.week, summary: { net_sales: 1 }, error: null }];
+    const n = flowhub.stats.requests;
+    assert.equal((await fh.getLastYearForStore(loc, [W2], fh.apiSource, have))[0].summary.net_sales, 1);
+    assert.equal(flowhub.stats.requests, n);
+  });
+
+  it('getDashboardData adds last year\'s week to date, weekday and last week', async () => {
+    setNow('2026-03-10T19:00:00Z'); // Tue
+    const d = await fh.getDashboardData();
+    assert.deepEqual(d.meta.dateRanges.lastYear.thisWeek, { start: '2025-03-10', end: '2025-03-11' });
+    const { lastYear } = d.stores[0];
+    assert.equal(lastYear.thisWeek.net_sales, 30);
+    assert.equal(lastYear.today.net_sales, 0);
+    assert.equal(lastYear.lastWeek.net_sales, 0);
+    assert.ok(!('categories' in lastYear.lastWeek));
+  });
+
+  it('buildAllDayVsDay pairs each date with the same weekday last year', async () => {
+    setNow('2026-03-10T19:00:00Z');
+    const mon = (await fh.buildAllDayVsDay(2))[1];
+    assert.deepEqual(mon.dates.map(d => d.lyDate), ['2025-03-10', '2025-03-03']);
+    assert.deepEqual(mon.dates.map(d => d.stores[0].ly.net_sales), [30, 0]);
+  });
+});
+
+describe('period to date', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('adds whole cached weeks and the odd days into the same totals as one read', async () => {
+    setNow('2026-03-10T19:00:00Z'); // Tue: MTD = Sun 1st + week of the 2nd + Mon / Tue
+    const [loc] = await fh.getLocations();
+    const mtd = fh.mtdRange();
+    assert.deepEqual(mtd, { start: '2026-03-01', end: '2026-03-10' });
+    const [r, prior] = await fh.getPeriodsToDate(loc, [mtd, fh.priorYearRange(mtd)]);
+    const direct = fh.summarizeOrders((await fh.getOrdersForLocation('fx-main', mtd.start, mtd.end)).orders);
+    ['net_sales', 'transaction_count', 'avg_basket', 'total_refunds'].forEach(k => assert.equal(r.summary[k], direct[k], k));
+    assert.deepEqual(r.summary.voids, direct.voids);
+    assert.equal(prior.summary.net_sales, 30); // last-year-monday
+  });
+
+  it('getPeriodsToDateData reports stores, company and the prior-year ranges', async () => {
+    setNow('2026-03-10T19:00:00Z');
+    const d = await fh.getPeriodsToDateData();
+    assert.deepEqual(d.ranges.qtd, { current: { start: '2026-01-01', end: '2026-03-10' }, prior: { start: '2025-01-01', end: '2025-03-10' } });
+    assert.equal(d.company.ytd.current.net_sales, d.stores.main.ytd.current.net_sales);
+    assert.equal(d.company.ytd.prior.net_sales, 30);
+  });
+});
@@ -0,0 +1,100 @@
+// server/forecast.js — intraday projection, week roll-forward, bands,
+// and history profiles read from the mock Flowhub (orders.json fixture)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockFlowhub, quiet } = require('./helpers/setup');
+const fakeRedis = require('./helpers/fake-redis');
+
+process.env.TZ = 'UTC';
+quiet();
+
+let fh, fc, flowhub;
+before(async () => {
+  flowhub = await startMockFlowhub();
+  fakeRedis.install();
+  fh = require('../server/flowhub');
+  fc = require('../server/forecast');
+});
+after(() => flowhub.close());
+
+// Open 10am–8pm, $100 an hour on a typical day; four weeks at 0.8–1.2×
+const SCALES = [0.8, 0.9, 1.1, 1.2];
+const day = (date, scale) => {
+  const hours = new Array(24).fill(0);
+  for (let h = 10; h < 20; h++) hours[h] = 100 * scale;
+  return { date, hours, total: 1000 * scale };
+};
+const profile = { asOf: '2026-03-11', days: {} };
+for (let d = 0; d < 7; d++) profile.days[d] = SCALES.map((s, i) => day(`w${i}-${d}`, s));
+
+describe('projectDay', () => {
+  it('adds the typical rest of the day when on pace, with a 10th–90th band', () => {
+    const p = fc.projectDay(profile.days[3], 500, 15); // 3pm, half the day done
+    assert.deepEqual([p.point, p.low, p.high, p.share, p.pace], [1000, 915, 1085, 0.5, 1]);
+  });
+
+  it('scales the rest by pace, trusted as far as the day is done', () => {
+    assert.equal(fc.projectDay(profile.days[3], 750, 15).point, 750 + 1.25 * 500);
+    assert.equal(fc.projectDay(profile.days[3], 0, 9).point, 1000); // before opening: the typical day
+    const closed = fc.projectDay(profile.days[3], 1234, 21);
+    assert.deepEqual([closed.point, closed.low, closed.high], [1234, 1234, 1234]);
+  });
+
+  it('counts part of the current hour', () => {
+    assert.equal(fc.cumAt(profile.days[3][0].hours, 10.5), 40);
+  });
+
+  it('is null without history for the weekday', () => {
+    assert.equal(fc.projectDay([], 100, 12), null);
+  });
+});
+
+describe('projectWeek', () => {
+  it('adds days done, today\'s projection and the typical rest of the week', () => {
+    const today = fc.projectDay(profile.days[3], 500, 15);
+    const w = fc.projectWeek(profile, 3, 15, 2000, today); // Wednesday, Mon + Tue typical
+    assert.deepEqual([w.soFar, w.point, w.pace], [2500, 7000, 1]);
+    assert.equal(w.low, 2000 + 915 + 4 * 830);
+    assert.equal(w.high, 2000 + 1085 + 4 * 1170);
+  });
+
+  it('leans on the week so far once most of it is done', () => {
+    const today = fc.projectDay(profile.days[6], 500, 15); // Saturday
+    const ahead = fc.projectWeek(profile, 6, 15, 6000, today);
+    assert.ok(ahead.pace > 1);
+    assert.ok(ahead.point > 7000);
+  });
+});
+
+describe('forecast', () => {
+  const dashboard = {
+    meta: { fetchedAt: '2026-03-11T22:00:00.000Z', dateRanges: {} }, // Wed 3pm PDT
+    stores: [
+      { id: 'main', name: 'Main', color: '#fff', today: { net_sales: 500 }, thisWeek: { net_sales: 2500 }, lastWeek: { net_sales: 6000 } },
+      { id: 'new', name: 'New', color: '#000', today: { net_sales: 50 }, thisWeek: { net_sales: 50 }, lastWeek: null },
+    ],
+  };
+
+  it('projects each store at the dashboard\'s Pacific time and sums the company', () => {
+    const r = fc.forecast(dashboard, { asOf: '2026-03-11', historyWeeks: 12, stores: { main: profile } });
+    const [main, fresh] = r.stores;
+    assert.deepEqual([main.today.point, main.week.point, main.lastWeek], [1000, 7000, 6000]);
+    assert.equal(fresh.today, null);
+    assert.match(fresh.error, /history/);
+    assert.deepEqual(r.company.week, { soFar: 2500, point: 7000, low: main.week.low, high: main.week.high });
+    assert.equal(r.company.lastWeek, 6000);
+  });
+});
+
+describe('buildProfile', () => {
+  it('groups finished Pacific days by weekday', async () => {
+    const [loc] = await fh.getLocations();
+    const p = await fc.buildProfile(loc, fh.apiSource, '2026-03-10');
+    assert.deepEqual([p.start, p.end], ['2025-12-16', '2026-03-09']);
+    assert.deepEqual(p.days[0].map(d => [d.date, d.total]), [['2026-03-08', 70]]);
+    assert.deepEqual([p.days[0][0].hours[1], p.days[0][0].hours[3], p.days[0][0].hours[23]], [25, 35, 10]); // PST, then PDT
+    assert.deepEqual(p.days[1].map(d => d.date), ['2026-03-02', '2026-03-09']);
+    assert.deepEqual(p.days[2].map(d => d.date), ['2026-03-03']); // not today (Tue 3/10)
+    assert.deepEqual(p.days[5], []);
+  });
+});
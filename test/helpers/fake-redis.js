@@ -0,0 +1,73 @@
+// test/helpers/fake-redis.js
+// ============================================================
+// In-memory stand-in for server/redis.js
+// install() swaps the module's exports in place, so every module
+// that did require('./redis') talks to the fake.
+// ============================================================
+
+const redis = require('../../server/redis');
+
+function createFakeClient(store) {
+  const sets = new Map();
+  const lists = new Map();
+  const hashes = new Map();
+  const hash = k => { if (!hashes.has(k)) hashes.set(k, new Map()); return hashes.get(k); };
+  const match = pattern => new RegExp('^' + pattern.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  const client = {
+    async get(k) { return store.has(k) ? store.get(k) : null; },
+    async set(k, v, ...args) {
+      if (args.includes('NX') && store.has(k)) return null;
+      store.set(k, v);
+      return 'OK';
+    },
+    async expire(k) { return store.has(k) ? 1 : 0; },
+    async pexpire(k) { return store.has(k) ? 1 : 0; },
+    async incr(k) { const n = (parseInt(store.get(k), 10) || 0) + 1; store.set(k, String(n)); return n; },
+    async del(...keys) { let n = 0; keys.flat().forEach(k => { if (store.delete(k) || sets.delete(k) || lists.delete(k) || hashes.delete(k)) n++; }); return n; },
+    async keys(pattern) { const re = match(pattern); return [...store.keys(), ...sets.keys(), ...lists.keys(), ...hashes.keys()].filter(k => re.test(k)); },
+    async rpush(k, ...values) { if (!lists.has(k)) lists.set(k, []); lists.get(k).push(...values.flat().map(String)); return lists.get(k).length; },
+    async lrange(k, start, stop) { const l = lists.get(k) || []; return l.slice(start, stop === -1 ? undefined : stop + 1); },
+    async sadd(k, ...members) { if (!sets.has(k)) sets.set(k, new Set()); members.flat().forEach(m => sets.get(k).add(String(m))); return members.length; },
+    async smembers(k) { return [...(sets.get(k) || [])]; },
+    async srem(k, ...members) { members.flat().forEach(m => sets.get(k)?.delete(String(m))); return members.length; },
+    async hset(k, ...pairs) {
+      const fields = pairs.length === 1 ? Object.entries(pairs[0]).flat() : pairs;
+      let n = 0;
+      for (let i = 0; i < fields.length; i += 2) { if (!hash(k).has(fields[i])) n++; hash(k).set(String(fields[i]), String(fields[i + 1])); }
+      return n;
+    },
+    async hsetnx(k, field, v) { if (hash(k).has(field)) return 0; hash(k).set(String(field), String(v)); return 1; },
+    async hget(k, field) { return hashes.get(k)?.get(field) ?? null; },
+    async hvals(k) { return [...(hashes.get(k)?.values() || [])]; },
+    async hlen(k) { return hashes.get(k)?.size || 0; },
+    async hdel(k, ...fields) { return fields.flat().filter(f => hashes.get(k)?.delete(f)).length; },
+    async ping() { return 'PONG'; },
+    // Queued commands run back to back at exec(), with nothing in between
+    multi() {
+      const queued = [];
+      const tx = new Proxy({}, {
+        get: (_, name) => name === 'exec'
+          ? async () => Promise.all(queued.map(([cmd, args]) => client[cmd](...args).then(r => [null, r], e => [e, null])))
+          : (...args) => { queued.push([name, args]); return tx; },
+      });
+      return tx;
+    },
+  };
+  return client;
+}
+
+// Returns the backing Map (key → raw JSON string) for seeding / asserting
+function install() {
+  const store = new Map();
+  const client = createFakeClient(store);
+  redis.getClient = () => client;
+  redis.getJSON = async k => (store.has(k) ? JSON.parse(store.get(k)) : null);
+  redis.setJSON = async (k, v) => { store.set(k, JSON.stringify(v)); return true; };
+  redis.acquireLock = async k => (await client.set(k, '1', 'NX')) === 'OK';
+  redis.refreshLock = async k => (await client.expire(k)) === 1;
+  redis.releaseLock = async k => { await client.del(k); };
+  redis.ping = async () => true;
+  return store;
+}
+
+module.exports = { install };
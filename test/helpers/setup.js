@@ -0,0 +1,58 @@
+// test/helpers/setup.js
+// ============================================================
+// Shared test setup — mock Flowhub, fixtures, quiet logs
+// Call startMockFlowhub() BEFORE requiring server/flowhub.js:
+// the base URL and cache dir are read at module load.
+// ============================================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mock } = require('node:test');
+const { createMockFlowhub } = require('../../server/mock-flowhub');
+
+const FIXTURE = path.join(__dirname, '../fixtures/orders.json');
+
+function loadFixture() { return JSON.parse(fs.readFileSync(FIXTURE, 'utf8')); }
+
+// Every fixture order (all locations), or one by _id
+function fixtureOrders() { return Object.values(loadFixture().orders).flat(); }
+function fixtureOrder(id) { return fixtureOrders().find(o => o._id === id); }
+
+// Server/flowhub log a line per fetch; keep test output readable
+function quiet() {
+  if (process.env.TEST_VERBOSE) return;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+// Freeze Date at an instant (timers stay real). Undo with mock.timers.reset().
+function setNow(iso) {
+  mock.timers.reset();
+  mock.timers.enable({ apis: ['Date'], now: new Date(iso) });
+}
+
+// Week cache → throwaway dir (flowhub.js loads / saves it)
+function useTempCacheDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thrive-test-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  process.env.CACHE_DIR = dir;
+  return dir;
+}
+
+// Mock Flowhub on an ephemeral port, env wired for flowhub.js.
+// opts go to createMockFlowhub (default: the orders.json fixture).
+function startMockFlowhub(opts = { fixture: FIXTURE }) {
+  const app = createMockFlowhub(opts);
+  return new Promise(resolve => {
+    const server = app.listen(0, () => {
+      process.env.FLOWHUB_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+      process.env.FLOWHUB_RETRY_BASE_MS = '1';
+      useTempCacheDir();
+      resolve({ app, server, stats: app.locals.stats, faults: app.locals.faults, close: () => new Promise(r => server.close(r)) });
+    });
+  });
+}
+
+module.exports = { loadFixture, fixtureOrders, fixtureOrder, quiet, setNow, useTempCacheDir, startMockFlowhub, FIXTURE };
@@ -0,0 +1,169 @@
+// server/inventory.js — days of supply and status per product, a store's
+// reorder list, the company view's transfers, and stock read from the
+// mock Flowhub (orders.json fixture)
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockFlowhub, quiet, setNow } = require('./helpers/setup');
+const fakeRedis = require('./helpers/fake-redis');
+
+process.env.TZ = 'UTC';
+quiet();
+
+let fh, inv, pr, flowhub;
+before(async () => {
+  flowhub = await startMockFlowhub();
+  fakeRedis.install();
+  fh = require('../server/flowhub');
+  inv = require('../server/inventory');
+  pr = require('../server/products');
+});
+after(() => flowhub.close());
+
+// 11 completed weeks, then the week in progress; 7 a week is 1 a day
+const weeks = (prior, recent, now = recent) => [...new Array(7).fill(prior), ...new Array(4).fill(recent), now];
+const item = (quantity, extra) => ({ key: 'Pod 1g__Rove', name: 'Pod 1g', brand: 'Rove', category: 'Vapes', quantity, ...extra });
+const assess = (quantity, units, elapsed) => inv.assess(item(quantity), units, '2026-03-15', elapsed);
+
+describe('assess', () => {
+  it('gives days of supply and the stockout date at the recent daily rate', () => {
+    const r = assess(20, weeks(0, 7));
+    assert.deepEqual([r.daily_units, r.days_of_supply, r.stockout_date, r.status, r.reorder_qty, r.surplus], [1, 20, '2026-04-04', 'ok', 0, 0]);
+    assert.equal(assess(20, weeks(0, 7, 3), 3).daily_units, 1); // 31 units over 31 days
+  });
+
+  it('flags reorders and stockouts, with what would bring them up to target', () => {
+    assert.deepEqual([assess(7, weeks(0, 7)).status, assess(7, weeks(0, 7)).reorder_qty], ['reorder', 23]);
+    const out = assess(0, weeks(0, 7));
+    assert.deepEqual([out.status, out.days_of_supply, out.stockout_date, out.reorder_qty], ['out', 0, null, 30]);
+    assert.equal(assess(0, weeks(0, 0)), null); // nothing on hand, nothing selling
+  });
+
+  it('calls stock past the overstock line, or not selling lately, overstock', () => {
+    const over = assess(200, weeks(0, 7));
+    assert.deepEqual([over.status, over.surplus], ['overstock', 170]);
+    const slow = assess(10, [0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0]); // sold 6 weeks back
+    assert.deepEqual([slow.status, slow.days_of_supply, slow.stockout_date, slow.surplus], ['overstock', null, null, 10]);
+  });
+
+  it('calls stock with no sales in the dead-stock window dead, all of it spare', () => {
+    const dead = inv.assess(item(10, { cost: 4.5 }), [3, 3, 3, 3, 0, 0, 0, 0, 0, 0, 0, 0], '2026-03-15');
+    assert.deepEqual([dead.status, dead.surplus, dead.stock_value], ['dead', 10, 45]);
+  });
+});
+
+// Two stores with stock, one without a feed. Mar 9 is the week in
+// progress and the stock was read on its Sunday, so every week is whole.
+const catalog = {
+  weekStarts: Array.from({ length: 12 }, (_, i) => new Date(Date.UTC(2025, 11, 22 + i * 7)).toISOString().split('T')[0]),
+  stores: { main: { name: 'Main', color: '#fff' }, east: { name: 'East', color: '#000' } },
+  products: [
+    { key: 'Pod 1g__Rove', name: 'Pod 1g', brand: 'Rove', category: 'Vapes', sku: 'RV-1', stores: { main: { units: weeks(7, 7) }, east: { units: weeks(7, 7) } } },
+    { key: 'Gummies__Wyld', name: 'Gummies', brand: 'Wyld', category: 'Edibles', sku: null, stores: { main: { units: weeks(14, 14) } } },
+    { key: 'Blue Dream__Matrix', name: 'Blue Dream', brand: 'Matrix', category: 'Flower', sku: 'MX-BD', stores: { east: { units: weeks(7, 7) } } },
+    { key: 'Lighter__Clipper', name: 'Lighter', brand: 'Clipper', category: 'Accessories', sku: null, stores: { main: { units: weeks(1, 1) } } },
+  ],
+};
+const stock = (name, brand, category, quantity, extra) => ({ key: `${name}__${brand}`, name, brand, category, sku: null, quantity, cost: null, ...extra });
+const cache = {
+  readAt: '2026-03-15T20:00:00Z',
+  stores: {
+    main: { name: 'Main', color: '#fff', asOf: '2026-03-15', items: [
+      stock('Pod 1g', 'Rove', 'Vapes', 200, { cost: 10 }),
+      stock('Gummies', 'Wyld', 'Edibles', 0),
+      stock('Grinder', 'Thrive', 'Accessories', 12, { cost: 5 }),
+    ] },
+    east: { name: 'East', color: '#000', asOf: '2026-03-15', items: [
+      stock('Pod 1g', 'Rove', 'Vapes', 3),
+      stock('Blue Dream 3.5g', 'Matrix', 'Flower', 50, { sku: 'MX-BD' }),
+    ] },
+  },
+  unsupported: ['west'],
+  errors: {},
+};
+
+describe('reorderList', () => {
+  const keys = (id, opts) => inv.reorderList(cache, catalog, id, opts).rows.map(r => r.key);
+
+  it("lists a store's stock by urgency, with what it sells that the feed doesn't list", () => {
+    const l = inv.reorderList(cache, catalog, 'main');
+    assert.deepEqual(l.rows.map(r => [r.key, r.status, r.reorder_qty]), [
+      ['Gummies__Wyld', 'out', 60], ['Lighter__Clipper', 'out', 5], ['Pod 1g__Rove', 'overstock', 0], ['Grinder__Thrive', 'dead', 0],
+    ]);
+    assert.deepEqual([l.rows[1].in_feed, l.rows[3].last_sold_week, l.rows[2].last_sold_week], [false, null, '2026-03-09']);
+    assert.deepEqual(l.counts, { out: 2, reorder: 0, overstock: 1, dead: 1, ok: 0 });
+    assert.deepEqual([l.on_hand, l.stock_value, l.dead_value, l.overstock_value, l.reorder_units], [212, 2060, 60, 2000, 65]);
+  });
+
+  it('matches stock to sales by SKU when the names differ', () => {
+    const [bd] = inv.reorderList(cache, catalog, 'east', { q: 'matrix' }).rows;
+    assert.deepEqual([bd.name, bd.days_of_supply, bd.status], ['Blue Dream 3.5g', 50, 'ok']);
+  });
+
+  it('filters, searches and sorts', () => {
+    assert.deepEqual(keys('main', { status: 'dead' }), ['Grinder__Thrive']);
+    assert.deepEqual(keys('main', { q: 'rv-1' }), ['Pod 1g__Rove']); // the catalog's SKU
+    assert.deepEqual(keys('main', { sort: 'value' }), ['Pod 1g__Rove', 'Grinder__Thrive', 'Gummies__Wyld', 'Lighter__Clipper']);
+    assert.deepEqual(keys('main', { category: 'Edibles' }), ['Gummies__Wyld']);
+  });
+
+  it('is null for a store whose stock was not read', () => {
+    assert.equal(inv.reorderList(cache, catalog, 'west'), null);
+  });
+});
+
+describe('company', () => {
+  it("moves one store's spare stock to another running short", () => {
+    const c = inv.company(cache, catalog, ['main', 'east', 'west']);
+    assert.deepEqual(c.stores.map(s => [s.id, s.counts.out, s.counts.reorder]), [['east', 0, 1], ['main', 2, 0]]);
+    assert.deepEqual(c.unsupported, ['west']);
+    assert.equal(c.transfers.length, 1);
+    const [t] = c.transfers;
+    assert.deepEqual([t.key, t.qty, t.value, t.from.id, t.to.id, t.to.days_of_supply, t.to.days_after], ['Pod 1g__Rove', 27, 270, 'main', 'east', 3, 30]);
+  });
+
+  it('only suggests transfers between the stores given', () => {
+    assert.deepEqual(inv.company(cache, catalog, ['east']).transfers, []);
+  });
+
+  it('pairs stores that list the same SKU under different names', () => {
+    const at = (st, items) => ({ ...cache.stores[st], items });
+    const named = { ...cache, stores: {
+      main: at('main', [stock('Blue Dream 1/8', 'Matrix', 'Flower', 40, { sku: 'MX-BD' })]), // not sold here: dead
+      east: at('east', [stock('Blue Dream 3.5g', 'Matrix', 'Flower', 3, { sku: 'MX-BD' })]),
+    } };
+    const [t] = inv.company(named, catalog, ['main', 'east']).transfers;
+    assert.deepEqual([t.key, t.qty, t.from.id, t.from.status, t.to.id], ['Blue Dream__Matrix', 27, 'main', 'dead', 'east']);
+  });
+
+  it("sums one store's feed names that share a SKU, rather than moving stock to itself", () => {
+    const east = { ...cache.stores.east, items: [
+      stock('Blue Dream 3.5g', 'Matrix', 'Flower', 3, { sku: 'MX-BD' }),
+      stock('Blue Dream 1/8', 'Matrix', 'Flower', 200, { sku: 'MX-BD' }),
+    ] };
+    const twice = { ...cache, stores: { east } };
+    const l = inv.reorderList(twice, catalog, 'east', { q: 'matrix' });
+    assert.deepEqual(l.rows.map(r => [r.key, r.on_hand, r.status]), [['Blue Dream__Matrix', 203, 'overstock']]);
+    assert.equal(l.on_hand, 203);
+    assert.deepEqual(inv.company(twice, catalog, ['east']).transfers, []);
+  });
+});
+
+describe('readStock', () => {
+  after(() => mock.timers.reset());
+
+  it("reads each store's stock through its adapter and joins it with the catalog", async () => {
+    setNow('2026-03-12T20:00:00Z'); // Thu: Mar 9 is the week in progress
+    const locs = await fh.getLocations();
+    const s = await inv.readStock(locs);
+    assert.deepEqual([Object.keys(s.stores), s.stores.main.asOf, s.unsupported, s.errors], [['main'], '2026-03-12', [], {}]);
+    const items = s.stores.main.items;
+    assert.deepEqual(items.map(i => [i.name, i.quantity]), [['Blue Dream 3.5g', 0], ['Pre-Roll 5pk', 3], ['Gummies 100mg', 40], ['Grinder', 12]]); // the Pre-Roll rows summed, the nameless row left out
+    assert.deepEqual([items[0].sku, items[2].cost, items[3].cost], ['MX-BD', 8, null]);
+
+    const list = inv.reorderList(s, await pr.buildCatalog(locs), 'main'), row = key => list.rows.find(r => r.key === key);
+    assert.deepEqual([row('Blue Dream 3.5g__Matrix').status, row('Pre-Roll 5pk__Jeeter').status, row('Gummies 100mg__Wyld').status, row('Grinder__Thrive').status],
+      ['out', 'ok', 'overstock', 'dead']);
+    assert.deepEqual([row('Pre-Roll 5pk__Jeeter').daily_units, row('Pre-Roll 5pk__Jeeter').days_of_supply], [0.06, 48]); // 2 units over 32 days
+    assert.equal(row('Lighter__Clipper').in_feed, false);
+  });
+});
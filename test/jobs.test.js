@@ -0,0 +1,90 @@
+// server/jobs.js — per-section / per-store progress and Flowhub call counts
+// for parallel steps, final status, history, and live watching
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet } = require('./helpers/setup');
+const fakeRedis = require('./helpers/fake-redis');
+
+quiet();
+fakeRedis.install();
+const jobs = require('../server/jobs');
+
+const MAIN = { id: 'main', name: 'Main Street' }, EAST = { id: 'east', name: 'Eastside' };
+const tick = () => new Promise(r => setImmediate(r));
+
+// Two parallel sections, interleaved: each must keep its own counts
+async function sample() {
+  await jobs.step('warehouse', async () => { jobs.countCall(); jobs.storeDone(MAIN, Date.now()); });
+  await Promise.all([
+    jobs.step('dashboard', async () => {
+      jobs.countCall(); await tick(); jobs.countCall(true);
+      jobs.storeDone(MAIN, Date.now(), null, { orders: 12 });
+      jobs.storeDone(EAST, Date.now(), new Error('Flowhub 503'));
+    }),
+    jobs.step('dvd', async () => { await tick(); jobs.countCall(); jobs.sectionFailed(new Error('bulk read failed')); }),
+  ]);
+}
+
+describe('run / step', () => {
+  it('records each section with its own calls, stores and errors', async () => {
+    const job = await jobs.run(jobs.create('all', 'schedule'), sample);
+    assert.equal(job.status, 'partial');
+    assert.deepEqual([job.flowhubCalls, job.flowhubRetries], [4, 1]);
+    const { warehouse, dashboard, dvd } = job.sections;
+    assert.deepEqual([warehouse.status, warehouse.flowhubCalls], ['ok', 1]);
+    assert.deepEqual([dashboard.status, dashboard.flowhubCalls, dashboard.stores.main.orders], ['partial', 2, 12]);
+    assert.equal(dashboard.stores.east.error, 'Flowhub 503');
+    assert.deepEqual([dvd.status, dvd.error], ['error', 'bulk read failed']);
+    assert.ok(job.durationMs >= 0 && job.finishedAt);
+  });
+
+  it('ends as error when the run throws, skipped when it skips, and never throws itself', async () => {
+    const failed = await jobs.run(jobs.create('dvd'), async () => { throw new Error('no locations'); });
+    assert.deepEqual([failed.status, failed.error], ['error', 'no locations']);
+    const skipped = await jobs.run(jobs.create('all'), async () => { jobs.skip('lock_held'); });
+    assert.deepEqual([skipped.status, skipped.reason], ['skipped', 'lock_held']);
+  });
+
+  it('does nothing outside a job', async () => {
+    jobs.countCall(); jobs.storeDone(MAIN, Date.now()); jobs.sectionFailed(new Error('x'));
+    assert.equal(await jobs.step('dashboard', async () => 42), 42);
+  });
+});
+
+describe('history / get', () => {
+  it('lists runs newest first, without the store detail', async () => {
+    const job = await jobs.run(jobs.create('periods', 'api'), async () => { await jobs.step('periods', async () => jobs.storeDone(MAIN, Date.now())); });
+    const { jobs: list, total } = await jobs.history({ limit: 2 });
+    assert.equal(list[0].id, job.id);
+    assert.deepEqual(list[0].sections, { periods: 'ok' });
+    assert.ok(total >= 4);
+    assert.deepEqual((await jobs.history({ status: 'skipped' })).jobs.map(j => j.reason), ['lock_held']);
+    assert.equal((await jobs.get(job.id)).sections.periods.stores.main.status, 'ok');
+  });
+});
+
+describe('watch', () => {
+  it('streams a running job to the end', async () => {
+    const job = jobs.create('all');
+    let release;
+    const gate = new Promise(r => { release = r; });
+    const done = jobs.run(job, async () => { await gate; await sample(); });
+    const events = [];
+    await jobs.watch(job.id, (type, data) => events.push([type, data]));
+    release();
+    await done;
+    assert.equal(events[0][0], 'snapshot');
+    assert.deepEqual(events.filter(e => e[0] === 'store').map(e => [e[1].section, e[1].store, e[1].record.status]),
+      [['warehouse', 'main', 'ok'], ['dashboard', 'main', 'ok'], ['dashboard', 'east', 'error']]);
+    const [type, last] = events[events.length - 1];
+    assert.deepEqual([type, last.job.status, last.record.sections.dvd.status], ['done', 'partial', 'error']);
+  });
+
+  it('sends a finished job as snapshot + done, and null for unknown ids', async () => {
+    const job = await jobs.run(jobs.create('dvd'), async () => {});
+    const events = [];
+    await jobs.watch(job.id, type => events.push(type));
+    assert.deepEqual(events, ['snapshot', 'done']);
+    assert.equal(await jobs.watch('nope', () => {}), null);
+  });
+});
@@ -0,0 +1,88 @@
+// server/live.js — large-sale detection, the today-only transaction feed,
+// KPI pushes and the cross-instance poll
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, fixtureOrders } = require('./helpers/setup');
+const fakeRedis = require('./helpers/fake-redis');
+
+quiet();
+process.env.LIVE_LARGE_TXN = '30';
+const store = fakeRedis.install();
+const live = require('../server/live');
+
+const MAIN = { id: 'main', name: 'Main Street' };
+const txn = (id, date, at, net) => ({ id: 'main:' + id, date, at, store: MAIN, net, items: 1, budtender: 'Sam' });
+const summary = net => ({ net_sales: net, transaction_count: 3, categories: [{ name: 'Flower' }], budtenders: [{ name: 'Sam' }] });
+const dashboard = (fetchedAt, net) => ({
+  meta: { fetchedAt, dateRanges: { today: { start: '2026-03-08' } } },
+  stores: [{ id: 'main', name: 'Main Street', today: summary(net), thisWeek: summary(net * 4), lastWeek: summary(1) }],
+});
+
+describe('largeTransactions', () => {
+  it("keeps the day's sales at or over the threshold, newest first", () => {
+    const out = live.largeTransactions(MAIN, fixtureOrders(), '2026-11-01');
+    assert.deepEqual(out.map(t => [t.id, t.net]), [['main:dst-fall-pst', 30], ['main:dst-fall-pdt', 30]]);
+    assert.deepEqual(out[0].store, MAIN);
+    // 25 and 10 are under it; voids and returns never count
+    assert.deepEqual(live.largeTransactions(MAIN, fixtureOrders(), '2026-03-08').map(t => t.id), ['main:dst-spring-after']);
+    assert.deepEqual(live.largeTransactions(MAIN, fixtureOrders(), '2026-03-04'), []);
+    assert.deepEqual(live.largeTransactions(MAIN, fixtureOrders(), '2026-03-10'), []);
+  });
+});
+
+describe('publish / subscribe', () => {
+  it('pushes new KPIs (without categories / budtenders) and new large sales only', async () => {
+    const events = [];
+    const stop = live.subscribe((event, data) => events.push([event, data]));
+    await live.publishDashboard(dashboard('2026-03-08T18:00:00.000Z', 500));
+    await live.publishDashboard(dashboard('2026-03-08T18:00:00.000Z', 500));
+    const k = events[0][1];
+    assert.deepEqual(events.map(e => e[0]), ['kpis']);
+    assert.deepEqual(Object.keys(k.stores[0]), ['id', 'name', 'today', 'thisWeek']);
+    assert.equal(k.stores[0].today.categories, undefined);
+    assert.equal(k.stores[0].thisWeek.net_sales, 2000);
+
+    assert.deepEqual((await live.recordTransactions([txn('a', '2026-03-08', '2026-03-08T17:00:00Z', 40)])).map(t => t.id), ['main:a']);
+    assert.deepEqual(await live.recordTransactions([txn('a', '2026-03-08', '2026-03-08T17:00:00Z', 40)]), []);
+    await live.recordTransactions([txn('b', '2026-03-08', '2026-03-08T17:30:00Z', 60), txn('a', '2026-03-08', '2026-03-08T17:00:00Z', 40)]);
+    assert.deepEqual(events.filter(e => e[0] === 'transactions').map(e => e[1].map(t => t.id)), [['main:a'], ['main:b']]);
+    stop();
+  });
+
+  it("drops earlier days from the feed; the snapshot is today's", async () => {
+    await live.recordTransactions([txn('c', '2026-03-09', '2026-03-09T17:00:00Z', 80)]);
+    assert.deepEqual(JSON.parse(store.get(live.KEYS.txns)).map(t => t.id), ['main:c']);
+    const snap = await live.snapshot({ main: '2026-03-09' });
+    assert.equal(snap.kpis.fetchedAt, '2026-03-08T18:00:00.000Z');
+    assert.deepEqual(snap.transactions.map(t => t.id), ['main:c']);
+    assert.deepEqual((await live.snapshot({ main: '2026-03-10' })).transactions, []);
+  });
+
+  it("goes by each store's own day: one past midnight doesn't clear another's", async () => {
+    const EAST = { id: 'east', name: 'East' };
+    await live.recordTransactions([{ ...txn('e', '2026-03-10', '2026-03-10T04:30:00Z', 70), id: 'east:e', store: EAST }]);
+    assert.deepEqual(JSON.parse(store.get(live.KEYS.txns)).map(t => t.id), ['east:e', 'main:c']);
+    const snap = await live.snapshot({ main: '2026-03-09', east: '2026-03-10' });
+    assert.deepEqual(snap.transactions.map(t => t.id), ['east:e', 'main:c']);
+  });
+
+  it("picks up another instance's writes on the poll, not what the snapshot already had", async () => {
+    const events = [];
+    const stop = live.subscribe((event, data) => events.push(event));
+    await live.poll(true);
+    await live.poll();
+    assert.deepEqual(events, []);
+    // Written straight to Redis, as a rebuild on another instance would
+    store.set(live.KEYS.kpis, JSON.stringify(live.kpis(dashboard('2026-03-09T18:00:00.000Z', 900))));
+    store.set(live.KEYS.txns, JSON.stringify([txn('d', '2026-03-09', '2026-03-09T18:00:00Z', 90), ...JSON.parse(store.get(live.KEYS.txns))]));
+    await live.poll();
+    await live.poll();
+    assert.deepEqual(events, ['kpis', 'transactions']);
+    stop();
+  });
+
+  it('never throws into the rebuild', async () => {
+    assert.equal(await live.publishDashboard({}), undefined);
+    assert.deepEqual(await live.recordTransactions([]), []);
+  });
+});
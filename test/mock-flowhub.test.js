@@ -0,0 +1,74 @@
+// Generated mock data: pagination, parity with the streaming path,
+// and flowhubGet() retries under injected 429s / 500s
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockFlowhub, quiet } = require('./helpers/setup');
+const { ordersForDay, LOCATIONS } = require('../server/mock-flowhub');
+
+process.env.TZ = 'UTC';
+quiet();
+
+const OPTS = { seed: 'test', scale: 1 };
+const JACKPOT = LOCATIONS.find(l => l.importId === 'mock-loc-jackpot');
+const WEEK = { start: '2026-03-02', end: '2026-03-08' };
+const days = (start, end) => { const out = []; for (let d = start; d <= end; d = addDays(d, 1)) out.push(d); return out; };
+const addDays = (s, n) => { const d = new Date(s + 'T12:00:00Z'); d.setUTCDate(d.getUTCDate() + n); return d.toISOString().slice(0, 10); };
+const weekOrders = () => days(WEEK.start, WEEK.end).flatMap(d => ordersForDay(JACKPOT, d, OPTS));
+
+let fh, flowhub;
+before(async () => {
+  flowhub = await startMockFlowhub(OPTS);
+  fh = require('../server/flowhub');
+});
+after(() => flowhub.close());
+beforeEach(() => Object.assign(flowhub.faults, { rate429: 0, rate500: 0, failEvery: 0, slowMs: 0 }));
+
+describe('generated data', () => {
+  it('is deterministic per seed', () => {
+    assert.deepEqual(ordersForDay(JACKPOT, '2026-03-04', OPTS), ordersForDay(JACKPOT, '2026-03-04', OPTS));
+    assert.notDeepEqual(ordersForDay(JACKPOT, '2026-03-04', OPTS), ordersForDay(JACKPOT, '2026-03-04', { ...OPTS, seed: 'other' }));
+  });
+
+  it('pages a week (> 500 orders) without gaps or duplicates', async () => {
+    const expected = weekOrders();
+    assert.ok(expected.length > 500, `only ${expected.length} orders`);
+    const { orders } = await fh.getOrdersForLocation(JACKPOT.importId, WEEK.start, WEEK.end);
+    assert.deepEqual(orders.map(o => o._id), expected.map(o => o._id));
+  });
+
+  it('streams to the same summary as summarizeOrders', async () => {
+    const [w] = await fh.streamBucketFetch(JACKPOT.importId, WEEK.start, WEEK.end, [WEEK]);
+    const s = fh.summarizeOrders(weekOrders());
+    assert.equal(w.summary.transaction_count, s.transaction_count);
+    assert.equal(w.summary.net_sales, s.net_sales);
+    assert.deepEqual(w.summary.voids, s.voids);
+    assert.deepEqual(w.summary.refunds, s.refunds);
+    assert.deepEqual(w.summary.tenders, s.tenders);
+    assert.deepEqual(w.summary.budtenders, s.budtenders);
+  });
+});
+
+describe('flowhubGet retries', () => {
+  it('rides out every other request being rate limited', async () => {
+    const before429 = flowhub.stats.status429 || 0;
+    flowhub.faults.failEvery = 2;
+    flowhub.faults.failStatus = 429;
+    const { orders } = await fh.getOrdersForLocation(JACKPOT.importId, WEEK.start, WEEK.end);
+    assert.equal(orders.length, weekOrders().length);
+    assert.ok(flowhub.stats.status429 > before429);
+  });
+
+  it('gives up with the Flowhub error after repeated 500s', async () => {
+    flowhub.faults.rate500 = 1;
+    await assert.rejects(fh.getRawOrderSample(JACKPOT.importId), /Flowhub 500/);
+  });
+
+  it('waits out slow pages', async () => {
+    flowhub.faults.slowMs = 150;
+    flowhub.faults.slowRate = 1;
+    const t0 = Date.now();
+    const { orders } = await fh.getOrdersForLocation(JACKPOT.importId, '2026-03-04', '2026-03-04');
+    assert.equal(orders.length, ordersForDay(JACKPOT, '2026-03-04', OPTS).length);
+    assert.ok(Date.now() - t0 >= 150);
+  });
+});
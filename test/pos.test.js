@@ -0,0 +1,124 @@
+// server/pos.js + the adapters — the order model, the file adapter (CSV
+// and JSON exports), locations across sources, and a file store read
+// through flowhub.js like a Flowhub one
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockFlowhub, quiet } = require('./helpers/setup');
+const fakeRedis = require('./helpers/fake-redis');
+
+process.env.TZ = 'UTC';
+quiet();
+
+const CSV = [
+  'Order_ID,Created_At,Status,Order_Type,Customer_Type,Budtender,Payment_Type,Product,SKU,Brand,Category,Quantity,Unit_Price,Total_Price,Discount,Tax,Voided',
+  'r1,2026-03-02T23:30:00-08:00,sold,sale,medCustomer,Ana Ruiz,cash,Pod 1g,POD-1,Acme,Vapes,1,30,30,0,3,',
+  'r1,2026-03-02T23:30:00-08:00,,,,,,Lighter,LT-1,Bic,Accessories,2,"$2.50","$5.00",1,0.5,',
+  'r1,2026-03-02T23:30:00-08:00,,,,,,Pre-roll,PR-1,Acme,Pre-Rolls,1,8,8,0,1,yes',
+  'r2,2026-03-03T00:30:00-08:00,sold,sale,recCustomer,Ben Ito,debit,Gummies,GUM-1,Acme,Edibles,1,20,20,0,2,',
+  'r3,2026-03-03T10:00:00-08:00,voided,sale,recCustomer,Ben Ito,cash,Gummies,GUM-1,Acme,Edibles,1,20,20,0,2,',
+].join('\n');
+
+let flowhub, dir, pos, fh;
+before(async () => {
+  flowhub = await startMockFlowhub();
+  fakeRedis.install();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thrive-pos-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'elko'));
+  fs.writeFileSync(path.join(dir, 'elko', 'location.json'), JSON.stringify({ name: 'Elko Station' }));
+  fs.writeFileSync(path.join(dir, 'elko', 'march.csv'), CSV);
+  fs.mkdirSync(path.join(dir, 'depot'));
+  fs.writeFileSync(path.join(dir, 'depot', 'orders.json'), JSON.stringify({ orders: [{ id: 7, completedOn: '2026-03-04T19:00:00Z', itemsInCart: [{ productName: 'Tincture', category: 'Tinctures', totalPrice: 40 }] }] }));
+  process.env.POS_FILE_DIR = dir;
+  process.env.POS_SOURCES = 'flowhub, file';
+  pos = require('../server/pos');
+  fh = require('../server/flowhub');
+});
+after(() => flowhub.close());
+
+const ids = orders => orders.map(o => o._id);
+
+describe('order model', () => {
+  it('fills the id and timestamp from the usual alternatives and drops undatable orders', () => {
+    assert.deepEqual(pos.toOrder({ id: 7, completedOn: '2026-03-04T19:00:00Z' }), { id: 7, _id: '7', completedOn: '2026-03-04T19:00:00Z', createdAt: '2026-03-04T19:00:00Z', itemsInCart: [] });
+    assert.equal(pos.toOrder({ _id: 'x', createdAt: 'not a date' }), null);
+    assert.equal(pos.toOrder(null), null);
+  });
+
+  it('reads a CSV export as one order per order_id, line items included', () => {
+    const [r1, r2, r3] = require('../server/pos-file').parseCsvOrders(CSV, 'march.csv');
+    assert.deepEqual([r1._id, r1.customerType, r1.budtender, r1.paymentType, r1.itemsInCart.length], ['r1', 'medCustomer', 'Ana Ruiz', 'cash', 3]);
+    assert.deepEqual(r1.itemsInCart[1], { productName: 'Lighter', sku: 'LT-1', brand: 'Bic', category: 'Accessories', quantity: 2, unitPrice: 2.5, totalPrice: 5, totalDiscounts: 1, totalTaxes: 0.5, voided: false });
+    assert.equal(r1.itemsInCart[2].voided, true);
+    assert.deepEqual([r2.paymentType, r3.orderStatus], ['debit', 'voided']);
+    assert.throws(() => require('../server/pos-file').parseCsvOrders('id,when\n1,2', 'bad.csv'), /bad\.csv: no order_id column/);
+  });
+});
+
+describe('locations', () => {
+  it('lists every source, file locations under a prefixed id', async () => {
+    assert.deepEqual(await pos.locations(), [
+      { importId: 'fx-main', rawName: 'Thrive Main Street', source: 'flowhub' },
+      { importId: 'fx-cult', rawName: 'Thrive Cultivation', source: 'flowhub' },
+      { importId: 'file:depot', rawName: 'depot', source: 'file' },
+      { importId: 'file:elko', rawName: 'Elko Station', source: 'file' },
+    ]);
+    assert.deepEqual([pos.sourceOf('fx-main'), pos.sourceOf('file:depot')], ['flowhub', 'file']);
+  });
+
+  it('seeds them all into the store registry', async () => {
+    const locs = await fh.getLocations();
+    assert.deepEqual(locs.map(l => [l.id, l.source]), [['main', 'flowhub'], ['depot', 'file'], ['elko_station', 'file']]);
+  });
+
+  it('refuses an unknown source', () => {
+    process.env.POS_SOURCES = 'flowhub,square';
+    try { assert.throws(() => pos.configured(), /Unknown POS_SOURCES: square/); }
+    finally { process.env.POS_SOURCES = 'flowhub,file'; }
+  });
+});
+
+describe('a file store', () => {
+  const ELKO = { importId: 'file:elko', timezone: 'America/Los_Angeles' };
+
+  it('is trimmed to local days like a Flowhub one', async () => {
+    assert.deepEqual(ids((await fh.getOrdersForLocation(ELKO.importId, '2026-03-02', '2026-03-02')).orders), ['r1']);
+    assert.deepEqual(ids((await fh.getOrdersForLocation(ELKO.importId, '2026-03-03', '2026-03-03')).orders), ['r2', 'r3']);
+    assert.deepEqual(ids((await fh.getOrdersForLocation(ELKO.importId, '2026-03-02', '2026-03-02', 'America/New_York')).orders), []);
+  });
+
+  it('sums the same through the summaries and the streaming week buckets', async () => {
+    const W = { start: '2026-03-02', end: '2026-03-08' };
+    const s = fh.summarizeOrders((await fh.getOrdersForLocation(ELKO.importId, W.start, W.end)).orders, require('../server/aggregate').WEEK_DIMENSIONS);
+    assert.deepEqual([s.net_sales, s.transaction_count, s.voids.count], [54, 2, 1]); // 30 + (5 − 1) + 20; the voided pre-roll left out
+    const [w] = await fh.getTrendForStore(ELKO, [W]);
+    assert.deepEqual(w.summary, s);
+  });
+
+  it('reads its stock from inventory.csv, never as orders', async () => {
+    fs.writeFileSync(path.join(dir, 'elko', 'inventory.csv'), 'Product,SKU,Brand,Category,Quantity,Cost\nPod 1g,POD-1,Acme,Vapes,12,"$14.50"\nLighter,,Bic,Accessories,,1\n');
+    try {
+      assert.deepEqual(await pos.inventory('file:elko'), [{ productName: 'Pod 1g', sku: 'POD-1', brand: 'Acme', category: 'Vapes', quantity: 12, cost: 14.5 }]); // no quantity, no row
+      assert.deepEqual(ids((await fh.getOrdersForLocation(ELKO.importId, '2026-03-02', '2026-03-03')).orders), ['r1', 'r2', 'r3']);
+    } finally {
+      fs.rmSync(path.join(dir, 'elko', 'inventory.csv'));
+    }
+    assert.equal(await pos.inventory('file:depot'), null);
+    assert.throws(() => require('../server/pos-file').parseCsvInventory('sku,qty\n1,2', 'inventory.csv'), /inventory\.csv: no product column/);
+  });
+
+  it('fails the read on a file it cannot parse', async () => {
+    fs.writeFileSync(path.join(dir, 'depot', 'broken.json'), '{ nope');
+    try {
+      await assert.rejects(pos.eachOrderPage('file:depot', '2026-03-04', '2026-03-04', () => {}), /broken\.json/);
+    } finally {
+      fs.rmSync(path.join(dir, 'depot', 'broken.json'));
+    }
+    let seen = [];
+    await pos.eachOrderPage('file:depot', '2026-03-04', '2026-03-04', batch => { seen = seen.concat(batch); });
+    assert.deepEqual(ids(seen), ['7']);
+  });
+});
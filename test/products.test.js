@@ -0,0 +1,144 @@
+// server/products.js — flags, the company-wide ranking and one product
+// across stores, and the catalog read from the mock Flowhub (orders.json
+// fixture)
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockFlowhub, quiet, setNow } = require('./helpers/setup');
+const fakeRedis = require('./helpers/fake-redis');
+
+process.env.TZ = 'UTC';
+quiet();
+
+let fh, pr, flowhub;
+before(async () => {
+  flowhub = await startMockFlowhub();
+  fakeRedis.install();
+  fh = require('../server/flowhub');
+  pr = require('../server/products');
+});
+after(() => flowhub.close());
+
+// 11 completed weeks, then the week in progress
+const weeks = (prior, recent, now = 0) => [...new Array(7).fill(prior), ...new Array(4).fill(recent), now];
+
+describe('classify', () => {
+  it('compares the last 4 completed weeks with the 7 before', () => {
+    assert.deepEqual(pr.classify(weeks(2, 4)), { status: 'rising', change_pct: 100 });
+    assert.deepEqual(pr.classify(weeks(5, 1)), { status: 'dying', change_pct: -80 });
+    assert.deepEqual(pr.classify(weeks(4, 5)), { status: 'steady', change_pct: 25 });
+    assert.deepEqual(pr.classify(weeks(0, 3)), { status: 'new', change_pct: null });
+  });
+
+  it('leaves the week in progress out, except to spot a launch', () => {
+    assert.equal(pr.classify(weeks(4, 4, 500)).status, 'steady');
+    assert.equal(pr.classify(weeks(0, 0, 2)).status, 'new');
+  });
+
+  it("won't call a trend on a handful of units", () => {
+    const few = [1, 0, 0, 0, 0, 0, 0, 2, 2, 2, 2, 0]; // 9 units, +1300%
+    assert.deepEqual(pr.classify(few), { status: 'steady', change_pct: 1300 });
+  });
+
+  it('takes an explicit 0 from the environment', () => {
+    const file = require.resolve('../server/products');
+    process.env.PRODUCT_MIN_UNITS = '0';
+    delete require.cache[file];
+    try {
+      const zero = require('../server/products');
+      assert.equal(zero.MIN_UNITS, 0);
+      assert.equal(zero.classify([1, 0, 0, 0, 0, 0, 0, 2, 2, 2, 2, 0]).status, 'rising');
+    } finally {
+      delete process.env.PRODUCT_MIN_UNITS;
+      delete require.cache[file];
+    }
+  });
+});
+
+// Two stores; Gummies only at east, Pods losing ground at main
+const arr = (n, last = n) => [...new Array(11).fill(n), last];
+const catalog = {
+  weekStarts: Array.from({ length: 12 }, (_, i) => new Date(Date.UTC(2025, 11, 22 + i * 7)).toISOString().split('T')[0]),
+  stores: { main: { name: 'Main', color: '#fff' }, east: { name: 'East', color: '#000' } },
+  products: [
+    { key: 'Pod 1g__Rove', name: 'Pod 1g', brand: 'Rove', category: 'Vapes', sku: 'RV-1', stores: {
+      main: { units: weeks(10, 2), net: weeks(300, 60) },
+      east: { units: arr(2), net: arr(60) },
+    } },
+    { key: 'Gummies__Wyld', name: 'Gummies', brand: 'Wyld', category: 'Edibles', sku: null, stores: {
+      east: { units: arr(20), net: arr(400) },
+    } },
+    { key: 'Blue Dream__Matrix', name: 'Blue Dream', brand: 'Matrix', category: 'Flower', sku: 'MX-BD', stores: {
+      main: { units: weeks(0, 5, 5), net: weeks(0, 200, 200) },
+    } },
+  ],
+};
+
+describe('rank', () => {
+  it('ranks by net sales over the stores given, with weekly units and average price', () => {
+    const r = pr.rank(catalog, ['main', 'east']);
+    assert.deepEqual(r.products.map(p => [p.rank, p.key, p.net_sales]), [[1, 'Gummies__Wyld', 4800], [2, 'Pod 1g__Rove', 3060], [3, 'Blue Dream__Matrix', 1000]]);
+    const pod = r.products[1];
+    assert.deepEqual([pod.units_sold, pod.avg_price, pod.stores, pod.status], [102, 30, 2, 'dying']);
+    assert.deepEqual([pod.weeks.units[0], pod.weeks.units[10], pod.weeks.avg_price[10]], [12, 4, 30]);
+    assert.deepEqual(r.statusCounts, { new: 1, rising: 0, steady: 1, dying: 1 });
+    assert.deepEqual(r.categories, ['Edibles', 'Flower', 'Vapes']);
+  });
+
+  it('only counts the stores a user can see', () => {
+    const r = pr.rank(catalog, ['main']);
+    assert.deepEqual(r.products.map(p => [p.rank, p.key, p.net_sales]), [[1, 'Pod 1g__Rove', 2340], [2, 'Blue Dream__Matrix', 1000]]);
+    assert.deepEqual(pr.rank(catalog, []).products, []);
+  });
+
+  it('searches name, brand and SKU, filters, sorts and pages, keeping the overall rank', () => {
+    const keys = opts => pr.rank(catalog, ['main', 'east'], opts).products.map(p => p.key);
+    assert.deepEqual(pr.rank(catalog, ['main', 'east'], { q: 'mx-bd' }).products.map(p => [p.key, p.rank]), [['Blue Dream__Matrix', 3]]);
+    assert.deepEqual(keys({ q: 'rove' }), ['Pod 1g__Rove']);
+    assert.deepEqual(keys({ category: 'Edibles' }), ['Gummies__Wyld']);
+    assert.deepEqual(keys({ status: 'new' }), ['Blue Dream__Matrix']);
+    assert.deepEqual(keys({ sort: 'name' }), ['Blue Dream__Matrix', 'Gummies__Wyld', 'Pod 1g__Rove']);
+    assert.deepEqual(keys({ sort: 'change' }), ['Gummies__Wyld', 'Pod 1g__Rove', 'Blue Dream__Matrix']); // no change last
+    const page = pr.rank(catalog, ['main', 'east'], { limit: 1, offset: 1 });
+    assert.deepEqual([page.total, page.products.map(p => p.key)], [3, ['Pod 1g__Rove']]);
+  });
+});
+
+describe('compare', () => {
+  it("shows each store's share, rank and own trend", () => {
+    const c = pr.compare(catalog, 'Pod 1g__Rove', ['main', 'east']);
+    assert.equal(c.product.units_sold, 102);
+    assert.deepEqual(c.stores.map(s => [s.id, s.units_sold, s.net_sales, s.share, s.rank, s.status]),
+      [['main', 78, 2340, 76.5, 1, 'dying'], ['east', 24, 720, 23.5, 2, 'steady']]);
+    assert.equal(c.stores[0].weeks.avg_price[11], null); // nothing sold this week yet
+  });
+
+  it('is null for an unknown product or one the stores never sold', () => {
+    assert.equal(pr.compare(catalog, 'Nope__X', ['main', 'east']), null);
+    assert.equal(pr.compare(catalog, 'Gummies__Wyld', ['main']), null);
+  });
+});
+
+describe('buildCatalog', () => {
+  after(() => mock.timers.reset());
+
+  it("reads each store's 12 weeks into weekly units and net per product, sales only", async () => {
+    setNow('2026-03-12T20:00:00Z'); // Thu: Mar 2–8 is the last completed week
+    const locs = await fh.getLocations();
+    const c = await pr.buildCatalog(locs);
+    assert.deepEqual([c.weekStarts[0], c.weekStarts[10], c.weekStarts[11]], ['2025-12-22', '2026-03-02', '2026-03-09']);
+    assert.deepEqual(Object.keys(c.stores), ['main']);
+    const main = key => c.products.find(p => p.key === key).stores.main;
+    assert.deepEqual([main('Blue Dream 3.5g__Matrix').units[10], main('Blue Dream 3.5g__Matrix').net[10]], [1, 40]); // the voided order and the return left out
+    assert.deepEqual([main('Lighter__Clipper').units[10], main('Wedding Cake 3.5g__Tsunami').units[11]], [1, 1]); // 11:59pm Sunday vs 12:01am Monday
+    assert.equal(main('Pre-Roll 5pk__Jeeter').units[10], 2);
+    assert.ok(!c.products.some(p => p.key === 'OG Kush 7g__Kynd')); // a voided line
+    assert.deepEqual(c.errors, {});
+  });
+  it("cuts a store's weeks by its own clock", async () => {
+    setNow('2026-03-09T05:00:00Z'); // Mon 01:00 EDT, still Sun 22:00 PDT
+    const [loc] = await fh.getLocations();
+    const c = await pr.buildCatalog([{ ...loc, timezone: 'America/New_York' }]);
+    assert.equal(c.weekStarts[11], '2026-03-02'); // the labels are Pacific's
+    assert.equal(c.products.find(p => p.key === 'Pre-Roll 5pk__Jeeter').stores.main.units[10], 2); // Mar 2–8 is New York's last completed week
+  });
+});
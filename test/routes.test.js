@@ -0,0 +1,637 @@
+// server/index.js routes — fake Redis, mock Flowhub (orders.json fixture),
+// rebuild worker stubbed out
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startMockFlowhub, quiet, setNow } = require('./helpers/setup');
+const fakeRedis = require('./helpers/fake-redis');
+const redis = require('../server/redis');
+
+process.env.TZ = 'UTC';
+process.env.DASHBOARD_PASSWORD = 'letmein';
+process.env.INTERNAL_SECRET = 's3cret';
+quiet();
+
+const EOD_CSV = fs.readFileSync(path.join(__dirname, 'fixtures/eod-main-street-2026-03-11.csv'), 'utf8');
+
+let flowhub, server, base, store, admin;
+const rebuilds = [];
+// → { status, cookie, csrf, body }; ip goes out as X-Forwarded-For
+const login = async (username, password, ip) => {
+  const r = await fetch(base + '/api/login', {
+    method: 'POST', headers: { 'Content-Type': 'application/json', ...(ip ? { 'X-Forwarded-For': ip } : {}) }, body: JSON.stringify({ username, password }),
+  });
+  const body = await r.json();
+  return { status: r.status, cookie: (r.headers.getSetCookie()[0] || '').split(';')[0], csrf: body.csrfToken, body, setCookie: r.headers.getSetCookie()[0], retryAfter: r.headers.get('retry-after') };
+};
+before(async () => {
+  flowhub = await startMockFlowhub();
+  store = fakeRedis.install();
+  require('../server/rebuild').rebuildSection = async section => { rebuilds.push(section); };
+  const app = require('../server/index');
+  await new Promise(r => { server = app.listen(0, r); });
+  base = `http://127.0.0.1:${server.address().port}`;
+  // No accounts yet: DASHBOARD_PASSWORD seeds "admin"
+  admin = await login('admin', 'letmein');
+});
+after(async () => {
+  await new Promise(r => server.close(r));
+  await flowhub.close();
+});
+
+// Straight into the alert feed (a hash: id → alert)
+const seedAlerts = list => redis.getClient().hset('alerts:items', Object.fromEntries(list.map(a => [a.id, JSON.stringify(a)])));
+
+// Signed in as admin unless opts.as is another session
+const get = (p, opts = {}) => {
+  const as = opts.as || admin;
+  return fetch(base + p, { ...opts, headers: { Cookie: as.cookie, 'X-CSRF-Token': as.csrf, ...(opts.headers || {}) } });
+};
+const json = async (p, opts) => { const r = await get(p, opts); return { status: r.status, body: await r.json() }; };
+
+describe('auth', () => {
+  it('rejects API calls without a session', async () => {
+    const r = await fetch(base + '/api/sales?start=2026-03-02&end=2026-03-02');
+    assert.equal(r.status, 401);
+    assert.equal((await fetch(base + '/api/stores')).status, 401);
+  });
+
+  it('signs in with a username and password; the shared password is no longer a key', async () => {
+    const p = '/api/sales?store=main&start=2026-03-02&end=2026-03-02';
+    assert.equal((await login('admin', 'nope')).status, 401);
+    assert.equal((await login('nobody', 'letmein')).status, 401);
+    assert.equal((await get(p)).status, 200);
+    assert.equal((await fetch(base + p + '&key=letmein')).status, 401);
+    assert.equal((await fetch(base + p, { headers: { Authorization: 'Bearer letmein' } })).status, 401);
+    const { csrfToken, ...me } = await (await get('/api/me')).json();
+    assert.deepEqual([me, csrfToken], [(await json('/api/users')).body.users[0], admin.csrf]);
+  });
+
+  it('keeps the session in a signed HttpOnly cookie; other transports are refused', async () => {
+    assert.match(admin.setCookie, /^thrive_session=[^;]+; Path=\/; HttpOnly; SameSite=Strict; Max-Age=43200$/);
+    assert.equal(admin.body.token, undefined);
+    const [token, exp] = decodeURIComponent(admin.cookie.split('=')[1]).split('.');
+    const as = cookie => ({ as: { cookie, csrf: admin.csrf } });
+    assert.equal((await get('/api/me', as(`thrive_session=${token}.${exp}.forged`))).status, 401);
+    assert.equal((await get('/api/me', as(`thrive_session=${token}`))).status, 401);
+    assert.equal((await fetch(base + '/api/me?token=' + token)).status, 401);
+    assert.equal((await fetch(base + '/api/me', { headers: { Authorization: 'Bearer ' + token } })).status, 401);
+  });
+
+  it('needs the CSRF token on writes, not reads', async () => {
+    const noCsrf = { as: { cookie: admin.cookie, csrf: '' } };
+    assert.equal((await get('/api/me', noCsrf)).status, 200);
+    const r = await get('/api/cache/clear', { method: 'POST', ...noCsrf });
+    assert.deepEqual([r.status, (await r.json()).error], [403, 'Missing or invalid CSRF token']);
+    assert.equal((await get('/api/cache/clear', { method: 'POST', as: { cookie: admin.cookie, csrf: 'x'.repeat(43) } })).status, 403);
+  });
+
+  it('signs out: the cookie is cleared and the session ends', async () => {
+    const s = await login('admin', 'letmein');
+    const r = await get('/api/logout', { method: 'POST', as: s });
+    assert.equal(r.status, 200);
+    assert.match(r.headers.get('set-cookie'), /^thrive_session=; .*Max-Age=0/);
+    assert.equal((await get('/api/me', { as: s })).status, 401);
+    assert.equal((await get('/api/me')).status, 200); // other sessions carry on
+  });
+
+  it('locks a username after repeated failures, even for the right password', async () => {
+    for (let i = 0; i < 5; i++) assert.equal((await login('admin', 'wrong', '10.0.0.8')).status, 401);
+    const locked = await login('admin', 'letmein', '10.0.0.8');
+    assert.equal(locked.status, 429);
+    assert.match(locked.body.error, /Too many failed sign-ins/);
+    assert.ok(locked.retryAfter > 800);
+    assert.equal((await get('/api/me')).status, 200); // existing sessions aren't touched
+    store.delete('auth:locked:admin');
+    assert.equal((await login('admin', 'letmein', '10.0.0.8')).status, 200);
+  });
+
+  it('rate-limits sign-in attempts per IP', async () => {
+    for (let i = 0; i < 20; i++) await login('nobody-' + i, 'wrong', '10.0.0.9');
+    const r = await login('admin', 'letmein', '10.0.0.9');
+    assert.deepEqual([r.status, r.body.error.startsWith('Too many sign-in attempts')], [429, true]);
+    assert.equal((await login('admin', 'letmein', '10.0.0.10')).status, 200);
+  });
+
+  it('guards /internal with the internal secret', async () => {
+    assert.equal((await fetch(base + '/internal/cache-status')).status, 403);
+    assert.equal((await fetch(base + '/internal/cache-status', { headers: { 'x-internal-secret': 's3cret' } })).status, 200);
+  });
+});
+
+describe('basic routes', () => {
+  it('/health reports Redis', async () => {
+    const { body } = await json('/health');
+    assert.equal(body.status, 'ok');
+    assert.equal(body.redis, 'connected');
+  });
+
+  it('/api/stores lists mapped locations only', async () => {
+    const { body } = await json('/api/stores');
+    assert.deepEqual(body, [{ id: 'main', name: 'Main Street', color: '#ffd166' }]);
+  });
+});
+
+describe('/api/sales', () => {
+  it('requires start and end', async () => {
+    assert.equal((await get('/api/sales?store=main')).status, 400);
+  });
+
+  it('404s an unknown store', async () => {
+    assert.equal((await get('/api/sales?store=nope&start=2026-03-02&end=2026-03-02')).status, 404);
+  });
+
+  it('summarizes exactly the Pacific dates asked for', async () => {
+    const mon = await json('/api/sales?store=main&start=2026-03-02&end=2026-03-02');
+    assert.equal(mon.body.summary.transaction_count, 1);
+    assert.equal(mon.body.summary.net_sales, 40);
+    const week = await json('/api/sales?store=main&start=2026-03-02&end=2026-03-08');
+    assert.equal(week.body.summary.transaction_count, 7);
+    assert.equal(week.body.summary.net_sales, 180);
+    assert.deepEqual(week.body.summary.voids, { count: 1, amount: 50 });
+  });
+});
+
+describe('Redis-first routes', () => {
+  it('/api/trend reports building and triggers a rebuild when Redis is empty', async () => {
+    const { body } = await json('/api/trend');
+    assert.equal(body.status, 'building');
+    assert.ok(rebuilds.includes('trend'));
+  });
+
+  it('/api/trend serves the Redis copy when present', async () => {
+    store.set('cache:trend:12w', JSON.stringify({ generatedAt: '2026-03-10T00:00:00Z', stores: {} }));
+    const { body } = await json('/api/trend');
+    assert.equal(body.source, 'redis');
+    assert.equal(body.generatedAt, '2026-03-10T00:00:00Z');
+    store.delete('cache:trend:12w');
+  });
+
+  it('/api/trend?weeks= builds and serves that range', async () => {
+    assert.equal((await json('/api/trend?weeks=40')).body.status, 'building');
+    assert.ok(rebuilds.includes('trend:52'));
+    const weekStarts = ['2026-02-23', '2026-03-02'];
+    store.set('cache:trend:52w', JSON.stringify({ generatedAt: 'x', weeks: 52, weekStarts, stores: {
+      main: { name: 'Main', color: '#fff', weeks: weekStarts.map(w => ({ week: w, weekEnd: w, summary: { net_sales: 10, transaction_count: 1, net_sales_before_refunds: 10 }, error: null })) },
+    } }));
+    const { body } = await json('/api/trend?weeks=52&granularity=month');
+    assert.equal(body.weeks, 52);
+    assert.equal(body.granularity, 'month');
+    assert.deepEqual(body.stores.main.periods.map(p => [p.period, p.summary.net_sales]), [['2026-02', 10], ['2026-03', 10]]);
+    store.delete('cache:trend:52w');
+  });
+
+  it('/api/periods reports building, then serves the worker\'s copy', async () => {
+    assert.equal((await json('/api/periods')).body.status, 'building');
+    assert.ok(rebuilds.includes('periods'));
+    store.set('cache:periods', JSON.stringify({ asOf: '2026-03-10', company: {}, stores: {} }));
+    const { body } = await json('/api/periods');
+    assert.deepEqual([body.source, body.asOf], ['redis', '2026-03-10']);
+    store.delete('cache:periods');
+  });
+
+  it('/api/forecast builds profiles, then projects from the Redis dashboard', async () => {
+    assert.equal((await json('/api/forecast')).body.status, 'building');
+    assert.ok(rebuilds.includes('forecast'));
+    const hours = new Array(24).fill(0); hours[12] = 100;
+    const days = {}; for (let d = 0; d < 7; d++) days[d] = [{ date: 'x', hours, total: 100 }];
+    store.set('cache:forecast:profiles', JSON.stringify({ asOf: '2026-03-11', historyWeeks: 12, stores: { main: { days } } }));
+    store.set('cache:dashboard', JSON.stringify({ meta: { fetchedAt: '2026-03-11T17:00:00.000Z' }, stores: [{ id: 'main', name: 'Main', today: { net_sales: 0 }, thisWeek: { net_sales: 200 }, lastWeek: { net_sales: 700 } }] }));
+    const { body } = await json('/api/forecast');
+    assert.equal(body.source, 'redis');
+    assert.deepEqual([body.stores[0].today.point, body.stores[0].week.point], [100, 700]); // 10am Wed: before the noon hour
+    store.delete('cache:forecast:profiles');
+    store.delete('cache:dashboard');
+  });
+
+  it('/api/alerts serves the feed, filtered by store and time', async () => {
+    assert.deepEqual((await json('/api/alerts')).body, { alerts: [], total: 0, status: null });
+    await seedAlerts([
+      { id: 'b', store: { id: 'east' }, detectedAt: '2026-03-11T20:00:00Z' },
+      { id: 'a', store: { id: 'main' }, detectedAt: '2026-03-11T10:00:00Z' },
+    ]);
+    assert.deepEqual((await json('/api/alerts?store=main')).body.alerts.map(a => a.id), ['a']);
+    assert.deepEqual((await json('/api/alerts?since=2026-03-11T12:00:00Z')).body.alerts.map(a => a.id), ['b']);
+    assert.equal((await json('/api/alerts?limit=1')).body.total, 2);
+    await redis.getClient().del('alerts:items');
+  });
+
+  it('/api/status reports each section\'s last success, failure and staleness', async () => {
+    store.set('rebuild:status:dvd', JSON.stringify({ section: 'dvd', ok: false, lastSuccessAt: new Date().toISOString(), lastFailureAt: new Date().toISOString(), lastError: 'boom' }));
+    store.set('rebuild:status:trend:52', JSON.stringify({ section: 'trend:52', ok: false, lastFailureAt: new Date().toISOString(), lastError: 'every store failed' }));
+    const { body } = await json('/api/status');
+    assert.deepEqual(Object.keys(body.sections), ['warehouse', 'dashboard', 'enrichment', 'trend', 'dvd', 'periods', 'forecast', 'products', 'inventory', 'alerts', 'trend:26', 'trend:52', 'trend:104', 'trend:156']);
+    assert.deepEqual([body.sections['trend:52'].ok, body.sections['trend:52'].lastError], [false, 'every store failed']);
+    assert.deepEqual([body.sections.dvd.ok, body.sections.dvd.lastError, body.sections.dvd.stale], [false, 'boom', false]);
+    assert.equal(body.sections.dashboard.stale, true); // never built
+    assert.ok(body.sections.trend.nextRunAt);
+    store.delete('rebuild:status:dvd');
+    store.delete('rebuild:status:trend:52');
+  });
+
+  it('/api/store-detail serves Redis or reports building', async () => {
+    assert.equal((await json('/api/store-detail/main')).body.status, 'building');
+    store.set('cache:store:main', JSON.stringify({ id: 'main', hourly: {} }));
+    assert.equal((await json('/api/store-detail/main')).body.source, 'redis');
+  });
+});
+
+describe('users and store scoping', () => {
+  const send = (method, p, body) => get(p, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const summary = net => ({ net_sales: net, transaction_count: 1 });
+  let mgr;
+
+  before(async () => {
+    assert.equal((await send('POST', '/api/users', { username: 'Pat', name: 'Pat', role: 'store', stores: ['main'], password: 'hunter2hunter2' })).status, 201);
+    mgr = await login('pat', 'hunter2hunter2');
+  });
+
+  it('admins manage users; the input is checked', async () => {
+    assert.equal((await send('POST', '/api/users', { username: 'pat', role: 'store', stores: ['main'], password: 'hunter2hunter2' })).status, 409);
+    const bad = await send('POST', '/api/users', { username: 'kim', role: 'store', stores: ['east'], password: 'hunter2hunter2' });
+    assert.deepEqual([bad.status, (await bad.json()).error], [400, 'Unknown store: east']);
+    assert.equal((await send('POST', '/api/users', { username: 'kim', role: 'district', stores: [], password: 'hunter2hunter2' })).status, 400);
+    assert.equal((await send('DELETE', '/api/users/admin')).status, 400); // yourself
+    const { body } = await json('/api/users');
+    assert.deepEqual(body.users.map(u => [u.username, u.role, u.stores]), [['admin', 'admin', []], ['pat', 'store', ['main']]]);
+    assert.ok(body.users.every(u => !u.passwordHash));
+  });
+
+  it("keeps managers out of admin routes and other stores' data", async () => {
+    for (const [method, p] of [['GET', '/api/users'], ['GET', '/api/rebuild/jobs'], ['POST', '/api/cache/clear'], ['POST', '/api/rebuild']]) {
+      assert.equal((await get(p, { method, as: mgr })).status, 403, p);
+    }
+    assert.equal((await get('/api/sales?store=east&start=2026-03-02&end=2026-03-02', { as: mgr })).status, 403);
+    assert.equal((await get('/api/store-detail/east', { as: mgr })).status, 403);
+    assert.equal((await get('/api/sales?store=main&start=2026-03-02&end=2026-03-02', { as: mgr })).status, 200);
+  });
+
+  it('trims every multi-store payload to the stores a user may see', async () => {
+    store.set('cache:dashboard', JSON.stringify({ meta: { fetchedAt: 'x' }, stores: [{ id: 'main', today: summary(1) }, { id: 'east', today: summary(2) }] }));
+    store.set('cache:periods', JSON.stringify({ asOf: 'x', company: { ytd: { current: summary(30), prior: summary(3) } },
+      stores: { main: { ytd: { current: summary(10), prior: summary(1) } }, east: { ytd: { current: summary(20), prior: summary(2) } } } }));
+    await seedAlerts([{ id: 'b', store: { id: 'east' } }, { id: 'a', store: { id: 'main' } }]);
+    assert.deepEqual((await json('/api/dashboard', { as: mgr })).body.stores.map(s => s.id), ['main']);
+    assert.deepEqual((await json('/api/dashboard')).body.stores.map(s => s.id), ['main', 'east']);
+    const periods = (await json('/api/periods', { as: mgr })).body;
+    assert.deepEqual([Object.keys(periods.stores), periods.company.ytd.current.net_sales], [['main'], 10]);
+    assert.equal((await json('/api/periods')).body.company.ytd.current.net_sales, 30);
+    assert.deepEqual((await json('/api/alerts', { as: mgr })).body.alerts.map(a => a.id), ['a']);
+    assert.equal((await get('/api/alerts?store=east', { as: mgr })).status, 403);
+    ['cache:dashboard', 'cache:periods'].forEach(k => store.delete(k));
+    await redis.getClient().del('alerts:items');
+  });
+
+  it('role and store changes apply at once; a new password or disabling signs the user out', async () => {
+    assert.equal((await send('PUT', '/api/users/pat', { role: 'executive' })).status, 200);
+    assert.equal((await json('/api/me', { as: mgr })).body.role, 'executive');
+    assert.equal((await send('PUT', '/api/users/pat', { password: 'correct-horse' })).status, 200);
+    assert.equal((await get('/api/me', { as: mgr })).status, 401);
+    mgr = await login('pat', 'correct-horse');
+    assert.equal((await send('PUT', '/api/users/pat', { disabled: true })).status, 200);
+    assert.equal((await get('/api/me', { as: mgr })).status, 401);
+    assert.equal((await login('pat', 'correct-horse')).status, 401);
+    assert.equal((await send('PUT', '/api/users/admin', { role: 'executive' })).status, 400);
+    assert.equal((await send('DELETE', '/api/users/pat')).status, 200);
+  });
+});
+
+describe('rebuild jobs', () => {
+  it('lists runs, serves one, and streams a finished one as snapshot + done', async () => {
+    const jobs = require('../server/jobs');
+    const job = await jobs.run(jobs.create('dvd', 'schedule'), async () => {
+      await jobs.step('dvd', async () => { jobs.countCall(); jobs.storeDone({ id: 'main', name: 'Main Street' }, Date.now()); });
+    });
+    const { body } = await json('/api/rebuild/jobs?limit=5');
+    assert.deepEqual([body.jobs[0].id, body.jobs[0].status, body.jobs[0].sections], [job.id, 'ok', { dvd: 'ok' }]);
+    assert.equal((await json(`/api/rebuild/jobs/${job.id}`)).body.sections.dvd.stores.main.status, 'ok');
+    assert.equal((await get('/api/rebuild/jobs/nope')).status, 404);
+
+    const r = await get(`/api/rebuild/jobs/${job.id}/events`);
+    assert.equal(r.headers.get('content-type'), 'text/event-stream');
+    const events = (await r.text()).trim().split('\n\n').map(e => e.match(/^event: (\w+)$/m)[1]);
+    assert.deepEqual(events, ['snapshot', 'done']);
+  });
+
+  it('rejects unknown sections', async () => {
+    assert.equal((await get('/api/rebuild?section=bogus', { method: 'POST' })).status, 400);
+    assert.equal((await fetch(base + '/internal/rebuild/bogus', { method: 'POST', headers: { 'x-internal-secret': 's3cret' } })).status, 400);
+  });
+});
+
+describe('/api/live', () => {
+  it("opens with today's snapshot, then pushes what the rebuild publishes", async () => {
+    const live = require('../server/live');
+    const today = require('../server/flowhub').todayPacific();
+    await live.recordTransactions([{ id: 'main:big', date: today, at: new Date().toISOString(), store: { id: 'main', name: 'Main Street' }, net: 900, items: 3, budtender: 'Sam' }]);
+    const ac = new AbortController();
+    const r = await fetch(base + '/api/live', { signal: ac.signal, headers: { Cookie: admin.cookie } }); // as EventSource: the cookie only
+    assert.equal(r.headers.get('content-type'), 'text/event-stream');
+    const reader = r.body.getReader(), decoder = new TextDecoder();
+    let buf = '';
+    const next = async () => {
+      while (!buf.includes('\n\n')) buf += decoder.decode((await reader.read()).value);
+      const i = buf.indexOf('\n\n'), raw = buf.slice(0, i);
+      buf = buf.slice(i + 2);
+      return { event: raw.match(/^event: (\w+)$/m)[1], data: JSON.parse(raw.match(/^data: (.*)$/m)[1]) };
+    };
+    const snap = await next();
+    assert.deepEqual([snap.event, snap.data.kpis, snap.data.transactions.map(t => t.id), snap.data.largeTxn], ['snapshot', null, ['main:big'], live.LARGE_TXN]);
+    await live.publishDashboard({ meta: { fetchedAt: new Date().toISOString(), dateRanges: {} }, stores: [{ id: 'main', name: 'Main Street', today: { net_sales: 1 } }] });
+    const pushed = await next();
+    assert.deepEqual([pushed.event, pushed.data.stores[0].today], ['kpis', { net_sales: 1 }]);
+    ac.abort();
+  });
+});
+
+describe('/api/day-vs-day', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('defaults to the Pacific weekday, not the server\'s', async () => {
+    setNow('2026-03-10T03:30:00Z'); // Mon Mar 9 20:30 PDT — Tuesday in UTC
+    const { body } = await json('/api/day-vs-day?weeks=1');
+    assert.equal(body.dow, 1);
+    assert.deepEqual(body.dates.map(d => d.date), ['2026-03-09']);
+    assert.equal(body.dates[0].stores[0].summary.net_sales, 45);
+  });
+});
+
+describe('EOD upload + reconciliation', () => {
+  it('rejects text that is not an EOD export', async () => {
+    const r = await get('/api/eod?date=2026-03-11', { method: 'POST', headers: { 'Content-Type': 'text/csv' }, body: 'hello,world' });
+    assert.equal(r.status, 400);
+  });
+
+  it('rejects dates that are not on the calendar', async () => {
+    for (const date of ['2026-02-31', '2026-13-01', '2026-3-1']) {
+      const up = await json('/api/eod?store=main&date=' + date, { method: 'POST', headers: { 'Content-Type': 'text/csv' }, body: EOD_CSV });
+      assert.deepEqual([up.status, up.body.error], [400, 'date required (YYYY-MM-DD)'], date);
+      assert.equal((await get('/api/eod?store=main&date=' + date)).status, 400, date);
+      assert.equal((await get('/api/reconciliation?store=main&date=' + date)).status, 400, date);
+      const backfill = await fetch(base + '/internal/warehouse/backfill?start=' + date, { method: 'POST', headers: { 'x-internal-secret': 's3cret' } });
+      assert.equal(backfill.status, 400, date);
+    }
+  });
+
+  it('stores a CSV upload, taking store from the header and date from the filename', async () => {
+    const r = await json('/api/eod?filename=' + encodeURIComponent('End of Day Thrive Main Street - RD264 2026-03-11 2026-03-11.csv'), {
+      method: 'POST', headers: { 'Content-Type': 'text/csv' }, body: EOD_CSV,
+    });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.store, 'main');
+    assert.equal(r.body.date, '2026-03-11');
+    assert.equal(r.body.totals.total_sales, 242);
+
+    assert.deepEqual((await json('/api/eod?store=main')).body.dates, ['2026-03-11']);
+    const report = await json('/api/eod?store=main&date=2026-03-11');
+    assert.equal(report.body.totals.transaction_count, 6);
+    assert.equal((await get('/api/eod?store=main&date=2026-03-12')).status, 404);
+  });
+
+  it('reconciles the uploaded day against POS orders', async () => {
+    const { status, body } = await json('/api/reconciliation?store=main&date=2026-03-11');
+    assert.equal(status, 200);
+    assert.equal(body.totals.eod_total_sales, 242);
+    assert.equal(body.totals.pos_transactions, 0);
+    assert.ok(body.flags.includes('sales_mismatch'));
+    assert.ok(body.flags.includes('transaction_count_mismatch'));
+  });
+
+  it("times a flagged budtender's orders on the store's own clock", async () => {
+    const eod = require('../server/eod'), reconcile = require('../server/reconcile');
+    const [loc] = await require('../server/flowhub').getLocations();
+    await eod.saveReport('main', '2026-03-03', eod.parseEodCsv(EOD_CSV));
+    const r = await reconcile.reconcileStoreDay({ ...loc, timezone: 'America/New_York' }, '2026-03-03');
+    const ana = r.employees.find(e => e.name === 'Ana Ruiz');
+    assert.deepEqual(ana.orders.map(o => [o.id, o.time]), [['pre-midnight-mon', '02:59 AM'], ['post-midnight-tue', '03:01 AM']]);
+  });
+
+  it('validates the reconciliation date', async () => {
+    assert.equal((await get('/api/reconciliation?date=03-11-2026')).status, 400);
+  });
+});
+
+describe('audit log', () => {
+  const xff = ip => ({ headers: { 'X-Forwarded-For': ip } });
+  const latest = async q => (await json('/api/audit?' + q)).body.entries[0];
+
+  it('records sign-ins, rebuild triggers and cache clears with who, where and what', async () => {
+    await login('ghost', 'nope', '10.0.0.20');
+    assert.deepEqual(await latest('ip=10.0.0.20').then(e => [e.action, e.outcome, e.user, e.params]), ['login', 'failed', null, { username: 'ghost' }]);
+    assert.equal((await get('/api/cache/clear', { method: 'POST', ...xff('10.0.0.21') })).status, 200);
+    const clear = await latest('action=cache.clear');
+    assert.deepEqual([clear.user, clear.role, clear.ip, clear.method, typeof clear.params.redisKeys], ['admin', 'admin', '10.0.0.21', 'POST', 'number']);
+    await fetch(base + '/internal/rebuild/bogus', { method: 'POST', headers: { 'x-internal-secret': 's3cret' } });
+    const rb = await latest('action=rebuild');
+    assert.deepEqual([rb.user, rb.outcome, rb.params.section], ['(internal)', 'failed', 'bogus']);
+  });
+
+  it('records user changes without the password, and budtender views', async () => {
+    const created = await latest('action=user.create&user=pat&outcome=ok');
+    assert.deepEqual([created.user, created.params.role, created.params.password], ['admin', 'store', 'changed']);
+    assert.deepEqual((await json('/api/audit?action=user.&user=pat')).body.entries.map(e => e.action + ' ' + e.outcome),
+      ['user.delete ok', 'user.update ok', 'user.update ok', 'user.update ok', 'user.create failed', 'user.create ok']); // the 409 too
+    await get('/api/employees?store=main&start=2026-03-02&end=2026-03-08');
+    assert.deepEqual((await latest('action=budtenders.view')).params, { store: 'main', start: '2026-03-02', end: '2026-03-08' });
+  });
+
+  it('exports every match as CSV or JSON, and audits the export', async () => {
+    const r = await get('/api/audit/export?action=login');
+    assert.equal(r.headers.get('content-type'), 'text/csv; charset=utf-8');
+    assert.match(r.headers.get('content-disposition'), /^attachment; filename="audit-start-to-\d{4}-\d{2}-\d{2}\.csv"$/);
+    const csv = await r.text();
+    assert.equal(csv.split('\n')[0], 'at,action,outcome,user,role,ip,method,path,params');
+    assert.ok(!/hunter2|letmein/.test(csv));
+    const exp = await latest('action=export');
+    assert.deepEqual(exp.params, { what: 'audit', format: 'csv', filters: { action: 'login' }, rows: csv.trim().split('\n').length - 1 });
+    const asJson = await json('/api/audit/export?action=export&format=json');
+    assert.deepEqual(asJson.body.map(e => e.params.format), ['csv']); // recorded after the rows were read
+  });
+
+  it('is admin-only and checks its dates', async () => {
+    await get('/api/users', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username: 'lee', role: 'store', stores: ['main'], password: 'long-enough' }) });
+    const lee = await login('lee', 'long-enough');
+    assert.equal((await get('/api/audit', { as: lee })).status, 403);
+    assert.equal((await get('/api/audit/export', { as: lee })).status, 403);
+    assert.equal((await get('/api/audit?from=03-01-2026')).status, 400);
+    assert.deepEqual((await json('/api/audit?limit=1')).body.actions.includes('budtenders.view'), true);
+  });
+});
+
+describe('store registry', () => {
+  const put = (importId, body, opts = {}) => json('/api/stores/registry/' + importId, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body), ...opts });
+
+  it('lists every Flowhub location, closed ones too', async () => {
+    const { status, body } = await json('/api/stores/registry');
+    assert.equal(status, 200);
+    assert.deepEqual(body.stores.map(s => [s.importId, s.id, s.status, s.live]), [['fx-main', 'main', 'active', true], ['fx-cult', 'thrive_cultivation', 'closed', false]]);
+    assert.deepEqual([body.defaultTimezone, body.defaultHours.length, body.statuses], ['America/Los_Angeles', 7, ['active', 'closed']]);
+  });
+
+  it('saves an edit, audits it, and shows it on /api/stores', async () => {
+    const r = await put('fx-main', { name: 'Main St', color: '#abcdef', timezone: 'America/Denver' });
+    assert.deepEqual([r.status, r.body.name, r.body.timezone], [200, 'Main St', 'America/Denver']);
+    assert.deepEqual((await json('/api/stores')).body, [{ id: 'main', name: 'Main St', color: '#abcdef' }]);
+    const e = (await json('/api/audit?action=store.update')).body.entries[0];
+    assert.deepEqual([e.outcome, e.params], ['ok', { importId: 'fx-main', store: 'main', name: 'Main St', color: '#abcdef', timezone: 'America/Denver' }]);
+  });
+
+  it('rejects bad input and a fixed id, auditing the failure', async () => {
+    const r = await put('fx-main', { timezone: 'Mars/Olympus' });
+    assert.deepEqual([r.status, r.body.error], [400, 'Unknown timezone: Mars/Olympus']);
+    assert.equal((await put('fx-main', { id: 'mainst' })).status, 400);
+    assert.equal((await put('nope', { name: 'X' })).status, 404);
+    const e = (await json('/api/audit?action=store.update&outcome=failed')).body.entries[2];
+    assert.deepEqual(e.params, { importId: 'fx-main', store: 'main', timezone: 'Mars/Olympus', error: 'Unknown timezone: Mars/Olympus' });
+  });
+
+  it('takes a closed store off the dashboard until it reopens', async () => {
+    assert.equal((await put('fx-main', { status: 'closed' })).status, 200);
+    assert.deepEqual((await json('/api/stores')).body, []);
+    assert.equal((await put('fx-main', { status: 'active', name: 'Main Street', color: '#ffd166', timezone: 'America/Los_Angeles' })).status, 200);
+    assert.deepEqual((await json('/api/stores')).body.map(s => s.id), ['main']);
+  });
+
+  it('is admin-only', async () => {
+    const lee = await login('lee', 'long-enough');
+    assert.equal((await get('/api/stores/registry', { as: lee })).status, 403);
+    assert.equal((await put('fx-main', { name: 'Mine' }, { as: lee })).status, 403);
+  });
+});
+
+describe('product analytics', () => {
+  const units = n => [...new Array(11).fill(n), 0];
+  before(() => {
+    store.set('cache:products', JSON.stringify({
+      generatedAt: '2026-03-12T10:45:00Z', weekStarts: units(0).map((_, i) => `w${i}`),
+      stores: { main: { name: 'Main Street', color: '#ffd166' }, east: { name: 'East', color: '#000' } },
+      products: [
+        { key: 'Pod__Rove', name: 'Pod', brand: 'Rove', category: 'Vapes', sku: 'RV-1', stores: { main: { units: units(1), net: units(30) }, east: { units: units(3), net: units(90) } } },
+        { key: 'Gummies__Wyld', name: 'Gummies', brand: 'Wyld', category: 'Edibles', sku: null, stores: { east: { units: units(5), net: units(100) } } },
+      ],
+    }));
+  });
+  after(() => store.delete('cache:products'));
+
+  it('reports building and triggers a rebuild without a catalog', async () => {
+    const saved = store.get('cache:products');
+    store.delete('cache:products');
+    assert.equal((await json('/api/product-analytics')).body.status, 'building');
+    assert.ok(rebuilds.includes('products'));
+    store.set('cache:products', saved);
+  });
+
+  it('ranks company-wide and compares one product across stores', async () => {
+    const { body } = await json('/api/product-analytics?category=Edibles');
+    assert.deepEqual([body.source, body.total, body.products[0].rank, body.products[0].net_sales], ['redis', 1, 2, 1100]);
+    const one = await json('/api/product-analytics/' + encodeURIComponent('Pod__Rove'));
+    assert.deepEqual(one.body.stores.map(s => [s.id, s.units_sold, s.share]), [['east', 33, 75], ['main', 11, 25]]);
+    assert.equal((await get('/api/product-analytics/Nope__X')).status, 404);
+  });
+
+  it("keeps a store manager to their stores' sales", async () => {
+    const lee = await login('lee', 'long-enough'); // a main-only store manager
+    const { body } = await json('/api/product-analytics', { as: lee });
+    assert.deepEqual(body.products.map(p => [p.key, p.rank, p.net_sales]), [['Pod__Rove', 1, 330]]);
+    assert.deepEqual((await json('/api/product-analytics/Pod__Rove', { as: lee })).body.stores.map(s => s.id), ['main']);
+    assert.equal((await get('/api/product-analytics/Gummies__Wyld', { as: lee })).status, 404);
+    assert.equal((await get('/api/product-analytics?store=east', { as: lee })).status, 403);
+  });
+});
+
+describe('brands', () => {
+  const week = rows => ({
+    brands: rows.map(([name, c, net]) => ({ name, net_sales: net, units: 1, discounts: 0, transactions: 1, categories: [{ name: c, net_sales: net, units: 1, discounts: 0 }] })),
+    categories: [{ name: 'Flower', net_sales: rows.reduce((s, r) => s + r[2], 0), units: rows.length, transactions: rows.length }],
+  });
+  before(() => {
+    store.set('cache:brands', JSON.stringify({
+      generatedAt: '2026-03-12T10:45:00Z', weekStarts: ['2026-03-02', '2026-03-09', '2026-03-16'],
+      stores: {
+        main: { name: 'Main Street', color: '#ffd166', weeks: [week([['Matrix', 'Flower', 50], ['Kynd', 'Flower', 50]]), week([['Matrix', 'Flower', 75], ['Kynd', 'Flower', 25]]), null] },
+        east: { name: 'East', color: '#000', weeks: [null, week([['Kynd', 'Flower', 100]]), null] },
+      },
+    }));
+    store.set('cache:bt:main', JSON.stringify({ store: { id: 'main', name: 'Main Street' }, week: { start: '2026-03-09', end: '2026-03-15' }, employees: [{ name: 'Ana Ruiz', net_sales: 100, top_brands: [{ name: 'Matrix', net_sales: 75, units: 1 }] }] }));
+  });
+  after(() => { store.delete('cache:brands'); store.delete('cache:bt:main'); });
+
+  it('reports building and rebuilds the trend without a brand cache', async () => {
+    const saved = store.get('cache:brands');
+    store.delete('cache:brands');
+    assert.equal((await json('/api/brands')).body.status, 'building');
+    assert.ok(rebuilds.includes('trend'));
+    store.set('cache:brands', saved);
+  });
+
+  it('gives share of category with its shift, top brands per budtender and a scorecard', async () => {
+    const { body } = await json('/api/brands?category=Flower');
+    assert.deepEqual(body.brands.map(b => [b.name, b.share, b.share_shift]), [['Kynd', 62.5, 12.5], ['Matrix', 37.5, -12.5]]);
+    assert.deepEqual(body.budtenders.map(s => [s.store.id, s.budtenders[0].top_brands[0].name]), [['main', 'Matrix']]);
+    assert.equal((await get('/api/brands?week=2025-01-06')).status, 400);
+    const card = await json('/api/brands/Kynd');
+    assert.deepEqual(card.body.stores.map(s => [s.id, s.net_sales]), [['east', 100], ['main', 25]]);
+    assert.equal((await get('/api/brands/Nope')).status, 404);
+  });
+
+  it('exports the scorecard and audits it', async () => {
+    const r = await get('/api/brands/Matrix/export');
+    assert.equal(r.headers.get('content-type'), 'text/csv; charset=utf-8');
+    assert.equal(r.headers.get('content-disposition'), 'attachment; filename="scorecard-matrix-2026-03-02.csv"');
+    assert.equal((await r.text()).trim().split('\n').length, 3);
+    const exp = (await json('/api/audit?action=export')).body.entries[0];
+    assert.deepEqual(exp.params, { what: 'brand-scorecard', format: 'csv', brand: 'Matrix', store: null, rows: 2 });
+  });
+
+  it("keeps a store manager to their stores' brands", async () => {
+    const lee = await login('lee', 'long-enough');
+    assert.deepEqual((await json('/api/brands', { as: lee })).body.brands.map(b => [b.name, b.net_sales]), [['Matrix', 75], ['Kynd', 25]]);
+    assert.deepEqual((await json('/api/brands/Kynd', { as: lee })).body.stores.map(s => s.id), ['main']);
+    assert.equal((await get('/api/brands?store=east', { as: lee })).status, 403);
+    assert.equal((await get('/api/brands/Kynd/export?store=east', { as: lee })).status, 403);
+  });
+});
+
+describe('inventory', () => {
+  const week = n => new Array(12).fill(n);
+  const item = (name, brand, quantity, cost = null) => ({ key: `${name}__${brand}`, name, brand, category: 'Vapes', sku: null, quantity, cost });
+  before(() => {
+    store.set('cache:products', JSON.stringify({
+      generatedAt: '2026-03-12T10:45:00Z', weekStarts: week(0).map((_, i) => new Date(Date.UTC(2025, 11, 22 + i * 7)).toISOString().split('T')[0]), // to Mar 9
+      stores: { main: { name: 'Main Street', color: '#ffd166' }, east: { name: 'East', color: '#000' } },
+      products: [{ key: 'Pod__Rove', name: 'Pod', brand: 'Rove', category: 'Vapes', sku: 'RV-1', stores: { main: { units: week(7), net: week(210) }, east: { units: week(7), net: week(210) } } }],
+    }));
+    store.set('cache:inventory', JSON.stringify({
+      readAt: '2026-03-15T20:00:00Z', unsupported: ['west'], errors: {},
+      stores: {
+        main: { name: 'Main Street', color: '#ffd166', asOf: '2026-03-15', items: [item('Pod', 'Rove', 2)] },
+        east: { name: 'East', color: '#000', asOf: '2026-03-15', items: [item('Pod', 'Rove', 120, 12)] },
+      },
+    }));
+  });
+  after(() => { store.delete('cache:products'); store.delete('cache:inventory'); });
+
+  it('reports building and reads the stock without an inventory cache', async () => {
+    const saved = store.get('cache:inventory');
+    store.delete('cache:inventory');
+    assert.equal((await json('/api/inventory')).body.status, 'building');
+    assert.ok(rebuilds.includes('inventory'));
+    store.set('cache:inventory', saved);
+  });
+
+  it("gives a store's reorder list and the company's transfers", async () => {
+    const { body } = await json('/api/inventory/main');
+    assert.deepEqual(body.rows.map(r => [r.key, r.status, r.days_of_supply, r.reorder_qty]), [['Pod__Rove', 'reorder', 2, 28]]);
+    const co = await json('/api/inventory');
+    assert.deepEqual(co.body.transfers.map(t => [t.from.id, t.to.id, t.qty, t.value]), [['east', 'main', 28, 336]]);
+    assert.equal((await get('/api/inventory/west')).status, 404);
+  });
+
+  it("keeps a store manager to their stores' stock", async () => {
+    const lee = await login('lee', 'long-enough');
+    const co = await json('/api/inventory', { as: lee });
+    assert.deepEqual([co.body.stores.map(s => s.id), co.body.transfers], [['main'], []]);
+    assert.equal((await get('/api/inventory/east', { as: lee })).status, 403);
+  });
+});
@@ -0,0 +1,97 @@
+// server/scheduler.js — cron parsing in Pacific time (DST included),
+// next / previous runs, staleness, and the runner's per-fire Redis claim
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet } = require('./helpers/setup');
+const fakeRedis = require('./helpers/fake-redis');
+
+process.env.TZ = 'UTC';
+quiet();
+fakeRedis.install();
+const sched = require('../server/scheduler');
+
+const at = iso => Date.parse(iso);
+const iso = ms => new Date(ms).toISOString();
+const crons = spec => sched.parseSchedule(spec);
+
+describe('parseCron', () => {
+  it('reads lists, ranges and steps', () => {
+    const c = sched.parseCron('*/15 7-9,22 * * 1-5');
+    assert.deepEqual(c.minutes, [0, 15, 30, 45]);
+    assert.deepEqual([...c.hour], [7, 8, 9, 22]);
+    assert.deepEqual([...c.dow], [1, 2, 3, 4, 5]);
+    assert.ok(sched.parseCron('0 0 * * 7').dow.has(0)); // 7 is Sunday too
+  });
+
+  it('rejects malformed expressions', () => {
+    assert.throws(() => sched.parseCron('* * * *'), /5 fields/);
+    assert.throws(() => sched.parseCron('60 * * * *'), /minute/);
+    assert.throws(() => sched.parseCron('0 5-2 * * *'), /hour/);
+  });
+
+  it('treats "off" as no schedule', () => {
+    assert.deepEqual(sched.parseSchedule('off'), []);
+    assert.equal(sched.schedules({ SCHEDULE_TREND: 'off' }).trend.crons.length, 0);
+    assert.equal(sched.schedules({}).dashboard.spec, sched.DEFAULT_SCHEDULES.dashboard);
+  });
+});
+
+describe('nextRun / prevRun', () => {
+  const dash = crons('*/5 7-23 * * *; 0 0-6 * * *');
+
+  it('follows store hours, then the overnight schedule', () => {
+    assert.equal(iso(sched.nextRun(dash, at('2026-03-11T22:03:00Z'))), '2026-03-11T22:05:00.000Z'); // 3:03pm PDT
+    assert.equal(iso(sched.nextRun(dash, at('2026-03-12T06:57:00Z'))), '2026-03-12T07:00:00.000Z'); // 11:57pm → midnight
+    assert.equal(iso(sched.nextRun(dash, at('2026-03-12T07:00:00Z'))), '2026-03-12T08:00:00.000Z'); // midnight → 1am
+    assert.equal(iso(sched.prevRun(dash, at('2026-03-12T09:30:00Z'))), '2026-03-12T09:00:00.000Z');
+  });
+
+  it('keeps 3am Pacific across the spring-forward weekend', () => {
+    const nightly = crons('0 3 * * *');
+    assert.equal(iso(sched.nextRun(nightly, at('2026-03-07T00:00:00Z'))), '2026-03-07T11:00:00.000Z'); // PST
+    assert.equal(iso(sched.nextRun(nightly, at('2026-03-07T11:00:00Z'))), '2026-03-08T10:00:00.000Z'); // PDT
+  });
+
+  it('matches the weekday in Pacific time', () => {
+    // Mon 9am PDT is 16:00Z; Sunday evening Pacific is already Monday in UTC
+    assert.equal(iso(sched.nextRun(crons('0 9 * * 1'), at('2026-03-16T02:00:00Z'))), '2026-03-16T16:00:00.000Z');
+  });
+});
+
+describe('staleness', () => {
+  const nightly = { spec: '0 3 * * *', crons: crons('0 3 * * *') };
+
+  it('is stale once a run is missed by more than the grace period', () => {
+    const ok = { lastSuccessAt: '2026-03-11T10:05:00Z' };
+    assert.equal(sched.staleness(nightly, ok, at('2026-03-11T22:00:00Z')).stale, false);
+    assert.equal(sched.staleness(nightly, ok, at('2026-03-12T10:10:00Z')).stale, false); // 3:10am, in grace
+    assert.equal(sched.staleness(nightly, ok, at('2026-03-12T10:30:00Z')).stale, true);
+    assert.equal(sched.staleness(nightly, ok, at('2026-03-11T22:00:00Z')).nextRunAt, '2026-03-12T10:00:00.000Z');
+  });
+
+  it('does not count a store-hours schedule\'s overnight gap', () => {
+    const day = { spec: '*/5 7-23 * * *', crons: crons('*/5 7-23 * * *') };
+    assert.equal(sched.staleness(day, { lastSuccessAt: '2026-03-12T06:55:00Z' }, at('2026-03-12T10:00:00Z')).stale, false);
+  });
+
+  it('is stale with no success on record', () => {
+    assert.equal(sched.staleness(nightly, null).stale, true);
+    assert.equal(sched.staleness(undefined, null).schedule, 'off');
+  });
+});
+
+describe('start', () => {
+  afterEach(() => { sched.stop(); mock.timers.reset(); });
+  const flush = async () => { for (let i = 0; i < 10; i++) await new Promise(r => setImmediate(r)); };
+  const only = spec => { const env = {}; Object.keys(sched.DEFAULT_SCHEDULES).forEach(k => { env['SCHEDULE_' + k.toUpperCase()] = 'off'; }); return { ...env, SCHEDULE_DASHBOARD: spec }; };
+
+  it('runs a section at its fire time, once across instances', async () => {
+    mock.timers.enable({ apis: ['Date', 'setTimeout'], now: at('2026-03-11T22:03:00Z') });
+    const runs = [], run = s => { runs.push([s, iso(Date.now())]); };
+    sched.start(run, only('*/5 * * * *'));
+    sched.start(run, only('*/5 * * * *')); // a second instance, same Redis
+    mock.timers.tick(2 * 60000);
+    await flush();
+    assert.deepEqual(runs.filter(r => r[0] === 'dashboard'), [['dashboard', '2026-03-11T22:05:00.000Z']]);
+  });
+});
@@ -0,0 +1,88 @@
+// server/session.js — cookie signing and expiry, CSRF tokens, login throttling
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, setNow } = require('./helpers/setup');
+const fakeRedis = require('./helpers/fake-redis');
+
+quiet();
+delete process.env.SESSION_SECRET;
+const store = fakeRedis.install();
+const session = require('../server/session');
+
+// Just enough of req / res for issue() and read()
+const reqWith = cookie => ({ headers: cookie ? { cookie } : {}, secure: false });
+const issued = async (req = reqWith()) => {
+  let header;
+  await session.issue(req, { setHeader: (k, v) => { header = v; } }, 'tok');
+  return header;
+};
+
+describe('cookie', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('signs with a secret shared through Redis and reads back the token', async () => {
+    const header = await issued();
+    assert.ok(store.get(session.KEYS.secret));
+    assert.equal(await session.read(reqWith(header.split(';')[0])), 'tok');
+    assert.equal(await session.read(reqWith(header.split(';')[0].replace('tok.', 'tok2.'))), null);
+    assert.equal(await session.read(reqWith('other=1')), null);
+  });
+
+  it('marks the cookie Secure behind an https proxy', async () => {
+    assert.doesNotMatch(await issued(), /Secure/);
+    assert.match(await issued({ headers: { 'x-forwarded-proto': 'https' } }), /; Secure$/);
+  });
+
+  it('stops reading a cookie once it expires, whatever the browser sends', async () => {
+    setNow('2026-03-10T00:00:00Z');
+    const cookie = (await issued()).split(';')[0];
+    setNow('2026-03-10T11:59:00Z');
+    assert.equal(await session.read(reqWith(cookie)), 'tok');
+    setNow('2026-03-10T12:01:00Z');
+    assert.equal(await session.read(reqWith(cookie)), null);
+  });
+
+  it('ties the CSRF token to the session', async () => {
+    const csrf = await session.csrfToken('tok');
+    assert.notEqual(csrf, await session.csrfToken('tok2'));
+    assert.equal(await session.checkCsrf({ headers: { 'x-csrf-token': csrf } }, 'tok'), true);
+    assert.equal(await session.checkCsrf({ headers: { 'x-csrf-token': csrf } }, 'tok2'), false);
+    assert.equal(await session.checkCsrf({ headers: {} }, 'tok'), false);
+  });
+});
+
+describe('throttle', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('locks after MAX_FAILURES, then starts the count over once served', async () => {
+    setNow('2026-03-10T00:00:00Z');
+    for (let i = 0; i < session.MAX_FAILURES - 1; i++) await session.loginFailed('sam');
+    assert.equal(await session.throttle('1.1.1.1', 'sam'), null);
+    await session.loginFailed('sam');
+    const locked = await session.throttle('1.1.1.1', 'sam');
+    assert.deepEqual([locked.retryAfter, /15 min/.test(locked.error)], [900, true]);
+    setNow('2026-03-10T00:16:00Z');
+    assert.equal(await session.throttle('1.1.1.1', 'sam'), null);
+    await session.loginFailed('sam');
+    assert.equal(await session.throttle('1.1.1.1', 'sam'), null); // one failure, not six
+    await session.loginSucceeded('sam');
+    assert.equal(store.get(session.KEYS.failures('sam')), undefined);
+  });
+
+  it('counts every one of a burst of concurrent failures', async () => {
+    setNow('2026-03-10T02:00:00Z');
+    await Promise.all(Array.from({ length: session.MAX_FAILURES }, () => session.loginFailed('kim')));
+    assert.match((await session.throttle('4.4.4.4', 'kim')).error, /Too many failed sign-ins/);
+    await Promise.all(Array.from({ length: session.IP_LIMIT }, (_, i) => session.throttle('5.5.5.5', 'v' + i)));
+    assert.match((await session.throttle('5.5.5.5', 'x')).error, /Too many sign-in attempts/);
+  });
+
+  it('allows IP_LIMIT attempts per IP per window', async () => {
+    setNow('2026-03-10T01:00:00Z');
+    for (let i = 0; i < session.IP_LIMIT; i++) assert.equal(await session.throttle('2.2.2.2', 'u' + i), null);
+    assert.match((await session.throttle('2.2.2.2', 'x')).error, /Too many sign-in attempts/);
+    assert.equal(await session.throttle('3.3.3.3', 'x'), null);
+    setNow('2026-03-10T01:15:01Z');
+    assert.equal(await session.throttle('2.2.2.2', 'x'), null);
+  });
+});
@@ -0,0 +1,102 @@
+// server/stores.js — seeding from the old config, new Flowhub locations,
+// admin edits and validation, open dates by the store's own clock, hours
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet, setNow } = require('./helpers/setup');
+const fakeRedis = require('./helpers/fake-redis');
+
+quiet();
+const store = fakeRedis.install();
+const redis = require('../server/redis');
+const stores = require('../server/stores');
+
+const FLOWHUB = [
+  { importId: 'loc-main', rawName: 'Thrive Main Street' },
+  { importId: 'loc-cult', rawName: 'Thrive Cultivation' },
+  { importId: 'loc-odd', rawName: 'Thrive Odd Spot' },
+];
+const ids = locs => locs.map(l => l.id);
+
+describe('sync', () => {
+  it('seeds from the old store table: known names, excluded locations closed', async () => {
+    const all = await stores.sync(FLOWHUB);
+    assert.deepEqual(ids(stores.locations(all)), ['main', 'thrive_odd_spot']);
+    assert.deepEqual([all['loc-main'].name, all['loc-main'].color, all['loc-main'].timezone], ['Main Street', '#ffd166', stores.DEFAULT_TZ]);
+    assert.deepEqual([all['loc-cult'].status, all['loc-cult'].pending], ['closed', false]);
+    assert.ok(store.get(stores.KEYS.registry));
+  });
+
+  it('adds a location Flowhub lists later as pending, and tracks Flowhub renames', async () => {
+    const all = await stores.sync([...FLOWHUB.slice(0, 2), { importId: 'loc-odd', rawName: 'Thrive Odd Spot 2' }, { importId: 'loc-new', rawName: 'Thrive Reno West' }]);
+    assert.deepEqual([all['loc-new'].id, all['loc-new'].status, all['loc-new'].pending], ['thrive_reno_west', 'closed', true]);
+    assert.deepEqual([all['loc-odd'].rawName, all['loc-odd'].name], ['Thrive Odd Spot 2', 'Thrive Odd Spot']);
+    assert.deepEqual(ids(stores.locations(all)), ['main', 'thrive_odd_spot']);
+  });
+
+  it('keeps serving the last registry when Redis is down', async () => {
+    const client = redis.getClient(), get = client.get;
+    client.get = async () => { throw new Error('ECONNREFUSED'); };
+    try {
+      assert.deepEqual(ids(stores.locations(await stores.sync(FLOWHUB))), ['main', 'thrive_odd_spot']);
+    } finally {
+      client.get = get;
+    }
+  });
+
+  it('saves a registry it only held in memory once Redis is back, so edits stick', async () => {
+    const client = redis.getClient(), get = client.get;
+    store.delete(stores.KEYS.registry); // never written: Redis was down from the start
+    client.get = async () => { throw new Error('ECONNREFUSED'); };
+    try {
+      assert.deepEqual(ids(stores.locations(await stores.sync(FLOWHUB))), ['main', 'thrive_odd_spot']);
+    } finally {
+      client.get = get;
+    }
+    await stores.sync(FLOWHUB);
+    assert.equal(JSON.parse(store.get(stores.KEYS.registry))['loc-main'].name, 'Main Street');
+    assert.equal((await stores.update('loc-main', { color: '#ffd166' })).error, undefined);
+  });
+});
+
+describe('update', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('sets a pending store up, id included; after that the id is fixed', async () => {
+    const r = await stores.update('loc-new', { id: 'reno_west', name: 'Reno West', color: '#123abc', timezone: 'America/Denver', status: 'active' });
+    assert.deepEqual([r.store.id, r.store.pending, r.store.live, r.before.id], ['reno_west', false, true, 'thrive_reno_west']);
+    assert.match((await stores.update('loc-new', { id: 'rw' })).error, /fixed/);
+    assert.equal((await stores.update('nope', {})).status, 404);
+  });
+
+  it('rejects bad input without saving it', async () => {
+    const bad = async input => (await stores.update('loc-odd', input)).error;
+    assert.match(await bad({ timezone: 'Mars/Olympus' }), /Unknown timezone/);
+    assert.match(await bad({ color: 'red' }), /#RRGGBB/);
+    assert.match(await bad({ status: 'gone' }), /status must be/);
+    assert.match(await bad({ hours: [] }), /7 entries/);
+    assert.match(await bad({ hours: [{ open: '10:00', close: '09:00' }, null, null, null, null, null, null] }), /Sun closes before it opens/);
+    assert.match(await bad({ openDate: 'soon' }), /YYYY-MM-DD/);
+    const all = await stores.sync(FLOWHUB);
+    assert.equal(all['loc-odd'].timezone, stores.DEFAULT_TZ);
+  });
+
+  it("hides a store until its open date comes round in its own timezone", async () => {
+    await stores.update('loc-odd', { timezone: 'Pacific/Honolulu', openDate: '2026-03-11' });
+    setNow('2026-03-11T09:00:00Z'); // Mar 10, 11pm in Honolulu
+    assert.deepEqual(ids(stores.locations(await stores.sync(FLOWHUB))), ['main', 'reno_west']);
+    setNow('2026-03-11T10:00:00Z');
+    assert.deepEqual(ids(stores.locations(await stores.sync(FLOWHUB))), ['main', 'thrive_odd_spot', 'reno_west']);
+    await stores.update('loc-odd', { status: 'closed' });
+    assert.deepEqual(ids(stores.locations(await stores.sync(FLOWHUB))), ['main', 'reno_west']);
+  });
+});
+
+describe('openAt', () => {
+  it('counts an hour when the store is open all of it', () => {
+    const hours = [null, { open: '09:30', close: '24:00' }, ...stores.DEFAULT_HOURS.slice(2)];
+    const loc = { hours };
+    assert.deepEqual([0, 9, 10, 23].map(h => stores.openAt(loc, 1, h)), [false, false, true, true]);
+    assert.equal(stores.openAt(loc, 0, 12), false); // closed Sundays
+    assert.equal(stores.openAt({}, 0, 3), true);    // no hours: always
+  });
+});
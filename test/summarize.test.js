@@ -0,0 +1,145 @@
+// summarizeOrders / summarizeHourly / extractTopProducts / classifyOrder
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempCacheDir, quiet, fixtureOrders, fixtureOrder } = require('./helpers/setup');
+
+process.env.TZ = 'UTC';
+useTempCacheDir();
+quiet();
+const fh = require('../server/flowhub');
+
+const WEEK1 = ['pre-midnight-mon', 'post-midnight-tue', 'voided-order', 'voided-item', 'missing-total-price', 'dst-spring-before', 'dst-spring-after', 'sunday-late'].map(fixtureOrder);
+const WEEK2 = ['monday-early', 'return'].map(fixtureOrder);
+const byName = (list, name) => list.find(x => x.name === name);
+
+describe('classifyOrder', () => {
+  it('treats voided orders as voids, keeping their amount', () => {
+    assert.deepEqual(fh.classifyOrder(fixtureOrder('voided-order')), { kind: 'void', net: 50, refund: 0, sign: 1 });
+  });
+
+  it('detects flagged returns recorded with positive amounts', () => {
+    assert.deepEqual(fh.classifyOrder(fixtureOrder('return')), { kind: 'return', net: 40, refund: 40, sign: -1 });
+  });
+
+  it('detects returns from negative line totals', () => {
+    const c = fh.classifyOrder({ itemsInCart: [{ totalPrice: -15, quantity: 1 }] });
+    assert.equal(c.kind, 'return');
+    assert.equal(c.refund, 15);
+    assert.equal(c.sign, 1);
+  });
+
+  it('carries partial refunds on sales', () => {
+    const c = fh.classifyOrder({ itemsInCart: [{ totalPrice: 40 }], totalRefunded: 5 });
+    assert.deepEqual(c, { kind: 'sale', net: 40, refund: 5, sign: 1 });
+  });
+
+  it('falls back to unitPrice × quantity when totalPrice is missing', () => {
+    assert.equal(fh.classifyOrder(fixtureOrder('missing-total-price')).net, 20);
+  });
+});
+
+describe('summarizeOrders', () => {
+  const s = fh.summarizeOrders(WEEK1);
+
+  it('counts only completed sales as transactions', () => {
+    assert.equal(s.transaction_count, 7);
+    assert.deepEqual(s.voids, { count: 1, amount: 50 });
+    assert.equal(s.total_items, 8);
+  });
+
+  it('skips voided items and prices items without totalPrice', () => {
+    assert.equal(s.net_sales, 180);
+    assert.equal(s.gross_sales, 185);
+    assert.equal(s.avg_basket, 25.71);
+    assert.equal(byName(s.categories, 'Pre-Rolls').net_sales, 20);
+    assert.equal(byName(s.categories, 'Pre-Rolls').units, 2);
+    assert.equal(byName(s.categories, 'Flower').net_sales, 100);
+  });
+
+  it('splits budtenders, customer types, tenders and cannabis revenue', () => {
+    assert.deepEqual(s.customer_types, { rec: 6, med: 1 });
+    const ana = byName(s.budtenders, 'Ana Ruiz'), ben = byName(s.budtenders, 'Ben Ito');
+    assert.equal(ana.transactions, 5);
+    assert.equal(ana.net_sales, 135);
+    assert.equal(ana.voids.count, 1);
+    assert.equal(ben.transactions, 2);
+    assert.equal(ben.net_sales, 45);
+    assert.deepEqual(s.tenders.cash, { amount: 125, count: 5 });
+    assert.deepEqual(s.tenders.debit, { amount: 55, count: 2 });
+    assert.equal(s.cannabis_revenue, 170);
+    assert.equal(s.non_cannabis_revenue, 10);
+  });
+
+  it('reports net sales after refunds', () => {
+    const w2 = fh.summarizeOrders(WEEK2);
+    assert.equal(w2.transaction_count, 1);
+    assert.equal(w2.net_sales_before_refunds, 45);
+    assert.equal(w2.net_sales, 5);
+    assert.deepEqual(w2.returns, { count: 1, amount: 40 });
+    assert.deepEqual(w2.refunds, { count: 1, amount: 40 });
+    assert.equal(byName(w2.categories, 'Flower').net_sales, 5);
+    assert.equal(byName(w2.categories, 'Flower').units, 0);
+    const ben = byName(w2.budtenders, 'Ben Ito');
+    assert.equal(ben.net_sales, 5);
+    assert.equal(ben.returns.count, 1);
+    assert.equal(ben.avg_basket, 45);
+  });
+
+  it('returns the same shape for no orders', () => {
+    const empty = fh.summarizeOrders([]);
+    assert.deepEqual(Object.keys(empty).sort(), Object.keys(s).sort());
+    assert.equal(empty.transaction_count, 0);
+    assert.deepEqual(empty.refunds, { count: 0, amount: 0 });
+  });
+});
+
+describe('summarizeHourly', () => {
+  const grid = fh.summarizeHourly(fixtureOrders());
+
+  it('buckets by Pacific weekday and hour either side of midnight', () => {
+    assert.deepEqual(grid[1][23], { transactions: 1, net_sales: 40 }); // Mon 23:59 PST
+    assert.deepEqual(grid[2][0], { transactions: 1, net_sales: 30 });  // Tue 00:01 PST
+    assert.deepEqual(grid[0][23], { transactions: 1, net_sales: 10 }); // Sun 23:59 PDT
+  });
+
+  it('handles both DST transitions', () => {
+    // Spring: 01:30 PST then 03:30 PDT, hour 2 never happens.
+    // Fall: 01:30 PDT and 01:30 PST both land in hour 1.
+    assert.deepEqual(grid[0][1], { transactions: 3, net_sales: 85 });
+    assert.deepEqual(grid[0][2], { transactions: 0, net_sales: 0 });
+    assert.deepEqual(grid[0][3], { transactions: 1, net_sales: 35 });
+  });
+
+  it('skips voids, counts returns as negative sales only, prices missing totalPrice', () => {
+    assert.deepEqual(grid[3][12], { transactions: 0, net_sales: 0 });   // voided order
+    assert.deepEqual(grid[3][13], { transactions: 1, net_sales: 20 });  // voided item
+    assert.deepEqual(grid[2][12], { transactions: 0, net_sales: -40 }); // return
+    assert.deepEqual(grid[4][11], { transactions: 1, net_sales: 20 });  // no totalPrice
+  });
+
+  it('agrees with summarizeOrders on totals', () => {
+    let txns = 0, net = 0;
+    for (const d in grid) for (const h in grid[d]) { txns += grid[d][h].transactions; net += grid[d][h].net_sales; }
+    const s = fh.summarizeOrders(fixtureOrders());
+    assert.equal(txns, s.transaction_count);
+    assert.equal(Math.round(net * 100) / 100, s.net_sales);
+  });
+});
+
+describe('extractTopProducts', () => {
+  const top = fh.extractTopProducts(fixtureOrders(), 3);
+
+  it('ranks sales only, highest net first', () => {
+    assert.deepEqual(top.map(p => p.name), ['Pod 1g', 'Wedding Cake 3.5g', 'Blue Dream 3.5g']);
+    assert.equal(top[0].units_sold, 2);
+    assert.equal(top[2].net_sales, 40); // voided order and the return are not sales
+  });
+
+  it('prices items without totalPrice and skips voided items', () => {
+    const all = fh.extractTopProducts(fixtureOrders(), 50);
+    const pr = all.find(p => p.name === 'Pre-Roll 5pk');
+    assert.equal(pr.net_sales, 20);
+    assert.equal(pr.avg_price, 12.5);
+    assert.equal(all.find(p => p.name === 'OG Kush 7g'), undefined);
+  });
+});
@@ -0,0 +1,77 @@
+// server/trend.js — range normalisation, month / quarter periods, roll-ups
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempCacheDir, quiet, fixtureOrders } = require('./helpers/setup');
+
+process.env.TZ = 'UTC';
+useTempCacheDir();
+quiet();
+const trend = require('../server/trend');
+const agg = require('../server/aggregate');
+const fh = require('../server/flowhub');
+
+describe('normalizeWeeks', () => {
+  it('rounds up to a supported range and defaults to 12', () => {
+    assert.equal(trend.normalizeWeeks(undefined), 12);
+    assert.equal(trend.normalizeWeeks('abc'), 12);
+    assert.equal(trend.normalizeWeeks('8'), 12);
+    assert.equal(trend.normalizeWeeks('26'), 26);
+    assert.equal(trend.normalizeWeeks('30'), 52);
+    assert.equal(trend.normalizeWeeks('999'), 156);
+  });
+});
+
+describe('periodOf', () => {
+  it('puts a week in the month its Thursday falls in', () => {
+    assert.equal(trend.periodOf('2026-03-30', 'month').key, '2026-04'); // Thu Apr 2
+    assert.equal(trend.periodOf('2026-03-23', 'month').key, '2026-03'); // Thu Mar 26
+    assert.deepEqual(trend.periodOf('2025-12-29', 'month'), { key: '2026-01', label: 'Jan 2026', first: '2026-01-01', last: '2026-01-31' });
+  });
+
+  it('builds quarters the same way', () => {
+    assert.deepEqual(trend.periodOf('2026-03-30', 'quarter'), { key: '2026-Q2', label: 'Q2 2026', first: '2026-04-01', last: '2026-06-30' });
+    assert.equal(trend.periodOf('2026-12-28', 'quarter').key, '2026-Q4'); // Thu Dec 31
+  });
+});
+
+describe('mergeSummaries', () => {
+  it('adds weekly summaries up to the summary of all their orders', () => {
+    const orders = fixtureOrders(), half = Math.floor(orders.length / 2);
+    const merged = agg.mergeSummaries([fh.summarizeOrders(orders.slice(0, half)), fh.summarizeOrders(orders.slice(half)), null]);
+    const all = fh.summarizeOrders(orders);
+    ['net_sales', 'gross_sales', 'transaction_count', 'avg_basket', 'total_refunds'].forEach(k => assert.equal(merged[k], all[k], k));
+    assert.deepEqual(merged.voids, all.voids);
+    assert.deepEqual(merged.categories.map(c => [c.name, c.net_sales]), all.categories.map(c => [c.name, c.net_sales]));
+  });
+
+  it('is null when no week has data', () => {
+    assert.equal(agg.mergeSummaries([null, undefined]), null);
+  });
+});
+
+describe('rollup', () => {
+  const week = (start, net) => ({ week: start, weekEnd: fh.addDays(start, 6), summary: { net_sales: net, transaction_count: 1, net_sales_before_refunds: net }, error: null });
+  const starts = ['2026-02-16', '2026-02-23', '2026-03-02', '2026-03-09', '2026-03-16', '2026-03-23', '2026-03-30'];
+  const payload = { generatedAt: 'x', weekStarts: starts, stores: { main: { name: 'Main', color: '#fff', weeks: starts.map((s, i) => week(s, 100 * (i + 1))) } } };
+
+  it('leaves weekly payloads as they are', () => {
+    assert.equal(trend.rollup(payload, 'week').stores.main.weeks.length, 7);
+  });
+
+  it('sums weeks into months and flags partial ones', () => {
+    const r = trend.rollup(payload, 'month', '2026-04-01');
+    assert.deepEqual(r.periods.map(p => [p.key, p.weeks, p.complete]), [['2026-02', 2, false], ['2026-03', 4, true], ['2026-04', 1, false]]);
+    const march = r.stores.main.periods[1];
+    assert.deepEqual([march.start, march.end, march.summary.net_sales], ['2026-03-02', '2026-03-29', 300 + 400 + 500 + 600]);
+  });
+
+  it('sums last year\'s weeks alongside', () => {
+    const withLy = { ...payload, stores: { main: { ...payload.stores.main, weeks: payload.stores.main.weeks.map(w => ({ ...w, ly: { net_sales: 10, transaction_count: 1, net_sales_before_refunds: 10 } })) } } };
+    assert.deepEqual(trend.rollup(withLy, 'month', '2026-04-01').stores.main.periods.map(p => p.ly.net_sales), [20, 40, 10]);
+    assert.equal(trend.rollup(payload, 'month', '2026-04-01').stores.main.periods[0].ly, null);
+  });
+
+  it('marks a full period incomplete until its last week ends', () => {
+    assert.equal(trend.rollup(payload, 'month', '2026-03-25').periods[1].complete, false);
+  });
+});
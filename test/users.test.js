@@ -0,0 +1,100 @@
+// server/users.js — password hashing, accounts, tokens and store scope
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { quiet } = require('./helpers/setup');
+const fakeRedis = require('./helpers/fake-redis');
+
+quiet();
+delete process.env.DASHBOARD_PASSWORD;
+const store = fakeRedis.install();
+const redis = require('../server/redis');
+const users = require('../server/users');
+
+const IDS = ['main', 'east', 'west'];
+
+describe('passwords', () => {
+  it('hashes with a salt and checks in constant time', async () => {
+    const [a, b] = [await users.hashPassword('hunter2hunter2'), await users.hashPassword('hunter2hunter2')];
+    assert.notEqual(a, b);
+    assert.match(a, /^scrypt\$/);
+    assert.equal(await users.checkPassword('hunter2hunter2', a), true);
+    assert.equal(await users.checkPassword('hunter3hunter3', a), false);
+    assert.equal(await users.checkPassword('x', 'plain'), false);
+  });
+});
+
+describe('accounts', () => {
+  it('is open with no accounts and no DASHBOARD_PASSWORD', async () => {
+    assert.equal(await users.authenticate(null), users.OPEN_USER);
+  });
+
+  it('fails when Redis does and DASHBOARD_PASSWORD expects accounts', async () => {
+    const client = redis.getClient(), get = client.get;
+    client.get = async () => { throw new Error('ECONNREFUSED'); };
+    process.env.DASHBOARD_PASSWORD = 'letmein-please';
+    try {
+      await assert.rejects(users.authenticate('anything'), /ECONNREFUSED/);
+    } finally {
+      delete process.env.DASHBOARD_PASSWORD;
+      client.get = get;
+    }
+  });
+
+  it('stays open when Redis is down and there is no DASHBOARD_PASSWORD', async () => {
+    const client = redis.getClient(), get = client.get;
+    client.get = async () => { throw new Error('ECONNREFUSED'); };
+    try {
+      assert.equal(await users.authenticate(null), users.OPEN_USER);
+    } finally {
+      client.get = get;
+    }
+  });
+
+  it('seeds admin from DASHBOARD_PASSWORD, then needs a token', async () => {
+    process.env.DASHBOARD_PASSWORD = 'letmein-please';
+    try {
+      assert.equal(await users.authenticate(null), null);
+      const session = await users.login('ADMIN', 'letmein-please');
+      assert.deepEqual([session.user.username, session.user.role], ['admin', 'admin']);
+      assert.equal((await users.authenticate(session.token)).username, 'admin');
+      assert.equal(await users.authenticate('made-up'), null);
+      assert.equal(await users.login('admin', 'letmein'), null);
+    } finally {
+      delete process.env.DASHBOARD_PASSWORD;
+    }
+  });
+
+  it('checks roles and stores', async () => {
+    const mk = input => users.create({ password: 'long-enough', ...input }, IDS);
+    assert.match((await mk({ username: 'a b', role: 'store', stores: ['main'] })).error, /username/);
+    assert.match((await mk({ username: 'dm', role: 'boss' })).error, /role/);
+    assert.match((await mk({ username: 'dm', role: 'district', stores: [] })).error, /at least one store/);
+    assert.match((await mk({ username: 'sm', role: 'store', stores: ['main', 'east'] })).error, /exactly one store/);
+    assert.match((await mk({ username: 'sm', role: 'store', stores: ['north'] })).error, /Unknown store: north/);
+    assert.match((await users.create({ username: 'sm', role: 'store', stores: ['main'], password: 'short' }, IDS)).error, /at least 8/);
+    const { user } = await mk({ username: 'exec', role: 'executive', stores: ['main'] });
+    assert.deepEqual(user.stores, []); // executives see everything
+    assert.equal(user.passwordHash, undefined);
+  });
+
+  it('never leaves the dashboard without an active admin', async () => {
+    assert.equal((await users.update('admin', { role: 'executive' }, IDS)).status, 400);
+    assert.equal((await users.update('admin', { disabled: true }, IDS)).status, 400);
+    assert.equal((await users.remove('admin')).status, 400);
+    await users.create({ username: 'second', role: 'admin', password: 'long-enough' }, IDS);
+    assert.equal((await users.update('admin', { disabled: true }, IDS)).user.disabled, true);
+    assert.equal((await users.remove('second')).status, 400);
+    assert.equal((await users.update('nobody', {}, IDS)).status, 404);
+  });
+});
+
+describe('store scope', () => {
+  it('is every store for admins and executives, the listed ones for managers', async () => {
+    await users.create({ username: 'dm', role: 'district', stores: ['main', 'east'], password: 'long-enough' }, IDS);
+    const dm = (await users.list()).find(u => u.username === 'dm');
+    assert.deepEqual([...users.storeScope(dm)], ['main', 'east']);
+    assert.deepEqual([users.canSee(dm, 'east'), users.canSee(dm, 'west')], [true, false]);
+    assert.equal(users.storeScope({ role: 'executive', stores: [] }), null);
+    assert.ok(JSON.parse(store.get(users.KEYS.users)).dm.passwordHash);
+  });
+});
@@ -0,0 +1,167 @@
+// server/warehouse.js against the mock Flowhub (orders.json fixture, served
+// from an in-memory copy so tests can add and void orders between syncs)
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockFlowhub, quiet, setNow, loadFixture } = require('./helpers/setup');
+const fakeRedis = require('./helpers/fake-redis');
+
+process.env.TZ = 'UTC';
+process.env.WAREHOUSE_HISTORY_WEEKS = '2';
+process.env.WAREHOUSE_RESYNC_DAYS = '2';
+process.env.WAREHOUSE_BACKFILL_WEEKS = '70'; // back to Nov 2024
+quiet();
+
+const fixture = loadFixture();
+let flowhub, fh, wh, loc;
+before(async () => {
+  flowhub = await startMockFlowhub({ fixture });
+  fakeRedis.install();
+  fh = require('../server/flowhub');
+  wh = require('../server/warehouse');
+  [loc] = await fh.getLocations();
+});
+after(() => flowhub.close());
+afterEach(() => mock.timers.reset());
+
+const ids = orders => orders.map(o => o._id);
+// API requests made while fn runs
+async function requestsDuring(fn) { const n = flowhub.stats.requests; const r = await fn(); return [flowhub.stats.requests - n, r]; }
+const W1 = { start: '2026-03-02', end: '2026-03-08' }, W2 = { start: '2026-03-09', end: '2026-03-15' };
+
+describe('warehouse', () => {
+  it('first sync pulls the history window into Pacific day files', async () => {
+    setNow('2026-03-11T20:00:00Z');
+    const r = await wh.sync(loc);
+    assert.equal(r.error, null);
+    assert.deepEqual([r.from, r.to, r.orders], ['2026-03-02', '2026-03-11', 10]);
+    const st = wh.readState('fx-main');
+    assert.deepEqual([st.earliest, st.cursor], ['2026-03-02', '2026-03-09']);
+    assert.deepEqual(ids(wh.readDay('fx-main', '2026-03-08')), ['dst-spring-before', 'dst-spring-after', 'sunday-late']);
+  });
+
+  it('serves ranges locally with the same numbers as the API', async () => {
+    setNow('2026-03-11T20:00:00Z');
+    const [n, local] = await requestsDuring(() => wh.source.getOrders(loc, W1.start, W1.end));
+    assert.equal(n, 0);
+    const api = await fh.getOrdersForLocation('fx-main', W1.start, W1.end);
+    assert.deepEqual(fh.summarizeOrders(local.orders), fh.summarizeOrders(api.orders));
+
+    const [n2, trend] = await requestsDuring(() => fh.getTrendForStore(loc, [W1, W2], wh.source));
+    assert.equal(n2, 0);
+    assert.deepEqual(trend, await fh.streamBucketFetch('fx-main', W1.start, W2.end, [W1, W2]));
+  });
+
+  it('next sync asks only for days after the cursor and upserts late voids', async () => {
+    fixture.orders['fx-main'].push({ _id: 'late-void', createdAt: '2026-03-12T20:00:00.000Z', budtender: 'Ana Ruiz', paymentType: 'cash', itemsInCart: [{ productName: 'Pod 1g', category: 'Vapes', quantity: 1, totalPrice: 30 }] });
+    setNow('2026-03-13T20:00:00Z');
+    const [n, r] = await requestsDuring(() => wh.sync(loc));
+    assert.equal(n, 1);
+    assert.deepEqual([r.from, r.to], ['2026-03-10', '2026-03-13']);
+    assert.equal(wh.readState('fx-main').cursor, '2026-03-11');
+
+    fixture.orders['fx-main'].find(o => o._id === 'late-void').voided = true;
+    setNow('2026-03-14T20:00:00Z');
+    assert.equal((await wh.sync(loc)).from, '2026-03-12');
+    const day = wh.readDay('fx-main', '2026-03-12');
+    assert.deepEqual(ids(day), ['late-void']);
+    assert.equal(day[0].voided, true);
+  });
+
+  it('a failed sync keeps the cursor; only days past it fall back to the API', async () => {
+    setNow('2026-03-14T20:00:00Z');
+    const cursor = wh.readState('fx-main').cursor;
+    Object.assign(flowhub.faults, { failEvery: 1, failStatus: 404 });
+    const r = await wh.sync(loc);
+    Object.assign(flowhub.faults, { failEvery: 0 });
+    assert.match(r.error, /404/);
+    assert.equal(wh.readState('fx-main').cursor, cursor);
+
+    const [n] = await requestsDuring(() => wh.source.getOrders(loc, W1.start, cursor));
+    assert.equal(n, 0);
+    const [n2] = await requestsDuring(() => wh.source.getOrders(loc, '2026-03-13', '2026-03-14'));
+    assert.equal(n2, 1);
+
+    assert.equal((await wh.sync(loc)).error, null);
+    assert.equal(wh.readState('fx-main').lastError, null);
+  });
+
+  it('backfills a range older than the warehouse once, then reads it locally', async () => {
+    setNow('2026-03-14T20:00:00Z');
+    const [n, r] = await requestsDuring(() => wh.source.getOrders(loc, '2026-02-23', '2026-03-03'));
+    assert.equal(n, 1);
+    assert.deepEqual(ids(r.orders), ['pre-midnight-mon', 'post-midnight-tue']);
+    assert.equal(wh.readState('fx-main').earliest, '2026-02-23');
+    const [n2] = await requestsDuring(() => wh.source.getOrders(loc, '2026-02-23', '2026-03-03'));
+    assert.equal(n2, 0);
+  });
+
+  it('reads a range older than the backfill window from the API without keeping it', async () => {
+    setNow('2026-03-14T20:00:00Z');
+    const range = ['2024-11-04', '2024-11-10'];
+    const [n] = await requestsDuring(() => wh.source.getOrders(loc, ...range));
+    assert.equal(n, 1);
+    assert.equal(wh.readState('fx-main').earliest, '2026-02-23');
+    const [n2] = await requestsDuring(() => wh.source.getOrders(loc, ...range));
+    assert.equal(n2, 1);
+  });
+
+  it('a rebuild only asks the API for new orders once history is local', async () => {
+    setNow('2026-03-14T20:00:00Z');
+    const rebuild = require('../server/rebuild');
+    await rebuild.rebuildAll(); // first run backfills 12 weeks for the trend
+    const [n, r] = await requestsDuring(() => rebuild.rebuildAll());
+    const job = await require('../server/jobs').get(r.jobId);
+    assert.equal(r.status, 'ok');
+    assert.equal(n, 2); // the sync, and the stock on hand (always read live)
+    assert.equal(r.flowhubCalls, 2);
+    assert.equal(job.sections.inventory.flowhubCalls, 1);
+    assert.deepEqual([job.sections.warehouse.flowhubCalls, job.sections.warehouse.stores.main.orders], [1, 0]);
+    assert.ok(Object.values(job.sections).every(s => s.status === 'ok'));
+    const dash = await rebuild.getCachedDashboard();
+    assert.equal(dash.stores[0].thisWeek.transaction_count, 1); // monday-early; return and late void aren't sales
+    assert.equal((await require('../server/redis').getJSON('live:kpis')).fetchedAt, dash.meta.fetchedAt);
+    const brands = await rebuild.getCachedBrands(), trend = await rebuild.getCachedTrend(12);
+    assert.deepEqual(brands.stores.main.weeks[10].brands.slice(0, 3).map(b => [b.name, b.net_sales]), [['Matrix', 65], ['Kynd', 35], ['Select', 30]]); // Mar 2–8
+    assert.ok(trend.stores.main.weeks.every(w => !w.summary || !('brands' in w.summary)));
+    assert.deepEqual((await rebuild.getCachedInventory()).stores.main.items.map(i => i.name), ['Blue Dream 3.5g', 'Pre-Roll 5pk', 'Gummies 100mg', 'Grinder']);
+    const status = await rebuild.getSectionStatus();
+    // Longer trend ranges are only rebuilt once someone has opened them
+    assert.deepEqual(rebuild.SECTIONS.filter(k => !(status[k] && status[k].ok && status[k].lastSuccessAt)), ['trend:26', 'trend:52', 'trend:104', 'trend:156']);
+  });
+
+  it('a section rebuild waits its turn: skipped while another rebuild holds the lock', async () => {
+    const rebuild = require('../server/rebuild'), redis = require('../server/redis');
+    assert.equal(await redis.acquireLock('rebuild:lock', 60), true);
+    try {
+      const [n, r] = await requestsDuring(() => rebuild.rebuildSection('dashboard'));
+      assert.deepEqual([r.status, r.reason, n], ['skipped', 'lock_held', 0]);
+    } finally {
+      await redis.releaseLock('rebuild:lock');
+    }
+    assert.equal((await rebuild.rebuildSection('dashboard')).status, 'ok');
+    assert.equal(await redis.acquireLock('rebuild:lock', 60), true); // released afterwards
+    await redis.releaseLock('rebuild:lock');
+  });
+
+  it('rebuilds without the lock when Redis is unreachable', async () => {
+    const rebuild = require('../server/rebuild'), redis = require('../server/redis');
+    const { acquireLock, ping } = redis;
+    Object.assign(redis, { acquireLock: async () => false, ping: async () => false });
+    try {
+      assert.equal((await rebuild.rebuildSection('dashboard')).status, 'ok');
+    } finally {
+      Object.assign(redis, { acquireLock, ping });
+    }
+  });
+
+  it("starts a store over when its timezone changes: days are cut at its midnight", async () => {
+    setNow('2026-03-14T20:00:00Z');
+    const east = { ...loc, timezone: 'America/New_York' };
+    const [n] = await requestsDuring(() => wh.source.getOrders(east, W1.start, W1.end));
+    assert.equal(n, 1); // Pacific days can't answer for New York
+    const r = await wh.sync(east);
+    assert.deepEqual([r.error, r.from, wh.readState('fx-main').timezone], [null, '2026-03-02', 'America/New_York']);
+    assert.deepEqual(ids(wh.readDay('fx-main', '2026-03-03')), ['pre-midnight-mon', 'post-midnight-tue']);
+    assert.deepEqual(ids(wh.readDay('fx-main', '2026-03-09')), ['sunday-late', 'monday-early']);
+  });
+});